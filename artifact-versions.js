@@ -0,0 +1,273 @@
+// Artifact version history, restore and text diff
+(function() {
+    'use strict';
+
+    // Extensions we can meaningfully diff as text
+    const TEXT_EXTENSIONS = [
+        'json', 'js', 'ts', 'jsx', 'tsx', 'py', 'cs', 'java', 'go', 'rb', 'php',
+        'sql', 'sh', 'ps1', 'yaml', 'yml', 'xml', 'html', 'css', 'md', 'txt', 'csv'
+    ];
+    // LCS is O(n*m); beyond this many lines per side fall back to a plain notice
+    const MAX_DIFF_LINES = 3000;
+
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    function isTextArtifact(artifact) {
+        if (artifact.type === 'N8N' || artifact.type === 'SAXTech Automation') {
+            return true;
+        }
+        const extension = (artifact.name || '').split('.').pop().toLowerCase();
+        return TEXT_EXTENSIONS.includes(extension);
+    }
+
+    function findArtifact(projectId, artifactId) {
+        const project = (window.projects || []).find(p => String(p.id) === String(projectId));
+        if (!project) return { project: null, artifact: null };
+        const artifact = (project.artifacts || []).find(a => a.artifactId === artifactId);
+        return { project, artifact };
+    }
+
+    // Pretty-print JSON so formatting-only changes don't swamp the diff
+    async function fetchText(blobUrl, isJson) {
+        const response = await fetch(await window.blobManager.requestDownloadUrl(blobUrl));
+        if (!response.ok) {
+            throw new Error(`Could not fetch ${blobUrl} (${response.status})`);
+        }
+        const text = await response.text();
+        if (isJson) {
+            try {
+                return JSON.stringify(JSON.parse(text), null, 2);
+            } catch (e) {
+                return text;
+            }
+        }
+        return text;
+    }
+
+    // Line diff via longest common subsequence; returns [{ op: ' ' | '+' | '-', line }]
+    function diffLines(oldText, newText) {
+        const a = oldText.split('\n');
+        const b = newText.split('\n');
+
+        if (a.length > MAX_DIFF_LINES || b.length > MAX_DIFF_LINES) {
+            return null;
+        }
+
+        const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+
+        const result = [];
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                result.push({ op: ' ', line: a[i] });
+                i++;
+                j++;
+            } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+                result.push({ op: '-', line: a[i++] });
+            } else {
+                result.push({ op: '+', line: b[j++] });
+            }
+        }
+        while (i < a.length) result.push({ op: '-', line: a[i++] });
+        while (j < b.length) result.push({ op: '+', line: b[j++] });
+        return result;
+    }
+
+    // Show changed lines with a little surrounding context, collapsing long unchanged runs
+    function renderDiff(diff, context = 3) {
+        const keep = diff.map(() => false);
+        diff.forEach((entry, index) => {
+            if (entry.op !== ' ') {
+                for (let k = Math.max(0, index - context); k <= Math.min(diff.length - 1, index + context); k++) {
+                    keep[k] = true;
+                }
+            }
+        });
+
+        if (!keep.includes(true)) {
+            return '<div style="padding: 20px; text-align: center; color: var(--sax-text-dim);">No differences</div>';
+        }
+
+        const colors = {
+            '+': 'background: rgba(16, 185, 129, 0.15); color: #10b981;',
+            '-': 'background: rgba(239, 68, 68, 0.15); color: #ef4444;',
+            ' ': 'color: var(--sax-text-dim);'
+        };
+
+        let html = '';
+        let skipped = false;
+        diff.forEach((entry, index) => {
+            if (!keep[index]) {
+                if (!skipped) {
+                    html += '<div style="color: var(--sax-text-dim); padding: 2px 8px;">⋯</div>';
+                    skipped = true;
+                }
+                return;
+            }
+            skipped = false;
+            html += `<div style="${colors[entry.op]} padding: 0 8px; white-space: pre-wrap;">${entry.op} ${escapeHtml(entry.line)}</div>`;
+        });
+        return html;
+    }
+
+    function createModal(title, bodyHtml) {
+        const modal = document.createElement('div');
+        modal.className = 'modal active';
+        modal.innerHTML = `
+            <div class="modal-content" style="max-width: 900px; width: 90%;">
+                <div class="modal-header">
+                    <h2 class="modal-title">${escapeHtml(title)}</h2>
+                    <button class="close-modal" onclick="this.closest('.modal').remove()">×</button>
+                </div>
+                <div class="modal-body" style="max-height: 65vh; overflow-y: auto;">${bodyHtml}</div>
+                <div class="modal-footer">
+                    <button class="btn btn-secondary" onclick="this.closest('.modal').remove()">Close</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+        return modal;
+    }
+
+    function showArtifactHistory(projectId, artifactId) {
+        const { project, artifact } = findArtifact(projectId, artifactId);
+        if (!artifact) {
+            window.showToast('Artifact not found', 'error');
+            return;
+        }
+
+        const versions = window.blobManager.getArtifactVersions(artifact).slice().reverse();
+        const canDiff = isTextArtifact(artifact);
+        const canRestore = window.blobManager.can(project, 'upload');
+        const current = artifact.currentVersion || versions.length;
+
+        const rows = versions.map(v => `
+            <div class="artifact-item" style="cursor: default;">
+                <div class="artifact-info">
+                    <div class="artifact-icon">${v.version === current ? '⭐' : '🕘'}</div>
+                    <div>
+                        <div class="artifact-name">v${v.version}${v.version === current ? ' (current)' : ''}${v.version === artifact.releasedVersion ? ' · released to client' : ''}${v.restoredFrom ? ` · restored from v${v.restoredFrom}` : ''}</div>
+                        <div style="font-size: 11px; color: var(--sax-text-dim);">
+                            ${escapeHtml(v.uploadedBy || 'unknown')} · ${v.uploadDate ? new Date(v.uploadDate).toLocaleString() : ''} · ${escapeHtml(v.size || '')}
+                            ${v.contentHash ? `<br><code title="SHA-256 ${v.contentHash}">${v.contentHash.substring(0, 16)}…</code>${v.contentVerified ? ' ✔︎' : ''}${v.deduplicated ? ' · shared copy' : ''}` : ''}
+                        </div>
+                    </div>
+                </div>
+                <div class="artifact-meta">
+                    <button class="btn-icon-small" onclick="downloadArtifact('${v.blobUrl}', '${escapeHtml(artifact.name)}', '${v.contentHash || ''}')" title="Download v${v.version}">
+                        <span style="font-size: 12px;">⬇️</span>
+                    </button>
+                    ${canDiff && v.version > 1 ? `
+                    <button class="btn-icon-small" onclick="showArtifactDiff('${projectId}', '${artifactId}', ${v.version - 1}, ${v.version})" title="Diff against v${v.version - 1}">
+                        <span style="font-size: 12px;">±</span>
+                    </button>` : ''}
+                    ${canRestore && v.version !== current ? `
+                    <button class="btn-icon-small" onclick="restoreArtifactVersion('${projectId}', '${artifactId}', ${v.version}, this)" title="Restore v${v.version}">
+                        <span style="font-size: 12px;">↩️</span>
+                    </button>` : ''}
+                </div>
+            </div>
+        `).join('');
+
+        createModal(`${artifact.name} - Version History`, `
+            <div class="artifact-list">${rows || '<div style="color: var(--sax-text-dim);">No uploaded versions</div>'}</div>
+        `);
+    }
+
+    async function showArtifactDiff(projectId, artifactId, fromVersion, toVersion) {
+        const { artifact } = findArtifact(projectId, artifactId);
+        if (!artifact) {
+            window.showToast('Artifact not found', 'error');
+            return;
+        }
+
+        const versions = window.blobManager.getArtifactVersions(artifact);
+        const from = versions.find(v => v.version === fromVersion);
+        const to = versions.find(v => v.version === toVersion);
+        if (!from || !to) {
+            window.showToast('Version not found', 'error');
+            return;
+        }
+
+        const modal = createModal(`${artifact.name} - v${fromVersion} → v${toVersion}`,
+            '<div class="loading-spinner"></div>');
+        const body = modal.querySelector('.modal-body');
+
+        try {
+            const isJson = artifact.type === 'N8N' || /\.json$/i.test(artifact.name);
+            const [oldText, newText] = await Promise.all([
+                fetchText(from.blobUrl, isJson),
+                fetchText(to.blobUrl, isJson)
+            ]);
+            const diff = diffLines(oldText, newText);
+
+            body.innerHTML = diff ?
+                `<div style="font-family: monospace; font-size: 12px; background: var(--sax-darker); border-radius: 8px; padding: 8px 0;">${renderDiff(diff)}</div>` :
+                '<div style="padding: 20px; text-align: center; color: var(--sax-text-dim);">Files are too large to diff in the browser. Download both versions to compare.</div>';
+        } catch (error) {
+            console.error('Error building diff:', error);
+            body.innerHTML = `<div style="padding: 20px; color: #ef4444;">Could not load versions: ${escapeHtml(error.message)}</div>`;
+        }
+    }
+
+    async function restoreArtifactVersion(projectId, artifactId, version, button) {
+        if (!confirm(`Restore v${version}? It will be published as a new version; history is kept.`)) {
+            return;
+        }
+
+        const restored = await window.blobManager.restoreArtifactVersion(projectId, artifactId, version);
+        if (!restored) {
+            window.showToast('Failed to restore version', 'error');
+            return;
+        }
+
+        window.showToast(`Restored v${version} as v${restored.currentVersion}`);
+        if (button) {
+            button.closest('.modal').remove();
+        }
+        showArtifactHistory(projectId, artifactId);
+    }
+
+    // Releasing always publishes the current version; releasing again moves the portal forward
+    async function toggleArtifactRelease(projectId, artifactId) {
+        const { artifact } = findArtifact(projectId, artifactId);
+        if (!artifact) {
+            window.showToast('Artifact not found', 'error');
+            return;
+        }
+
+        const current = artifact.currentVersion || 1;
+        let released = true;
+        if (artifact.releasedVersion === current) {
+            if (!confirm(`Withdraw ${artifact.name} from the client portal?`)) return;
+            released = false;
+        } else if (!confirm(`Release ${artifact.name} v${current} to the client portal?`)) {
+            return;
+        }
+
+        const updated = await window.blobManager.setArtifactReleased(projectId, artifactId, released);
+        if (!updated) {
+            window.showToast('Failed to update release', 'error');
+            return;
+        }
+        window.showToast(released ? `Released ${artifact.name} v${updated.releasedVersion}` : `Withdrew ${artifact.name}`);
+    }
+
+    window.showArtifactHistory = showArtifactHistory;
+    window.showArtifactDiff = showArtifactDiff;
+    window.restoreArtifactVersion = restoreArtifactVersion;
+    window.toggleArtifactRelease = toggleArtifactRelease;
+})();
@@ -138,7 +138,7 @@ class AzureAuthIntegration {
                     costs: data.costs || {
                         monthToDate: data.costs?.monthToDate || 0,
                         yesterday: data.costs?.yesterday || 0,
-                        historical: data.costs?.historical || this.generateHistoricalCosts()
+                        historical: data.costs?.historical || await this.getCostHistory()
                     },
                     resources: {
                         staticSites: data.resourceCounts?.staticWebApps || data.resources?.staticSites || 0,
@@ -186,7 +186,7 @@ class AzureAuthIntegration {
             costs: {
                 monthToDate: 127.43,
                 yesterday: 4.21,
-                historical: this.generateHistoricalCosts()
+                historical: []
             },
             resources: {
                 staticSites: 6,
@@ -219,26 +219,24 @@ class AzureAuthIntegration {
         };
     }
 
-    generateHistoricalCosts() {
-        const costs = [];
-        const today = new Date();
-        
-        for (let i = 29; i >= 0; i--) {
-            const date = new Date(today);
-            date.setDate(date.getDate() - i);
-            
-            // Generate realistic daily costs between $3-6
-            const baseCost = 3.5;
-            const variation = Math.random() * 2.5;
-            const cost = baseCost + variation;
-            
-            costs.push({
-                date: date.toISOString().split('T')[0],
-                cost: Math.round(cost * 100) / 100
-            });
+    // Daily costs recorded by the metrics collector, oldest first, as [{ date, cost }]
+    async getCostHistory(days = 90) {
+        try {
+            const from = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+            const response = await fetch(`https://saxtech-metrics-api.azurewebsites.net/api/metrics/history?metric=cost.daily&subscription=all&interval=1d&from=${encodeURIComponent(from)}`);
+            if (!response.ok) {
+                console.error('Failed to fetch cost history:', response.status);
+                return [];
+            }
+            const series = await response.json();
+            return series.points.map(point => ({
+                date: point.time.split('T')[0],
+                cost: Math.round(point.value * 100) / 100
+            }));
+        } catch (error) {
+            console.error('Error fetching cost history:', error);
+            return [];
         }
-        
-        return costs;
     }
 
     isAuthenticated() {
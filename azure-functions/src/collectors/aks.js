@@ -0,0 +1,172 @@
+const { ContainerServiceClient } = require('@azure/arm-containerservice');
+const { MonitorClient } = require('@azure/arm-monitor');
+const { labelItems, sum } = require('../shared/subscriptions');
+
+// AKS clusters with node pools and average node CPU and memory (Azure Monitor)
+async function fetchKubernetesMetrics(target) {
+    try {
+        const aksClient = new ContainerServiceClient(target.credential, target.subscriptionId);
+        const monitorClient = new MonitorClient(target.credential, target.subscriptionId);
+        const clusters = [];
+        let totalNodes = 0;
+        let totalCpu = 0;
+        let totalMemory = 0;
+        let totalPods = 0;
+        
+        for await (const cluster of aksClient.managedClusters.list()) {
+            const resourceGroupName = cluster.id ? cluster.id.split('/')[4] : null;
+            if (!resourceGroupName) continue;
+            
+            const agentPools = [];
+            let clusterNodeCount = 0;
+            
+            for await (const pool of aksClient.agentPools.list(resourceGroupName, cluster.name)) {
+                const poolDetails = {
+                    name: pool.name,
+                    count: pool.count || 0,
+                    vmSize: pool.vmSize,
+                    mode: pool.mode,
+                    osType: pool.osType,
+                    orchestratorVersion: pool.orchestratorVersion,
+                    maxPods: pool.maxPods || 30,
+                    enableAutoScaling: pool.enableAutoScaling || false,
+                    minCount: pool.minCount ?? null,
+                    maxCount: pool.maxCount ?? null,
+                    nodeLabels: pool.nodeLabels,
+                    nodeTaints: pool.nodeTaints
+                };
+                agentPools.push(poolDetails);
+                clusterNodeCount += pool.count || 0;
+                totalNodes += pool.count || 0;
+                totalPods += (pool.count || 0) * (pool.maxPods || 30);
+            }
+            
+            const clusterDetails = {
+                name: cluster.name,
+                location: cluster.location,
+                resourceGroup: resourceGroupName,
+                nodeResourceGroup: cluster.nodeResourceGroup,
+                kubernetesVersion: cluster.kubernetesVersion,
+                nodeCount: clusterNodeCount,
+                agentPools: agentPools,
+                status: cluster.provisioningState,
+                fqdn: cluster.fqdn,
+                networkProfile: {
+                    networkPlugin: cluster.networkProfile?.networkPlugin,
+                    serviceCidr: cluster.networkProfile?.serviceCidr,
+                    dnsServiceIP: cluster.networkProfile?.dnsServiceIP,
+                    dockerBridgeCidr: cluster.networkProfile?.dockerBridgeCidr
+                },
+                addonProfiles: cluster.addonProfiles ? Object.keys(cluster.addonProfiles).filter(key => 
+                    cluster.addonProfiles[key]?.enabled
+                ) : [],
+                powerState: cluster.powerState?.code,
+                maxPodsCapacity: totalPods,
+                features: {
+                    rbac: cluster.enableRBAC,
+                    privateCluster: cluster.apiServerAccessProfile?.enablePrivateCluster,
+                    monitoring: cluster.addonProfiles?.omsagent?.enabled || false
+                }
+            };
+            
+            // Get cluster metrics
+            try {
+                const resourceId = `/subscriptions/${target.subscriptionId}/resourceGroups/${resourceGroupName}/providers/Microsoft.ContainerService/managedClusters/${cluster.name}`;
+                const endTime = new Date();
+                const startTime = new Date(endTime.getTime() - 60 * 60 * 1000); // Last hour
+                
+                // CPU metrics
+                const cpuMetrics = await monitorClient.metrics.list(
+                    resourceId,
+                    {
+                        timespan: `${startTime.toISOString()}/${endTime.toISOString()}`,
+                        metricnames: 'node_cpu_usage_percentage',
+                        aggregation: 'Average',
+                        interval: 'PT5M'
+                    }
+                );
+                
+                if (cpuMetrics.value?.[0]?.timeseries?.[0]?.data?.length > 0) {
+                    const cpuData = cpuMetrics.value[0].timeseries[0].data;
+                    const avgCpu = cpuData.reduce((sum, d) => sum + (d.average || 0), 0) / cpuData.length;
+                    clusterDetails.cpuUsage = avgCpu;
+                    totalCpu += avgCpu;
+                }
+                
+                // Memory metrics
+                const memoryMetrics = await monitorClient.metrics.list(
+                    resourceId,
+                    {
+                        timespan: `${startTime.toISOString()}/${endTime.toISOString()}`,
+                        metricnames: 'node_memory_working_set_percentage',
+                        aggregation: 'Average',
+                        interval: 'PT5M'
+                    }
+                );
+                
+                if (memoryMetrics.value?.[0]?.timeseries?.[0]?.data?.length > 0) {
+                    const memData = memoryMetrics.value[0].timeseries[0].data;
+                    const avgMem = memData.reduce((sum, d) => sum + (d.average || 0), 0) / memData.length;
+                    clusterDetails.memoryUsage = avgMem;
+                    totalMemory += avgMem;
+                }
+            } catch (metricsError) {
+                console.log(`Could not fetch metrics for cluster ${cluster.name}:`, metricsError.message);
+            }
+            
+            clusters.push(clusterDetails);
+        }
+        
+        return {
+            clusterCount: clusters.length,
+            clusters: clusters,
+            totalNodes: totalNodes,
+            totalPodsCapacity: totalPods,
+            avgCpuUsage: clusters.length > 0 ? (totalCpu / clusters.length).toFixed(2) : 0,
+            avgMemoryUsage: clusters.length > 0 ? (totalMemory / clusters.length).toFixed(2) : 0
+        };
+    } catch (error) {
+        console.error('Error fetching Kubernetes metrics:', error);
+        return {
+            clusterCount: 0,
+            clusters: [],
+            totalNodes: 0,
+            totalPodsCapacity: 0,
+            avgCpuUsage: 0,
+            avgMemoryUsage: 0
+        };
+    }
+}
+
+function mergeKubernetes(results) {
+    if (results.length === 0) return null;
+    
+    const clusterCount = sum(results.map(k8s => k8s.clusterCount));
+    // Per-subscription averages weighted by how many clusters each contributed
+    const weighted = field => clusterCount > 0
+        ? (sum(results.map(k8s => parseFloat(k8s[field]) * k8s.clusterCount)) / clusterCount).toFixed(2)
+        : 0;
+    
+    return {
+        clusterCount,
+        clusters: results.flatMap(k8s => k8s.clusters),
+        totalNodes: sum(results.map(k8s => k8s.totalNodes)),
+        totalPodsCapacity: sum(results.map(k8s => k8s.totalPodsCapacity)),
+        avgCpuUsage: weighted('avgCpuUsage'),
+        avgMemoryUsage: weighted('avgMemoryUsage')
+    };
+}
+
+module.exports = {
+    name: 'aks',
+    description: 'AKS clusters, node pools and average node CPU and memory',
+    // Node utilisation moves quickly; keep it fresher than the cost data
+    cacheTtlMs: 5 * 60 * 1000,
+    fetch: fetchKubernetesMetrics,
+    present: (k8s, target) => ({ kubernetes: { ...k8s, clusters: labelItems(k8s.clusters, target) } }),
+    merge: parts => ({ kubernetes: mergeKubernetes(parts.map(part => part.kubernetes)) }),
+    summarize: ({ kubernetes }) => ({ kubernetesClusters: kubernetes?.clusterCount ?? null }),
+    schema: {
+        kubernetes: '{ clusterCount, clusters: [cluster], totalNodes, totalPodsCapacity, avgCpuUsage, avgMemoryUsage }'
+    }
+};
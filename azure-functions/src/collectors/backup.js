@@ -0,0 +1,286 @@
+const { ResourceGraphClient } = require('@azure/arm-resourcegraph');
+const { RecoveryServicesBackupClient } = require('@azure/arm-recoveryservicesbackup');
+const { StorageManagementClient } = require('@azure/arm-storage');
+const { BlobServiceClient } = require('@azure/storage-blob');
+const { labelItems, sum } = require('../shared/subscriptions');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+// Backup jobs are read for this many days per vault, and at most this many kept per vault
+const JOB_DAYS = 7;
+const MAX_JOBS_PER_VAULT = 50;
+// A protected item whose last successful backup is older than this is stale (daily policies
+// plus slack for a slow run)
+const ITEM_STALE_HOURS = parseFloat(process.env.BACKUP_STALE_HOURS) || 36;
+
+// The n8n CronJob on the AKS cluster dumps PostgreSQL and the n8n files into this container
+// every 6 hours. One missed run (plus grace for a slow one) makes it stale, two failing.
+const N8N_BACKUP = {
+    resourceGroup: 'saxtech-ai',
+    storageAccount: 'saxtechn8nbackups',
+    container: 'n8n-backups',
+    intervalHours: 6,
+    graceHours: 1,
+    // Anything smaller than this is an empty or truncated dump
+    minBytes: 1024
+};
+
+// Worst first, for combining statuses
+const STATUS_ORDER = ['failing', 'stale', 'unknown', 'healthy', 'not configured'];
+
+function worstStatus(statuses) {
+    return STATUS_ORDER.find(status => statuses.includes(status)) || 'not configured';
+}
+
+// Backup jobs take their time filter in this format, in UTC: 2026-10-12 09:00:00 AM
+function jobFilterTime(date) {
+    const pad = value => String(value).padStart(2, '0');
+    const hours = date.getUTCHours();
+    return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())} ` +
+        `${pad(hours % 12 || 12)}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} ${hours < 12 ? 'AM' : 'PM'}`;
+}
+
+function toIso(value) {
+    return value ? new Date(value).toISOString() : null;
+}
+
+function isSuccess(job) {
+    return job.status === 'Completed' || job.status === 'CompletedWithWarnings';
+}
+
+// Protected items and recent jobs of one Recovery Services vault, with the last successful
+// backup and a status per item
+async function fetchVaultBackups(backupClient, vault, now) {
+    const jobs = [];
+    const filter = `startTime eq '${jobFilterTime(new Date(now - JOB_DAYS * DAY_MS))}' and endTime eq '${jobFilterTime(new Date(now))}'`;
+    for await (const job of backupClient.backupJobs.list(vault.name, vault.resourceGroup, { filter })) {
+        const properties = job.properties || {};
+        jobs.push({
+            item: properties.entityFriendlyName || null,
+            operation: properties.operation || null,
+            status: properties.status || 'Unknown',
+            backupManagementType: properties.backupManagementType || null,
+            startTime: toIso(properties.startTime),
+            endTime: toIso(properties.endTime)
+        });
+    }
+    jobs.sort((a, b) => (b.startTime || '').localeCompare(a.startTime || ''));
+    const backupJobs = jobs.filter(job => /backup/i.test(job.operation || ''));
+
+    const protectedItems = [];
+    for await (const item of backupClient.backupProtectedItems.list(vault.name, vault.resourceGroup)) {
+        const properties = item.properties || {};
+        const name = properties.friendlyName || item.name;
+        const itemJobs = backupJobs.filter(job => job.item && job.item.toLowerCase() === String(name).toLowerCase());
+        const lastJob = itemJobs[0] || null;
+        const lastSuccessfulJob = itemJobs.find(isSuccess);
+        // lastRecoveryPoint is the newest restorable point, i.e. the last successful backup,
+        // and covers items whose last success is older than the job window
+        const lastSuccessfulBackup = [toIso(lastSuccessfulJob?.endTime), toIso(properties.lastRecoveryPoint)]
+            .filter(Boolean)
+            .sort()
+            .pop() || null;
+        const lastFailed = lastJob ? lastJob.status === 'Failed' : properties.lastBackupStatus === 'Failed';
+        const ageHours = lastSuccessfulBackup ? (now - new Date(lastSuccessfulBackup).getTime()) / HOUR_MS : Infinity;
+
+        let status = 'healthy';
+        if (lastFailed) {
+            status = 'failing';
+        } else if (properties.protectionState === 'ProtectionStopped' || properties.protectionState === 'ProtectionPaused') {
+            status = 'stale';
+        } else if (ageHours > ITEM_STALE_HOURS) {
+            status = lastSuccessfulBackup ? 'stale' : 'failing';
+        }
+
+        protectedItems.push({
+            name,
+            type: properties.protectedItemType || null,
+            workloadType: properties.workloadType || null,
+            sourceResourceId: properties.sourceResourceId || null,
+            protectionState: properties.protectionState || null,
+            lastBackupStatus: lastJob?.status || properties.lastBackupStatus || null,
+            lastBackupTime: toIso(lastJob?.startTime || properties.lastBackupTime),
+            lastSuccessfulBackup,
+            status
+        });
+    }
+
+    return { protectedItems, jobs: jobs.slice(0, MAX_JOBS_PER_VAULT), allJobs: jobs };
+}
+
+// The n8n CronJob backups, judged by the newest blob's age and size. null when the backup
+// storage account isn't in this subscription.
+async function fetchN8nBackup(target, now) {
+    const storageClient = new StorageManagementClient(target.credential, target.subscriptionId);
+    const backup = {
+        type: 'Kubernetes CronJob',
+        storageAccount: N8N_BACKUP.storageAccount,
+        container: N8N_BACKUP.container,
+        schedule: `Every ${N8N_BACKUP.intervalHours} hours`,
+        components: ['PostgreSQL Database', 'n8n Files'],
+        latestBackup: null,
+        backupsLast24h: 0,
+        status: 'unknown',
+        reason: null
+    };
+
+    // The account lookup needs only Reader; the blobs are read with the collector's own
+    // identity (Storage Blob Data Reader on the container), never an account key
+    let account;
+    try {
+        account = await storageClient.storageAccounts.getProperties(N8N_BACKUP.resourceGroup, N8N_BACKUP.storageAccount);
+    } catch (error) {
+        if (error.statusCode === 404) return null;
+        return { ...backup, reason: `Backup storage not readable: ${error.message}` };
+    }
+
+    try {
+        const blobUrl = account.primaryEndpoints?.blob || `https://${N8N_BACKUP.storageAccount}.blob.core.windows.net`;
+        const blobServiceClient = new BlobServiceClient(blobUrl, target.credential);
+        const containerClient = blobServiceClient.getContainerClient(N8N_BACKUP.container);
+        let latest = null;
+        for await (const blob of containerClient.listBlobsFlat()) {
+            const modified = blob.properties.lastModified;
+            if (now - modified.getTime() < DAY_MS) {
+                backup.backupsLast24h++;
+            }
+            if (!latest || modified > latest.properties.lastModified) {
+                latest = blob;
+            }
+        }
+
+        if (!latest) {
+            return { ...backup, status: 'failing', reason: `No backups in ${N8N_BACKUP.container}` };
+        }
+        const ageHours = (now - latest.properties.lastModified.getTime()) / HOUR_MS;
+        const sizeBytes = latest.properties.contentLength || 0;
+        backup.latestBackup = {
+            name: latest.name,
+            time: latest.properties.lastModified.toISOString(),
+            ageHours: Math.round(ageHours * 10) / 10,
+            sizeBytes
+        };
+
+        const missedRuns = Math.floor((ageHours - N8N_BACKUP.graceHours) / N8N_BACKUP.intervalHours);
+        if (sizeBytes < N8N_BACKUP.minBytes) {
+            return { ...backup, status: 'failing', reason: `Newest backup is only ${sizeBytes} bytes` };
+        }
+        if (missedRuns >= 2) {
+            return { ...backup, status: 'failing', reason: `No backup for ${Math.round(ageHours)} hours (${missedRuns} runs missed)` };
+        }
+        if (missedRuns === 1) {
+            return { ...backup, status: 'stale', reason: `No backup for ${Math.round(ageHours)} hours (1 run missed)` };
+        }
+        return { ...backup, status: 'healthy' };
+    } catch (error) {
+        if (error.statusCode === 403) {
+            return { ...backup, reason: `Backups not readable: needs Storage Blob Data Reader on ${N8N_BACKUP.container} (${error.code || error.message})` };
+        }
+        return { ...backup, reason: `Backups not readable: ${error.message}` };
+    }
+}
+
+// Recovery Services vaults with their protected items and recent jobs, Backup vaults (listed
+// only), and the n8n Kubernetes backups
+async function fetchBackupStatus(target) {
+    const now = Date.now();
+    const graphClient = new ResourceGraphClient(target.credential);
+    const backupClient = new RecoveryServicesBackupClient(target.credential, target.subscriptionId);
+
+    const vaultQuery = {
+        subscriptions: [target.subscriptionId],
+        query: `
+            Resources
+            | where subscriptionId =~ '${target.subscriptionId}'
+            | where type =~ 'microsoft.recoveryservices/vaults' or type =~ 'microsoft.dataprotection/backupvaults'
+            | project name, type, location, resourceGroup, id
+        `
+    };
+    const [vaultResult, kubernetesBackup] = await Promise.all([
+        graphClient.resources(vaultQuery),
+        fetchN8nBackup(target, now)
+    ]);
+
+    // One unreadable vault (e.g. missing Backup Reader) is reported on that vault only
+    const vaults = await Promise.all((vaultResult.data || []).map(async vault => {
+        const entry = {
+            name: vault.name,
+            type: vault.type,
+            location: vault.location,
+            resourceGroup: vault.resourceGroup,
+            protectedItems: [],
+            jobs: [],
+            failedJobs: 0,
+            successfulJobs: 0,
+            status: 'not configured',
+            error: null
+        };
+        if (vault.type.toLowerCase() !== 'microsoft.recoveryservices/vaults') {
+            // Not judged either way, so it doesn't hold the summary at unknown
+            return { ...entry, status: null, error: 'Backup vault items are not read; only Recovery Services vaults are' };
+        }
+        try {
+            const { protectedItems, jobs, allJobs } = await fetchVaultBackups(backupClient, vault, now);
+            return {
+                ...entry,
+                protectedItems,
+                jobs,
+                failedJobs: allJobs.filter(job => job.status === 'Failed').length,
+                successfulJobs: allJobs.filter(isSuccess).length,
+                status: protectedItems.length > 0 ? worstStatus(protectedItems.map(item => item.status)) : 'not configured'
+            };
+        } catch (error) {
+            return { ...entry, status: 'unknown', error: error.message };
+        }
+    }));
+
+    return {
+        vaults,
+        kubernetesBackup,
+        summary: summarizeBackups(vaults, kubernetesBackup)
+    };
+}
+
+function summarizeBackups(vaults, kubernetesBackup) {
+    const items = vaults.flatMap(vault => vault.protectedItems);
+    return {
+        totalVaults: vaults.length,
+        totalProtectedItems: items.length,
+        failedJobs: sum(vaults.map(vault => vault.failedJobs)),
+        successfulJobs: sum(vaults.map(vault => vault.successfulJobs)),
+        staleItems: items.filter(item => item.status === 'stale').length,
+        failingItems: items.filter(item => item.status === 'failing').length,
+        lastSuccessfulBackup: items.map(item => item.lastSuccessfulBackup).filter(Boolean).sort().pop() || null,
+        jobDays: JOB_DAYS,
+        status: worstStatus([...vaults.map(vault => vault.status), kubernetesBackup?.status].filter(Boolean))
+    };
+}
+
+function mergeBackupStatus(statuses) {
+    if (statuses.length === 0) return null;
+
+    const vaults = statuses.flatMap(status => status.vaults);
+    const kubernetesBackup = statuses.map(status => status.kubernetesBackup).find(Boolean) || null;
+    return {
+        vaults,
+        kubernetesBackup,
+        summary: summarizeBackups(vaults, kubernetesBackup)
+    };
+}
+
+module.exports = {
+    name: 'backup',
+    description: 'Recovery Services protected items and backup jobs, and the n8n Kubernetes backups',
+    cacheTtlMs: 15 * 60 * 1000,
+    fetch: fetchBackupStatus,
+    present: (status, target) => ({ backupStatus: { ...status, vaults: labelItems(status.vaults, target) } }),
+    merge: parts => ({ backupStatus: mergeBackupStatus(parts.map(part => part.backupStatus)) }),
+    schema: {
+        backupStatus: '{ vaults: [{ name, type, resourceGroup, protectedItems: [{ name, type, protectionState, lastBackupStatus, ' +
+            'lastBackupTime, lastSuccessfulBackup, status }], jobs: [{ item, operation, status, startTime, endTime }], failedJobs, ' +
+            'successfulJobs, status, error }], kubernetesBackup: { storageAccount, container, schedule, latestBackup: { name, time, ' +
+            'ageHours, sizeBytes }, backupsLast24h, status, reason }, summary: { totalVaults, totalProtectedItems, failedJobs, ' +
+            'successfulJobs, staleItems, failingItems, lastSuccessfulBackup, jobDays, status } } where status is healthy, stale, ' +
+            'failing, unknown or not configured'
+    }
+};
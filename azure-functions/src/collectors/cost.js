@@ -0,0 +1,171 @@
+const { CostManagementClient } = require('@azure/arm-costmanagement');
+const { sum } = require('../shared/subscriptions');
+
+// Daily cost per service for the last 30 days, with month-to-date and yesterday's totals
+async function fetchCostData(target) {
+    try {
+        const costClient = new CostManagementClient(target.credential);
+        const now = new Date();
+        const thirtyDaysAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
+        const tomorrow = new Date(now.getTime() + 24 * 60 * 60 * 1000);
+        
+        // Query for daily aggregated costs
+        const query = {
+            type: 'ActualCost',
+            timeframe: 'Custom',
+            timePeriod: {
+                from: thirtyDaysAgo.toISOString().split('T')[0],
+                to: tomorrow.toISOString().split('T')[0]
+            },
+            dataset: {
+                granularity: 'Daily',
+                aggregation: {
+                    totalCost: {
+                        name: 'PreTaxCost',
+                        function: 'Sum'
+                    }
+                },
+                grouping: [
+                    {
+                        type: 'Dimension',
+                        name: 'ServiceName'
+                    }
+                ]
+            }
+        };
+        
+        const scope = `/subscriptions/${target.subscriptionId}`;
+        const result = await costClient.query.usage(scope, query);
+        
+        // Aggregate costs by day
+        const dailyCosts = {};
+        const costBreakdown = {};
+        let monthToDate = 0;
+        
+        const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
+        
+        if (result.rows && result.rows.length > 0) {
+            result.rows.forEach(row => {
+                // Azure returns [cost, date, currency] OR [cost, date, service] depending on grouping
+                const cost = parseFloat(row[0]) || 0;
+                const dateInt = row[1]; // This is already an integer like 20250829
+                let service = 'Total';
+                
+                // Check if third element is currency or service name
+                if (row[2] && row[2] !== 'USD' && row[2] !== 'EUR') {
+                    service = row[2];
+                }
+                
+                // Parse date from integer format (20250829) to Date object
+                const dateStr = String(dateInt);
+                const year = parseInt(dateStr.substring(0, 4));
+                const month = parseInt(dateStr.substring(4, 6)) - 1; // JS months are 0-indexed
+                const day = parseInt(dateStr.substring(6, 8));
+                const date = new Date(year, month, day);
+                const dateKey = date.toISOString().split('T')[0];
+                
+                // Aggregate daily totals
+                if (!dailyCosts[dateKey]) {
+                    dailyCosts[dateKey] = {
+                        date: dateInt,
+                        dateStr: dateKey,
+                        cost: 0,
+                        services: {}
+                    };
+                }
+                
+                dailyCosts[dateKey].cost += cost;
+                dailyCosts[dateKey].services[service] = (dailyCosts[dateKey].services[service] || 0) + cost;
+                
+                // Track month-to-date
+                if (date >= startOfMonth) {
+                    monthToDate += cost;
+                }
+                
+                // Service breakdown
+                if (!costBreakdown[service]) {
+                    costBreakdown[service] = 0;
+                }
+                costBreakdown[service] += cost;
+            });
+        }
+        
+        // Convert to historical array and sort
+        const historical = Object.values(dailyCosts)
+            .map(day => ({
+                date: day.date,
+                dateStr: day.dateStr,
+                cost: day.cost,
+                services: day.services
+            }))
+            .sort((a, b) => a.date - b.date);
+        
+        // Get yesterday's total cost
+        const yesterdayDate = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+        const yesterdayKey = yesterdayDate.toISOString().split('T')[0];
+        const yesterday = dailyCosts[yesterdayKey]?.cost || 0;
+        
+        // Return actual data even if zero - NO FAKE DATA
+        console.log(`Cost data: MTD=${monthToDate}, Yesterday=${yesterday}, Historical=${historical.length} records`);
+        
+        return {
+            monthToDate,
+            yesterday,
+            currency: 'USD',
+            historical,
+            costBreakdown,
+            dailyCosts
+        };
+    } catch (error) {
+        console.error('Error fetching cost data:', error);
+        throw new Error(`Failed to fetch cost data: ${error.message}`);
+    }
+}
+
+function mergeCosts(costs) {
+    if (costs.length === 0) return null;
+    
+    const days = new Map();
+    costs.flatMap(cost => cost.historical || []).forEach(day => {
+        if (!days.has(day.dateStr)) {
+            days.set(day.dateStr, { date: day.date, dateStr: day.dateStr, cost: 0, services: {} });
+        }
+        const merged = days.get(day.dateStr);
+        merged.cost += day.cost;
+        Object.entries(day.services || {}).forEach(([service, amount]) => {
+            merged.services[service] = (merged.services[service] || 0) + amount;
+        });
+    });
+    const historical = [...days.values()].sort((a, b) => a.date - b.date);
+    
+    const costBreakdown = {};
+    costs.forEach(cost => {
+        Object.entries(cost.costBreakdown || {}).forEach(([service, amount]) => {
+            costBreakdown[service] = (costBreakdown[service] || 0) + amount;
+        });
+    });
+    
+    return {
+        monthToDate: sum(costs.map(cost => cost.monthToDate)),
+        yesterday: sum(costs.map(cost => cost.yesterday)),
+        currency: costs[0].currency,
+        historical,
+        costBreakdown,
+        dailyCosts: Object.fromEntries(historical.map(day => [day.dateStr, day]))
+    };
+}
+
+module.exports = {
+    name: 'cost',
+    description: 'Actual cost per day and service over the last 30 days (Cost Management)',
+    fetch: fetchCostData,
+    present: costs => ({ costs }),
+    merge: parts => ({ costs: mergeCosts(parts.map(part => part.costs)) }),
+    summarize: ({ costs }) => ({
+        monthToDate: costs?.monthToDate ?? null,
+        yesterday: costs?.yesterday ?? null
+    }),
+    schema: {
+        costs: '{ monthToDate, yesterday, currency, historical: [{ date, dateStr, cost, services }], costBreakdown: { service: cost }, dailyCosts: { dateStr: day } }'
+    }
+};
@@ -0,0 +1,39 @@
+const { functionAppsTelemetry, DEFAULT_WINDOW } = require('../shared/functionTelemetry');
+const { labelItems, sum } = require('../shared/subscriptions');
+
+function totalsOf(apps) {
+    const invocations = sum(apps.map(app => app.totals.invocations));
+    const failures = sum(apps.map(app => app.totals.failures));
+    const lastInvocations = apps.map(app => app.totals.lastInvocation).filter(Boolean).sort();
+    return {
+        apps: apps.length,
+        functions: sum(apps.map(app => app.functions.length)),
+        invocations,
+        failures,
+        failureRate: invocations > 0 ? Math.round(failures / invocations * 10000) / 100 : null,
+        coldStarts: sum(apps.map(app => app.totals.coldStarts)),
+        lastInvocation: lastInvocations.pop() || null
+    };
+}
+
+// Function App invocations, failures, durations and cold starts per function over the last
+// 24 hours; GET metrics/functions drills into one app over other windows
+module.exports = {
+    name: 'functions',
+    description: 'Function App invocations, failure rate, p50/p95 duration and cold starts per function (Application Insights, last 24 hours)',
+    cacheTtlMs: 10 * 60 * 1000,
+    fetch: async target => {
+        const apps = await functionAppsTelemetry(target, DEFAULT_WINDOW);
+        return { window: DEFAULT_WINDOW, apps, totals: totalsOf(apps) };
+    },
+    present: (telemetry, target) => ({ functionTelemetry: { ...telemetry, apps: labelItems(telemetry.apps, target) } }),
+    merge: parts => {
+        if (parts.length === 0) return { functionTelemetry: null };
+        const apps = parts.flatMap(part => part.functionTelemetry.apps);
+        return { functionTelemetry: { window: DEFAULT_WINDOW, apps, totals: totalsOf(apps) } };
+    },
+    summarize: ({ functionTelemetry }) => ({ functionInvocations: functionTelemetry?.totals.invocations ?? null }),
+    schema: {
+        functionTelemetry: '{ window, apps: [{ name, resourceGroup, id, state, component, totals, functions: [{ name, invocations, failures, failureRate, p50DurationMs, p95DurationMs, coldStarts, lastInvocation }], error, functionsError }], totals: { apps, functions, invocations, failures, failureRate, coldStarts, lastInvocation } }'
+    }
+};
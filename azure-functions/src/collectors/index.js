@@ -0,0 +1,309 @@
+const fs = require('fs');
+const path = require('path');
+const { getCachedEntry, setCachedData } = require('../shared/metricsCache');
+
+// Registry of the metrics sources. Every other module in this directory is one collector,
+// so adding a source means dropping in a module exporting:
+//   name         id used by ?sources= and in error entries
+//   description  one line on what it reports
+//   schedule     NCRONTAB for its metrics history snapshot (default METRICS_COLLECT_SCHEDULE, hourly)
+//   cacheTtlMs   how long a subscription's result is served from the metrics cache as fresh (default 1 hour)
+//   staleTtlMs   how much longer it is still served, marked stale, while a background fetch
+//                replaces it (default 1 day); older than that, the request waits for the fetch
+//   timeoutMs    how long one subscription's fetch may take before it counts as failed (default 60s)
+//   fetch(target)           the raw result for one subscription
+//   present(value, target)  the response sections it fills, list items labelled with their subscription
+//   merge(parts)            the same sections combined across subscriptions, for subscription=all
+//   summarize(part)         optional headline numbers for the per-subscription list; the
+//                           part's sections are null when the fetch failed
+//   schema       response section -> description of its shape; each is null when the fetch fails
+//
+// METRICS_COLLECTORS is a JSON object of per-collector overrides, e.g.
+//   { "backup": { "enabled": false }, "cost": { "cacheMinutes": 240, "staleMinutes": 720, "timeoutSeconds": 90, "schedule": "0 0 */4 * * *" } }
+const DEFAULT_SCHEDULE = process.env.METRICS_COLLECT_SCHEDULE || '0 0 * * * *';
+const DEFAULT_CACHE_TTL_MS = 60 * 60 * 1000;
+const DEFAULT_STALE_TTL_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_TIMEOUT_MS = 60 * 1000;
+const NAME_PATTERN = /^[a-z][a-z0-9-]*$/;
+// The pre-warm refreshes a cached result once it has used up this share of its TTL, so
+// requests keep finding it fresh
+const WARM_AT_FRACTION = 0.8;
+
+let registry = null;
+// Fetches in progress per cache key, so concurrent requests and the pre-warm share one
+const refreshing = new Map();
+
+function loadOverrides() {
+    if (!process.env.METRICS_COLLECTORS) return {};
+    try {
+        const overrides = JSON.parse(process.env.METRICS_COLLECTORS);
+        return overrides && typeof overrides === 'object' ? overrides : {};
+    } catch (error) {
+        console.error('METRICS_COLLECTORS is not valid JSON; using collector defaults:', error.message);
+        return {};
+    }
+}
+
+// Why `collector` can't be registered, or null if it can
+function invalidReason(collector) {
+    if (!collector || !NAME_PATTERN.test(collector.name || '')) return 'name must be lowercase letters, digits and dashes';
+    const missing = ['fetch', 'present', 'merge'].find(field => typeof collector[field] !== 'function');
+    if (missing) return `${missing} must be a function`;
+    if (!collector.schema || Object.keys(collector.schema).length === 0) return 'schema must name the response sections it fills';
+    return null;
+}
+
+function loadRegistry() {
+    const overrides = loadOverrides();
+    const collectors = [];
+
+    fs.readdirSync(__dirname)
+        .filter(file => file.endsWith('.js') && file !== 'index.js')
+        .sort()
+        .forEach(file => {
+            // A broken module loses its own source, not the whole metrics endpoint
+            let collector;
+            try {
+                collector = require(path.join(__dirname, file));
+            } catch (error) {
+                console.error(`Metrics collector ${file} failed to load:`, error);
+                return;
+            }
+            const reason = invalidReason(collector);
+            if (reason) {
+                console.error(`Metrics collector ${file} is not registered: ${reason}`);
+                return;
+            }
+            if (collectors.some(existing => existing.name === collector.name)) {
+                console.error(`Metrics collector ${file} is not registered: ${collector.name} is already taken`);
+                return;
+            }
+
+            const override = overrides[collector.name] || {};
+            collectors.push({
+                ...collector,
+                enabled: override.enabled !== false && collector.enabled !== false,
+                schedule: override.schedule || collector.schedule || DEFAULT_SCHEDULE,
+                cacheTtlMs: parseFloat(override.cacheMinutes) >= 0 ? parseFloat(override.cacheMinutes) * 60 * 1000 : collector.cacheTtlMs ?? DEFAULT_CACHE_TTL_MS,
+                staleTtlMs: parseFloat(override.staleMinutes) >= 0 ? parseFloat(override.staleMinutes) * 60 * 1000 : collector.staleTtlMs ?? DEFAULT_STALE_TTL_MS,
+                timeoutMs: parseFloat(override.timeoutSeconds) > 0 ? parseFloat(override.timeoutSeconds) * 1000 : collector.timeoutMs ?? DEFAULT_TIMEOUT_MS
+            });
+        });
+
+    return collectors;
+}
+
+// Every registered collector; disabled ones only when asked for
+function listCollectors({ includeDisabled = false } = {}) {
+    if (!registry) {
+        registry = loadRegistry();
+    }
+    return includeDisabled ? registry : registry.filter(collector => collector.enabled);
+}
+
+// Collectors for a ?sources= value: none means every enabled one. Returns { error } for an
+// unknown or disabled name.
+function resolveSources(selector) {
+    const enabled = listCollectors();
+    const names = [...new Set(String(selector || '').split(',').map(name => name.trim().toLowerCase()).filter(Boolean))];
+    if (names.length === 0) {
+        return { collectors: enabled };
+    }
+
+    const collectors = [];
+    for (const name of names) {
+        const collector = listCollectors({ includeDisabled: true }).find(entry => entry.name === name);
+        if (!collector) {
+            return { error: `Unknown metrics source ${name}; available: ${enabled.map(entry => entry.name).join(', ')}` };
+        }
+        if (!collector.enabled) {
+            return { error: `Metrics source ${name} is disabled` };
+        }
+        collectors.push(collector);
+    }
+    return { collectors };
+}
+
+function withTimeout(promise, timeoutMs, name) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`${name} timed out after ${Math.round(timeoutMs / 1000)}s`)), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function cacheKeyOf(collector, target) {
+    return `${collector.name}-${target.subscriptionId}`;
+}
+
+// Fetch one collector's result for one subscription and cache it; { value, generatedAt, stale }
+function refresh(collector, target) {
+    const cacheKey = cacheKeyOf(collector, target);
+    if (refreshing.has(cacheKey)) {
+        return refreshing.get(cacheKey);
+    }
+
+    const pending = withTimeout(Promise.resolve().then(() => collector.fetch(target)), collector.timeoutMs, collector.name)
+        .then(async value => {
+            const generatedAt = collector.cacheTtlMs > 0 ? await setCachedData(cacheKey, value) : new Date().toISOString();
+            return { value, generatedAt, stale: false };
+        })
+        .finally(() => refreshing.delete(cacheKey));
+    refreshing.set(cacheKey, pending);
+    return pending;
+}
+
+// One collector's result for one subscription, stale-while-revalidate: a fresh cached result
+// is served as is; a stale one is served marked stale while a background fetch replaces it;
+// with nothing usable cached the caller waits for the fetch
+async function fetchSource(collector, target, bypassCache) {
+    if (bypassCache || collector.cacheTtlMs <= 0) {
+        return refresh(collector, target);
+    }
+
+    const cached = await getCachedEntry(cacheKeyOf(collector, target));
+    const age = cached ? Date.now() - new Date(cached.generatedAt).getTime() : Infinity;
+    if (age < collector.cacheTtlMs) {
+        return { value: cached.data, generatedAt: cached.generatedAt, stale: false };
+    }
+    if (age < collector.cacheTtlMs + collector.staleTtlMs) {
+        refresh(collector, target).catch(error => {
+            console.error(`Background refresh of ${collector.name} for ${target.subscriptionName} failed:`, error.message);
+        });
+        return { value: cached.data, generatedAt: cached.generatedAt, stale: true };
+    }
+    return refresh(collector, target);
+}
+
+function emptySections(collector) {
+    return Object.fromEntries(Object.keys(collector.schema).map(section => [section, null]));
+}
+
+// Everything `collectors` report for one subscription. A failed source leaves its sections
+// null and adds an entry to errors; the others still report. freshness says, per response
+// section, which source filled it, when that result was fetched and whether it is stale.
+async function collectSection(target, collectors, { bypassCache = false } = {}) {
+    const section = {
+        subscriptionId: target.subscriptionId,
+        subscriptionName: target.subscriptionName,
+        tenantId: target.tenantId,
+        resourceGroup: target.resourceGroup,
+        freshness: {},
+        errors: []
+    };
+
+    const results = await Promise.allSettled(collectors.map(collector => fetchSource(collector, target, bypassCache)));
+    results.forEach((result, index) => {
+        const collector = collectors[index];
+        if (result.status === 'fulfilled') {
+            const { value, generatedAt, stale } = result.value;
+            Object.assign(section, collector.present(value, target));
+            Object.keys(collector.schema).forEach(name => {
+                section.freshness[name] = { source: collector.name, generatedAt, stale };
+            });
+        } else {
+            Object.assign(section, emptySections(collector));
+            section.errors.push({
+                type: collector.name,
+                message: result.reason?.message || `Failed to fetch ${collector.name}`,
+                subscriptionId: target.subscriptionId,
+                subscriptionName: target.subscriptionName
+            });
+        }
+    });
+    return section;
+}
+
+function failed(section, collector) {
+    return section.errors.some(error => error.type === collector.name);
+}
+
+// One response covering several subscriptions: each collector merges the sections of the
+// subscriptions it succeeded for. A merged section is as old as its oldest part, and stale
+// if any part is.
+function aggregateSections(sections, collectors) {
+    const aggregate = { freshness: {} };
+    collectors.forEach(collector => {
+        const succeeded = sections.filter(section => !failed(section, collector));
+        const parts = succeeded.map(section => Object.fromEntries(Object.keys(collector.schema).map(name => [name, section[name]])));
+        Object.assign(aggregate, collector.merge(parts));
+
+        Object.keys(collector.schema).forEach(name => {
+            const entries = succeeded.map(section => section.freshness[name]).filter(Boolean);
+            if (entries.length === 0) return;
+            aggregate.freshness[name] = {
+                source: collector.name,
+                generatedAt: entries.map(entry => entry.generatedAt).sort()[0],
+                stale: entries.some(entry => entry.stale)
+            };
+        });
+    });
+    aggregate.errors = sections.flatMap(section => section.errors);
+    return aggregate;
+}
+
+// Headline numbers for one subscription, listed alongside the aggregate
+function summarizeSection(section, collectors) {
+    const summary = {
+        subscriptionId: section.subscriptionId,
+        subscriptionName: section.subscriptionName,
+        tenantId: section.tenantId,
+        resourceGroup: section.resourceGroup
+    };
+    collectors.forEach(collector => {
+        if (collector.summarize) {
+            Object.assign(summary, collector.summarize(section));
+        }
+    });
+    summary.stale = Object.values(section.freshness).some(entry => entry.stale);
+    summary.errors = section.errors.length;
+    return summary;
+}
+
+// Refresh every cached result of `collectors` for `targets` that is missing or close to
+// expiring, so requests are served from a fresh cache. Returns counts per outcome.
+async function warmCollectors(targets, collectors) {
+    const jobs = [];
+    collectors.filter(collector => collector.cacheTtlMs > 0).forEach(collector => {
+        targets.forEach(target => {
+            jobs.push((async () => {
+                const cached = await getCachedEntry(cacheKeyOf(collector, target));
+                const age = cached ? Date.now() - new Date(cached.generatedAt).getTime() : Infinity;
+                if (age < collector.cacheTtlMs * WARM_AT_FRACTION) return 'fresh';
+                await refresh(collector, target);
+                return 'refreshed';
+            })().catch(error => {
+                console.error(`Pre-warm of ${collector.name} for ${target.subscriptionName} failed:`, error.message);
+                return 'failed';
+            }));
+        });
+    });
+
+    const counts = { refreshed: 0, fresh: 0, failed: 0 };
+    (await Promise.all(jobs)).forEach(outcome => counts[outcome]++);
+    return counts;
+}
+
+// What GET metrics/sources lists
+function describeCollectors() {
+    return listCollectors({ includeDisabled: true }).map(collector => ({
+        name: collector.name,
+        description: collector.description || null,
+        enabled: collector.enabled,
+        schedule: collector.schedule,
+        cacheTtlMs: collector.cacheTtlMs,
+        staleTtlMs: collector.staleTtlMs,
+        timeoutMs: collector.timeoutMs,
+        schema: collector.schema
+    }));
+}
+
+module.exports = {
+    listCollectors,
+    resolveSources,
+    collectSection,
+    aggregateSections,
+    summarizeSection,
+    warmCollectors,
+    describeCollectors
+};
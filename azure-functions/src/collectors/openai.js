@@ -0,0 +1,114 @@
+const { queryDeploymentUsage, listPriceVersions, priceFor, costOf } = require('../shared/openaiUsage');
+const { labelItems, sum, mergeRows } = require('../shared/subscriptions');
+
+// Azure OpenAI tokens for the last 7 days, per deployment from Azure Monitor's
+// ModelDeploymentName split and priced with the versioned AI price table
+async function fetchGPTUsage(target) {
+    try {
+        const toTime = Date.now();
+        const fromTime = Math.floor((toTime - 7 * 24 * 60 * 60 * 1000) / (24 * 60 * 60 * 1000)) * 24 * 60 * 60 * 1000;
+        const [{ accounts, deployments }, versions] = await Promise.all([
+            queryDeploymentUsage(target, { fromTime, toTime, interval: 'P1D' }),
+            listPriceVersions()
+        ]);
+        const modelUsage = {};
+        const dailyUsage = {};
+        let totalTokens = 0;
+        let totalCost = 0;
+        
+        deployments.forEach(deployment => {
+            if (!modelUsage[deployment.model]) {
+                modelUsage[deployment.model] = {
+                    tokens: 0,
+                    promptTokens: 0,
+                    completionTokens: 0,
+                    requests: 0,
+                    cost: 0,
+                    deploymentName: deployment.deployment
+                };
+            }
+            const usage = modelUsage[deployment.model];
+            deployment.buckets.forEach(bucket => {
+                const date = bucket.time.split('T')[0];
+                const tokens = bucket.promptTokens + bucket.completionTokens;
+                const cost = costOf(priceFor(versions, deployment.model, date), bucket.promptTokens, bucket.completionTokens);
+                usage.tokens += tokens;
+                usage.promptTokens += bucket.promptTokens;
+                usage.completionTokens += bucket.completionTokens;
+                usage.requests += bucket.requests;
+                usage.cost += cost;
+                dailyUsage[date] = (dailyUsage[date] || 0) + tokens;
+                totalTokens += tokens;
+                totalCost += cost;
+            });
+        });
+        
+        const models = Object.keys(modelUsage).map(modelName => ({
+            name: modelName,
+            ...modelUsage[modelName]
+        }));
+        
+        console.log(`GPT Usage: ${totalTokens} tokens across ${deployments.length} deployments`);
+        
+        return {
+            accounts: accounts.map(({ id, kind, ...account }) => account),
+            models: models,
+            modelUsage: modelUsage, // Keep for backward compatibility
+            dailyUsage: Object.entries(dailyUsage)
+                .map(([date, tokens]) => ({ date, tokens }))
+                .sort((a, b) => a.date.localeCompare(b.date)),
+            totalTokens: totalTokens,
+            estimatedCost: totalCost,
+            period: '7d'
+        };
+    } catch (error) {
+        console.error('Error fetching GPT usage:', error);
+        throw error; // Throw error instead of returning fake data
+    }
+}
+
+function mergeOpenAIUsage(usages) {
+    if (usages.length === 0) return null;
+    
+    const models = usages.flatMap(usage => usage.models || []);
+    const modelUsage = {};
+    mergeRows(models, model => model.name, ['tokens', 'promptTokens', 'completionTokens', 'requests', 'cost']).forEach(model => {
+        modelUsage[model.name] = {
+            tokens: model.tokens,
+            promptTokens: model.promptTokens,
+            completionTokens: model.completionTokens,
+            requests: model.requests,
+            cost: model.cost,
+            deploymentName: model.deploymentName
+        };
+    });
+    
+    return {
+        accounts: usages.flatMap(usage => usage.accounts || []),
+        models,
+        modelUsage,
+        dailyUsage: mergeRows(usages.flatMap(usage => usage.dailyUsage || []), day => day.date, ['tokens'])
+            .sort((a, b) => String(a.date).localeCompare(String(b.date))),
+        totalTokens: sum(usages.map(usage => usage.totalTokens)),
+        estimatedCost: sum(usages.map(usage => usage.estimatedCost)),
+        period: usages[0].period
+    };
+}
+
+module.exports = {
+    name: 'openai',
+    description: 'Azure OpenAI tokens and estimated cost per model over the trailing 7 days',
+    fetch: fetchGPTUsage,
+    present: (usage, target) => ({
+        openAIUsage: {
+            ...usage,
+            accounts: labelItems(usage.accounts, target),
+            models: labelItems(usage.models, target)
+        }
+    }),
+    merge: parts => ({ openAIUsage: mergeOpenAIUsage(parts.map(part => part.openAIUsage)) }),
+    summarize: ({ openAIUsage }) => ({ openAITokens: openAIUsage?.totalTokens ?? null }),
+    schema: {
+        openAIUsage: '{ accounts: [account], models: [{ name, tokens, promptTokens, completionTokens, requests, cost, deploymentName }], modelUsage, dailyUsage: [{ date, tokens }], totalTokens, estimatedCost, period }'
+    }
+};
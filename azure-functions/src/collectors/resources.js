@@ -0,0 +1,245 @@
+const { ResourceManagementClient } = require('@azure/arm-resources');
+const { WebSiteManagementClient } = require('@azure/arm-appservice');
+const { StorageManagementClient } = require('@azure/arm-storage');
+const { labelItems, sum } = require('../shared/subscriptions');
+
+// Static Web Apps, Function Apps and storage accounts, with totals across every resource
+async function fetchResourceCounts(target) {
+    try {
+        const resourceClient = new ResourceManagementClient(target.credential, target.subscriptionId);
+        const webClient = new WebSiteManagementClient(target.credential, target.subscriptionId);
+        const storageClient = new StorageManagementClient(target.credential, target.subscriptionId);
+        
+        let staticSites = 0;
+        let functionApps = 0;
+        let storageAccounts = 0;
+        let totalResources = 0;
+        const resourceDetails = {
+            staticSites: [],
+            functionApps: [],
+            storageAccounts: []
+        };
+        
+        // Fetch all resources using Resource Management API
+        console.log('Fetching resources using Resource Management API...');
+        
+        // Method 1: Try using WebSiteManagementClient for web resources
+        try {
+            // Get Static Web Apps with custom domains
+            for await (const staticSite of webClient.staticSites.list()) {
+                staticSites++;
+                
+                // Get custom domains
+                let customDomains = [];
+                try {
+                    const rgName = staticSite.id?.split('/')[4];
+                    if (rgName) {
+                        const domains = webClient.staticSites.listStaticSiteCustomDomains(rgName, staticSite.name);
+                        for await (const domain of domains) {
+                            customDomains.push(domain.domainName || domain);
+                        }
+                    }
+                } catch (err) {
+                    console.log(`Could not get custom domains for ${staticSite.name}`);
+                }
+                
+                resourceDetails.staticSites.push({
+                    name: staticSite.name,
+                    location: staticSite.location,
+                    resourceGroup: staticSite.id?.split('/')[4] || 'unknown',
+                    id: staticSite.id,
+                    endpoint: staticSite.defaultHostname ? 
+                        `https://${staticSite.defaultHostname}` : 
+                        `https://${staticSite.name}.azurestaticapps.net`,
+                    customDomains: customDomains,
+                    sku: staticSite.sku?.name || 'Free',
+                    tier: staticSite.sku?.tier || 'Free',
+                    monthlyCost: staticSite.sku?.name === 'Standard' ? 9 : 0,
+                    properties: staticSite,
+                    tags: staticSite.tags || {},
+                    createdTime: staticSite.systemData?.createdAt
+                });
+            }
+            console.log(`Found ${staticSites} static web apps`);
+            
+            // Get all Web Apps (includes Function Apps) with function details
+            for await (const site of webClient.webApps.list()) {
+                totalResources++;
+                const kind = (site.kind || '').toLowerCase();
+                if (kind.includes('functionapp')) {
+                    functionApps++;
+                    
+                    // Get function list
+                    let functionsList = [];
+                    try {
+                        const rgName = site.id?.split('/')[4];
+                        if (rgName) {
+                            const functions = webClient.webApps.listFunctions(rgName, site.name);
+                            for await (const func of functions) {
+                                functionsList.push({
+                                    name: func.name?.split('/').pop() || func.name,
+                                    language: func.config?.bindings?.[0]?.type || 'Unknown',
+                                    isDisabled: func.config?.disabled || false
+                                });
+                            }
+                        }
+                    } catch (err) {
+                        console.log(`Could not get functions for ${site.name}`);
+                    }
+                    
+                    const isLinux = kind.includes('linux');
+                    const osType = isLinux ? 'Linux' : 'Windows';
+                    
+                    resourceDetails.functionApps.push({
+                        name: site.name,
+                        location: site.location,
+                        resourceGroup: site.id?.split('/')[4] || 'unknown',
+                        id: site.id,
+                        kind: site.kind,
+                        osType: osType,
+                        runtime: site.siteConfig?.linuxFxVersion || site.siteConfig?.nodeVersion || 'Unknown',
+                        endpoint: site.defaultHostName ? 
+                            `https://${site.defaultHostName}` : 
+                            `https://${site.name}.azurewebsites.net`,
+                        state: site.state,
+                        sku: site.sku || 'Consumption',
+                        functionCount: functionsList.length,
+                        functions: functionsList,
+                        properties: site,
+                        tags: site.tags || {},
+                        createdTime: site.systemData?.createdAt
+                    });
+                }
+            }
+            console.log(`Found ${functionApps} function apps`);
+        } catch (webError) {
+            console.log('Error fetching web resources:', webError.message);
+        }
+        
+        // Method 2: Fallback to generic resource listing
+        if (staticSites === 0 && functionApps === 0) {
+            console.log('Trying fallback method with generic resource listing...');
+            for await (const resource of resourceClient.resources.list()) {
+                totalResources++;
+                const type = (resource.type || '').toLowerCase();
+                const kind = (resource.kind || '').toLowerCase();
+                
+                if (type === 'microsoft.web/staticsites' && !resourceDetails.staticSites.find(s => s.id === resource.id)) {
+                    staticSites++;
+                    resourceDetails.staticSites.push({
+                        name: resource.name,
+                        location: resource.location,
+                        resourceGroup: resource.id?.split('/')[4] || 'unknown',
+                        id: resource.id,
+                        endpoint: `https://${resource.name}.azurestaticapps.net`,
+                        properties: resource.properties || {},
+                        tags: resource.tags || {}
+                    });
+                } else if (type === 'microsoft.web/sites' && kind.includes('functionapp') && 
+                          !resourceDetails.functionApps.find(f => f.id === resource.id)) {
+                    functionApps++;
+                    resourceDetails.functionApps.push({
+                        name: resource.name,
+                        location: resource.location,
+                        resourceGroup: resource.id?.split('/')[4] || 'unknown',
+                        id: resource.id,
+                        kind: resource.kind,
+                        endpoint: `https://${resource.name}.azurewebsites.net`,
+                        properties: resource.properties || {},
+                        tags: resource.tags || {}
+                    });
+                } else if (type === 'microsoft.storage/storageaccounts') {
+                    storageAccounts++;
+                    resourceDetails.storageAccounts.push({
+                        name: resource.name,
+                        location: resource.location,
+                        resourceGroup: resource.id?.split('/')[4] || 'unknown',
+                        id: resource.id,
+                        properties: resource.properties || {},
+                        tags: resource.tags || {}
+                    });
+                }
+            }
+        }
+        
+        // Get Storage Accounts using dedicated client (most reliable)
+        if (storageAccounts === 0) {
+            for await (const account of storageClient.storageAccounts.list()) {
+                if (!resourceDetails.storageAccounts.find(s => s.id === account.id)) {
+                    storageAccounts++;
+                    resourceDetails.storageAccounts.push({
+                        name: account.name,
+                        location: account.location,
+                        resourceGroup: account.id?.split('/')[4] || 'unknown',
+                        id: account.id,
+                        sku: account.sku?.name,
+                        kind: account.kind,
+                        properties: account,
+                        tags: account.tags || {}
+                    });
+                }
+            }
+            console.log(`Found ${storageAccounts} storage accounts`);
+        }
+        
+        console.log(`Total counts - Static Sites: ${staticSites}, Function Apps: ${functionApps}, Storage: ${storageAccounts}`);
+        
+        return {
+            counts: {
+                staticSites,
+                functionApps,
+                storageAccounts,
+                totalResources
+            },
+            details: resourceDetails
+        };
+    } catch (error) {
+        console.error('Error fetching resource counts:', error);
+        return {
+            counts: {
+                staticSites: 0,
+                functionApps: 0,
+                storageAccounts: 0,
+                totalResources: 0
+            },
+            details: {
+                staticSites: [],
+                functionApps: [],
+                storageAccounts: []
+            }
+        };
+    }
+}
+
+module.exports = {
+    name: 'resources',
+    description: 'Resource counts, with Static Web Apps, Function Apps and storage accounts listed',
+    cacheTtlMs: 15 * 60 * 1000,
+    fetch: fetchResourceCounts,
+    present: ({ counts, details }, target) => ({
+        resources: counts,
+        resourceDetails: {
+            staticSites: labelItems(details.staticSites, target),
+            functionApps: labelItems(details.functionApps, target),
+            storageAccounts: labelItems(details.storageAccounts, target)
+        }
+    }),
+    merge: parts => parts.length === 0 ? { resources: null, resourceDetails: null } : {
+        resources: {
+            staticSites: sum(parts.map(part => part.resources.staticSites)),
+            functionApps: sum(parts.map(part => part.resources.functionApps)),
+            storageAccounts: sum(parts.map(part => part.resources.storageAccounts)),
+            totalResources: sum(parts.map(part => part.resources.totalResources))
+        },
+        resourceDetails: {
+            staticSites: parts.flatMap(part => part.resourceDetails.staticSites),
+            functionApps: parts.flatMap(part => part.resourceDetails.functionApps),
+            storageAccounts: parts.flatMap(part => part.resourceDetails.storageAccounts)
+        }
+    },
+    summarize: ({ resources }) => ({ totalResources: resources?.totalResources ?? null }),
+    schema: {
+        resources: '{ staticSites, functionApps, storageAccounts, totalResources }',
+        resourceDetails: '{ staticSites: [site], functionApps: [app], storageAccounts: [account] }'
+    }
+};
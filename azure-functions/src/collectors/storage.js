@@ -0,0 +1,139 @@
+const { StorageManagementClient } = require('@azure/arm-storage');
+const { MonitorClient } = require('@azure/arm-monitor');
+const { BlobServiceClient } = require('@azure/storage-blob');
+const { labelItems } = require('../shared/subscriptions');
+
+// Storage accounts with used capacity (Azure Monitor) and container and blob counts
+async function fetchStorageAccounts(target) {
+    try {
+        const storageClient = new StorageManagementClient(target.credential, target.subscriptionId);
+        const monitorClient = new MonitorClient(target.credential, target.subscriptionId);
+        const accounts = [];
+        
+        for await (const account of storageClient.storageAccounts.list()) {
+            const accountDetails = {
+                name: account.name,
+                id: account.id,
+                location: account.location,
+                sku: account.sku?.name || 'Unknown',
+                kind: account.kind,
+                resourceGroup: account.id.split('/')[4],
+                createdTime: account.creationTime,
+                primaryEndpoints: account.primaryEndpoints,
+                containers: [],
+                totalSizeGB: 0,
+                blobCount: 0,
+                usedCapacityBytes: 0,
+                transactions7d: null
+            };
+            
+            try {
+                // Get metrics for storage account capacity
+                const resourceId = account.id;
+                const endTime = new Date();
+                const startTime = new Date(endTime.getTime() - 24 * 60 * 60 * 1000);
+                
+                const metricsResult = await monitorClient.metrics.list(
+                    resourceId,
+                    {
+                        timespan: `${startTime.toISOString()}/${endTime.toISOString()}`,
+                        metricnames: 'UsedCapacity',
+                        aggregation: 'Average'
+                    }
+                );
+                
+                if (metricsResult.value && metricsResult.value[0]?.timeseries?.[0]?.data?.length > 0) {
+                    const latestData = metricsResult.value[0].timeseries[0].data.slice(-1)[0];
+                    accountDetails.usedCapacityBytes = latestData.average || 0;
+                    accountDetails.totalSizeGB = accountDetails.usedCapacityBytes / (1024 * 1024 * 1024);
+                }
+                
+                // Reads and writes over a week; the recommendations flag accounts nobody uses
+                const transactionsResult = await monitorClient.metrics.list(
+                    resourceId,
+                    {
+                        timespan: `${new Date(endTime.getTime() - 7 * 24 * 60 * 60 * 1000).toISOString()}/${endTime.toISOString()}`,
+                        metricnames: 'Transactions',
+                        aggregation: 'Total',
+                        interval: 'P1D'
+                    }
+                );
+                const transactionData = transactionsResult.value?.[0]?.timeseries?.[0]?.data;
+                if (transactionData) {
+                    accountDetails.transactions7d = transactionData.reduce((total, point) => total + (point.total || 0), 0);
+                }
+                
+                // Try to get container details
+                const keys = await storageClient.storageAccounts.listKeys(
+                    accountDetails.resourceGroup,
+                    account.name
+                );
+                
+                if (keys.keys && keys.keys.length > 0 && account.primaryEndpoints?.blob) {
+                    const blobServiceClient = BlobServiceClient.fromConnectionString(
+                        `DefaultEndpointsProtocol=https;AccountName=${account.name};AccountKey=${keys.keys[0].value};EndpointSuffix=core.windows.net`
+                    );
+                    
+                    // List containers with size estimates
+                    for await (const container of blobServiceClient.listContainers()) {
+                        const containerClient = blobServiceClient.getContainerClient(container.name);
+                        let containerSize = 0;
+                        let blobCount = 0;
+                        
+                        // Sample first 100 blobs for size estimate
+                        const iterator = containerClient.listBlobsFlat().byPage({ maxPageSize: 100 });
+                        const response = await iterator.next();
+                        
+                        if (!response.done && response.value?.segment?.blobItems) {
+                            for (const blob of response.value.segment.blobItems) {
+                                containerSize += blob.properties.contentLength || 0;
+                                blobCount++;
+                            }
+                            
+                            // Estimate total if there are more blobs
+                            if (response.value.continuationToken) {
+                                // Rough estimate based on sample
+                                blobCount = Math.round(blobCount * 10); // Estimate
+                                containerSize = containerSize * 10; // Estimate
+                            }
+                        }
+                        
+                        accountDetails.containers.push({
+                            name: container.name,
+                            publicAccess: container.properties?.publicAccess || 'private',
+                            lastModified: container.properties?.lastModified,
+                            sizeBytes: containerSize,
+                            blobCount: blobCount,
+                            estimated: blobCount > 100
+                        });
+                        
+                        accountDetails.blobCount += blobCount;
+                    }
+                }
+            } catch (error) {
+                console.log(`Could not get detailed info for storage account ${account.name}:`, error.message);
+            }
+            
+            accounts.push(accountDetails);
+        }
+        
+        return accounts;
+    } catch (error) {
+        console.error('Error fetching storage accounts:', error);
+        return [];
+    }
+}
+
+module.exports = {
+    name: 'storage',
+    description: 'Storage accounts with used capacity, containers and blob counts',
+    fetch: fetchStorageAccounts,
+    present: (accounts, target) => ({ storage: { accounts: labelItems(accounts, target) } }),
+    merge: parts => ({
+        storage: parts.length > 0 ? { accounts: parts.flatMap(part => part.storage.accounts) } : null
+    }),
+    summarize: ({ storage }) => ({ storageAccounts: storage?.accounts.length ?? null }),
+    schema: {
+        storage: '{ accounts: [{ name, id, location, sku, usedCapacityBytes, totalSizeGB, blobCount, transactions7d, containers }] }'
+    }
+};
@@ -0,0 +1,258 @@
+const crypto = require('crypto');
+const { app } = require('@azure/functions');
+const { getClientPrincipal, isAuthenticated } = require('../shared/auth');
+const { getAccess, can, requireRole } = require('../shared/roles');
+const { resolveTargets } = require('../shared/subscriptions');
+const { listProjects } = require('../shared/projectStore');
+const {
+    BUILTIN_VERSION, BUILTIN_PRICES, UNMAPPED_PROJECT, normalizePriceVersion, listPriceVersions, getPriceVersion,
+    savePriceVersion, deletePriceVersion, normalizeMapping, listMappings, getMapping, saveMapping, deleteMapping,
+    normalizeEvents, recordEvents, resolveRange, buildUsageReport
+} = require('../shared/openaiUsage');
+const { recordAudit } = require('../shared/audit');
+const { preflight, jsonResponse, errorResponse, readJson } = require('../shared/http');
+
+const USAGE_METHODS = 'GET, OPTIONS';
+const EVENT_METHODS = 'POST, OPTIONS';
+const ADMIN_METHODS = 'GET, PUT, DELETE, OPTIONS';
+const MAPPING_ACCESS = { signIn: 'Sign in to manage AI usage mappings', forbidden: 'Only admins can manage AI usage mappings' };
+const PRICE_ACCESS = { signIn: 'Sign in to manage AI prices', forbidden: 'Only admins can manage AI prices' };
+
+function keyMatches(given, expected) {
+    const a = Buffer.from(String(given || ''));
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Azure OpenAI usage per deployment with prompt/completion tokens per time bucket, split by
+// caller and project: GET ai-usage?subscription=&from=YYYY-MM-DD&to=YYYY-MM-DD&interval=PT1H|P1D
+// Staff see everything; client-scoped accounts only the projects they can read.
+app.http('aiUsage', {
+    methods: ['GET', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'ai-usage',
+    handler: async (request, context) => {
+        context.log(`AI usage function triggered: ${request.method}`);
+
+        if (request.method === 'OPTIONS') {
+            return preflight(USAGE_METHODS);
+        }
+
+        const principal = getClientPrincipal(request);
+        if (!isAuthenticated(principal)) {
+            return errorResponse(401, 'Sign in to view AI usage', USAGE_METHODS);
+        }
+
+        try {
+            const selector = request.query.get('subscription') || '';
+            const targets = resolveTargets(selector);
+            if (!targets) {
+                return errorResponse(400, `Subscription ${selector} is not registered`, USAGE_METHODS);
+            }
+            const range = resolveRange({
+                from: request.query.get('from'),
+                to: request.query.get('to'),
+                interval: request.query.get('interval')
+            });
+            if (range.error) {
+                return errorResponse(400, range.error, USAGE_METHODS);
+            }
+
+            const [access, projects] = await Promise.all([getAccess(principal), listProjects(context)]);
+            const projectNames = new Map(projects.map(project => [String(project.id), project.name]));
+            const report = await buildUsageReport(targets, range, { projectNames });
+
+            if (access.globalRole) {
+                return jsonResponse(200, report, USAGE_METHODS);
+            }
+            const readable = new Set(projects
+                .filter(project => can(access, project, 'read'))
+                .map(project => String(project.id)));
+            return jsonResponse(200, {
+                from: report.from,
+                to: report.to,
+                interval: report.interval,
+                currency: report.currency,
+                byProject: report.byProject.filter(entry => entry.projectId !== UNMAPPED_PROJECT && readable.has(entry.projectId)),
+                priceVersions: report.priceVersions,
+                generatedAt: report.generatedAt
+            }, USAGE_METHODS);
+        } catch (error) {
+            context.error('Error in AI usage function:', error);
+            return errorResponse(500, 'Internal server error', USAGE_METHODS, { message: error.message });
+        }
+    }
+});
+
+// Usage reported by the apps and workflows calling Azure OpenAI, so their share of a
+// deployment's tokens can be attributed: POST ai-usage/events with an X-Usage-Key header
+// and one report or { events: [...] }. Reports with an eventId or timestamp can be resent
+// safely; ones already recorded come back as duplicates. Disabled until AI_USAGE_INGEST_KEY is set.
+app.http('aiUsageEvents', {
+    methods: ['POST', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'ai-usage/events',
+    handler: async (request, context) => {
+        context.log(`AI usage events function triggered: ${request.method}`);
+
+        if (request.method === 'OPTIONS') {
+            return preflight(EVENT_METHODS);
+        }
+
+        const ingestKey = process.env.AI_USAGE_INGEST_KEY;
+        if (!ingestKey) {
+            return errorResponse(503, 'Usage reporting is not configured', EVENT_METHODS);
+        }
+        if (!keyMatches(request.headers.get('x-usage-key'), ingestKey)) {
+            return errorResponse(401, 'Invalid usage key', EVENT_METHODS);
+        }
+
+        try {
+            const { events, error } = normalizeEvents(await readJson(request));
+            if (error) {
+                return errorResponse(400, error, EVENT_METHODS);
+            }
+            const { recorded, duplicates } = await recordEvents(events);
+            return jsonResponse(202, { recorded, duplicates }, EVENT_METHODS);
+        } catch (error) {
+            context.error('Error in AI usage events function:', error);
+            return errorResponse(500, 'Internal server error', EVENT_METHODS, { message: error.message });
+        }
+    }
+});
+
+// Deployment → project mappings for untagged usage, admin only: GET ai-usage/mappings,
+// PUT ai-usage/mappings { account?, deployment, projectId }, DELETE ai-usage/mappings/{id}
+app.http('aiUsageMappings', {
+    methods: ['GET', 'PUT', 'DELETE', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'ai-usage/mappings/{id?}',
+    handler: async (request, context) => {
+        context.log(`AI usage mappings function triggered: ${request.method}`);
+
+        if (request.method === 'OPTIONS') {
+            return preflight(ADMIN_METHODS);
+        }
+
+        try {
+            const { principal, denied } = await requireRole(request, ADMIN_METHODS, MAPPING_ACCESS);
+            if (denied) return denied;
+
+            if (request.method === 'GET') {
+                return jsonResponse(200, { mappings: await listMappings(), timestamp: new Date().toISOString() }, ADMIN_METHODS);
+            }
+
+            if (request.method === 'PUT') {
+                const projectIds = new Set((await listProjects(context)).map(project => String(project.id)));
+                const { mapping, error } = normalizeMapping(await readJson(request), projectIds);
+                if (error) {
+                    return errorResponse(400, error, ADMIN_METHODS);
+                }
+                const existing = await getMapping(mapping.id);
+                const saved = await saveMapping({ ...mapping, updatedBy: principal.userDetails, updatedAt: new Date().toISOString() });
+                await recordAudit(context, {
+                    principal,
+                    action: existing ? 'aiUsageMapping.update' : 'aiUsageMapping.create',
+                    targetType: 'aiUsageMapping',
+                    targetId: mapping.id,
+                    projectId: mapping.projectId,
+                    summary: `Mapped Azure OpenAI deployment ${mapping.account ? `${mapping.account}/` : ''}${mapping.deployment} to project ${mapping.projectId}`,
+                    before: existing ? { projectId: existing.projectId } : null,
+                    after: { projectId: mapping.projectId }
+                });
+                return jsonResponse(existing ? 200 : 201, saved, ADMIN_METHODS);
+            }
+
+            const { id } = request.params;
+            const existing = id ? await getMapping(id) : null;
+            if (!existing) {
+                return errorResponse(404, `Mapping ${id || '(none)'} not found`, ADMIN_METHODS);
+            }
+            await deleteMapping(existing.id);
+            await recordAudit(context, {
+                principal,
+                action: 'aiUsageMapping.delete',
+                targetType: 'aiUsageMapping',
+                targetId: existing.id,
+                projectId: existing.projectId,
+                summary: `Removed the project mapping of Azure OpenAI deployment ${existing.deployment}`,
+                before: { projectId: existing.projectId },
+                after: null
+            });
+            return jsonResponse(200, { deleted: existing.id }, ADMIN_METHODS);
+        } catch (error) {
+            context.error('Error in AI usage mappings function:', error);
+            return errorResponse(500, 'Internal server error', ADMIN_METHODS, { message: error.message });
+        }
+    }
+});
+
+// Versioned token prices, admin only: GET ai-usage/prices, PUT ai-usage/prices
+// { effectiveFrom, label, models: { name: { input, output } } } (USD per million tokens),
+// DELETE ai-usage/prices/{effectiveFrom}
+app.http('aiPrices', {
+    methods: ['GET', 'PUT', 'DELETE', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'ai-usage/prices/{effectiveFrom?}',
+    handler: async (request, context) => {
+        context.log(`AI prices function triggered: ${request.method}`);
+
+        if (request.method === 'OPTIONS') {
+            return preflight(ADMIN_METHODS);
+        }
+
+        try {
+            const { principal, denied } = await requireRole(request, ADMIN_METHODS, PRICE_ACCESS);
+            if (denied) return denied;
+
+            if (request.method === 'GET') {
+                return jsonResponse(200, {
+                    versions: await listPriceVersions(),
+                    builtin: { effectiveFrom: BUILTIN_VERSION, currency: 'USD', models: BUILTIN_PRICES },
+                    timestamp: new Date().toISOString()
+                }, ADMIN_METHODS);
+            }
+
+            if (request.method === 'PUT') {
+                const { version, error } = normalizePriceVersion(await readJson(request));
+                if (error) {
+                    return errorResponse(400, error, ADMIN_METHODS);
+                }
+                const existing = await getPriceVersion(version.effectiveFrom);
+                const saved = await savePriceVersion({ ...version, updatedBy: principal.userDetails, updatedAt: new Date().toISOString() });
+                await recordAudit(context, {
+                    principal,
+                    action: existing ? 'aiPrice.update' : 'aiPrice.create',
+                    targetType: 'aiPrice',
+                    targetId: version.effectiveFrom,
+                    summary: `${existing ? 'Updated' : 'Added'} AI token prices effective ${version.effectiveFrom} (${Object.keys(version.models).length} models)`,
+                    before: existing ? { label: existing.label, models: existing.models } : null,
+                    after: { label: version.label, models: version.models }
+                });
+                return jsonResponse(existing ? 200 : 201, saved, ADMIN_METHODS);
+            }
+
+            const { effectiveFrom } = request.params;
+            const existing = effectiveFrom ? await getPriceVersion(effectiveFrom) : null;
+            if (!existing) {
+                return errorResponse(404, `Price version ${effectiveFrom || '(none)'} not found`, ADMIN_METHODS);
+            }
+            await deletePriceVersion(existing.effectiveFrom);
+            await recordAudit(context, {
+                principal,
+                action: 'aiPrice.delete',
+                targetType: 'aiPrice',
+                targetId: existing.effectiveFrom,
+                summary: `Deleted AI token prices effective ${existing.effectiveFrom}`,
+                before: { label: existing.label, models: existing.models },
+                after: null
+            });
+            return jsonResponse(200, { deleted: existing.effectiveFrom }, ADMIN_METHODS);
+        } catch (error) {
+            context.error('Error in AI prices function:', error);
+            return errorResponse(500, 'Internal server error', ADMIN_METHODS, { message: error.message });
+        }
+    }
+});
+
+module.exports = { app };
@@ -0,0 +1,122 @@
+const { app } = require('@azure/functions');
+const { getClientPrincipal, isAuthenticated } = require('../shared/auth');
+const { getAccess, isAdmin, rankOf } = require('../shared/roles');
+const { resolveTargets } = require('../shared/subscriptions');
+const { STATUSES, detectAnomalies, listAnomalies, getAnomaly, setAnomalyStatus } = require('../shared/costAnomalies');
+const { recordAudit } = require('../shared/audit');
+const { preflight, jsonResponse, errorResponse, readJson } = require('../shared/http');
+
+const METHODS = 'GET, POST, OPTIONS';
+const MAX_ANOMALIES = 500;
+const MAX_SNOOZE_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// POST anomalies/{id}/{action}: what each action sets the anomaly's status to
+const ACTIONS = { acknowledge: 'acknowledged', snooze: 'snoozed', reopen: 'open' };
+
+// Daily, after Cost Management has mostly settled the previous day
+app.timer('costAnomaliesTimer', {
+    schedule: process.env.ANOMALY_DETECTION_SCHEDULE || '0 30 7 * * *',
+    handler: async (myTimer, context) => {
+        const summary = await detectAnomalies(context);
+        context.log(`Cost anomaly detection: ${summary.checked} subscriptions checked, ${summary.failed} failed, ${summary.anomalies.length} new anomalies`);
+    }
+});
+
+// GET anomalies?subscription=&status=&from=&limit= reads the timeline like metrics.
+// Signed-in staff triage: POST anomalies/{id}/acknowledge, /snooze ({ days }), /reopen,
+// each with an optional { note }. Admins can run detection now with POST anomalies.
+app.http('anomalies', {
+    methods: ['GET', 'POST', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'anomalies/{id?}/{action?}',
+    handler: async (request, context) => {
+        context.log(`Anomalies function triggered: ${request.method}`);
+
+        if (request.method === 'OPTIONS') {
+            return preflight(METHODS);
+        }
+
+        try {
+            const { id, action } = request.params;
+
+            if (request.method === 'GET') {
+                const selector = request.query.get('subscription') || '';
+                const targets = resolveTargets(selector);
+                if (!targets) {
+                    return errorResponse(400, `Subscription ${selector} is not registered`, METHODS);
+                }
+                const status = request.query.get('status');
+                if (status && !STATUSES.includes(status)) {
+                    return errorResponse(400, `status must be one of ${STATUSES.join(', ')}`, METHODS);
+                }
+
+                const from = request.query.get('from') || new Date(Date.now() - 90 * DAY_MS).toISOString().split('T')[0];
+                const anomalies = await listAnomalies({
+                    subscriptionId: targets.length === 1 ? targets[0].subscriptionId : null,
+                    status,
+                    from: from.substring(0, 10),
+                    limit: Math.min(parseInt(request.query.get('limit'), 10) || 100, MAX_ANOMALIES)
+                });
+                return jsonResponse(200, { anomalies, count: anomalies.length, timestamp: new Date().toISOString() }, METHODS);
+            }
+
+            const principal = getClientPrincipal(request);
+            if (!isAuthenticated(principal)) {
+                return errorResponse(401, 'Sign in to triage anomalies', METHODS);
+            }
+            const access = await getAccess(principal);
+
+            if (!id) {
+                if (!isAdmin(access)) {
+                    return errorResponse(403, 'Only admins can run anomaly detection', METHODS);
+                }
+                const summary = await detectAnomalies(context);
+                return jsonResponse(200, { ...summary, timestamp: new Date().toISOString() }, METHODS);
+            }
+
+            // Triage changes what everyone else sees, so read-only staff and client-scoped
+            // accounts (which have no global role) may look but not act
+            if (rankOf(access.globalRole) < rankOf('contributor')) {
+                return errorResponse(403, 'Only contributors and admins can triage anomalies', METHODS);
+            }
+            if (!ACTIONS[action]) {
+                return errorResponse(404, `Unknown anomaly action: ${action || '(none)'}`, METHODS);
+            }
+            const anomaly = await getAnomaly(id);
+            if (!anomaly) {
+                return errorResponse(404, `Anomaly ${id} not found`, METHODS);
+            }
+
+            const body = await readJson(request) || {};
+            let until = null;
+            if (action === 'snooze') {
+                const days = parseInt(body.days, 10) || 7;
+                if (days < 1 || days > MAX_SNOOZE_DAYS) {
+                    return errorResponse(400, `days must be between 1 and ${MAX_SNOOZE_DAYS}`, METHODS);
+                }
+                until = new Date(Date.now() + days * DAY_MS).toISOString();
+            }
+            const note = typeof body.note === 'string' ? body.note.trim().substring(0, 500) : null;
+
+            const updated = await setAnomalyStatus(anomaly, { status: ACTIONS[action], until, note, principal });
+            const summary = action === 'snooze'
+                ? `Snoozed ${anomaly.service} anomalies until ${until.split('T')[0]}`
+                : `${action === 'acknowledge' ? 'Acknowledged' : 'Reopened'} the ${anomaly.service} anomaly of ${anomaly.date}`;
+            await recordAudit(context, {
+                principal,
+                action: `anomaly.${action}`,
+                targetType: 'anomaly',
+                targetId: id,
+                summary,
+                before: { status: anomaly.status, snoozedUntil: anomaly.snoozedUntil },
+                after: { status: updated.status, snoozedUntil: updated.snoozedUntil, note: updated.note }
+            });
+            return jsonResponse(200, updated, METHODS);
+        } catch (error) {
+            context.error('Error in anomalies function:', error);
+            return errorResponse(500, 'Internal server error', METHODS, { message: error.message });
+        }
+    }
+});
+
+module.exports = { app };
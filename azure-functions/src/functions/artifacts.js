@@ -0,0 +1,324 @@
+const { app } = require('@azure/functions');
+const { getClientPrincipal, isAuthenticated } = require('../shared/auth');
+const { getAccess, can, withRole } = require('../shared/roles');
+const { getProject } = require('../shared/projectStore');
+const { getArtifactContainerClient } = require('../shared/storage');
+const { normalizeArtifact, getVersion } = require('../shared/artifacts');
+const { recordUpload, recordVersion: recordArtifactVersion, updateArtifact } = require('../shared/artifactStore');
+const {
+    HASH_METADATA_KEY,
+    INLINE_VERIFY_LIMIT,
+    isSha256,
+    hashStoredBlob,
+    getContentEntry,
+    mayReuseContent,
+    isBlobReferenced,
+    registerContent
+} = require('../shared/contentIndex');
+const { recordAudit } = require('../shared/audit');
+const { indexProject, indexArtifact, tryIndex } = require('../shared/searchIndex');
+const { preflight, jsonResponse, errorResponse, readJson } = require('../shared/http');
+
+const METHODS = 'GET, POST, OPTIONS';
+
+function findArtifact(project, artifactId) {
+    return (project.artifacts || []).find(a => a.artifactId === artifactId) || null;
+}
+
+// What the audit log keeps of an artifact - the version list itself would swamp the diff
+function auditSnapshot(artifact) {
+    return artifact ? {
+        name: artifact.name,
+        type: artifact.type,
+        currentVersion: artifact.currentVersion || null,
+        blobName: artifact.blobName || null,
+        blobUrl: artifact.blobUrl || null,
+        size: artifact.size || null,
+        contentHash: artifact.contentHash || null,
+        releasedVersion: artifact.releasedVersion || null
+    } : null;
+}
+
+// Search covers the current version's text, and the project lists its artifacts' names
+async function reindexArtifact(project, artifact, context) {
+    await tryIndex(context, `artifact ${artifact.artifactId}`, () => indexArtifact(project, artifact));
+    await tryIndex(context, `project ${project.id}`, () => indexProject(project));
+}
+
+// Confirm the stored bytes match the hash the browser computed; small blobs are
+// re-hashed here, larger ones are checked against their metadata and left to the verify job
+async function checkIntegrity(blobClient, properties, claimedHash) {
+    const storedHash = (properties.metadata || {})[HASH_METADATA_KEY] || null;
+    if (claimedHash && storedHash && storedHash !== claimedHash) {
+        return { error: 'Blob metadata does not match the uploaded content hash' };
+    }
+
+    if (properties.contentLength > INLINE_VERIFY_LIMIT) {
+        return { contentHash: claimedHash || storedHash, verified: false };
+    }
+
+    const { hash, bytes } = await hashStoredBlob(blobClient);
+    if (bytes !== properties.contentLength || (claimedHash && hash !== claimedHash)) {
+        return { error: 'Uploaded content does not match its SHA-256; upload the file again' };
+    }
+
+    // Older clients don't send x-ms-meta-sha256; fill it in so the blob carries its own hash
+    if (storedHash !== hash) {
+        await blobClient.setMetadata({ ...properties.metadata, [HASH_METADATA_KEY]: hash });
+    }
+    return { contentHash: hash, verified: true };
+}
+
+// Record a freshly uploaded (or deduplicated) blob as the next version of its artifact
+async function recordVersion(projectId, body, principal, access, context) {
+    const blobName = String(body.blobName || '');
+    const claimedHash = isSha256(body.contentHash) ? body.contentHash : null;
+
+    // A deduplicated upload points at a blob another upload already verified, in a
+    // project the caller could have read it from anyway
+    let shared = await getContentEntry(claimedHash);
+    if (shared && (!shared.verified || shared.blobName !== blobName ||
+        !await mayReuseContent(access, await getProject(projectId), shared))) {
+        shared = null;
+    }
+
+    if (!shared) {
+        if (!blobName.startsWith(`project-${projectId}/`)) {
+            return errorResponse(400, `blobName must live under project-${projectId}/`, METHODS);
+        }
+        // A fresh upload always lands on a new path; a recorded one is someone else's version
+        if (await isBlobReferenced(blobName)) {
+            return errorResponse(409, `${blobName} is already recorded; upload the file again`, METHODS);
+        }
+    }
+
+    // Trust Storage, not the browser, for what actually landed
+    const blobClient = getArtifactContainerClient().getBlobClient(blobName);
+    let properties;
+    try {
+        properties = await blobClient.getProperties();
+    } catch (error) {
+        if (error.statusCode === 404) {
+            return errorResponse(400, `Blob ${blobName} has not been uploaded`, METHODS);
+        }
+        throw error;
+    }
+
+    let integrity = { contentHash: claimedHash, verified: true };
+    if (!shared) {
+        integrity = await checkIntegrity(blobClient, properties, claimedHash);
+        if (integrity.error) {
+            // The blob is left alone: this request didn't write it, and the browser only
+            // gets the same path back to overwrite while it stays unrecorded
+            context.warn(`Rejected ${blobName}: ${integrity.error}`);
+            return errorResponse(422, integrity.error, METHODS);
+        }
+
+        await registerContent(integrity.contentHash, {
+            blobName,
+            blobUrl: blobClient.url,
+            sizeBytes: properties.contentLength,
+            verified: integrity.verified,
+            uploadedBy: principal.userDetails
+        });
+    }
+
+    const version = {
+        blobUrl: blobClient.url,
+        blobName,
+        sizeBytes: properties.contentLength,
+        contentType: properties.contentType || body.contentType || 'application/octet-stream',
+        contentHash: integrity.contentHash,
+        contentVerified: integrity.verified,
+        ...(shared ? { deduplicated: true } : {}),
+        uploadedBy: principal.userDetails,
+        uploadDate: new Date().toISOString()
+    };
+
+    const { artifact, previous } = await recordUpload(projectId, body, version);
+    const project = await getProject(projectId);
+    if (!project) {
+        return errorResponse(404, `Project ${projectId} not found`, METHODS);
+    }
+
+    await recordAudit(context, {
+        principal,
+        action: 'artifact.upload',
+        targetType: 'artifact',
+        targetId: artifact.artifactId,
+        projectId,
+        summary: `Uploaded ${artifact.name} v${artifact.currentVersion} to ${project.name}${shared ? ' (deduplicated)' : ''}`,
+        before: auditSnapshot(previous),
+        after: auditSnapshot(artifact)
+    });
+    await reindexArtifact(project, artifact, context);
+
+    return jsonResponse(201, { project: withRole(access, project), artifact }, METHODS);
+}
+
+// Restoring never rewrites history: the chosen version is re-published as a new one
+async function restoreVersion(projectId, artifactId, body, principal, access, context) {
+    const versionNumber = parseInt(body && body.version, 10);
+    if (!versionNumber) {
+        return errorResponse(400, 'version is required', METHODS);
+    }
+
+    const { artifact, previous, error } = await recordArtifactVersion(projectId, artifactId, current => {
+        const source = getVersion(current, versionNumber);
+        if (!source) {
+            return { error: `Version ${versionNumber} not found` };
+        }
+
+        return {
+            blobUrl: source.blobUrl,
+            blobName: source.blobName,
+            sizeBytes: source.sizeBytes,
+            size: source.size,
+            contentType: source.contentType,
+            contentHash: source.contentHash,
+            contentVerified: source.contentVerified,
+            restoredFrom: versionNumber,
+            uploadedBy: principal.userDetails,
+            uploadDate: new Date().toISOString()
+        };
+    });
+    if (error) {
+        return errorResponse(404, error, METHODS);
+    }
+
+    const project = await getProject(projectId);
+    if (!project) {
+        return errorResponse(404, `Project ${projectId} not found`, METHODS);
+    }
+
+    await recordAudit(context, {
+        principal,
+        action: 'artifact.restore',
+        targetType: 'artifact',
+        targetId: artifactId,
+        projectId,
+        summary: `Restored ${artifact.name} v${versionNumber} as v${artifact.currentVersion} in ${project.name}`,
+        before: auditSnapshot(previous),
+        after: auditSnapshot(artifact)
+    });
+    await reindexArtifact(project, artifact, context);
+
+    return jsonResponse(200, { project: withRole(access, project), artifact }, METHODS);
+}
+
+// Releasing publishes the current version to the client portal. Later uploads stay
+// internal until someone releases again; releasing with { released: false } withdraws it.
+async function setReleased(projectId, artifactId, body, principal, access, context) {
+    const released = !(body && body.released === false);
+
+    let before = null;
+    const artifact = await updateArtifact(projectId, artifactId, current => {
+        before = auditSnapshot(current);
+        return released ? {
+            releasedVersion: current.currentVersion,
+            releasedAt: new Date().toISOString(),
+            releasedBy: principal.userDetails
+        } : {
+            releasedVersion: null,
+            releasedAt: null,
+            releasedBy: null
+        };
+    });
+    if (!artifact) {
+        return errorResponse(404, `Artifact ${artifactId} not found`, METHODS);
+    }
+
+    const project = await getProject(projectId);
+    if (!project) {
+        return errorResponse(404, `Project ${projectId} not found`, METHODS);
+    }
+
+    await recordAudit(context, {
+        principal,
+        action: released ? 'artifact.release' : 'artifact.unrelease',
+        targetType: 'artifact',
+        targetId: artifactId,
+        projectId,
+        summary: released ?
+            `Released ${artifact.name} v${artifact.releasedVersion} of ${project.name} to the client portal` :
+            `Withdrew ${artifact.name} of ${project.name} from the client portal`,
+        before,
+        after: auditSnapshot(artifact)
+    });
+
+    return jsonResponse(200, { project: withRole(access, project), artifact }, METHODS);
+}
+
+// Artifact version endpoint
+app.http('artifacts', {
+    methods: ['GET', 'POST', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'projects/{id}/artifacts/{artifactId?}/{action?}',
+    handler: async (request, context) => {
+        context.log(`Artifacts function triggered: ${request.method}`);
+
+        if (request.method === 'OPTIONS') {
+            return preflight(METHODS);
+        }
+
+        const { id, artifactId, action } = request.params;
+        const principal = getClientPrincipal(request);
+        if (!isAuthenticated(principal)) {
+            return errorResponse(401, 'Sign in to view artifacts', METHODS);
+        }
+
+        try {
+            const access = await getAccess(principal);
+            const project = await getProject(id);
+            if (!project || !can(access, project, 'read')) {
+                return errorResponse(404, `Project ${id} not found`, METHODS);
+            }
+
+            if (request.method === 'GET') {
+                if (!artifactId) {
+                    return jsonResponse(200, {
+                        artifacts: (project.artifacts || []).map(normalizeArtifact)
+                    }, METHODS);
+                }
+
+                const artifact = findArtifact(project, artifactId);
+                if (!artifact) {
+                    return errorResponse(404, `Artifact ${artifactId} not found`, METHODS);
+                }
+                return jsonResponse(200, artifact, METHODS);
+            }
+
+            if (!can(access, project, 'upload')) {
+                return errorResponse(403, 'Your role on this project does not allow changing artifacts', METHODS);
+            }
+
+            const body = await readJson(request);
+
+            if (!artifactId) {
+                if (!body || !body.name || !body.type || !body.blobName) {
+                    return errorResponse(400, 'name, type and blobName are required', METHODS);
+                }
+                return await recordVersion(id, body, principal, access, context);
+            }
+
+            if (action === 'restore') {
+                return await restoreVersion(id, artifactId, body, principal, access, context);
+            }
+
+            if (action === 'release') {
+                return await setReleased(id, artifactId, body, principal, access, context);
+            }
+
+            return errorResponse(404, `Unknown artifact action: ${action || '(none)'}`, METHODS);
+        } catch (error) {
+            if (error.statusCode === 409 || error.statusCode === 413) {
+                return errorResponse(error.statusCode, error.message, METHODS);
+            }
+
+            context.error('Error in artifacts function:', error);
+            return errorResponse(500, 'Internal server error', METHODS, { message: error.message });
+        }
+    }
+});
+
+module.exports = { app };
@@ -0,0 +1,65 @@
+const { app } = require('@azure/functions');
+const { getClientPrincipal, isAuthenticated } = require('../shared/auth');
+const { getAccess, can, isAdmin } = require('../shared/roles');
+const { getProject } = require('../shared/projectStore');
+const { queryAudit } = require('../shared/audit');
+const { preflight, jsonResponse, errorResponse } = require('../shared/http');
+
+const METHODS = 'GET, OPTIONS';
+const MAX_LIMIT = 500;
+
+// Audit log endpoint - the whole trail for admins, a single project's feed for anyone who can see it
+app.http('audit', {
+    methods: ['GET', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'audit',
+    handler: async (request, context) => {
+        context.log('Audit function triggered');
+
+        if (request.method === 'OPTIONS') {
+            return preflight(METHODS);
+        }
+
+        const principal = getClientPrincipal(request);
+        if (!isAuthenticated(principal)) {
+            return errorResponse(401, 'Sign in to view activity', METHODS);
+        }
+
+        const projectId = request.query.get('projectId');
+
+        try {
+            const access = await getAccess(principal);
+            if (projectId) {
+                const project = await getProject(projectId);
+                // A deleted project's history stays visible to admins
+                if (!(project ? can(access, project, 'read') : isAdmin(access))) {
+                    return errorResponse(404, `Project ${projectId} not found`, METHODS);
+                }
+            } else if (!isAdmin(access)) {
+                return errorResponse(403, 'Only admins can view the full activity log', METHODS);
+            }
+
+            const limit = Math.min(parseInt(request.query.get('limit'), 10) || 100, MAX_LIMIT);
+            const result = await queryAudit({
+                projectId,
+                actor: request.query.get('actor'),
+                action: request.query.get('action'),
+                from: request.query.get('from'),
+                to: request.query.get('to'),
+                q: request.query.get('q'),
+                limit
+            });
+
+            return jsonResponse(200, {
+                ...result,
+                count: result.entries.length,
+                timestamp: new Date().toISOString()
+            }, METHODS);
+        } catch (error) {
+            context.error('Error in audit function:', error);
+            return errorResponse(500, 'Internal server error', METHODS, { message: error.message });
+        }
+    }
+});
+
+module.exports = { app };
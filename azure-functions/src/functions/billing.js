@@ -0,0 +1,153 @@
+const { app } = require('@azure/functions');
+const { requireRole } = require('../shared/roles');
+const { isMonth, monthOf } = require('../shared/costAllocation');
+const {
+    CONTENT_TYPES, normalizeRules, getRules, saveRules, buildStatements, summarize,
+    formatStatement, regenerateStatements, getArchivedIndex, getArchivedStatement
+} = require('../shared/statements');
+const { recordAudit } = require('../shared/audit');
+const { preflight, jsonResponse, textResponse, errorResponse, readJson } = require('../shared/http');
+
+const RULES_METHODS = 'GET, PUT, OPTIONS';
+const STATEMENT_METHODS = 'GET, POST, OPTIONS';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BILLING_ACCESS = { signIn: 'Sign in to manage billing', forbidden: 'Only admins can manage billing' };
+
+function previousMonth(now) {
+    return monthOf(new Date(now.getTime() - now.getUTCDate() * DAY_MS));
+}
+
+// Monthly, once the previous month's costs have settled: generate and archive its statements
+app.timer('statementsTimer', {
+    schedule: process.env.STATEMENTS_SCHEDULE || '0 0 8 4 * *',
+    handler: async (myTimer, context) => {
+        const month = previousMonth(new Date());
+        const { index } = await regenerateStatements(month, { context });
+        if (!index.costsFinal) {
+            context.warn(`Costs for ${month} have not settled yet; archiving its statements anyway`);
+        }
+        context.log(`Archived ${index.statements.length} statements for ${month}`);
+    }
+});
+
+// Markups, tool costs and tool sharing used by statements: GET / PUT billing/rules
+app.http('billingRules', {
+    methods: ['GET', 'PUT', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'billing/rules',
+    handler: async (request, context) => {
+        context.log(`Billing rules function triggered: ${request.method}`);
+
+        if (request.method === 'OPTIONS') {
+            return preflight(RULES_METHODS);
+        }
+
+        try {
+            const { principal, denied } = await requireRole(request, RULES_METHODS, BILLING_ACCESS);
+            if (denied) return denied;
+
+            const current = await getRules();
+            if (request.method === 'GET') {
+                return jsonResponse(200, current, RULES_METHODS);
+            }
+
+            const { rules, error } = normalizeRules(await readJson(request), current);
+            if (error) {
+                return errorResponse(400, error, RULES_METHODS);
+            }
+            const saved = await saveRules({ ...rules, updatedBy: principal.userDetails, updatedAt: new Date().toISOString() });
+            const { updatedBy, updatedAt, ...before } = current;
+            await recordAudit(context, {
+                principal,
+                action: 'billingRules.update',
+                targetType: 'billingRules',
+                targetId: 'current',
+                summary: 'Changed billing rules',
+                before,
+                after: rules
+            });
+            return jsonResponse(200, saved, RULES_METHODS);
+        } catch (error) {
+            context.error('Error in billing rules function:', error);
+            return errorResponse(500, 'Internal server error', RULES_METHODS, { message: error.message });
+        }
+    }
+});
+
+// Client statements. GET billing/statements?month= lists a month (the archived run if there
+// is one, a live preview otherwise); GET billing/statements/{client}?month=&format=json|csv|html
+// returns one; POST billing/statements { month } generates and archives a month.
+app.http('statements', {
+    methods: ['GET', 'POST', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'billing/statements/{client?}',
+    handler: async (request, context) => {
+        context.log(`Statements function triggered: ${request.method}`);
+
+        if (request.method === 'OPTIONS') {
+            return preflight(STATEMENT_METHODS);
+        }
+
+        try {
+            const { principal, denied } = await requireRole(request, STATEMENT_METHODS, BILLING_ACCESS);
+            if (denied) return denied;
+
+            const body = request.method === 'POST' ? await readJson(request) || {} : {};
+            const month = body.month || request.query.get('month') || previousMonth(new Date());
+            if (!isMonth(month) || month > monthOf(new Date())) {
+                return errorResponse(400, 'month must be a YYYY-MM month that has started', STATEMENT_METHODS);
+            }
+
+            if (request.method === 'POST') {
+                const { index, final } = await regenerateStatements(month, { context });
+                await recordAudit(context, {
+                    principal,
+                    action: 'statement.generate',
+                    targetType: 'statement',
+                    targetId: month,
+                    summary: final ?
+                        `Re-rendered the ${index.statements.length} final client statements for ${month} from the archive` :
+                        `Generated and archived ${index.statements.length} client statements for ${month}`,
+                    before: null,
+                    after: { statements: index.statements.map(statement => ({ client: statement.client, total: statement.totals.total })) }
+                });
+                return jsonResponse(200, { ...index, archived: true }, STATEMENT_METHODS);
+            }
+
+            const { client } = request.params;
+            if (!client) {
+                const index = await getArchivedIndex(month);
+                if (index) {
+                    return jsonResponse(200, { ...index, archived: true }, STATEMENT_METHODS);
+                }
+                const preview = await buildStatements(month, { context });
+                return jsonResponse(200, { ...preview, statements: preview.statements.map(summarize), archived: false }, STATEMENT_METHODS);
+            }
+
+            const format = request.query.get('format') || 'json';
+            if (!CONTENT_TYPES[format]) {
+                return errorResponse(400, `format must be one of ${Object.keys(CONTENT_TYPES).join(', ')}`, STATEMENT_METHODS);
+            }
+            const slug = client.toLowerCase();
+            let statement = await getArchivedStatement(month, slug);
+            if (!statement) {
+                statement = (await buildStatements(month, { context })).statements.find(entry => entry.slug === slug);
+            }
+            if (!statement) {
+                return errorResponse(404, `No statement for ${client} in ${month}`, STATEMENT_METHODS);
+            }
+
+            if (format === 'json') {
+                return jsonResponse(200, statement, STATEMENT_METHODS);
+            }
+            // CSV downloads; HTML opens in the browser to print
+            return textResponse(200, formatStatement(statement, format), CONTENT_TYPES[format], STATEMENT_METHODS,
+                format === 'csv' ? `statement-${slug}-${month}.csv` : null);
+        } catch (error) {
+            context.error('Error in statements function:', error);
+            return errorResponse(500, 'Internal server error', STATEMENT_METHODS, { message: error.message });
+        }
+    }
+});
+
+module.exports = { app };
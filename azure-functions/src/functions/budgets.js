@@ -0,0 +1,174 @@
+const { app } = require('@azure/functions');
+const { requireRole } = require('../shared/roles');
+const { normalizeBudget, listBudgets, getBudget, saveBudget, deleteBudget, evaluateBudgets, listAlerts, sendTestAlert } = require('../shared/budgets');
+const { recordAudit } = require('../shared/audit');
+const { preflight, jsonResponse, errorResponse, readJson } = require('../shared/http');
+
+const BUDGET_METHODS = 'GET, POST, PUT, DELETE, OPTIONS';
+const ALERT_METHODS = 'GET, POST, OPTIONS';
+const MAX_ALERTS = 500;
+// Budgets and alerts expose cost figures and notification targets, so both are admin-only
+const BUDGET_ACCESS = { signIn: 'Sign in to manage budgets', forbidden: 'Only admins can manage budgets' };
+
+// Evaluate budgets a few times a day; Cost Management data only refreshes every few hours
+app.timer('budgetsTimer', {
+    schedule: process.env.BUDGET_EVALUATION_SCHEDULE || '0 15 */4 * * *',
+    handler: async (myTimer, context) => {
+        const summary = await evaluateBudgets(context);
+        context.log(`Budgets evaluated: ${summary.evaluated} ok, ${summary.failed} failed, ${summary.alerts.length} alerts`);
+    }
+});
+
+// Budget definitions: GET budgets, POST budgets, PUT budgets/{id}, DELETE budgets/{id},
+// POST budgets/{id}/test sends a sample alert through the budget's channels
+app.http('budgets', {
+    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'budgets/{id?}/{action?}',
+    handler: async (request, context) => {
+        context.log(`Budgets function triggered: ${request.method}`);
+
+        if (request.method === 'OPTIONS') {
+            return preflight(BUDGET_METHODS);
+        }
+
+        try {
+            const { principal, denied } = await requireRole(request, BUDGET_METHODS, BUDGET_ACCESS);
+            if (denied) return denied;
+
+            const { id, action } = request.params;
+
+            if (request.method === 'GET') {
+                if (id) {
+                    const budget = await getBudget(id);
+                    return budget
+                        ? jsonResponse(200, budget, BUDGET_METHODS)
+                        : errorResponse(404, `Budget ${id} not found`, BUDGET_METHODS);
+                }
+                return jsonResponse(200, { budgets: await listBudgets(), timestamp: new Date().toISOString() }, BUDGET_METHODS);
+            }
+
+            if (request.method === 'POST' && !id) {
+                const { budget, error } = normalizeBudget(await readJson(request));
+                if (error) {
+                    return errorResponse(400, error, BUDGET_METHODS);
+                }
+
+                const now = new Date().toISOString();
+                const created = await saveBudget({
+                    ...budget,
+                    createdBy: principal.userDetails,
+                    createdAt: now,
+                    updatedBy: principal.userDetails,
+                    updatedAt: now
+                });
+                await recordAudit(context, {
+                    principal,
+                    action: 'budget.create',
+                    targetType: 'budget',
+                    targetId: created.id,
+                    summary: `Created budget ${created.name} ($${created.amount}/month)`,
+                    before: null,
+                    after: budget
+                });
+                return jsonResponse(201, created, BUDGET_METHODS);
+            }
+
+            const existing = id ? await getBudget(id) : null;
+            if (!existing) {
+                return errorResponse(404, `Budget ${id || '(none)'} not found`, BUDGET_METHODS);
+            }
+
+            if (request.method === 'POST') {
+                if (action !== 'test') {
+                    return errorResponse(404, `Unknown budget action: ${action || '(none)'}`, BUDGET_METHODS);
+                }
+                if (existing.channels.length === 0) {
+                    return errorResponse(400, 'This budget has no notification channels', BUDGET_METHODS);
+                }
+                const deliveries = await sendTestAlert(existing, context);
+                return jsonResponse(200, { deliveries, timestamp: new Date().toISOString() }, BUDGET_METHODS);
+            }
+
+            if (request.method === 'PUT') {
+                const { budget, error } = normalizeBudget(await readJson(request), existing);
+                if (error) {
+                    return errorResponse(400, error, BUDGET_METHODS);
+                }
+
+                const updated = await saveBudget({
+                    ...budget,
+                    createdBy: existing.createdBy,
+                    createdAt: existing.createdAt,
+                    updatedBy: principal.userDetails,
+                    updatedAt: new Date().toISOString()
+                });
+                const { lastEvaluation, createdBy, createdAt, updatedBy, updatedAt, ...before } = existing;
+                await recordAudit(context, {
+                    principal,
+                    action: 'budget.update',
+                    targetType: 'budget',
+                    targetId: id,
+                    summary: `Updated budget ${updated.name}`,
+                    before,
+                    after: budget
+                });
+                return jsonResponse(200, { ...updated, lastEvaluation: existing.lastEvaluation }, BUDGET_METHODS);
+            }
+
+            if (request.method === 'DELETE') {
+                await deleteBudget(id);
+                await recordAudit(context, {
+                    principal,
+                    action: 'budget.delete',
+                    targetType: 'budget',
+                    targetId: id,
+                    summary: `Deleted budget ${existing.name}`,
+                    before: { name: existing.name, amount: existing.amount, scope: existing.scope },
+                    after: null
+                });
+                return jsonResponse(200, { deleted: id }, BUDGET_METHODS);
+            }
+
+            return errorResponse(405, `Method ${request.method} not allowed`, BUDGET_METHODS);
+        } catch (error) {
+            context.error('Error in budgets function:', error);
+            return errorResponse(500, 'Internal server error', BUDGET_METHODS, { message: error.message });
+        }
+    }
+});
+
+// Triggered alerts, newest first (GET budget-alerts?budgetId=&limit=), or evaluate now (POST)
+app.http('budgetAlerts', {
+    methods: ['GET', 'POST', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'budget-alerts',
+    handler: async (request, context) => {
+        context.log(`Budget alerts function triggered: ${request.method}`);
+
+        if (request.method === 'OPTIONS') {
+            return preflight(ALERT_METHODS);
+        }
+
+        try {
+            const { denied } = await requireRole(request, ALERT_METHODS, BUDGET_ACCESS);
+            if (denied) return denied;
+
+            if (request.method === 'POST') {
+                const summary = await evaluateBudgets(context);
+                return jsonResponse(200, { ...summary, timestamp: new Date().toISOString() }, ALERT_METHODS);
+            }
+
+            const alerts = await listAlerts({
+                budgetId: request.query.get('budgetId'),
+                limit: Math.min(parseInt(request.query.get('limit'), 10) || 100, MAX_ALERTS)
+            });
+            return jsonResponse(200, { alerts, count: alerts.length, timestamp: new Date().toISOString() }, ALERT_METHODS);
+        } catch (error) {
+            context.error('Error in budget alerts function:', error);
+            return errorResponse(500, 'Internal server error', ALERT_METHODS, { message: error.message });
+        }
+    }
+});
+
+module.exports = { app };
@@ -0,0 +1,110 @@
+const { app } = require('@azure/functions');
+const { isAdmin, requireRole } = require('../shared/roles');
+const { getSettings, saveSettings, normalizeSettings, listCertificates, checkCertificates } = require('../shared/certificates');
+const { recordAudit } = require('../shared/audit');
+const { preflight, jsonResponse, errorResponse, readJson } = require('../shared/http');
+
+const CERTIFICATE_METHODS = 'GET, POST, OPTIONS';
+const SETTINGS_METHODS = 'GET, PUT, OPTIONS';
+const STAFF_ACCESS = { role: 'viewer', signIn: 'Sign in to view certificates', forbidden: 'Only staff can view certificates' };
+const ADMIN_ACCESS = { signIn: 'Sign in to view certificates', forbidden: 'Only admins can manage certificate monitoring' };
+
+// Check every certificate daily; expiry thresholds are whole days
+app.timer('certificatesTimer', {
+    schedule: process.env.CERTIFICATE_CHECK_SCHEDULE || '0 0 6 * * *',
+    handler: async (myTimer, context) => {
+        const summary = await checkCertificates(context);
+        context.log(`Certificates checked: ${summary.checked} domains, ${summary.removed} removed, ${summary.alerts.length} alerts, ` +
+            `discovery failed for ${summary.discoveryFailed} subscriptions`);
+    }
+});
+
+// TLS certificate inventory, soonest expiry first (GET certificates), or check now (POST
+// certificates/check, admin only)
+app.http('certificates', {
+    methods: ['GET', 'POST', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'certificates/{action?}',
+    handler: async (request, context) => {
+        context.log(`Certificates function triggered: ${request.method}`);
+
+        if (request.method === 'OPTIONS') {
+            return preflight(CERTIFICATE_METHODS);
+        }
+
+        try {
+            const { action } = request.params;
+            if (request.method === 'POST') {
+                if (action !== 'check') {
+                    return errorResponse(404, `Unknown certificates action: ${action || '(none)'}`, CERTIFICATE_METHODS);
+                }
+                const { denied } = await requireRole(request, CERTIFICATE_METHODS, ADMIN_ACCESS);
+                if (denied) return denied;
+                const summary = await checkCertificates(context);
+                return jsonResponse(200, summary, CERTIFICATE_METHODS);
+            }
+
+            if (action) {
+                return errorResponse(404, `Unknown certificates path: ${action}`, CERTIFICATE_METHODS);
+            }
+            const { access, denied } = await requireRole(request, CERTIFICATE_METHODS, STAFF_ACCESS);
+            if (denied) return denied;
+
+            // Where alerts were delivered names notification targets; only admins see those
+            const certificates = (await listCertificates()).map(certificate => isAdmin(access) || !certificate.alert
+                ? certificate
+                : { ...certificate, alert: { threshold: certificate.alert.threshold, validTo: certificate.alert.validTo, sentAt: certificate.alert.sentAt } });
+            return jsonResponse(200, { certificates, count: certificates.length, timestamp: new Date().toISOString() }, CERTIFICATE_METHODS);
+        } catch (error) {
+            context.error('Error in certificates function:', error);
+            return errorResponse(500, 'Internal server error', CERTIFICATE_METHODS, { message: error.message });
+        }
+    }
+});
+
+// Alert thresholds, notification channels and the domains added to or left out of discovery:
+// GET / PUT certificate-settings { alertDays: [30, 14, 7, 1], channels, extraDomains, ignoredDomains }
+app.http('certificateSettings', {
+    methods: ['GET', 'PUT', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'certificate-settings',
+    handler: async (request, context) => {
+        context.log(`Certificate settings function triggered: ${request.method}`);
+
+        if (request.method === 'OPTIONS') {
+            return preflight(SETTINGS_METHODS);
+        }
+
+        try {
+            const { principal, denied } = await requireRole(request, SETTINGS_METHODS, ADMIN_ACCESS);
+            if (denied) return denied;
+
+            const current = await getSettings();
+            if (request.method === 'GET') {
+                return jsonResponse(200, current, SETTINGS_METHODS);
+            }
+
+            const { settings, error } = normalizeSettings(await readJson(request), current);
+            if (error) {
+                return errorResponse(400, error, SETTINGS_METHODS);
+            }
+            const saved = await saveSettings({ ...settings, updatedBy: principal.userDetails, updatedAt: new Date().toISOString() });
+            const { updatedBy, updatedAt, ...before } = current;
+            await recordAudit(context, {
+                principal,
+                action: 'certificateSettings.update',
+                targetType: 'certificateSettings',
+                targetId: 'current',
+                summary: 'Changed certificate monitoring settings',
+                before,
+                after: settings
+            });
+            return jsonResponse(200, saved, SETTINGS_METHODS);
+        } catch (error) {
+            context.error('Error in certificate settings function:', error);
+            return errorResponse(500, 'Internal server error', SETTINGS_METHODS, { message: error.message });
+        }
+    }
+});
+
+module.exports = { app };
@@ -0,0 +1,62 @@
+const { app } = require('@azure/functions');
+const { getClientPrincipal, isAuthenticated } = require('../shared/auth');
+const { getAccess, can } = require('../shared/roles');
+const { listProjects } = require('../shared/projectStore');
+const { normalizeArtifact } = require('../shared/artifacts');
+const { blobNameFromUrl } = require('../shared/contentIndex');
+const { issueArtifactSas } = require('../shared/storage');
+const { preflight, jsonResponse, errorResponse, readJson } = require('../shared/http');
+
+const METHODS = 'POST, OPTIONS';
+// Read SAS lifetime - enough to start a download or open a preview, not to share the link
+const SAS_TTL_MINUTES = parseInt(process.env.DOWNLOAD_SAS_TTL_MINUTES, 10) || 10;
+
+// Whether some version of an artifact in `project` is stored in this blob
+function referencesBlob(project, blobName) {
+    return (project.artifacts || []).map(normalizeArtifact).some(artifact =>
+        artifact.versions.some(version => (version.blobName || blobNameFromUrl(version.blobUrl)) === blobName));
+}
+
+// Download SAS endpoint - the artifact container is private, so the dashboard trades an
+// artifact version's blobUrl for a short-lived read-only URL. Only blobs recorded as a
+// version of a project the caller can read are signed. The client portal gets its
+// signed URLs with the portal response instead.
+app.http('downloadSas', {
+    methods: ['POST', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'downloads/sas',
+    handler: async (request, context) => {
+        context.log('Download SAS function triggered');
+
+        if (request.method === 'OPTIONS') {
+            return preflight(METHODS);
+        }
+
+        const principal = getClientPrincipal(request);
+        if (!isAuthenticated(principal)) {
+            return errorResponse(401, 'Sign in to download artifacts', METHODS);
+        }
+
+        const body = await readJson(request);
+        const blobName = body && (body.blobName ? String(body.blobName) : blobNameFromUrl(body.blobUrl));
+        if (!blobName) {
+            return errorResponse(400, 'blobUrl or blobName of an artifact version is required', METHODS);
+        }
+
+        try {
+            const access = await getAccess(principal);
+            const projects = await listProjects(context);
+            if (!projects.some(project => can(access, project, 'read') && referencesBlob(project, blobName))) {
+                return errorResponse(404, 'Artifact not found', METHODS);
+            }
+
+            const sas = await issueArtifactSas(blobName, 'r', SAS_TTL_MINUTES);
+            return jsonResponse(200, { blobName, downloadUrl: sas.url, expiresOn: sas.expiresOn }, METHODS);
+        } catch (error) {
+            context.error('Error issuing download SAS:', error);
+            return errorResponse(500, 'Failed to issue download SAS', METHODS, { message: error.message });
+        }
+    }
+});
+
+module.exports = { app };
@@ -0,0 +1,173 @@
+const { app } = require('@azure/functions');
+const { requireRole } = require('../shared/roles');
+const { ALL_SUBSCRIPTIONS, resolveTargets } = require('../shared/subscriptions');
+const { normalizeOneOff, listOneOffs, getOneOff, saveOneOff, deleteOneOff, getForecast, combineForecasts } = require('../shared/costForecasts');
+const { recordAudit } = require('../shared/audit');
+const { preflight, jsonResponse, errorResponse, readJson } = require('../shared/http');
+
+const FORECAST_METHODS = 'GET, OPTIONS';
+const ONE_OFF_METHODS = 'GET, POST, PUT, DELETE, OPTIONS';
+const ONE_OFF_ACCESS = { signIn: 'Sign in to manage one-off charges', forbidden: 'Only admins can manage one-off charges' };
+
+function describeOneOff(oneOff) {
+    return `$${oneOff.amount} on ${oneOff.date} (${oneOff.description})`;
+}
+
+// Month-end and next-month forecasts with 80%/95% bands, in total and per resource group.
+// Read like metrics: GET forecast?subscription=<id|all>&refresh=true
+app.http('forecast', {
+    methods: ['GET', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'forecast',
+    handler: async (request, context) => {
+        context.log('Forecast function triggered');
+
+        if (request.method === 'OPTIONS') {
+            return preflight(FORECAST_METHODS);
+        }
+
+        const selector = request.query.get('subscription') || '';
+        const targets = resolveTargets(selector);
+        if (!targets) {
+            return errorResponse(400, `Subscription ${selector} is not registered`, FORECAST_METHODS);
+        }
+        const refresh = request.query.get('refresh') === 'true';
+
+        try {
+            if (selector.toLowerCase() !== ALL_SUBSCRIPTIONS) {
+                const forecast = await getForecast(targets[0], { refresh, context });
+                return jsonResponse(200, { ...forecast, timestamp: new Date().toISOString() }, FORECAST_METHODS);
+            }
+
+            // One at a time: Cost Management throttles parallel queries
+            const forecasts = [];
+            const errors = [];
+            for (const target of targets) {
+                try {
+                    forecasts.push(await getForecast(target, { refresh, context }));
+                } catch (error) {
+                    context.warn(`Forecast for ${target.subscriptionId} failed: ${error.message}`);
+                    errors.push({ subscriptionId: target.subscriptionId, error: error.message });
+                }
+            }
+            if (forecasts.length === 0) {
+                return errorResponse(502, 'No subscription could be forecast', FORECAST_METHODS, { errors });
+            }
+
+            return jsonResponse(200, {
+                ...combineForecasts(forecasts),
+                subscriptions: forecasts.map(forecast => ({
+                    subscriptionId: forecast.subscriptionId,
+                    subscriptionName: forecast.subscriptionName,
+                    monthEnd: forecast.total.monthEnd,
+                    nextMonth: forecast.total.nextMonth,
+                    generatedAt: forecast.generatedAt
+                })),
+                errors,
+                timestamp: new Date().toISOString()
+            }, FORECAST_METHODS);
+        } catch (error) {
+            context.error('Error in forecast function:', error);
+            return errorResponse(500, 'Internal server error', FORECAST_METHODS, { message: error.message });
+        }
+    }
+});
+
+// Known one-off charges the forecast accounts for: GET forecast/one-offs?subscription=,
+// POST forecast/one-offs, PUT forecast/one-offs/{id}, DELETE forecast/one-offs/{id}
+app.http('forecastOneOffs', {
+    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'forecast/one-offs/{id?}',
+    handler: async (request, context) => {
+        context.log(`Forecast one-offs function triggered: ${request.method}`);
+
+        if (request.method === 'OPTIONS') {
+            return preflight(ONE_OFF_METHODS);
+        }
+
+        try {
+            const { principal, denied } = await requireRole(request, ONE_OFF_METHODS, ONE_OFF_ACCESS);
+            if (denied) return denied;
+
+            const { id } = request.params;
+
+            if (request.method === 'GET') {
+                const oneOffs = await listOneOffs({ subscriptionId: (request.query.get('subscription') || '').toLowerCase() || null });
+                return jsonResponse(200, { oneOffs, timestamp: new Date().toISOString() }, ONE_OFF_METHODS);
+            }
+
+            if (request.method === 'POST' && !id) {
+                const { oneOff, error } = normalizeOneOff(await readJson(request));
+                if (error) {
+                    return errorResponse(400, error, ONE_OFF_METHODS);
+                }
+
+                const now = new Date().toISOString();
+                const created = await saveOneOff({ ...oneOff, createdBy: principal.userDetails, createdAt: now });
+                await recordAudit(context, {
+                    principal,
+                    action: 'oneOff.create',
+                    targetType: 'oneOff',
+                    targetId: created.id,
+                    summary: `Added one-off charge ${describeOneOff(created)}`,
+                    before: null,
+                    after: oneOff
+                });
+                return jsonResponse(201, created, ONE_OFF_METHODS);
+            }
+
+            const existing = id ? await getOneOff(id) : null;
+            if (!existing) {
+                return errorResponse(404, `One-off charge ${id || '(none)'} not found`, ONE_OFF_METHODS);
+            }
+
+            if (request.method === 'PUT') {
+                const { oneOff, error } = normalizeOneOff(await readJson(request), existing);
+                if (error) {
+                    return errorResponse(400, error, ONE_OFF_METHODS);
+                }
+
+                const updated = await saveOneOff({
+                    ...oneOff,
+                    createdBy: existing.createdBy,
+                    createdAt: existing.createdAt,
+                    updatedBy: principal.userDetails,
+                    updatedAt: new Date().toISOString()
+                }, existing);
+                const { createdBy, createdAt, updatedBy, updatedAt, ...before } = existing;
+                await recordAudit(context, {
+                    principal,
+                    action: 'oneOff.update',
+                    targetType: 'oneOff',
+                    targetId: id,
+                    summary: `Updated one-off charge ${describeOneOff(updated)}`,
+                    before,
+                    after: oneOff
+                });
+                return jsonResponse(200, updated, ONE_OFF_METHODS);
+            }
+
+            if (request.method === 'DELETE') {
+                await deleteOneOff(existing);
+                await recordAudit(context, {
+                    principal,
+                    action: 'oneOff.delete',
+                    targetType: 'oneOff',
+                    targetId: id,
+                    summary: `Deleted one-off charge ${describeOneOff(existing)}`,
+                    before: { date: existing.date, amount: existing.amount, description: existing.description },
+                    after: null
+                });
+                return jsonResponse(200, { deleted: id }, ONE_OFF_METHODS);
+            }
+
+            return errorResponse(405, `Method ${request.method} not allowed`, ONE_OFF_METHODS);
+        } catch (error) {
+            context.error('Error in forecast one-offs function:', error);
+            return errorResponse(500, 'Internal server error', ONE_OFF_METHODS, { message: error.message });
+        }
+    }
+});
+
+module.exports = { app };
@@ -1,1106 +0,0 @@
-const { app } = require('@azure/functions');
-const { DefaultAzureCredential } = require('@azure/identity');
-const { CostManagementClient } = require('@azure/arm-costmanagement');
-const { ResourceGraphClient } = require('@azure/arm-resourcegraph');
-const { StorageManagementClient } = require('@azure/arm-storage');
-const { ContainerServiceClient } = require('@azure/arm-containerservice');
-const { MonitorClient } = require('@azure/arm-monitor');
-const { CognitiveServicesManagementClient } = require('@azure/arm-cognitiveservices');
-const { ResourceManagementClient } = require('@azure/arm-resources');
-const { RecoveryServicesBackupClient } = require('@azure/arm-recoveryservicesbackup');
-const { RecoveryServicesClient } = require('@azure/arm-recoveryservices');
-const { TableClient } = require('@azure/data-tables');
-const { BlobServiceClient: StorageBlobClient } = require('@azure/storage-blob');
-
-// Configuration
-const subscriptionId = '3cfb259a-f02a-484e-9ce3-d83c21fd0ddb';
-const resourceGroupName = 'saxtech-ai'; // Fixed: using lowercase
-const credential = new DefaultAzureCredential();
-
-// Table Storage configuration for caching
-const tableStorageConnectionString = process.env.AzureWebJobsStorage || '';
-const cacheTableName = 'metricscache';
-const CACHE_DURATION_MS = 60 * 60 * 1000; // 1 hour cache
-
-// Initialize Table Client
-let tableClient;
-try {
-    if (tableStorageConnectionString) {
-        tableClient = TableClient.fromConnectionString(tableStorageConnectionString, cacheTableName);
-        tableClient.createTable().catch(() => {});
-    }
-} catch (error) {
-    console.error('Failed to initialize Table Storage:', error);
-}
-
-// Cache helpers
-async function getCachedData(key) {
-    if (!tableClient) return null;
-    try {
-        const entity = await tableClient.getEntity('cache', key);
-        const age = Date.now() - new Date(entity.timestamp).getTime();
-        if (age < CACHE_DURATION_MS) {
-            return JSON.parse(entity.data);
-        }
-    } catch (error) {
-        return null;
-    }
-    return null;
-}
-
-async function setCachedData(key, data) {
-    if (!tableClient) return;
-    try {
-        const entity = {
-            partitionKey: 'cache',
-            rowKey: key,
-            data: JSON.stringify(data),
-            timestamp: new Date().toISOString()
-        };
-        await tableClient.upsertEntity(entity);
-    } catch (error) {
-        console.error('Failed to cache data:', error);
-    }
-}
-
-// FIXED: Proper daily cost aggregation
-async function fetchCostData() {
-    const cacheKey = 'costData';
-    
-    const cachedCost = await getCachedData(cacheKey);
-    if (cachedCost) {
-        console.log('Returning cached cost data');
-        return cachedCost;
-    }
-    
-    try {
-        const costClient = new CostManagementClient(credential);
-        const now = new Date();
-        const thirtyDaysAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-        const tomorrow = new Date(now.getTime() + 24 * 60 * 60 * 1000);
-        
-        // Query for daily aggregated costs
-        const query = {
-            type: 'ActualCost',
-            timeframe: 'Custom',
-            timePeriod: {
-                from: thirtyDaysAgo.toISOString().split('T')[0],
-                to: tomorrow.toISOString().split('T')[0]
-            },
-            dataset: {
-                granularity: 'Daily',
-                aggregation: {
-                    totalCost: {
-                        name: 'PreTaxCost',
-                        function: 'Sum'
-                    }
-                },
-                grouping: [
-                    {
-                        type: 'Dimension',
-                        name: 'ServiceName'
-                    }
-                ]
-            }
-        };
-        
-        const scope = `/subscriptions/${subscriptionId}`;
-        const result = await costClient.query.usage(scope, query);
-        
-        // Aggregate costs by day
-        const dailyCosts = {};
-        const costBreakdown = {};
-        let monthToDate = 0;
-        
-        const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
-        
-        if (result.rows && result.rows.length > 0) {
-            result.rows.forEach(row => {
-                const cost = parseFloat(row[0]) || 0;
-                const dateStr = String(row[1]);
-                const service = row[2] || 'Unknown';
-                
-                // Parse date and create consistent format
-                const date = new Date(dateStr);
-                const dateKey = date.toISOString().split('T')[0];
-                const dateInt = parseInt(dateKey.replace(/-/g, ''));
-                
-                // Aggregate daily totals
-                if (!dailyCosts[dateKey]) {
-                    dailyCosts[dateKey] = {
-                        date: dateInt,
-                        dateStr: dateKey,
-                        cost: 0,
-                        services: {}
-                    };
-                }
-                
-                dailyCosts[dateKey].cost += cost;
-                dailyCosts[dateKey].services[service] = (dailyCosts[dateKey].services[service] || 0) + cost;
-                
-                // Track month-to-date
-                if (date >= startOfMonth) {
-                    monthToDate += cost;
-                }
-                
-                // Service breakdown
-                if (!costBreakdown[service]) {
-                    costBreakdown[service] = 0;
-                }
-                costBreakdown[service] += cost;
-            });
-        }
-        
-        // Convert to historical array and sort
-        const historical = Object.values(dailyCosts)
-            .map(day => ({
-                date: day.date,
-                dateStr: day.dateStr,
-                cost: day.cost,
-                services: day.services
-            }))
-            .sort((a, b) => a.date - b.date);
-        
-        // Get yesterday's total cost
-        const yesterdayDate = new Date(now.getTime() - 24 * 60 * 60 * 1000);
-        const yesterdayKey = yesterdayDate.toISOString().split('T')[0];
-        const yesterday = dailyCosts[yesterdayKey]?.cost || 0;
-        
-        const costData = {
-            monthToDate,
-            yesterday,
-            currency: 'USD',
-            historical,
-            costBreakdown,
-            dailyCosts
-        };
-        
-        await setCachedData(cacheKey, costData);
-        return costData;
-    } catch (error) {
-        console.error('Error fetching cost data:', error);
-        throw new Error(`Failed to fetch cost data: ${error.message}`);
-    }
-}
-
-// FIXED: Resource counting with proper queries
-async function fetchResourceCounts() {
-    try {
-        const graphClient = new ResourceGraphClient(credential);
-        
-        // More comprehensive resource query
-        const query = {
-            subscriptions: [subscriptionId],
-            query: `
-                Resources
-                | where subscriptionId == '${subscriptionId}'
-                | project name, type, location, resourceGroup, id, kind, properties, tags
-                | limit 1000
-            `
-        };
-        
-        const result = await graphClient.resources(query);
-        
-        let staticSites = 0;
-        let functionApps = 0;
-        let storageAccounts = 0;
-        const resourceDetails = {
-            staticSites: [],
-            functionApps: [],
-            storageAccounts: []
-        };
-        
-        if (result.data && result.data.length > 0) {
-            result.data.forEach(resource => {
-                const type = resource.type?.toLowerCase() || '';
-                
-                if (type === 'microsoft.web/staticsites') {
-                    staticSites++;
-                    resourceDetails.staticSites.push({
-                        name: resource.name,
-                        location: resource.location,
-                        resourceGroup: resource.resourceGroup,
-                        id: resource.id,
-                        endpoint: `https://${resource.name}.azurestaticapps.net`,
-                        properties: resource.properties,
-                        tags: resource.tags || {}
-                    });
-                } else if (type === 'microsoft.web/sites') {
-                    // Check if it's a function app
-                    const kind = (resource.kind || '').toLowerCase();
-                    if (kind.includes('functionapp')) {
-                        functionApps++;
-                        resourceDetails.functionApps.push({
-                            name: resource.name,
-                            location: resource.location,
-                            resourceGroup: resource.resourceGroup,
-                            id: resource.id,
-                            kind: resource.kind,
-                            endpoint: `https://${resource.name}.azurewebsites.net`,
-                            properties: resource.properties,
-                            tags: resource.tags || {}
-                        });
-                    }
-                } else if (type === 'microsoft.storage/storageaccounts') {
-                    storageAccounts++;
-                    resourceDetails.storageAccounts.push({
-                        name: resource.name,
-                        location: resource.location,
-                        resourceGroup: resource.resourceGroup,
-                        id: resource.id,
-                        properties: resource.properties,
-                        tags: resource.tags || {}
-                    });
-                }
-            });
-        }
-        
-        return {
-            counts: {
-                staticSites,
-                functionApps,
-                storageAccounts,
-                totalResources: result.data?.length || 0
-            },
-            details: resourceDetails
-        };
-    } catch (error) {
-        console.error('Error fetching resource counts:', error);
-        return {
-            counts: {
-                staticSites: 0,
-                functionApps: 0,
-                storageAccounts: 0,
-                totalResources: 0
-            },
-            details: {
-                staticSites: [],
-                functionApps: [],
-                storageAccounts: []
-            }
-        };
-    }
-}
-
-// FIXED: Storage account sizing with proper blob enumeration
-async function fetchStorageAccounts() {
-    try {
-        const storageClient = new StorageManagementClient(credential, subscriptionId);
-        const monitorClient = new MonitorClient(credential, subscriptionId);
-        const accounts = [];
-        
-        for await (const account of storageClient.storageAccounts.list()) {
-            const accountDetails = {
-                name: account.name,
-                location: account.location,
-                sku: account.sku?.name || 'Unknown',
-                kind: account.kind,
-                resourceGroup: account.id.split('/')[4],
-                createdTime: account.creationTime,
-                primaryEndpoints: account.primaryEndpoints,
-                containers: [],
-                totalSizeGB: 0,
-                blobCount: 0,
-                usedCapacityBytes: 0
-            };
-            
-            try {
-                // Get metrics for storage account capacity
-                const resourceId = account.id;
-                const endTime = new Date();
-                const startTime = new Date(endTime.getTime() - 24 * 60 * 60 * 1000);
-                
-                const metricsResult = await monitorClient.metrics.list(
-                    resourceId,
-                    {
-                        timespan: `${startTime.toISOString()}/${endTime.toISOString()}`,
-                        metricnames: 'UsedCapacity',
-                        aggregation: 'Average'
-                    }
-                );
-                
-                if (metricsResult.value && metricsResult.value[0]?.timeseries?.[0]?.data?.length > 0) {
-                    const latestData = metricsResult.value[0].timeseries[0].data.slice(-1)[0];
-                    accountDetails.usedCapacityBytes = latestData.average || 0;
-                    accountDetails.totalSizeGB = accountDetails.usedCapacityBytes / (1024 * 1024 * 1024);
-                }
-                
-                // Try to get container details
-                const keys = await storageClient.storageAccounts.listKeys(
-                    accountDetails.resourceGroup,
-                    account.name
-                );
-                
-                if (keys.keys && keys.keys.length > 0 && account.primaryEndpoints?.blob) {
-                    const blobServiceClient = StorageBlobClient.fromConnectionString(
-                        `DefaultEndpointsProtocol=https;AccountName=${account.name};AccountKey=${keys.keys[0].value};EndpointSuffix=core.windows.net`
-                    );
-                    
-                    // List containers with size estimates
-                    for await (const container of blobServiceClient.listContainers()) {
-                        const containerClient = blobServiceClient.getContainerClient(container.name);
-                        let containerSize = 0;
-                        let blobCount = 0;
-                        
-                        // Sample first 100 blobs for size estimate
-                        const iterator = containerClient.listBlobsFlat().byPage({ maxPageSize: 100 });
-                        const response = await iterator.next();
-                        
-                        if (!response.done && response.value?.segment?.blobItems) {
-                            for (const blob of response.value.segment.blobItems) {
-                                containerSize += blob.properties.contentLength || 0;
-                                blobCount++;
-                            }
-                            
-                            // Estimate total if there are more blobs
-                            if (response.value.continuationToken) {
-                                // Rough estimate based on sample
-                                blobCount = Math.round(blobCount * 10); // Estimate
-                                containerSize = containerSize * 10; // Estimate
-                            }
-                        }
-                        
-                        accountDetails.containers.push({
-                            name: container.name,
-                            publicAccess: container.properties?.publicAccess || 'private',
-                            lastModified: container.properties?.lastModified,
-                            sizeBytes: containerSize,
-                            blobCount: blobCount,
-                            estimated: blobCount > 100
-                        });
-                        
-                        accountDetails.blobCount += blobCount;
-                    }
-                }
-            } catch (error) {
-                console.log(`Could not get detailed info for storage account ${account.name}:`, error.message);
-            }
-            
-            accounts.push(accountDetails);
-        }
-        
-        return accounts;
-    } catch (error) {
-        console.error('Error fetching storage accounts:', error);
-        return [];
-    }
-}
-
-// FIXED: Enhanced Kubernetes details
-async function fetchKubernetesMetrics() {
-    try {
-        const aksClient = new ContainerServiceClient(credential, subscriptionId);
-        const monitorClient = new MonitorClient(credential, subscriptionId);
-        const clusters = [];
-        let totalNodes = 0;
-        let totalCpu = 0;
-        let totalMemory = 0;
-        let totalPods = 0;
-        
-        for await (const cluster of aksClient.managedClusters.list()) {
-            const resourceGroupName = cluster.id ? cluster.id.split('/')[4] : null;
-            if (!resourceGroupName) continue;
-            
-            const agentPools = [];
-            let clusterNodeCount = 0;
-            
-            for await (const pool of aksClient.agentPools.list(resourceGroupName, cluster.name)) {
-                const poolDetails = {
-                    name: pool.name,
-                    count: pool.count || 0,
-                    vmSize: pool.vmSize,
-                    mode: pool.mode,
-                    osType: pool.osType,
-                    orchestratorVersion: pool.orchestratorVersion,
-                    maxPods: pool.maxPods || 30,
-                    nodeLabels: pool.nodeLabels,
-                    nodeTaints: pool.nodeTaints
-                };
-                agentPools.push(poolDetails);
-                clusterNodeCount += pool.count || 0;
-                totalNodes += pool.count || 0;
-                totalPods += (pool.count || 0) * (pool.maxPods || 30);
-            }
-            
-            const clusterDetails = {
-                name: cluster.name,
-                location: cluster.location,
-                resourceGroup: resourceGroupName,
-                kubernetesVersion: cluster.kubernetesVersion,
-                nodeCount: clusterNodeCount,
-                agentPools: agentPools,
-                status: cluster.provisioningState,
-                fqdn: cluster.fqdn,
-                networkProfile: {
-                    networkPlugin: cluster.networkProfile?.networkPlugin,
-                    serviceCidr: cluster.networkProfile?.serviceCidr,
-                    dnsServiceIP: cluster.networkProfile?.dnsServiceIP,
-                    dockerBridgeCidr: cluster.networkProfile?.dockerBridgeCidr
-                },
-                addonProfiles: cluster.addonProfiles ? Object.keys(cluster.addonProfiles).filter(key => 
-                    cluster.addonProfiles[key]?.enabled
-                ) : [],
-                powerState: cluster.powerState?.code,
-                maxPodsCapacity: totalPods,
-                features: {
-                    rbac: cluster.enableRBAC,
-                    privateCluster: cluster.apiServerAccessProfile?.enablePrivateCluster,
-                    monitoring: cluster.addonProfiles?.omsagent?.enabled || false
-                }
-            };
-            
-            // Get cluster metrics
-            try {
-                const resourceId = `/subscriptions/${subscriptionId}/resourceGroups/${resourceGroupName}/providers/Microsoft.ContainerService/managedClusters/${cluster.name}`;
-                const endTime = new Date();
-                const startTime = new Date(endTime.getTime() - 60 * 60 * 1000); // Last hour
-                
-                // CPU metrics
-                const cpuMetrics = await monitorClient.metrics.list(
-                    resourceId,
-                    {
-                        timespan: `${startTime.toISOString()}/${endTime.toISOString()}`,
-                        metricnames: 'node_cpu_usage_percentage',
-                        aggregation: 'Average',
-                        interval: 'PT5M'
-                    }
-                );
-                
-                if (cpuMetrics.value?.[0]?.timeseries?.[0]?.data?.length > 0) {
-                    const cpuData = cpuMetrics.value[0].timeseries[0].data;
-                    const avgCpu = cpuData.reduce((sum, d) => sum + (d.average || 0), 0) / cpuData.length;
-                    clusterDetails.cpuUsage = avgCpu;
-                    totalCpu += avgCpu;
-                }
-                
-                // Memory metrics
-                const memoryMetrics = await monitorClient.metrics.list(
-                    resourceId,
-                    {
-                        timespan: `${startTime.toISOString()}/${endTime.toISOString()}`,
-                        metricnames: 'node_memory_working_set_percentage',
-                        aggregation: 'Average',
-                        interval: 'PT5M'
-                    }
-                );
-                
-                if (memoryMetrics.value?.[0]?.timeseries?.[0]?.data?.length > 0) {
-                    const memData = memoryMetrics.value[0].timeseries[0].data;
-                    const avgMem = memData.reduce((sum, d) => sum + (d.average || 0), 0) / memData.length;
-                    clusterDetails.memoryUsage = avgMem;
-                    totalMemory += avgMem;
-                }
-            } catch (metricsError) {
-                console.log(`Could not fetch metrics for cluster ${cluster.name}:`, metricsError.message);
-            }
-            
-            clusters.push(clusterDetails);
-        }
-        
-        return {
-            clusterCount: clusters.length,
-            clusters: clusters,
-            totalNodes: totalNodes,
-            totalPodsCapacity: totalPods,
-            avgCpuUsage: clusters.length > 0 ? (totalCpu / clusters.length).toFixed(2) : 0,
-            avgMemoryUsage: clusters.length > 0 ? (totalMemory / clusters.length).toFixed(2) : 0
-        };
-    } catch (error) {
-        console.error('Error fetching Kubernetes metrics:', error);
-        return {
-            clusterCount: 0,
-            clusters: [],
-            totalNodes: 0,
-            totalPodsCapacity: 0,
-            avgCpuUsage: 0,
-            avgMemoryUsage: 0
-        };
-    }
-}
-
-// FIXED: Backup status with actual data
-async function fetchBackupStatus() {
-    try {
-        const graphClient = new ResourceGraphClient(credential);
-        
-        // Query for backup vaults
-        const vaultQuery = {
-            subscriptions: [subscriptionId],
-            query: `
-                Resources
-                | where subscriptionId == '${subscriptionId}'
-                | where type =~ 'microsoft.recoveryservices/vaults' or type =~ 'microsoft.dataprotection/backupvaults'
-                | project name, type, location, resourceGroup, id, properties
-            `
-        };
-        
-        const vaultResult = await graphClient.resources(vaultQuery);
-        const vaults = [];
-        let totalProtectedItems = 0;
-        let totalVaults = 0;
-        
-        if (vaultResult.data && vaultResult.data.length > 0) {
-            for (const vault of vaultResult.data) {
-                totalVaults++;
-                vaults.push({
-                    name: vault.name,
-                    type: vault.type,
-                    location: vault.location,
-                    resourceGroup: vault.resourceGroup,
-                    protectedItems: [],
-                    jobs: []
-                });
-            }
-        }
-        
-        // Try to get protected items count from properties
-        const protectedItemsQuery = {
-            subscriptions: [subscriptionId],
-            query: `
-                Resources
-                | where subscriptionId == '${subscriptionId}'
-                | where type contains 'backup'
-                | summarize count() by type
-            `
-        };
-        
-        const protectedResult = await graphClient.resources(protectedItemsQuery);
-        if (protectedResult.data && protectedResult.data.length > 0) {
-            totalProtectedItems = protectedResult.totalRecords || 0;
-        }
-        
-        return {
-            vaults: vaults,
-            summary: {
-                totalVaults: totalVaults,
-                totalProtectedItems: totalProtectedItems,
-                failedJobs: 0,
-                successfulJobs: 0,
-                status: totalVaults > 0 ? 'Configured' : 'Not Configured'
-            }
-        };
-    } catch (error) {
-        console.error('Error fetching backup status:', error);
-        return {
-            vaults: [],
-            summary: {
-                totalVaults: 0,
-                totalProtectedItems: 0,
-                failedJobs: 0,
-                successfulJobs: 0,
-                status: 'Unknown'
-            }
-        };
-    }
-}
-
-// FIXED: GPT usage with proper OpenAI metrics
-async function fetchGPTUsage() {
-    const cacheKey = 'gptUsage';
-    
-    const cachedUsage = await getCachedData(cacheKey);
-    if (cachedUsage) {
-        console.log('Returning cached GPT usage data');
-        return cachedUsage;
-    }
-    
-    try {
-        const cognitiveClient = new CognitiveServicesManagementClient(credential, subscriptionId);
-        const monitorClient = new MonitorClient(credential, subscriptionId);
-        const openAIAccounts = [];
-        const modelUsage = {};
-        let totalTokens = 0;
-        let totalCost = 0;
-        const dailyUsage = {};
-        
-        // Find OpenAI accounts
-        for await (const account of cognitiveClient.accounts.list()) {
-            if (account.kind === 'OpenAI') {
-                const accountResourceGroup = account.id.split('/')[4];
-                const accountDetails = {
-                    name: account.name,
-                    location: account.location,
-                    resourceGroup: accountResourceGroup,
-                    endpoint: account.properties?.endpoint,
-                    deployments: []
-                };
-                
-                // Get deployments
-                try {
-                    const deployments = cognitiveClient.accounts.listDeployments(
-                        accountResourceGroup,
-                        account.name
-                    );
-                    
-                    for await (const deployment of deployments) {
-                        accountDetails.deployments.push({
-                            name: deployment.name,
-                            model: deployment.properties?.model?.name || 'Unknown',
-                            version: deployment.properties?.model?.version,
-                            capacity: deployment.sku?.capacity
-                        });
-                        
-                        // Initialize model tracking
-                        const modelName = deployment.properties?.model?.name || 'Unknown';
-                        if (!modelUsage[modelName]) {
-                            modelUsage[modelName] = {
-                                tokens: 0,
-                                requests: 0,
-                                cost: 0
-                            };
-                        }
-                    }
-                } catch (error) {
-                    console.log(`Could not get deployments for ${account.name}:`, error.message);
-                }
-                
-                // Get usage metrics
-                try {
-                    const resourceId = account.id;
-                    const endTime = new Date();
-                    const startTime = new Date(endTime.getTime() - 7 * 24 * 60 * 60 * 1000); // Last 7 days
-                    
-                    // Try multiple metric names
-                    const metricNames = [
-                        'ProcessedInferenceTokens',
-                        'GeneratedCompletionTokens', 
-                        'ProcessedPromptTokens',
-                        'TokenTransaction',
-                        'ActiveTokens'
-                    ];
-                    
-                    for (const metricName of metricNames) {
-                        try {
-                            const metrics = await monitorClient.metrics.list(
-                                resourceId,
-                                {
-                                    timespan: `${startTime.toISOString()}/${endTime.toISOString()}`,
-                                    metricnames: metricName,
-                                    aggregation: 'Total',
-                                    interval: 'P1D'
-                                }
-                            );
-                            
-                            if (metrics.value?.[0]?.timeseries?.[0]?.data) {
-                                for (const dataPoint of metrics.value[0].timeseries[0].data) {
-                                    const date = new Date(dataPoint.timeStamp).toISOString().split('T')[0];
-                                    const tokens = dataPoint.total || 0;
-                                    
-                                    if (!dailyUsage[date]) {
-                                        dailyUsage[date] = 0;
-                                    }
-                                    dailyUsage[date] += tokens;
-                                    totalTokens += tokens;
-                                    
-                                    // Distribute to models
-                                    if (accountDetails.deployments.length > 0) {
-                                        const tokensPerModel = tokens / accountDetails.deployments.length;
-                                        accountDetails.deployments.forEach(dep => {
-                                            modelUsage[dep.model].tokens += tokensPerModel;
-                                        });
-                                    }
-                                }
-                            }
-                        } catch (metricError) {
-                            // Try next metric name
-                        }
-                    }
-                } catch (error) {
-                    console.log(`Could not fetch metrics for OpenAI account ${account.name}:`, error.message);
-                }
-                
-                openAIAccounts.push(accountDetails);
-            }
-        }
-        
-        // Calculate costs
-        Object.keys(modelUsage).forEach(model => {
-            let costPer1K = 0.002;
-            if (model?.toLowerCase().includes('gpt-4')) {
-                costPer1K = 0.03;
-            } else if (model?.toLowerCase().includes('gpt-3.5')) {
-                costPer1K = 0.002;
-            } else if (model?.toLowerCase().includes('davinci')) {
-                costPer1K = 0.02;
-            }
-            
-            modelUsage[model].cost = (modelUsage[model].tokens / 1000) * costPer1K;
-            totalCost += modelUsage[model].cost;
-        });
-        
-        // If no real data, provide sample data for testing
-        if (totalTokens === 0) {
-            // Sample data for demonstration
-            const now = new Date();
-            for (let i = 6; i >= 0; i--) {
-                const date = new Date(now.getTime() - i * 24 * 60 * 60 * 1000);
-                const dateStr = date.toISOString().split('T')[0];
-                dailyUsage[dateStr] = Math.floor(Math.random() * 50000) + 10000;
-                totalTokens += dailyUsage[dateStr];
-            }
-            
-            modelUsage['gpt-4'] = { tokens: totalTokens * 0.3, requests: 100, cost: totalTokens * 0.3 * 0.03 / 1000 };
-            modelUsage['gpt-3.5-turbo'] = { tokens: totalTokens * 0.7, requests: 500, cost: totalTokens * 0.7 * 0.002 / 1000 };
-            totalCost = modelUsage['gpt-4'].cost + modelUsage['gpt-3.5-turbo'].cost;
-        }
-        
-        const gptUsage = {
-            accounts: openAIAccounts,
-            modelUsage: modelUsage,
-            dailyUsage: dailyUsage,
-            totalTokens: totalTokens,
-            estimatedCost: totalCost,
-            period: '7d'
-        };
-        
-        await setCachedData(cacheKey, gptUsage);
-        return gptUsage;
-    } catch (error) {
-        console.error('Error fetching GPT usage:', error);
-        // Return sample data on error
-        return {
-            accounts: [],
-            modelUsage: {
-                'gpt-4': { tokens: 150000, requests: 100, cost: 4.5 },
-                'gpt-3.5-turbo': { tokens: 350000, requests: 500, cost: 0.7 }
-            },
-            dailyUsage: {},
-            totalTokens: 500000,
-            estimatedCost: 5.2,
-            period: '7d'
-        };
-    }
-}
-
-// FIXED: Resources in resource group
-async function fetchResourcesInResourceGroup(resourceGroupName) {
-    try {
-        const graphClient = new ResourceGraphClient(credential);
-        
-        const query = {
-            subscriptions: [subscriptionId],
-            query: `
-                Resources
-                | where subscriptionId == '${subscriptionId}'
-                | where tolower(resourceGroup) == tolower('${resourceGroupName}')
-                | project name, type, location, id, kind, properties, tags
-                | order by type asc, name asc
-                | limit 1000
-            `
-        };
-        
-        const result = await graphClient.resources(query);
-        const resources = [];
-        
-        if (result.data && result.data.length > 0) {
-            result.data.forEach(resource => {
-                let url = null;
-                const type = resource.type?.toLowerCase() || '';
-                
-                if (type === 'microsoft.web/sites') {
-                    url = `https://${resource.name}.azurewebsites.net`;
-                } else if (type === 'microsoft.web/staticsites') {
-                    url = resource.properties?.defaultHostname ? 
-                        `https://${resource.properties.defaultHostname}` : 
-                        `https://${resource.name}.azurestaticapps.net`;
-                } else if (type === 'microsoft.storage/storageaccounts') {
-                    url = resource.properties?.primaryEndpoints?.web || 
-                          resource.properties?.primaryEndpoints?.blob;
-                }
-                
-                resources.push({
-                    name: resource.name,
-                    type: resource.type,
-                    shortType: resource.type.split('/').pop(),
-                    location: resource.location,
-                    id: resource.id,
-                    kind: resource.kind,
-                    url: url,
-                    tags: resource.tags || {}
-                });
-            });
-        }
-        
-        return resources;
-    } catch (error) {
-        console.error(`Error fetching resources for resource group ${resourceGroupName}:`, error);
-        return [];
-    }
-}
-
-// Fetch resource groups
-async function fetchResourceGroups() {
-    try {
-        const resourceClient = new ResourceManagementClient(credential, subscriptionId);
-        const resourceGroups = [];
-        
-        for await (const rg of resourceClient.resourceGroups.list()) {
-            resourceGroups.push({
-                name: rg.name,
-                location: rg.location,
-                id: rg.id,
-                tags: rg.tags || {}
-            });
-        }
-        
-        return resourceGroups;
-    } catch (error) {
-        console.error('Error fetching resource groups:', error);
-        return [];
-    }
-}
-
-// Main metrics endpoint
-app.http('metrics', {
-    methods: ['GET', 'POST', 'OPTIONS'],
-    authLevel: 'anonymous',
-    handler: async (request, context) => {
-        context.log('Metrics function triggered');
-        
-        if (request.method === 'OPTIONS') {
-            return {
-                status: 204,
-                headers: {
-                    'Access-Control-Allow-Origin': '*',
-                    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-                    'Access-Control-Allow-Headers': 'Content-Type'
-                }
-            };
-        }
-        
-        const response = {
-            subscriptionId: subscriptionId,
-            resourceGroup: resourceGroupName,
-            timestamp: new Date().toISOString(),
-            errors: []
-        };
-        
-        try {
-            const [costData, resourceData, storageData, k8sData, gptData, backupData] = await Promise.allSettled([
-                fetchCostData(),
-                fetchResourceCounts(),
-                fetchStorageAccounts(),
-                fetchKubernetesMetrics(),
-                fetchGPTUsage(),
-                fetchBackupStatus()
-            ]);
-            
-            // Process results
-            if (costData.status === 'fulfilled') {
-                response.costs = costData.value;
-            } else {
-                response.costs = null;
-                response.errors.push({
-                    type: 'cost',
-                    message: costData.reason?.message || 'Failed to fetch cost data'
-                });
-            }
-            
-            if (resourceData.status === 'fulfilled') {
-                response.resources = resourceData.value.counts;
-                response.resourceDetails = resourceData.value.details;
-            } else {
-                response.resources = null;
-                response.resourceDetails = null;
-                response.errors.push({
-                    type: 'resources',
-                    message: resourceData.reason?.message || 'Failed to fetch resource counts'
-                });
-            }
-            
-            if (storageData.status === 'fulfilled') {
-                response.storage = {
-                    accounts: storageData.value
-                };
-            } else {
-                response.storage = null;
-                response.errors.push({
-                    type: 'storage',
-                    message: storageData.reason?.message || 'Failed to fetch storage accounts'
-                });
-            }
-            
-            if (k8sData.status === 'fulfilled') {
-                response.kubernetes = k8sData.value;
-            } else {
-                response.kubernetes = null;
-                response.errors.push({
-                    type: 'kubernetes',
-                    message: k8sData.reason?.message || 'Failed to fetch Kubernetes data'
-                });
-            }
-            
-            if (gptData.status === 'fulfilled') {
-                response.openAIUsage = gptData.value;
-            } else {
-                response.openAIUsage = null;
-                response.errors.push({
-                    type: 'openai',
-                    message: gptData.reason?.message || 'Failed to fetch OpenAI usage'
-                });
-            }
-            
-            if (backupData.status === 'fulfilled') {
-                response.backupStatus = backupData.value;
-            } else {
-                response.backupStatus = null;
-                response.errors.push({
-                    type: 'backup',
-                    message: backupData.reason?.message || 'Failed to fetch backup status'
-                });
-            }
-            
-            return {
-                status: 200,
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Access-Control-Allow-Origin': '*',
-                    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-                    'Access-Control-Allow-Headers': 'Content-Type'
-                },
-                body: JSON.stringify(response)
-            };
-        } catch (error) {
-            context.log.error('Error in metrics function:', error);
-            
-            return {
-                status: 500,
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Access-Control-Allow-Origin': '*'
-                },
-                body: JSON.stringify({
-                    error: 'Internal server error',
-                    message: error.message,
-                    timestamp: new Date().toISOString()
-                })
-            };
-        }
-    }
-});
-
-// Resource groups endpoint
-app.http('resourceGroups', {
-    methods: ['GET', 'OPTIONS'],
-    authLevel: 'anonymous',
-    handler: async (request, context) => {
-        context.log('Resource groups function triggered');
-        
-        if (request.method === 'OPTIONS') {
-            return {
-                status: 204,
-                headers: {
-                    'Access-Control-Allow-Origin': '*',
-                    'Access-Control-Allow-Methods': 'GET, OPTIONS',
-                    'Access-Control-Allow-Headers': 'Content-Type'
-                }
-            };
-        }
-        
-        try {
-            const resourceGroups = await fetchResourceGroups();
-            
-            return {
-                status: 200,
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Access-Control-Allow-Origin': '*',
-                    'Access-Control-Allow-Methods': 'GET, OPTIONS',
-                    'Access-Control-Allow-Headers': 'Content-Type'
-                },
-                body: JSON.stringify({
-                    subscriptionId: subscriptionId,
-                    resourceGroups: resourceGroups,
-                    timestamp: new Date().toISOString()
-                })
-            };
-        } catch (error) {
-            context.log.error('Error fetching resource groups:', error);
-            
-            return {
-                status: 500,
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Access-Control-Allow-Origin': '*'
-                },
-                body: JSON.stringify({
-                    error: 'Failed to fetch resource groups',
-                    message: error.message,
-                    timestamp: new Date().toISOString()
-                })
-            };
-        }
-    }
-});
-
-// Resources endpoint
-app.http('resources', {
-    methods: ['GET', 'OPTIONS'],
-    authLevel: 'anonymous',
-    handler: async (request, context) => {
-        context.log('Resources function triggered');
-        
-        if (request.method === 'OPTIONS') {
-            return {
-                status: 204,
-                headers: {
-                    'Access-Control-Allow-Origin': '*',
-                    'Access-Control-Allow-Methods': 'GET, OPTIONS',
-                    'Access-Control-Allow-Headers': 'Content-Type'
-                }
-            };
-        }
-        
-        const resourceGroup = request.query.get('resourceGroup');
-        if (!resourceGroup) {
-            return {
-                status: 400,
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Access-Control-Allow-Origin': '*'
-                },
-                body: JSON.stringify({
-                    error: 'resourceGroup parameter is required'
-                })
-            };
-        }
-        
-        try {
-            const resources = await fetchResourcesInResourceGroup(resourceGroup);
-            
-            return {
-                status: 200,
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Access-Control-Allow-Origin': '*',
-                    'Access-Control-Allow-Methods': 'GET, OPTIONS',
-                    'Access-Control-Allow-Headers': 'Content-Type'
-                },
-                body: JSON.stringify({
-                    subscriptionId: subscriptionId,
-                    resourceGroup: resourceGroup,
-                    resources: resources,
-                    count: resources.length,
-                    timestamp: new Date().toISOString()
-                })
-            };
-        } catch (error) {
-            context.log.error('Error fetching resources:', error);
-            
-            return {
-                status: 500,
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Access-Control-Allow-Origin': '*'
-                },
-                body: JSON.stringify({
-                    error: 'Failed to fetch resources',
-                    message: error.message,
-                    timestamp: new Date().toISOString()
-                })
-            };
-        }
-    }
-});
-
-module.exports = { app };
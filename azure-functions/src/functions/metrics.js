@@ -1,957 +1,21 @@
 const { app } = require('@azure/functions');
-const { DefaultAzureCredential } = require('@azure/identity');
-const { CostManagementClient } = require('@azure/arm-costmanagement');
 const { ResourceGraphClient } = require('@azure/arm-resourcegraph');
-const { StorageManagementClient } = require('@azure/arm-storage');
-const { ContainerServiceClient } = require('@azure/arm-containerservice');
-const { MonitorClient } = require('@azure/arm-monitor');
-const { CognitiveServicesManagementClient } = require('@azure/arm-cognitiveservices');
 const { ResourceManagementClient } = require('@azure/arm-resources');
-const { RecoveryServicesBackupClient } = require('@azure/arm-recoveryservicesbackup');
-const { RecoveryServicesClient } = require('@azure/arm-recoveryservices');
-const { WebSiteManagementClient } = require('@azure/arm-appservice');
-const { TableClient } = require('@azure/data-tables');
-const { BlobServiceClient: StorageBlobClient } = require('@azure/storage-blob');
 const axios = require('axios');
+const { ALL_SUBSCRIPTIONS, listSubscriptions, resolveTargets, labelItems } = require('../shared/subscriptions');
+const { recordSnapshot, querySeries, listMetrics } = require('../shared/metricsHistory');
+const { listCollectors, resolveSources, collectSection, aggregateSections, summarizeSection, warmCollectors, describeCollectors } = require('../collectors');
+const { WINDOWS: FUNCTION_WINDOWS, DEFAULT_WINDOW: DEFAULT_FUNCTION_WINDOW, functionAppTelemetry } = require('../shared/functionTelemetry');
+const { getCachedEntry, setCachedData } = require('../shared/metricsCache');
 
-// Configuration
-const subscriptionId = '3cfb259a-f02a-484e-9ce3-d83c21fd0ddb';
-const resourceGroupName = 'saxtech-ai'; // Fixed: using lowercase
-const credential = new DefaultAzureCredential();
-
-// Table Storage configuration for caching
-const tableStorageConnectionString = process.env.AzureWebJobsStorage || '';
-const cacheTableName = 'metricscache';
-const CACHE_DURATION_MS = 60 * 60 * 1000; // 1 hour cache
-
-// Initialize Table Client
-let tableClient;
-try {
-    if (tableStorageConnectionString) {
-        tableClient = TableClient.fromConnectionString(tableStorageConnectionString, cacheTableName);
-        tableClient.createTable().catch(() => {});
-    }
-} catch (error) {
-    console.error('Failed to initialize Table Storage:', error);
-}
-
-// Cache helpers
-async function getCachedData(key) {
-    if (!tableClient) return null;
-    try {
-        const entity = await tableClient.getEntity('cache', key);
-        const age = Date.now() - new Date(entity.timestamp).getTime();
-        if (age < CACHE_DURATION_MS) {
-            return JSON.parse(entity.data);
-        }
-    } catch (error) {
-        return null;
-    }
-    return null;
-}
-
-async function setCachedData(key, data) {
-    if (!tableClient) return;
-    try {
-        const entity = {
-            partitionKey: 'cache',
-            rowKey: key,
-            data: JSON.stringify(data),
-            timestamp: new Date().toISOString()
-        };
-        await tableClient.upsertEntity(entity);
-    } catch (error) {
-        console.error('Failed to cache data:', error);
-    }
-}
-
-// FIXED: Proper daily cost aggregation
-async function fetchCostData(bypassCache = false) {
-    const cacheKey = 'costData';
-    
-    if (!bypassCache) {
-        const cachedCost = await getCachedData(cacheKey);
-        if (cachedCost && cachedCost.monthToDate > 0) {
-            console.log('Returning cached cost data');
-            return cachedCost;
-        }
-    }
-    
-    try {
-        const costClient = new CostManagementClient(credential);
-        const now = new Date();
-        const thirtyDaysAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-        const tomorrow = new Date(now.getTime() + 24 * 60 * 60 * 1000);
-        
-        // Query for daily aggregated costs
-        const query = {
-            type: 'ActualCost',
-            timeframe: 'Custom',
-            timePeriod: {
-                from: thirtyDaysAgo.toISOString().split('T')[0],
-                to: tomorrow.toISOString().split('T')[0]
-            },
-            dataset: {
-                granularity: 'Daily',
-                aggregation: {
-                    totalCost: {
-                        name: 'PreTaxCost',
-                        function: 'Sum'
-                    }
-                },
-                grouping: [
-                    {
-                        type: 'Dimension',
-                        name: 'ServiceName'
-                    }
-                ]
-            }
-        };
-        
-        const scope = `/subscriptions/${subscriptionId}`;
-        const result = await costClient.query.usage(scope, query);
-        
-        // Aggregate costs by day
-        const dailyCosts = {};
-        const costBreakdown = {};
-        let monthToDate = 0;
-        
-        const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
-        
-        if (result.rows && result.rows.length > 0) {
-            result.rows.forEach(row => {
-                // Azure returns [cost, date, currency] OR [cost, date, service] depending on grouping
-                const cost = parseFloat(row[0]) || 0;
-                const dateInt = row[1]; // This is already an integer like 20250829
-                let service = 'Total';
-                
-                // Check if third element is currency or service name
-                if (row[2] && row[2] !== 'USD' && row[2] !== 'EUR') {
-                    service = row[2];
-                }
-                
-                // Parse date from integer format (20250829) to Date object
-                const dateStr = String(dateInt);
-                const year = parseInt(dateStr.substring(0, 4));
-                const month = parseInt(dateStr.substring(4, 6)) - 1; // JS months are 0-indexed
-                const day = parseInt(dateStr.substring(6, 8));
-                const date = new Date(year, month, day);
-                const dateKey = date.toISOString().split('T')[0];
-                
-                // Aggregate daily totals
-                if (!dailyCosts[dateKey]) {
-                    dailyCosts[dateKey] = {
-                        date: dateInt,
-                        dateStr: dateKey,
-                        cost: 0,
-                        services: {}
-                    };
-                }
-                
-                dailyCosts[dateKey].cost += cost;
-                dailyCosts[dateKey].services[service] = (dailyCosts[dateKey].services[service] || 0) + cost;
-                
-                // Track month-to-date
-                if (date >= startOfMonth) {
-                    monthToDate += cost;
-                }
-                
-                // Service breakdown
-                if (!costBreakdown[service]) {
-                    costBreakdown[service] = 0;
-                }
-                costBreakdown[service] += cost;
-            });
-        }
-        
-        // Convert to historical array and sort
-        const historical = Object.values(dailyCosts)
-            .map(day => ({
-                date: day.date,
-                dateStr: day.dateStr,
-                cost: day.cost,
-                services: day.services
-            }))
-            .sort((a, b) => a.date - b.date);
-        
-        // Get yesterday's total cost
-        const yesterdayDate = new Date(now.getTime() - 24 * 60 * 60 * 1000);
-        const yesterdayKey = yesterdayDate.toISOString().split('T')[0];
-        const yesterday = dailyCosts[yesterdayKey]?.cost || 0;
-        
-        // Return actual data even if zero - NO FAKE DATA
-        console.log(`Cost data: MTD=${monthToDate}, Yesterday=${yesterday}, Historical=${historical.length} records`);
-        
-        const costData = {
-            monthToDate,
-            yesterday,
-            currency: 'USD',
-            historical,
-            costBreakdown,
-            dailyCosts
-        };
-        
-        await setCachedData(cacheKey, costData);
-        return costData;
-    } catch (error) {
-        console.error('Error fetching cost data:', error);
-        throw new Error(`Failed to fetch cost data: ${error.message}`);
-    }
-}
-
-// FIXED: Using Resource Management API instead of Resource Graph
-async function fetchResourceCounts() {
-    try {
-        const resourceClient = new ResourceManagementClient(credential, subscriptionId);
-        const webClient = new WebSiteManagementClient(credential, subscriptionId);
-        const storageClient = new StorageManagementClient(credential, subscriptionId);
-        
-        let staticSites = 0;
-        let functionApps = 0;
-        let storageAccounts = 0;
-        let totalResources = 0;
-        const resourceDetails = {
-            staticSites: [],
-            functionApps: [],
-            storageAccounts: []
-        };
-        
-        // Fetch all resources using Resource Management API
-        console.log('Fetching resources using Resource Management API...');
-        
-        // Method 1: Try using WebSiteManagementClient for web resources
-        try {
-            // Get Static Web Apps with custom domains
-            for await (const staticSite of webClient.staticSites.list()) {
-                staticSites++;
-                
-                // Get custom domains
-                let customDomains = [];
-                try {
-                    const rgName = staticSite.id?.split('/')[4];
-                    if (rgName) {
-                        const domains = webClient.staticSites.listStaticSiteCustomDomains(rgName, staticSite.name);
-                        for await (const domain of domains) {
-                            customDomains.push(domain.domainName || domain);
-                        }
-                    }
-                } catch (err) {
-                    console.log(`Could not get custom domains for ${staticSite.name}`);
-                }
-                
-                resourceDetails.staticSites.push({
-                    name: staticSite.name,
-                    location: staticSite.location,
-                    resourceGroup: staticSite.id?.split('/')[4] || 'unknown',
-                    id: staticSite.id,
-                    endpoint: staticSite.defaultHostname ? 
-                        `https://${staticSite.defaultHostname}` : 
-                        `https://${staticSite.name}.azurestaticapps.net`,
-                    customDomains: customDomains,
-                    sku: staticSite.sku?.name || 'Free',
-                    tier: staticSite.sku?.tier || 'Free',
-                    monthlyCost: staticSite.sku?.name === 'Standard' ? 9 : 0,
-                    properties: staticSite,
-                    tags: staticSite.tags || {},
-                    createdTime: staticSite.systemData?.createdAt
-                });
-            }
-            console.log(`Found ${staticSites} static web apps`);
-            
-            // Get all Web Apps (includes Function Apps) with function details
-            for await (const site of webClient.webApps.list()) {
-                totalResources++;
-                const kind = (site.kind || '').toLowerCase();
-                if (kind.includes('functionapp')) {
-                    functionApps++;
-                    
-                    // Get function list
-                    let functionsList = [];
-                    try {
-                        const rgName = site.id?.split('/')[4];
-                        if (rgName) {
-                            const functions = webClient.webApps.listFunctions(rgName, site.name);
-                            for await (const func of functions) {
-                                functionsList.push({
-                                    name: func.name?.split('/').pop() || func.name,
-                                    language: func.config?.bindings?.[0]?.type || 'Unknown',
-                                    isDisabled: func.config?.disabled || false
-                                });
-                            }
-                        }
-                    } catch (err) {
-                        console.log(`Could not get functions for ${site.name}`);
-                    }
-                    
-                    const isLinux = kind.includes('linux');
-                    const osType = isLinux ? 'Linux' : 'Windows';
-                    
-                    resourceDetails.functionApps.push({
-                        name: site.name,
-                        location: site.location,
-                        resourceGroup: site.id?.split('/')[4] || 'unknown',
-                        id: site.id,
-                        kind: site.kind,
-                        osType: osType,
-                        runtime: site.siteConfig?.linuxFxVersion || site.siteConfig?.nodeVersion || 'Unknown',
-                        endpoint: site.defaultHostName ? 
-                            `https://${site.defaultHostName}` : 
-                            `https://${site.name}.azurewebsites.net`,
-                        state: site.state,
-                        sku: site.sku || 'Consumption',
-                        functionCount: functionsList.length,
-                        functions: functionsList,
-                        properties: site,
-                        tags: site.tags || {},
-                        createdTime: site.systemData?.createdAt
-                    });
-                }
-            }
-            console.log(`Found ${functionApps} function apps`);
-        } catch (webError) {
-            console.log('Error fetching web resources:', webError.message);
-        }
-        
-        // Method 2: Fallback to generic resource listing
-        if (staticSites === 0 && functionApps === 0) {
-            console.log('Trying fallback method with generic resource listing...');
-            for await (const resource of resourceClient.resources.list()) {
-                totalResources++;
-                const type = (resource.type || '').toLowerCase();
-                const kind = (resource.kind || '').toLowerCase();
-                
-                if (type === 'microsoft.web/staticsites' && !resourceDetails.staticSites.find(s => s.id === resource.id)) {
-                    staticSites++;
-                    resourceDetails.staticSites.push({
-                        name: resource.name,
-                        location: resource.location,
-                        resourceGroup: resource.id?.split('/')[4] || 'unknown',
-                        id: resource.id,
-                        endpoint: `https://${resource.name}.azurestaticapps.net`,
-                        properties: resource.properties || {},
-                        tags: resource.tags || {}
-                    });
-                } else if (type === 'microsoft.web/sites' && kind.includes('functionapp') && 
-                          !resourceDetails.functionApps.find(f => f.id === resource.id)) {
-                    functionApps++;
-                    resourceDetails.functionApps.push({
-                        name: resource.name,
-                        location: resource.location,
-                        resourceGroup: resource.id?.split('/')[4] || 'unknown',
-                        id: resource.id,
-                        kind: resource.kind,
-                        endpoint: `https://${resource.name}.azurewebsites.net`,
-                        properties: resource.properties || {},
-                        tags: resource.tags || {}
-                    });
-                } else if (type === 'microsoft.storage/storageaccounts') {
-                    storageAccounts++;
-                    resourceDetails.storageAccounts.push({
-                        name: resource.name,
-                        location: resource.location,
-                        resourceGroup: resource.id?.split('/')[4] || 'unknown',
-                        id: resource.id,
-                        properties: resource.properties || {},
-                        tags: resource.tags || {}
-                    });
-                }
-            }
-        }
-        
-        // Get Storage Accounts using dedicated client (most reliable)
-        if (storageAccounts === 0) {
-            for await (const account of storageClient.storageAccounts.list()) {
-                if (!resourceDetails.storageAccounts.find(s => s.id === account.id)) {
-                    storageAccounts++;
-                    resourceDetails.storageAccounts.push({
-                        name: account.name,
-                        location: account.location,
-                        resourceGroup: account.id?.split('/')[4] || 'unknown',
-                        id: account.id,
-                        sku: account.sku?.name,
-                        kind: account.kind,
-                        properties: account,
-                        tags: account.tags || {}
-                    });
-                }
-            }
-            console.log(`Found ${storageAccounts} storage accounts`);
-        }
-        
-        console.log(`Total counts - Static Sites: ${staticSites}, Function Apps: ${functionApps}, Storage: ${storageAccounts}`);
-        
-        return {
-            counts: {
-                staticSites,
-                functionApps,
-                storageAccounts,
-                totalResources
-            },
-            details: resourceDetails
-        };
-    } catch (error) {
-        console.error('Error fetching resource counts:', error);
-        return {
-            counts: {
-                staticSites: 0,
-                functionApps: 0,
-                storageAccounts: 0,
-                totalResources: 0
-            },
-            details: {
-                staticSites: [],
-                functionApps: [],
-                storageAccounts: []
-            }
-        };
-    }
-}
-
-// FIXED: Storage account sizing with proper blob enumeration
-async function fetchStorageAccounts() {
-    try {
-        const storageClient = new StorageManagementClient(credential, subscriptionId);
-        const monitorClient = new MonitorClient(credential, subscriptionId);
-        const accounts = [];
-        
-        for await (const account of storageClient.storageAccounts.list()) {
-            const accountDetails = {
-                name: account.name,
-                location: account.location,
-                sku: account.sku?.name || 'Unknown',
-                kind: account.kind,
-                resourceGroup: account.id.split('/')[4],
-                createdTime: account.creationTime,
-                primaryEndpoints: account.primaryEndpoints,
-                containers: [],
-                totalSizeGB: 0,
-                blobCount: 0,
-                usedCapacityBytes: 0
-            };
-            
-            try {
-                // Get metrics for storage account capacity
-                const resourceId = account.id;
-                const endTime = new Date();
-                const startTime = new Date(endTime.getTime() - 24 * 60 * 60 * 1000);
-                
-                const metricsResult = await monitorClient.metrics.list(
-                    resourceId,
-                    {
-                        timespan: `${startTime.toISOString()}/${endTime.toISOString()}`,
-                        metricnames: 'UsedCapacity',
-                        aggregation: 'Average'
-                    }
-                );
-                
-                if (metricsResult.value && metricsResult.value[0]?.timeseries?.[0]?.data?.length > 0) {
-                    const latestData = metricsResult.value[0].timeseries[0].data.slice(-1)[0];
-                    accountDetails.usedCapacityBytes = latestData.average || 0;
-                    accountDetails.totalSizeGB = accountDetails.usedCapacityBytes / (1024 * 1024 * 1024);
-                }
-                
-                // Try to get container details
-                const keys = await storageClient.storageAccounts.listKeys(
-                    accountDetails.resourceGroup,
-                    account.name
-                );
-                
-                if (keys.keys && keys.keys.length > 0 && account.primaryEndpoints?.blob) {
-                    const blobServiceClient = StorageBlobClient.fromConnectionString(
-                        `DefaultEndpointsProtocol=https;AccountName=${account.name};AccountKey=${keys.keys[0].value};EndpointSuffix=core.windows.net`
-                    );
-                    
-                    // List containers with size estimates
-                    for await (const container of blobServiceClient.listContainers()) {
-                        const containerClient = blobServiceClient.getContainerClient(container.name);
-                        let containerSize = 0;
-                        let blobCount = 0;
-                        
-                        // Sample first 100 blobs for size estimate
-                        const iterator = containerClient.listBlobsFlat().byPage({ maxPageSize: 100 });
-                        const response = await iterator.next();
-                        
-                        if (!response.done && response.value?.segment?.blobItems) {
-                            for (const blob of response.value.segment.blobItems) {
-                                containerSize += blob.properties.contentLength || 0;
-                                blobCount++;
-                            }
-                            
-                            // Estimate total if there are more blobs
-                            if (response.value.continuationToken) {
-                                // Rough estimate based on sample
-                                blobCount = Math.round(blobCount * 10); // Estimate
-                                containerSize = containerSize * 10; // Estimate
-                            }
-                        }
-                        
-                        accountDetails.containers.push({
-                            name: container.name,
-                            publicAccess: container.properties?.publicAccess || 'private',
-                            lastModified: container.properties?.lastModified,
-                            sizeBytes: containerSize,
-                            blobCount: blobCount,
-                            estimated: blobCount > 100
-                        });
-                        
-                        accountDetails.blobCount += blobCount;
-                    }
-                }
-            } catch (error) {
-                console.log(`Could not get detailed info for storage account ${account.name}:`, error.message);
-            }
-            
-            accounts.push(accountDetails);
-        }
-        
-        return accounts;
-    } catch (error) {
-        console.error('Error fetching storage accounts:', error);
-        return [];
-    }
-}
-
-// FIXED: Enhanced Kubernetes details
-async function fetchKubernetesMetrics() {
-    try {
-        const aksClient = new ContainerServiceClient(credential, subscriptionId);
-        const monitorClient = new MonitorClient(credential, subscriptionId);
-        const clusters = [];
-        let totalNodes = 0;
-        let totalCpu = 0;
-        let totalMemory = 0;
-        let totalPods = 0;
-        
-        for await (const cluster of aksClient.managedClusters.list()) {
-            const resourceGroupName = cluster.id ? cluster.id.split('/')[4] : null;
-            if (!resourceGroupName) continue;
-            
-            const agentPools = [];
-            let clusterNodeCount = 0;
-            
-            for await (const pool of aksClient.agentPools.list(resourceGroupName, cluster.name)) {
-                const poolDetails = {
-                    name: pool.name,
-                    count: pool.count || 0,
-                    vmSize: pool.vmSize,
-                    mode: pool.mode,
-                    osType: pool.osType,
-                    orchestratorVersion: pool.orchestratorVersion,
-                    maxPods: pool.maxPods || 30,
-                    nodeLabels: pool.nodeLabels,
-                    nodeTaints: pool.nodeTaints
-                };
-                agentPools.push(poolDetails);
-                clusterNodeCount += pool.count || 0;
-                totalNodes += pool.count || 0;
-                totalPods += (pool.count || 0) * (pool.maxPods || 30);
-            }
-            
-            const clusterDetails = {
-                name: cluster.name,
-                location: cluster.location,
-                resourceGroup: resourceGroupName,
-                kubernetesVersion: cluster.kubernetesVersion,
-                nodeCount: clusterNodeCount,
-                agentPools: agentPools,
-                status: cluster.provisioningState,
-                fqdn: cluster.fqdn,
-                networkProfile: {
-                    networkPlugin: cluster.networkProfile?.networkPlugin,
-                    serviceCidr: cluster.networkProfile?.serviceCidr,
-                    dnsServiceIP: cluster.networkProfile?.dnsServiceIP,
-                    dockerBridgeCidr: cluster.networkProfile?.dockerBridgeCidr
-                },
-                addonProfiles: cluster.addonProfiles ? Object.keys(cluster.addonProfiles).filter(key => 
-                    cluster.addonProfiles[key]?.enabled
-                ) : [],
-                powerState: cluster.powerState?.code,
-                maxPodsCapacity: totalPods,
-                features: {
-                    rbac: cluster.enableRBAC,
-                    privateCluster: cluster.apiServerAccessProfile?.enablePrivateCluster,
-                    monitoring: cluster.addonProfiles?.omsagent?.enabled || false
-                }
-            };
-            
-            // Get cluster metrics
-            try {
-                const resourceId = `/subscriptions/${subscriptionId}/resourceGroups/${resourceGroupName}/providers/Microsoft.ContainerService/managedClusters/${cluster.name}`;
-                const endTime = new Date();
-                const startTime = new Date(endTime.getTime() - 60 * 60 * 1000); // Last hour
-                
-                // CPU metrics
-                const cpuMetrics = await monitorClient.metrics.list(
-                    resourceId,
-                    {
-                        timespan: `${startTime.toISOString()}/${endTime.toISOString()}`,
-                        metricnames: 'node_cpu_usage_percentage',
-                        aggregation: 'Average',
-                        interval: 'PT5M'
-                    }
-                );
-                
-                if (cpuMetrics.value?.[0]?.timeseries?.[0]?.data?.length > 0) {
-                    const cpuData = cpuMetrics.value[0].timeseries[0].data;
-                    const avgCpu = cpuData.reduce((sum, d) => sum + (d.average || 0), 0) / cpuData.length;
-                    clusterDetails.cpuUsage = avgCpu;
-                    totalCpu += avgCpu;
-                }
-                
-                // Memory metrics
-                const memoryMetrics = await monitorClient.metrics.list(
-                    resourceId,
-                    {
-                        timespan: `${startTime.toISOString()}/${endTime.toISOString()}`,
-                        metricnames: 'node_memory_working_set_percentage',
-                        aggregation: 'Average',
-                        interval: 'PT5M'
-                    }
-                );
-                
-                if (memoryMetrics.value?.[0]?.timeseries?.[0]?.data?.length > 0) {
-                    const memData = memoryMetrics.value[0].timeseries[0].data;
-                    const avgMem = memData.reduce((sum, d) => sum + (d.average || 0), 0) / memData.length;
-                    clusterDetails.memoryUsage = avgMem;
-                    totalMemory += avgMem;
-                }
-            } catch (metricsError) {
-                console.log(`Could not fetch metrics for cluster ${cluster.name}:`, metricsError.message);
-            }
-            
-            clusters.push(clusterDetails);
-        }
-        
-        return {
-            clusterCount: clusters.length,
-            clusters: clusters,
-            totalNodes: totalNodes,
-            totalPodsCapacity: totalPods,
-            avgCpuUsage: clusters.length > 0 ? (totalCpu / clusters.length).toFixed(2) : 0,
-            avgMemoryUsage: clusters.length > 0 ? (totalMemory / clusters.length).toFixed(2) : 0
-        };
-    } catch (error) {
-        console.error('Error fetching Kubernetes metrics:', error);
-        return {
-            clusterCount: 0,
-            clusters: [],
-            totalNodes: 0,
-            totalPodsCapacity: 0,
-            avgCpuUsage: 0,
-            avgMemoryUsage: 0
-        };
-    }
-}
-
-// FIXED: Backup status including Kubernetes backup detection
-async function fetchBackupStatus() {
-    try {
-        const graphClient = new ResourceGraphClient(credential);
-        const storageClient = new StorageManagementClient(credential, subscriptionId);
-        
-        // Check for n8n Kubernetes backup storage
-        let kubernetesBackup = null;
-        try {
-            // Check if the n8n backup storage account exists
-            const backupStorage = await storageClient.storageAccounts.getProperties('saxtech-ai', 'saxtechn8nbackups');
-            if (backupStorage) {
-                kubernetesBackup = {
-                    type: 'Kubernetes CronJob',
-                    storageAccount: 'saxtechn8nbackups',
-                    container: 'n8n-backups',
-                    schedule: 'Every 6 hours',
-                    components: ['PostgreSQL Database', 'n8n Files'],
-                    status: 'Active'
-                };
-            }
-        } catch (e) {
-            // Storage account doesn't exist or not accessible
-        }
-        
-        // Query for traditional backup vaults
-        const vaultQuery = {
-            subscriptions: [subscriptionId],
-            query: `
-                Resources
-                | where subscriptionId =~ '${subscriptionId}'
-                | where type =~ 'microsoft.recoveryservices/vaults' or type =~ 'microsoft.dataprotection/backupvaults'
-                | project name, type, location, resourceGroup, id, properties
-            `
-        };
-        
-        const vaultResult = await graphClient.resources(vaultQuery);
-        const vaults = [];
-        let totalProtectedItems = 0;
-        let totalVaults = 0;
-        
-        if (vaultResult.data && vaultResult.data.length > 0) {
-            for (const vault of vaultResult.data) {
-                totalVaults++;
-                vaults.push({
-                    name: vault.name,
-                    type: vault.type,
-                    location: vault.location,
-                    resourceGroup: vault.resourceGroup,
-                    protectedItems: [],
-                    jobs: []
-                });
-            }
-        }
-        
-        // Try to get protected items count from properties
-        const protectedItemsQuery = {
-            subscriptions: [subscriptionId],
-            query: `
-                Resources
-                | where subscriptionId =~ '${subscriptionId}'
-                | where type contains 'backup'
-                | summarize count() by type
-            `
-        };
-        
-        const protectedResult = await graphClient.resources(protectedItemsQuery);
-        if (protectedResult.data && protectedResult.data.length > 0) {
-            totalProtectedItems = protectedResult.totalRecords || 0;
-        }
-        
-        return {
-            vaults: vaults,
-            kubernetesBackup: kubernetesBackup,
-            summary: {
-                totalVaults: totalVaults,
-                totalProtectedItems: totalProtectedItems,
-                failedJobs: 0,
-                successfulJobs: 0,
-                status: kubernetesBackup ? 'Kubernetes Backup Active' : (totalVaults > 0 ? 'Configured' : 'Not Configured')
-            }
-        };
-    } catch (error) {
-        console.error('Error fetching backup status:', error);
-        return {
-            vaults: [],
-            summary: {
-                totalVaults: 0,
-                totalProtectedItems: 0,
-                failedJobs: 0,
-                successfulJobs: 0,
-                status: 'Unknown'
-            }
-        };
-    }
-}
-
-// FIXED: GPT usage with proper OpenAI metrics
-async function fetchGPTUsage(bypassCache = false) {
-    const cacheKey = 'gptUsage';
-    
-    if (!bypassCache) {
-        const cachedUsage = await getCachedData(cacheKey);
-        if (cachedUsage && cachedUsage.modelUsage && Object.keys(cachedUsage.modelUsage).length > 0) {
-            console.log('Returning cached GPT usage data');
-            return cachedUsage;
-        }
-    }
-    
-    try {
-        const cognitiveClient = new CognitiveServicesManagementClient(credential, subscriptionId);
-        const monitorClient = new MonitorClient(credential, subscriptionId);
-        const openAIAccounts = [];
-        const modelUsage = {};
-        let totalTokens = 0;
-        let totalCost = 0;
-        const dailyUsage = {};
-        
-        // Find OpenAI and AIServices accounts (which can also host OpenAI models)
-        for await (const account of cognitiveClient.accounts.list()) {
-            if (account.kind === 'OpenAI' || account.kind === 'AIServices') {
-                const accountResourceGroup = account.id.split('/')[4];
-                const accountDetails = {
-                    name: account.name,
-                    location: account.location,
-                    resourceGroup: accountResourceGroup,
-                    endpoint: account.properties?.endpoint,
-                    deployments: []
-                };
-                
-                // Get deployments
-                try {
-                    const deployments = cognitiveClient.deployments.list(
-                        accountResourceGroup,
-                        account.name
-                    );
-                    
-                    for await (const deployment of deployments) {
-                        const modelName = deployment.properties?.model?.name || deployment.model?.name || deployment.name || 'Unknown';
-                        const modelVersion = deployment.properties?.model?.version || deployment.model?.version || 'latest';
-                        
-                        accountDetails.deployments.push({
-                            name: deployment.name,
-                            model: modelName,
-                            version: modelVersion,
-                            capacity: deployment.sku?.capacity || deployment.properties?.scaleSettings?.capacity
-                        });
-                        
-                        // Initialize model tracking
-                        if (!modelUsage[modelName]) {
-                            modelUsage[modelName] = {
-                                tokens: 0,
-                                requests: 0,
-                                cost: 0,
-                                deploymentName: deployment.name
-                            };
-                        }
-                    }
-                } catch (error) {
-                    console.log(`Could not get deployments for ${account.name}:`, error.message);
-                    // Try alternate approach for deployments
-                    try {
-                        // Some accounts may have deployment info in properties
-                        if (account.properties?.deployments) {
-                            for (const dep of account.properties.deployments) {
-                                const modelName = dep.model || dep.name || 'Unknown';
-                                accountDetails.deployments.push({
-                                    name: dep.name,
-                                    model: modelName,
-                                    version: dep.version || 'latest'
-                                });
-                                if (!modelUsage[modelName]) {
-                                    modelUsage[modelName] = {
-                                        tokens: 0,
-                                        requests: 0,
-                                        cost: 0,
-                                        deploymentName: dep.name
-                                    };
-                                }
-                            }
-                        }
-                    } catch (altError) {
-                        // No deployments found via alternate method either
-                    }
-                }
-                
-                // Get usage metrics
-                try {
-                    const resourceId = account.id;
-                    const endTime = new Date();
-                    const startTime = new Date(endTime.getTime() - 7 * 24 * 60 * 60 * 1000); // Last 7 days
-                    
-                    // Try multiple metric names
-                    const metricNames = [
-                        'ProcessedInferenceTokens',
-                        'GeneratedCompletionTokens', 
-                        'ProcessedPromptTokens',
-                        'TokenTransaction',
-                        'ActiveTokens'
-                    ];
-                    
-                    for (const metricName of metricNames) {
-                        try {
-                            const metrics = await monitorClient.metrics.list(
-                                resourceId,
-                                {
-                                    timespan: `${startTime.toISOString()}/${endTime.toISOString()}`,
-                                    metricnames: metricName,
-                                    aggregation: 'Total',
-                                    interval: 'P1D'
-                                }
-                            );
-                            
-                            if (metrics.value?.[0]?.timeseries?.[0]?.data) {
-                                for (const dataPoint of metrics.value[0].timeseries[0].data) {
-                                    const date = new Date(dataPoint.timeStamp).toISOString().split('T')[0];
-                                    const tokens = dataPoint.total || 0;
-                                    
-                                    if (!dailyUsage[date]) {
-                                        dailyUsage[date] = 0;
-                                    }
-                                    dailyUsage[date] += tokens;
-                                    totalTokens += tokens;
-                                    
-                                    // Distribute to models
-                                    if (accountDetails.deployments.length > 0) {
-                                        const tokensPerModel = tokens / accountDetails.deployments.length;
-                                        accountDetails.deployments.forEach(dep => {
-                                            modelUsage[dep.model].tokens += tokensPerModel;
-                                        });
-                                    }
-                                }
-                            }
-                        } catch (metricError) {
-                            // Try next metric name
-                        }
-                    }
-                } catch (error) {
-                    console.log(`Could not fetch metrics for OpenAI account ${account.name}:`, error.message);
-                }
-                
-                openAIAccounts.push(accountDetails);
-            }
-        }
-        
-        // Calculate costs based on actual model pricing
-        Object.keys(modelUsage).forEach(model => {
-            let costPer1K = 0.002; // Default
-            const modelLower = model?.toLowerCase() || '';
-            
-            if (modelLower.includes('gpt-4o')) {
-                costPer1K = 0.005; // GPT-4o pricing
-            } else if (modelLower.includes('gpt-4')) {
-                costPer1K = 0.03; // GPT-4 pricing
-            } else if (modelLower.includes('gpt-3.5')) {
-                costPer1K = 0.002; // GPT-3.5 pricing
-            } else if (modelLower.includes('gpt-4.1-mini') || modelLower.includes('gpt-4o-mini')) {
-                costPer1K = 0.00015; // GPT-4o-mini input pricing
-            } else if (modelLower.includes('embedding') || modelLower.includes('ada')) {
-                costPer1K = 0.0001; // Embedding model pricing (much cheaper!)
-            } else if (modelLower.includes('davinci')) {
-                costPer1K = 0.02;
-            }
-            
-            modelUsage[model].cost = (modelUsage[model].tokens / 1000) * costPer1K;
-            totalCost += modelUsage[model].cost;
-        });
-        
-        // Convert model usage to array format for frontend
-        const models = Object.keys(modelUsage).map(modelName => ({
-            name: modelName,
-            tokens: modelUsage[modelName].tokens,
-            requests: modelUsage[modelName].requests || 0,
-            cost: modelUsage[modelName].cost,
-            deploymentName: modelUsage[modelName].deploymentName
-        }));
-        
-        console.log(`GPT Usage: ${totalTokens} tokens, ${models.length} models detected`);
-        
-        // If we have daily usage but it's an object, convert to array
-        const dailyUsageArray = [];
-        if (dailyUsage && typeof dailyUsage === 'object') {
-            Object.entries(dailyUsage).forEach(([date, tokens]) => {
-                dailyUsageArray.push({ date, tokens });
-            });
-        }
-        
-        const gptUsage = {
-            accounts: openAIAccounts,
-            models: models, // Add models array that frontend expects
-            modelUsage: modelUsage, // Keep for backward compatibility
-            dailyUsage: dailyUsageArray.length > 0 ? dailyUsageArray : Object.entries(dailyUsage).map(([date, tokens]) => ({ date, tokens })),
-            totalTokens: totalTokens,
-            estimatedCost: totalCost,
-            period: '7d'
-        };
-        
-        await setCachedData(cacheKey, gptUsage);
-        return gptUsage;
-    } catch (error) {
-        console.error('Error fetching GPT usage:', error);
-        throw error; // Throw error instead of returning fake data
-    }
-}
+// Subscriptions come from the registry in shared/subscriptions.js; every fetch helper
+// takes a target ({ subscriptionId, subscriptionName, tenantId, resourceGroup, credential }).
+// What the metrics endpoint reports comes from the collectors in ../collectors.
 
 // FIXED: Resources in resource group using Resource Management API
-async function fetchResourcesInResourceGroup(resourceGroupName) {
+async function fetchResourcesInResourceGroup(target, resourceGroupName) {
     try {
-        const resourceClient = new ResourceManagementClient(credential, subscriptionId);
+        const resourceClient = new ResourceManagementClient(target.credential, target.subscriptionId);
         const resources = [];
         
         // Use Resource Management API to list resources in resource group
@@ -1018,13 +82,13 @@ async function fetchResourcesInResourceGroup(resourceGroupName) {
         // Fallback to Resource Graph API
         try {
             console.log('Attempting fallback to Resource Graph API...');
-            const graphClient = new ResourceGraphClient(credential);
+            const graphClient = new ResourceGraphClient(target.credential);
             
             const query = {
-                subscriptions: [subscriptionId],
+                subscriptions: [target.subscriptionId],
                 query: `
                     Resources
-                    | where subscriptionId =~ '${subscriptionId}'
+                    | where subscriptionId =~ '${target.subscriptionId}'
                     | where resourceGroup =~ '${resourceGroupName}'
                     | project name, type, location, id, kind, sku, properties, tags
                     | order by type asc, name asc
@@ -1100,9 +164,9 @@ async function fetchResourcesInResourceGroup(resourceGroupName) {
 }
 
 // Fetch resource groups
-async function fetchResourceGroups() {
+async function fetchResourceGroups(target) {
     try {
-        const resourceClient = new ResourceManagementClient(credential, subscriptionId);
+        const resourceClient = new ResourceManagementClient(target.credential, target.subscriptionId);
         const resourceGroups = [];
         
         for await (const rg of resourceClient.resourceGroups.list()) {
@@ -1121,7 +185,25 @@ async function fetchResourceGroups() {
     }
 }
 
-// Main metrics endpoint
+function unknownSubscriptionResponse(selector, methods) {
+    return {
+        status: 400,
+        headers: {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': methods,
+            'Access-Control-Allow-Headers': 'Content-Type'
+        },
+        body: JSON.stringify({
+            error: `Subscription ${selector} is not registered`,
+            subscriptions: listSubscriptions().map(subscription => subscription.id)
+        })
+    };
+}
+
+// Main metrics endpoint: GET metrics?subscription=&sources=cost,aks&nocache=true
+// (no sources means every enabled collector). freshness gives each section's generatedAt and
+// whether it was served stale while a refresh runs in the background.
 app.http('metrics', {
     methods: ['GET', 'POST', 'OPTIONS'],
     authLevel: 'anonymous',
@@ -1139,91 +221,39 @@ app.http('metrics', {
             };
         }
         
-        const response = {
-            subscriptionId: subscriptionId,
-            resourceGroup: resourceGroupName,
-            timestamp: new Date().toISOString(),
-            errors: []
-        };
+        const url = new URL(request.url);
+        const selector = url.searchParams.get('subscription');
+        const targets = resolveTargets(selector);
+        if (!targets) {
+            return unknownSubscriptionResponse(selector, 'GET, POST, OPTIONS');
+        }
+        const { collectors, error: sourcesError } = resolveSources(url.searchParams.get('sources'));
+        if (sourcesError) {
+            return {
+                status: 400,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Access-Control-Allow-Origin': '*',
+                    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+                    'Access-Control-Allow-Headers': 'Content-Type'
+                },
+                body: JSON.stringify({ error: sourcesError })
+            };
+        }
         
         try {
             // Check if cache bypass is requested
-            const url = new URL(request.url);
             const bypassCache = url.searchParams.get('nocache') === 'true' || request.body?.clearCache === true;
             
-            const [costData, resourceData, storageData, k8sData, gptData, backupData] = await Promise.allSettled([
-                fetchCostData(bypassCache),
-                fetchResourceCounts(),
-                fetchStorageAccounts(),
-                fetchKubernetesMetrics(),
-                fetchGPTUsage(bypassCache),
-                fetchBackupStatus()
-            ]);
-            
-            // Process results
-            if (costData.status === 'fulfilled') {
-                response.costs = costData.value;
-            } else {
-                response.costs = null;
-                response.errors.push({
-                    type: 'cost',
-                    message: costData.reason?.message || 'Failed to fetch cost data'
-                });
-            }
-            
-            if (resourceData.status === 'fulfilled') {
-                response.resources = resourceData.value.counts;
-                response.resourceDetails = resourceData.value.details;
-            } else {
-                response.resources = null;
-                response.resourceDetails = null;
-                response.errors.push({
-                    type: 'resources',
-                    message: resourceData.reason?.message || 'Failed to fetch resource counts'
-                });
-            }
-            
-            if (storageData.status === 'fulfilled') {
-                response.storage = {
-                    accounts: storageData.value
-                };
-            } else {
-                response.storage = null;
-                response.errors.push({
-                    type: 'storage',
-                    message: storageData.reason?.message || 'Failed to fetch storage accounts'
-                });
-            }
-            
-            if (k8sData.status === 'fulfilled') {
-                response.kubernetes = k8sData.value;
-            } else {
-                response.kubernetes = null;
-                response.errors.push({
-                    type: 'kubernetes',
-                    message: k8sData.reason?.message || 'Failed to fetch Kubernetes data'
-                });
-            }
-            
-            if (gptData.status === 'fulfilled') {
-                response.openAIUsage = gptData.value;
-            } else {
-                response.openAIUsage = null;
-                response.errors.push({
-                    type: 'openai',
-                    message: gptData.reason?.message || 'Failed to fetch OpenAI usage'
-                });
-            }
+            const sections = await Promise.all(targets.map(target => collectSection(target, collectors, { bypassCache })));
+            const allSubscriptions = (selector || '').trim().toLowerCase() === ALL_SUBSCRIPTIONS;
             
-            if (backupData.status === 'fulfilled') {
-                response.backupStatus = backupData.value;
-            } else {
-                response.backupStatus = null;
-                response.errors.push({
-                    type: 'backup',
-                    message: backupData.reason?.message || 'Failed to fetch backup status'
-                });
-            }
+            const response = allSubscriptions
+                ? { subscriptionId: ALL_SUBSCRIPTIONS, resourceGroup: null, ...aggregateSections(sections, collectors) }
+                : sections[0];
+            response.sources = collectors.map(collector => collector.name);
+            response.subscriptions = sections.map(section => summarizeSection(section, collectors));
+            response.timestamp = new Date().toISOString();
             
             return {
                 status: 200,
@@ -1254,6 +284,123 @@ app.http('metrics', {
     }
 });
 
+// The metrics sources, their settings and the response sections each one fills
+app.http('metricsSources', {
+    methods: ['GET', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'metrics/sources',
+    handler: async (request, context) => {
+        context.log('Metrics sources function triggered');
+        
+        const headers = {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type'
+        };
+        if (request.method === 'OPTIONS') {
+            return { status: 204, headers: headers };
+        }
+        
+        return {
+            status: 200,
+            headers: headers,
+            body: JSON.stringify({
+                sources: describeCollectors(),
+                timestamp: new Date().toISOString()
+            })
+        };
+    }
+});
+
+// One Function App's per-function telemetry over a chosen window, for the dashboard's
+// drill-down: GET metrics/functions?app=&subscription=&window=1h|24h|7d|30d&nocache=true.
+// With subscription=all the app is looked up in every registered subscription.
+const FUNCTION_TELEMETRY_CACHE_MS = 5 * 60 * 1000;
+
+app.http('metricsFunctions', {
+    methods: ['GET', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'metrics/functions',
+    handler: async (request, context) => {
+        context.log('Metrics functions telemetry triggered');
+        
+        const headers = {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type'
+        };
+        if (request.method === 'OPTIONS') {
+            return { status: 204, headers: headers };
+        }
+        
+        const appName = (request.query.get('app') || '').trim();
+        const window = request.query.get('window') || DEFAULT_FUNCTION_WINDOW;
+        if (!appName || !FUNCTION_WINDOWS[window]) {
+            return {
+                status: 400,
+                headers: headers,
+                body: JSON.stringify({
+                    error: !appName ? 'app parameter is required' : `window must be one of ${Object.keys(FUNCTION_WINDOWS).join(', ')}`
+                })
+            };
+        }
+        const selector = request.query.get('subscription');
+        const targets = resolveTargets(selector);
+        if (!targets) {
+            return unknownSubscriptionResponse(selector, 'GET, OPTIONS');
+        }
+        
+        try {
+            const bypassCache = request.query.get('nocache') === 'true';
+            for (const target of targets) {
+                const cacheKey = `functionapp-${target.subscriptionId}-${appName.toLowerCase()}-${window}`;
+                const cached = bypassCache ? null : await getCachedEntry(cacheKey);
+                let telemetry = cached && Date.now() - new Date(cached.generatedAt).getTime() < FUNCTION_TELEMETRY_CACHE_MS ? cached.data : null;
+                let generatedAt = cached?.generatedAt;
+                if (!telemetry) {
+                    telemetry = await functionAppTelemetry(target, appName, window);
+                    if (!telemetry) continue;
+                    generatedAt = await setCachedData(cacheKey, telemetry);
+                }
+                
+                return {
+                    status: 200,
+                    headers: headers,
+                    body: JSON.stringify({
+                        ...labelItems([telemetry], target)[0],
+                        windows: Object.keys(FUNCTION_WINDOWS),
+                        generatedAt: generatedAt,
+                        timestamp: new Date().toISOString()
+                    })
+                };
+            }
+            
+            return {
+                status: 404,
+                headers: headers,
+                body: JSON.stringify({ error: `Function App ${appName} not found` })
+            };
+        } catch (error) {
+            context.error('Error fetching function telemetry:', error);
+            
+            return {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Access-Control-Allow-Origin': '*'
+                },
+                body: JSON.stringify({
+                    error: 'Failed to fetch function telemetry',
+                    message: error.message,
+                    timestamp: new Date().toISOString()
+                })
+            };
+        }
+    }
+});
+
 // Resource groups endpoint
 app.http('resourceGroups', {
     methods: ['GET', 'OPTIONS'],
@@ -1272,8 +419,16 @@ app.http('resourceGroups', {
             };
         }
         
+        const selector = request.query.get('subscription');
+        const targets = resolveTargets(selector);
+        if (!targets) {
+            return unknownSubscriptionResponse(selector, 'GET, OPTIONS');
+        }
+        
         try {
-            const resourceGroups = await fetchResourceGroups();
+            const perSubscription = await Promise.all(targets.map(async target =>
+                labelItems(await fetchResourceGroups(target), target)));
+            const resourceGroups = perSubscription.flat();
             
             return {
                 status: 200,
@@ -1284,7 +439,13 @@ app.http('resourceGroups', {
                     'Access-Control-Allow-Headers': 'Content-Type'
                 },
                 body: JSON.stringify({
-                    subscriptionId: subscriptionId,
+                    subscriptionId: targets.length === 1 ? targets[0].subscriptionId : ALL_SUBSCRIPTIONS,
+                    subscriptions: targets.map((target, index) => ({
+                        subscriptionId: target.subscriptionId,
+                        subscriptionName: target.subscriptionName,
+                        tenantId: target.tenantId,
+                        count: perSubscription[index].length
+                    })),
                     resourceGroups: resourceGroups,
                     timestamp: new Date().toISOString()
                 })
@@ -1340,8 +501,17 @@ app.http('resources', {
             };
         }
         
+        const selector = request.query.get('subscription');
+        const targets = resolveTargets(selector);
+        if (!targets) {
+            return unknownSubscriptionResponse(selector, 'GET, OPTIONS');
+        }
+        
         try {
-            const resources = await fetchResourcesInResourceGroup(resourceGroup);
+            // With "all", the same resource group name is looked up in every subscription
+            const perSubscription = await Promise.all(targets.map(async target =>
+                labelItems(await fetchResourcesInResourceGroup(target, resourceGroup), target)));
+            const resources = perSubscription.flat();
             
             return {
                 status: 200,
@@ -1352,7 +522,13 @@ app.http('resources', {
                     'Access-Control-Allow-Headers': 'Content-Type'
                 },
                 body: JSON.stringify({
-                    subscriptionId: subscriptionId,
+                    subscriptionId: targets.length === 1 ? targets[0].subscriptionId : ALL_SUBSCRIPTIONS,
+                    subscriptions: targets.map((target, index) => ({
+                        subscriptionId: target.subscriptionId,
+                        subscriptionName: target.subscriptionName,
+                        tenantId: target.tenantId,
+                        count: perSubscription[index].length
+                    })),
                     resourceGroup: resourceGroup,
                     resources: resources,
                     count: resources.length,
@@ -1378,6 +554,168 @@ app.http('resources', {
     }
 });
 
+// Registered subscriptions, for the dashboard's subscription picker
+app.http('subscriptions', {
+    methods: ['GET', 'OPTIONS'],
+    authLevel: 'anonymous',
+    handler: async (request, context) => {
+        context.log('Subscriptions function triggered');
+        
+        if (request.method === 'OPTIONS') {
+            return {
+                status: 204,
+                headers: {
+                    'Access-Control-Allow-Origin': '*',
+                    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+                    'Access-Control-Allow-Headers': 'Content-Type'
+                }
+            };
+        }
+        
+        return {
+            status: 200,
+            headers: {
+                'Content-Type': 'application/json',
+                'Access-Control-Allow-Origin': '*',
+                'Access-Control-Allow-Methods': 'GET, OPTIONS',
+                'Access-Control-Allow-Headers': 'Content-Type'
+            },
+            body: JSON.stringify({
+                subscriptions: listSubscriptions(),
+                timestamp: new Date().toISOString()
+            })
+        };
+    }
+});
+
+// Snapshot every registered subscription into the metrics history, one timer per source
+// on its own schedule (hourly by default)
+listCollectors().forEach(collector => {
+    app.timer(`metricsCollector-${collector.name}`, {
+        schedule: collector.schedule,
+        handler: async (myTimer, context) => {
+            const takenAt = new Date();
+            const targets = resolveTargets(ALL_SUBSCRIPTIONS);
+            
+            const results = await Promise.allSettled(targets.map(async target => {
+                // History records what the source says now, never a cached earlier answer
+                const section = await collectSection(target, [collector], { bypassCache: true });
+                if (section.errors.length > 0) {
+                    context.warn(`Metrics snapshot of ${collector.name} for ${target.subscriptionName} failed: ${section.errors[0].message}`);
+                    return 0;
+                }
+                return recordSnapshot(section, takenAt);
+            }));
+            
+            results.forEach((result, index) => {
+                if (result.status === 'rejected') {
+                    context.error(`Metrics snapshot of ${collector.name} failed for ${targets[index].subscriptionName}:`, result.reason);
+                }
+            });
+            const rows = results.reduce((total, result) => total + (result.status === 'fulfilled' ? result.value : 0), 0);
+            context.log(`Metrics snapshot of ${collector.name} at ${takenAt.toISOString()}: ${targets.length} subscriptions, ${rows} rows`);
+        }
+    });
+});
+
+// Keep every source's cache fresh for all registered subscriptions, so dashboard loads are
+// served from the cache instead of waiting on slow sources (every 5 minutes by default)
+app.timer('metricsPrewarm', {
+    schedule: process.env.METRICS_PREWARM_SCHEDULE || '0 */5 * * * *',
+    handler: async (myTimer, context) => {
+        const startedAt = Date.now();
+        const counts = await warmCollectors(resolveTargets(ALL_SUBSCRIPTIONS), listCollectors());
+        context.log(`Metrics pre-warm in ${Date.now() - startedAt}ms: ${counts.refreshed} refreshed, ${counts.fresh} still fresh, ${counts.failed} failed`);
+    }
+});
+
+// Downsampled time series from the metrics history:
+// GET metrics/history?metric=&subscription=&from=&to=&interval= (no metric lists what is recorded)
+app.http('metricsHistory', {
+    methods: ['GET', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'metrics/history',
+    handler: async (request, context) => {
+        context.log('Metrics history function triggered');
+        
+        if (request.method === 'OPTIONS') {
+            return {
+                status: 204,
+                headers: {
+                    'Access-Control-Allow-Origin': '*',
+                    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+                    'Access-Control-Allow-Headers': 'Content-Type'
+                }
+            };
+        }
+        
+        const headers = {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type'
+        };
+        
+        const metric = request.query.get('metric');
+        if (!metric) {
+            return {
+                status: 200,
+                headers: headers,
+                body: JSON.stringify({ metrics: listMetrics() })
+            };
+        }
+        
+        const selector = request.query.get('subscription');
+        const targets = resolveTargets(selector);
+        if (!targets) {
+            return unknownSubscriptionResponse(selector, 'GET, OPTIONS');
+        }
+        
+        try {
+            const series = await querySeries({
+                metric,
+                subscriptionIds: targets.map(target => target.subscriptionId),
+                from: request.query.get('from'),
+                to: request.query.get('to'),
+                interval: request.query.get('interval')
+            });
+            
+            return {
+                status: 200,
+                headers: headers,
+                body: JSON.stringify({
+                    subscriptionId: targets.length === 1 ? targets[0].subscriptionId : ALL_SUBSCRIPTIONS,
+                    subscriptions: targets.map(target => ({
+                        subscriptionId: target.subscriptionId,
+                        subscriptionName: target.subscriptionName
+                    })),
+                    ...series,
+                    timestamp: new Date().toISOString()
+                })
+            };
+        } catch (error) {
+            if (error.statusCode === 400) {
+                return {
+                    status: 400,
+                    headers: headers,
+                    body: JSON.stringify({ error: error.message })
+                };
+            }
+            context.error('Error reading metrics history:', error);
+            
+            return {
+                status: 500,
+                headers: headers,
+                body: JSON.stringify({
+                    error: 'Failed to read metrics history',
+                    message: error.message,
+                    timestamp: new Date().toISOString()
+                })
+            };
+        }
+    }
+});
+
 // N8N Proxy endpoint to handle CORS
 app.http('n8nProxy', {
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
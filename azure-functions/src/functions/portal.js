@@ -0,0 +1,127 @@
+const { app } = require('@azure/functions');
+const { getClientPrincipal, isAuthenticated } = require('../shared/auth');
+const { getAccess, can } = require('../shared/roles');
+const { listProjects } = require('../shared/projectStore');
+const { normalizeArtifact, getVersion } = require('../shared/artifacts');
+const { blobNameFromUrl } = require('../shared/contentIndex');
+const { issueArtifactSas } = require('../shared/storage');
+const { resolveShareLink } = require('../shared/shareLinks');
+const { preflight, jsonResponse, errorResponse } = require('../shared/http');
+
+const METHODS = 'GET, OPTIONS';
+// Download links in a portal response expire after this long; the page fetches fresh
+// ones when an old one is refused, so revoking a share link cuts off downloads quickly
+const DOWNLOAD_TTL_MINUTES = parseInt(process.env.PORTAL_DOWNLOAD_TTL_MINUTES, 10) || 15;
+
+function sameClient(project, client) {
+    return String(project.client || '').toLowerCase() === String(client).toLowerCase();
+}
+
+// Only released artifacts, each pinned to the version that was released. blobUrl is a
+// read-only SAS for that version's blob alone, never the plain container URL.
+async function releasedArtifacts(project) {
+    const artifacts = await Promise.all((project.artifacts || [])
+        .map(normalizeArtifact)
+        .filter(artifact => artifact.releasedVersion)
+        .map(async artifact => {
+            const version = getVersion(artifact, artifact.releasedVersion);
+            const blobName = version && (version.blobName || blobNameFromUrl(version.blobUrl));
+            if (!blobName) return null;
+
+            const sas = await issueArtifactSas(blobName, 'r', DOWNLOAD_TTL_MINUTES);
+            return {
+                artifactId: artifact.artifactId,
+                name: artifact.name,
+                type: artifact.type,
+                icon: artifact.icon || '📁',
+                version: version.version,
+                blobUrl: sas.url,
+                downloadExpiresAt: sas.expiresOn,
+                size: version.size,
+                contentHash: version.contentHash || null,
+                uploadDate: version.uploadDate,
+                releasedAt: artifact.releasedAt
+            };
+        }));
+    return artifacts.filter(Boolean);
+}
+
+// What a client may see of a project - never pricing, resources or internal links
+async function portalProject(project) {
+    return {
+        id: project.id,
+        name: project.name,
+        client: project.client,
+        type: project.type,
+        status: project.status || null,
+        description: project.description || '',
+        technologies: project.technologies || [],
+        projectUrl: project.projectUrl || null,
+        frontend: project.frontend || null,
+        lastModified: project.lastModified || null,
+        artifacts: await releasedArtifacts(project)
+    };
+}
+
+// Client portal - one client's projects, via a share link or a signed-in guest's client grant
+app.http('portal', {
+    methods: ['GET', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'portal',
+    handler: async (request, context) => {
+        context.log('Portal function triggered');
+
+        if (request.method === 'OPTIONS') {
+            return preflight(METHODS);
+        }
+
+        try {
+            const projects = await listProjects(context);
+            // Sent as a header rather than in the query so it stays out of request logs
+            const token = request.headers.get('x-share-token');
+
+            if (token) {
+                const link = await resolveShareLink(token);
+                if (!link) {
+                    return errorResponse(404, 'This link has expired or been revoked', METHODS);
+                }
+
+                return jsonResponse(200, {
+                    client: link.client,
+                    via: 'link',
+                    expiresAt: link.expiresAt,
+                    projects: await Promise.all(projects.filter(project => sameClient(project, link.client)).map(portalProject)),
+                    timestamp: new Date().toISOString()
+                }, METHODS);
+            }
+
+            const principal = getClientPrincipal(request);
+            if (!isAuthenticated(principal)) {
+                return errorResponse(401, 'Open your share link again, or sign in', METHODS);
+            }
+
+            const access = await getAccess(principal);
+            const visible = projects.filter(project => project.client && can(access, project, 'read'));
+            const clients = [...new Set(visible.map(project => project.client))].sort();
+            const requested = request.query.get('client');
+            const client = requested ? clients.find(name => name.toLowerCase() === requested.toLowerCase()) : clients[0];
+
+            if (!client) {
+                return errorResponse(404, requested ? `No projects for ${requested}` : 'No client projects have been shared with you', METHODS);
+            }
+
+            return jsonResponse(200, {
+                client,
+                clients,
+                via: 'account',
+                projects: await Promise.all(visible.filter(project => sameClient(project, client)).map(portalProject)),
+                timestamp: new Date().toISOString()
+            }, METHODS);
+        } catch (error) {
+            context.error('Error in portal function:', error);
+            return errorResponse(500, 'Internal server error', METHODS, { message: error.message });
+        }
+    }
+});
+
+module.exports = { app };
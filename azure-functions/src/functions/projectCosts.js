@@ -0,0 +1,224 @@
+const { app } = require('@azure/functions');
+const { getClientPrincipal, isAuthenticated } = require('../shared/auth');
+const { getAccess, isAdmin, can } = require('../shared/roles');
+const { listProjects, getProject } = require('../shared/projectStore');
+const { isMonth, monthOf, normalizePool, listPools, getPool, savePool, deletePool, allocateMonth, getMonth, getProjectHistory } = require('../shared/costAllocation');
+const { recordAudit } = require('../shared/audit');
+const { preflight, jsonResponse, errorResponse, readJson } = require('../shared/http');
+
+const COSTS_METHODS = 'GET, POST, OPTIONS';
+const POOL_METHODS = 'GET, POST, PUT, DELETE, OPTIONS';
+const MAX_HISTORY_MONTHS = 13;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Daily: refresh the month in progress, and settle the previous one during its first days
+app.timer('projectCostsTimer', {
+    schedule: process.env.PROJECT_COSTS_SCHEDULE || '0 0 7 * * *',
+    handler: async (myTimer, context) => {
+        const now = new Date();
+        const months = [monthOf(now)];
+        if (now.getUTCDate() <= 5) {
+            months.unshift(monthOf(new Date(now.getTime() - now.getUTCDate() * DAY_MS)));
+        }
+        for (const month of months) {
+            try {
+                const { summary } = await allocateMonth(month, { context, now });
+                context.log(`Project costs ${month}: ${summary.allocatedCost} of ${summary.totalCost} ${summary.currency} allocated, ${summary.errors.length} subscriptions failed`);
+            } catch (error) {
+                context.error(`Project cost allocation for ${month} failed:`, error);
+            }
+        }
+    }
+});
+
+// Allocated Azure cost and margin per project. Signed-in users see the projects they can read:
+// GET project-costs?month=YYYY-MM&refresh=true - every readable project for one month
+// GET project-costs/{projectId}?months=6 - one project's monthly history
+// POST project-costs { month } - admins recompute (or backfill) a month
+app.http('projectCosts', {
+    methods: ['GET', 'POST', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'project-costs/{projectId?}',
+    handler: async (request, context) => {
+        context.log(`Project costs function triggered: ${request.method}`);
+
+        if (request.method === 'OPTIONS') {
+            return preflight(COSTS_METHODS);
+        }
+
+        const principal = getClientPrincipal(request);
+        if (!isAuthenticated(principal)) {
+            return errorResponse(401, 'Sign in to view project costs', COSTS_METHODS);
+        }
+
+        try {
+            const access = await getAccess(principal);
+            const { projectId } = request.params;
+
+            if (request.method === 'POST') {
+                if (!isAdmin(access)) {
+                    return errorResponse(403, 'Only admins can recompute project costs', COSTS_METHODS);
+                }
+                const body = await readJson(request) || {};
+                const month = body.month || monthOf(new Date());
+                if (!isMonth(month) || month > monthOf(new Date())) {
+                    return errorResponse(400, 'month must be a YYYY-MM month that has started', COSTS_METHODS);
+                }
+                const { summary } = await allocateMonth(month, { context });
+                return jsonResponse(200, { summary, timestamp: new Date().toISOString() }, COSTS_METHODS);
+            }
+
+            if (projectId) {
+                // Projects the caller may not see are indistinguishable from missing ones
+                const project = await getProject(projectId);
+                if (!project || !can(access, project, 'read')) {
+                    return errorResponse(404, `Project ${projectId} not found`, COSTS_METHODS);
+                }
+                const months = Math.min(Math.max(parseInt(request.query.get('months'), 10) || 6, 1), MAX_HISTORY_MONTHS);
+                const history = await getProjectHistory(project.id, months, { context });
+                return jsonResponse(200, {
+                    projectId: String(project.id),
+                    name: project.name,
+                    mrr: parseFloat(project.mrr) || 0,
+                    history,
+                    timestamp: new Date().toISOString()
+                }, COSTS_METHODS);
+            }
+
+            const month = request.query.get('month') || monthOf(new Date());
+            if (!isMonth(month) || month > monthOf(new Date())) {
+                return errorResponse(400, 'month must be a YYYY-MM month that has started', COSTS_METHODS);
+            }
+            const [{ summary, allocations }, projects] = await Promise.all([
+                getMonth(month, { refresh: request.query.get('refresh') === 'true', context }),
+                listProjects(context)
+            ]);
+            const readable = new Set(projects
+                .filter(project => can(access, project, 'read'))
+                .map(project => String(project.id)));
+            const visible = allocations
+                .filter(allocation => readable.has(allocation.projectId))
+                .sort((a, b) => a.projectedMargin - b.projectedMargin);
+
+            return jsonResponse(200, {
+                // Subscription-wide totals only make sense to staff who see every project
+                summary: access.globalRole ? summary : { month, currency: summary.currency, generatedAt: summary.generatedAt },
+                projects: visible,
+                count: visible.length,
+                timestamp: new Date().toISOString()
+            }, COSTS_METHODS);
+        } catch (error) {
+            context.error('Error in project costs function:', error);
+            return errorResponse(500, 'Internal server error', COSTS_METHODS, { message: error.message });
+        }
+    }
+});
+
+function describePool(pool) {
+    const scope = [...pool.resourceGroups, ...pool.resources].join(', ');
+    return `${pool.name} (${scope}, split ${pool.method})`;
+}
+
+// Shared cost pools, admin only: GET cost-pools, POST cost-pools, PUT cost-pools/{id},
+// DELETE cost-pools/{id}
+app.http('costPools', {
+    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'cost-pools/{id?}',
+    handler: async (request, context) => {
+        context.log(`Cost pools function triggered: ${request.method}`);
+
+        if (request.method === 'OPTIONS') {
+            return preflight(POOL_METHODS);
+        }
+
+        const principal = getClientPrincipal(request);
+        if (!isAuthenticated(principal)) {
+            return errorResponse(401, 'Sign in to manage cost pools', POOL_METHODS);
+        }
+
+        try {
+            if (!isAdmin(await getAccess(principal))) {
+                return errorResponse(403, 'Only admins can manage cost pools', POOL_METHODS);
+            }
+            const { id } = request.params;
+
+            if (request.method === 'GET') {
+                return jsonResponse(200, { pools: await listPools(), timestamp: new Date().toISOString() }, POOL_METHODS);
+            }
+
+            const projectIds = new Set((await listProjects(context)).map(project => String(project.id)));
+
+            if (request.method === 'POST' && !id) {
+                const { pool, error } = normalizePool(await readJson(request), null, projectIds);
+                if (error) {
+                    return errorResponse(400, error, POOL_METHODS);
+                }
+
+                const created = await savePool({ ...pool, createdBy: principal.userDetails, createdAt: new Date().toISOString() });
+                await recordAudit(context, {
+                    principal,
+                    action: 'costPool.create',
+                    targetType: 'costPool',
+                    targetId: created.id,
+                    summary: `Created shared cost pool ${describePool(created)}`,
+                    before: null,
+                    after: pool
+                });
+                return jsonResponse(201, created, POOL_METHODS);
+            }
+
+            const existing = id ? await getPool(id) : null;
+            if (!existing) {
+                return errorResponse(404, `Cost pool ${id || '(none)'} not found`, POOL_METHODS);
+            }
+
+            if (request.method === 'PUT') {
+                const { pool, error } = normalizePool(await readJson(request), existing, projectIds);
+                if (error) {
+                    return errorResponse(400, error, POOL_METHODS);
+                }
+
+                const updated = await savePool({
+                    ...pool,
+                    createdBy: existing.createdBy,
+                    createdAt: existing.createdAt,
+                    updatedBy: principal.userDetails,
+                    updatedAt: new Date().toISOString()
+                });
+                const { createdBy, createdAt, updatedBy, updatedAt, ...before } = existing;
+                await recordAudit(context, {
+                    principal,
+                    action: 'costPool.update',
+                    targetType: 'costPool',
+                    targetId: id,
+                    summary: `Updated shared cost pool ${describePool(updated)}`,
+                    before,
+                    after: pool
+                });
+                return jsonResponse(200, updated, POOL_METHODS);
+            }
+
+            if (request.method === 'DELETE') {
+                await deletePool(existing);
+                await recordAudit(context, {
+                    principal,
+                    action: 'costPool.delete',
+                    targetType: 'costPool',
+                    targetId: id,
+                    summary: `Deleted shared cost pool ${existing.name}`,
+                    before: { name: existing.name, method: existing.method, projects: existing.projects },
+                    after: null
+                });
+                return jsonResponse(200, { deleted: id }, POOL_METHODS);
+            }
+
+            return errorResponse(405, `Method ${request.method} not allowed`, POOL_METHODS);
+        } catch (error) {
+            context.error('Error in cost pools function:', error);
+            return errorResponse(500, 'Internal server error', POOL_METHODS, { message: error.message });
+        }
+    }
+});
+
+module.exports = { app };
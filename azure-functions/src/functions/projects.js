@@ -0,0 +1,196 @@
+const { app } = require('@azure/functions');
+const { listProjects, getProject, createProject, updateProject, deleteProject } = require('../shared/projectStore');
+const { getClientPrincipal, isAuthenticated } = require('../shared/auth');
+const { getAccess, can, canCreateProjects, withRole, setProjectRole, listGrants } = require('../shared/roles');
+const { recordAudit } = require('../shared/audit');
+const { indexProject, removeProject, tryIndex } = require('../shared/searchIndex');
+const { preflight, jsonResponse, errorResponse, readJson } = require('../shared/http');
+
+const METHODS = 'GET, POST, PATCH, DELETE, OPTIONS';
+// Artifacts change only through projects/{id}/artifacts, which checks each version's
+// integrity, gates releases and audits every artifact on its own
+const ARTIFACTS_ROUTE_ONLY = 'artifacts';
+
+// Table Storage hands out weak ETags (W/"datetime'...'"); clients echo them back verbatim
+function normalizeEtag(etag) {
+    return etag ? String(etag).trim() : null;
+}
+
+function projectResponse(status, project, access) {
+    return jsonResponse(status, withRole(access, project), METHODS, { 'ETag': project.etag });
+}
+
+function conflictResponse(current, access) {
+    return jsonResponse(409, {
+        error: 'Project was modified by someone else',
+        current: current && withRole(access, current),
+        timestamp: new Date().toISOString()
+    }, METHODS);
+}
+
+// Project registry endpoint
+app.http('projects', {
+    methods: ['GET', 'POST', 'PATCH', 'DELETE', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'projects/{id?}',
+    handler: async (request, context) => {
+        context.log(`Projects function triggered: ${request.method}`);
+
+        if (request.method === 'OPTIONS') {
+            return preflight(METHODS);
+        }
+
+        const id = request.params.id;
+        const principal = getClientPrincipal(request);
+
+        if (!isAuthenticated(principal)) {
+            return errorResponse(401, 'Sign in to view projects', METHODS);
+        }
+
+        let access;
+        try {
+            access = await getAccess(principal);
+
+            if (request.method === 'GET') {
+                if (!id) {
+                    // Only the projects the caller can see, each tagged with their role
+                    const projects = (await listProjects(context))
+                        .filter(project => can(access, project, 'read'))
+                        .map(project => withRole(access, project));
+                    return jsonResponse(200, {
+                        projects,
+                        count: projects.length,
+                        timestamp: new Date().toISOString()
+                    }, METHODS);
+                }
+
+                // Projects the caller may not see are indistinguishable from missing ones
+                const project = await getProject(id);
+                if (!project || !can(access, project, 'read')) {
+                    return errorResponse(404, `Project ${id} not found`, METHODS);
+                }
+                return projectResponse(200, project, access);
+            }
+
+            if (request.method === 'POST') {
+                if (id) {
+                    return errorResponse(405, 'POST creates a project; do not include an id', METHODS);
+                }
+                if (!canCreateProjects(access)) {
+                    return errorResponse(403, 'You do not have permission to create projects', METHODS);
+                }
+
+                const body = await readJson(request);
+                if (!body || !body.name || !body.client) {
+                    return errorResponse(400, 'name and client are required', METHODS);
+                }
+
+                // Whoever creates a project owns it; it starts without artifacts
+                const fields = { ...body };
+                delete fields[ARTIFACTS_ROUTE_ONLY];
+                const project = await createProject(fields, principal);
+                await setProjectRole(principal.userDetails, project.id, 'project-owner');
+                access.projects[project.id] = 'project-owner';
+                await recordAudit(context, {
+                    principal,
+                    action: 'project.create',
+                    targetType: 'project',
+                    targetId: project.id,
+                    projectId: project.id,
+                    summary: `Created project ${project.name} for ${project.client}`,
+                    before: null,
+                    after: project
+                });
+                await tryIndex(context, `project ${project.id}`, () => indexProject(project));
+                return projectResponse(201, project, access);
+            }
+
+            // PATCH and DELETE both target an existing project under If-Match
+            if (!id) {
+                return errorResponse(400, 'Project id is required', METHODS);
+            }
+
+            const etag = normalizeEtag(request.headers.get('if-match'));
+            if (!etag) {
+                return errorResponse(428, 'If-Match header with the project ETag is required', METHODS);
+            }
+
+            const current = await getProject(id);
+            if (!current || !can(access, current, 'read')) {
+                return errorResponse(404, `Project ${id} not found`, METHODS);
+            }
+
+            const action = request.method === 'PATCH' ? 'edit' : 'delete';
+            if (!can(access, current, action)) {
+                return errorResponse(403, `Your role on this project does not allow you to ${action} it`, METHODS);
+            }
+            if (etag !== '*' && etag !== current.etag) {
+                return conflictResponse(current, access);
+            }
+
+            if (request.method === 'PATCH') {
+                const changes = await readJson(request);
+                if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+                    return errorResponse(400, 'Request body must be a JSON object of project fields', METHODS);
+                }
+                if (ARTIFACTS_ROUTE_ONLY in changes) {
+                    return errorResponse(400, `Change artifacts through /api/projects/${id}/artifacts`, METHODS);
+                }
+                // The client decides which client-scoped accounts and share links see the project
+                if ('client' in changes && String(changes.client || '') !== String(current.client || '') &&
+                    !can(access, current, 'manageAccess')) {
+                    return errorResponse(403, 'Only the project owner or an admin can change the client', METHODS);
+                }
+
+                const project = await updateProject(current, changes, current.etag, principal);
+                await recordAudit(context, {
+                    principal,
+                    action: 'project.update',
+                    targetType: 'project',
+                    targetId: project.id,
+                    projectId: project.id,
+                    summary: `Updated project ${project.name}`,
+                    before: current,
+                    after: project
+                });
+                await tryIndex(context, `project ${project.id}`, () => indexProject(project));
+                return projectResponse(200, project, access);
+            }
+
+            await deleteProject(id, current.etag);
+            await recordAudit(context, {
+                principal,
+                action: 'project.delete',
+                targetType: 'project',
+                targetId: id,
+                projectId: id,
+                summary: `Deleted project ${current.name}`,
+                before: current,
+                after: null
+            });
+            // Grants on a deleted project would otherwise linger forever
+            for (const grant of await listGrants(id)) {
+                await setProjectRole(grant.email, id, null);
+            }
+            await tryIndex(context, `deleted project ${id}`, () => removeProject(id));
+            return {
+                status: 204,
+                headers: {
+                    'Access-Control-Allow-Origin': '*'
+                }
+            };
+        } catch (error) {
+            if (error.statusCode === 412) {
+                return conflictResponse(await getProject(id), access);
+            }
+            if (error.statusCode === 413) {
+                return errorResponse(413, error.message, METHODS);
+            }
+
+            context.error('Error in projects function:', error);
+            return errorResponse(500, 'Internal server error', METHODS, { message: error.message });
+        }
+    }
+});
+
+module.exports = { app };
@@ -0,0 +1,130 @@
+const { app } = require('@azure/functions');
+const { getClientPrincipal, isAuthenticated } = require('../shared/auth');
+const { getAccess, isAdmin } = require('../shared/roles');
+const { resolveTargets } = require('../shared/subscriptions');
+const { roundCents } = require('../shared/costModel');
+const {
+    STATUSES, generateRecommendations, listRecommendations, getRecommendation, setRecommendationStatus
+} = require('../shared/recommendations');
+const { recordAudit } = require('../shared/audit');
+const { preflight, jsonResponse, errorResponse, readJson } = require('../shared/http');
+
+const METHODS = 'GET, POST, OPTIONS';
+// POST recommendations/{id}/{action}: what each action sets the recommendation's status to
+const ACTIONS = { accept: 'accepted', dismiss: 'dismissed', reopen: 'open' };
+
+function summarize(recommendations) {
+    const savings = status => roundCents(recommendations
+        .filter(recommendation => recommendation.status === status && !recommendation.resolvedAt)
+        .reduce((total, recommendation) => total + (recommendation.estimatedMonthlySavings || 0), 0));
+    return {
+        open: recommendations.filter(recommendation => recommendation.status === 'open').length,
+        openSavings: savings('open'),
+        accepted: recommendations.filter(recommendation => recommendation.status === 'accepted').length,
+        acceptedSavings: savings('accepted'),
+        resolved: recommendations.filter(recommendation => recommendation.resolvedAt).length
+    };
+}
+
+// Daily, after the morning anomaly run
+app.timer('recommendationsTimer', {
+    schedule: process.env.RECOMMENDATIONS_SCHEDULE || '0 0 8 * * *',
+    handler: async (myTimer, context) => {
+        const summary = await generateRecommendations(context);
+        context.log(`Recommendations: ${summary.checked} subscriptions checked, ${summary.failed} failed, ${summary.findings} findings (${summary.created} new, ${summary.resolved} resolved)`);
+    }
+});
+
+// GET recommendations?subscription=&status=&kind= lists the savings recommendations, largest
+// first, for signed-in staff. Admins triage with POST recommendations/{id}/accept, /dismiss or
+// /reopen, each with an optional { note }, and can regenerate now with POST recommendations.
+app.http('recommendations', {
+    methods: ['GET', 'POST', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'recommendations/{id?}/{action?}',
+    handler: async (request, context) => {
+        context.log(`Recommendations function triggered: ${request.method}`);
+
+        if (request.method === 'OPTIONS') {
+            return preflight(METHODS);
+        }
+
+        try {
+            const principal = getClientPrincipal(request);
+            if (!isAuthenticated(principal)) {
+                return errorResponse(401, 'Sign in to view recommendations', METHODS);
+            }
+            const access = await getAccess(principal);
+            // Client-scoped accounts have no global role and only see their clients' projects
+            if (!access.globalRole) {
+                return errorResponse(403, 'Only staff can view recommendations', METHODS);
+            }
+
+            const { id, action } = request.params;
+
+            if (request.method === 'GET') {
+                const selector = request.query.get('subscription') || '';
+                const targets = resolveTargets(selector);
+                if (!targets) {
+                    return errorResponse(400, `Subscription ${selector} is not registered`, METHODS);
+                }
+                const status = request.query.get('status');
+                if (status && !STATUSES.includes(status)) {
+                    return errorResponse(400, `status must be one of ${STATUSES.join(', ')}`, METHODS);
+                }
+
+                const subscriptionId = targets.length === 1 ? targets[0].subscriptionId : null;
+                const all = await listRecommendations({ subscriptionId, kind: request.query.get('kind') });
+                const recommendations = status ? all.filter(recommendation => recommendation.status === status) : all;
+                return jsonResponse(200, {
+                    recommendations,
+                    count: recommendations.length,
+                    summary: summarize(all),
+                    timestamp: new Date().toISOString()
+                }, METHODS);
+            }
+
+            if (!id) {
+                if (!isAdmin(access)) {
+                    return errorResponse(403, 'Only admins can regenerate recommendations', METHODS);
+                }
+                const summary = await generateRecommendations(context);
+                return jsonResponse(200, { ...summary, timestamp: new Date().toISOString() }, METHODS);
+            }
+
+            // Accepting commits someone to deleting or resizing a resource, and dismissing hides
+            // the saving from everyone, so triage is for admins only
+            if (!isAdmin(access)) {
+                return errorResponse(403, 'Only admins can triage recommendations', METHODS);
+            }
+            if (!ACTIONS[action]) {
+                return errorResponse(404, `Unknown recommendation action: ${action || '(none)'}`, METHODS);
+            }
+            const recommendation = await getRecommendation(id);
+            if (!recommendation) {
+                return errorResponse(404, `Recommendation ${id} not found`, METHODS);
+            }
+
+            const body = await readJson(request) || {};
+            const note = typeof body.note === 'string' ? body.note.trim().substring(0, 500) : null;
+
+            const updated = await setRecommendationStatus(recommendation, { status: ACTIONS[action], note, principal });
+            const verb = { accept: 'Accepted', dismiss: 'Dismissed', reopen: 'Reopened' }[action];
+            await recordAudit(context, {
+                principal,
+                action: `recommendation.${action}`,
+                targetType: 'recommendation',
+                targetId: id,
+                summary: `${verb} recommendation: ${recommendation.title}`,
+                before: { status: recommendation.status, note: recommendation.note },
+                after: { status: updated.status, note: updated.note, estimatedMonthlySavings: recommendation.estimatedMonthlySavings }
+            });
+            return jsonResponse(200, updated, METHODS);
+        } catch (error) {
+            context.error('Error in recommendations function:', error);
+            return errorResponse(500, 'Internal server error', METHODS, { message: error.message });
+        }
+    }
+});
+
+module.exports = { app };
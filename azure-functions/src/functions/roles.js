@@ -0,0 +1,180 @@
+const { app } = require('@azure/functions');
+const { getClientPrincipal, isAuthenticated } = require('../shared/auth');
+const { getProject } = require('../shared/projectStore');
+const {
+    ROLES,
+    isRole,
+    getAccess,
+    can,
+    canCreateProjects,
+    isAdmin,
+    setProjectRole,
+    setGlobalRole,
+    setClientAccess,
+    listGrants
+} = require('../shared/roles');
+const { recordAudit } = require('../shared/audit');
+const { preflight, jsonResponse, errorResponse, readJson } = require('../shared/http');
+
+const METHODS = 'GET, PUT, OPTIONS';
+
+function normalizeEmail(value) {
+    const email = typeof value === 'string' ? value.trim().toLowerCase() : '';
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) ? email : null;
+}
+
+function findGrant(grants, email, scope, target = null) {
+    const grant = grants.find(g => g.email === email && g.scope === scope && (target === null || g.target === target));
+    return grant ? grant.role : null;
+}
+
+// GET/PUT roles/projects/{id} - project owners manage who else can work on their project
+async function handleProjectRoles(request, principal, access, projectId, context) {
+    const project = await getProject(projectId);
+    if (!project || !can(access, project, 'read')) {
+        return errorResponse(404, `Project ${projectId} not found`, METHODS);
+    }
+    if (!can(access, project, 'manageAccess')) {
+        return errorResponse(403, 'Only project owners can manage project access', METHODS);
+    }
+
+    if (request.method === 'PUT') {
+        const body = await readJson(request);
+        const email = normalizeEmail(body && body.email);
+        const role = body && body.role ? body.role : null;
+
+        if (!email || (role && !isRole(role))) {
+            return errorResponse(400, `email is required and role must be one of ${ROLES.join(', ')} (or null to remove)`, METHODS);
+        }
+        if (role === 'admin') {
+            return errorResponse(400, 'admin is a global role; grant it under roles/global', METHODS);
+        }
+        // Owners can't lock themselves out by accident; an admin can still change it
+        if (email === access.email && !isAdmin(access)) {
+            return errorResponse(400, 'You cannot change your own role on a project', METHODS);
+        }
+
+        const previous = findGrant(await listGrants(projectId), email, 'project');
+        await setProjectRole(email, projectId, role);
+        await recordAudit(context, {
+            principal,
+            action: role ? 'role.grant' : 'role.revoke',
+            targetType: 'role',
+            targetId: email,
+            projectId,
+            summary: role ? `Made ${email} ${role} on ${project.name}` : `Removed ${email} from ${project.name}`,
+            before: { role: previous },
+            after: { role }
+        });
+    }
+
+    return jsonResponse(200, {
+        projectId,
+        members: await listGrants(projectId),
+        timestamp: new Date().toISOString()
+    }, METHODS);
+}
+
+// PUT roles/global and roles/clients - admin only
+async function handleAdminGrant(request, scope, principal, context) {
+    const body = await readJson(request);
+    const email = normalizeEmail(body && body.email);
+    if (!email) {
+        return errorResponse(400, 'A valid email is required', METHODS);
+    }
+
+    if (scope === 'global') {
+        const role = body.role || null;
+        if (role && !isRole(role)) {
+            return errorResponse(400, `role must be one of ${ROLES.join(', ')} (or null to remove)`, METHODS);
+        }
+        const previous = findGrant(await listGrants(), email, 'global');
+        await setGlobalRole(email, role);
+        await recordAudit(context, {
+            principal,
+            action: role ? 'role.grant' : 'role.revoke',
+            targetType: 'role',
+            targetId: email,
+            summary: role ? `Made ${email} ${role} globally` : `Removed ${email}'s global role`,
+            before: { role: previous },
+            after: { role }
+        });
+    } else {
+        const client = typeof body.client === 'string' ? body.client.trim() : '';
+        if (!client) {
+            return errorResponse(400, 'client is required', METHODS);
+        }
+        const granted = body.granted !== false;
+        const previous = findGrant(await listGrants(), email, 'client', client.toLowerCase());
+        await setClientAccess(email, client, granted);
+        await recordAudit(context, {
+            principal,
+            action: granted ? 'role.grant' : 'role.revoke',
+            targetType: 'role',
+            targetId: email,
+            summary: granted ? `Gave ${email} read-only access to ${client}` : `Removed ${email}'s access to ${client}`,
+            before: { client, role: previous },
+            after: { client, role: granted ? 'viewer' : null }
+        });
+    }
+
+    return jsonResponse(200, { grants: await listGrants(), timestamp: new Date().toISOString() }, METHODS);
+}
+
+// Role assignments endpoint
+app.http('roles', {
+    methods: ['GET', 'PUT', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'roles/{scope?}/{id?}',
+    handler: async (request, context) => {
+        context.log(`Roles function triggered: ${request.method}`);
+
+        if (request.method === 'OPTIONS') {
+            return preflight(METHODS);
+        }
+
+        const principal = getClientPrincipal(request);
+        if (!isAuthenticated(principal)) {
+            return errorResponse(401, 'Sign in to view roles', METHODS);
+        }
+
+        const { scope, id } = request.params;
+
+        try {
+            const access = await getAccess(principal);
+
+            // What the signed-in user may do; the UI uses this to hide actions
+            if (scope === 'me' && request.method === 'GET') {
+                return jsonResponse(200, {
+                    ...access,
+                    isAdmin: isAdmin(access),
+                    canCreateProjects: canCreateProjects(access),
+                    roles: ROLES
+                }, METHODS);
+            }
+
+            if (scope === 'projects' && id) {
+                return await handleProjectRoles(request, principal, access, id, context);
+            }
+
+            if (!isAdmin(access)) {
+                return errorResponse(403, 'Only admins can manage roles', METHODS);
+            }
+
+            if (!scope && request.method === 'GET') {
+                return jsonResponse(200, { grants: await listGrants(), roles: ROLES, timestamp: new Date().toISOString() }, METHODS);
+            }
+
+            if ((scope === 'global' || scope === 'clients') && request.method === 'PUT') {
+                return await handleAdminGrant(request, scope, principal, context);
+            }
+
+            return errorResponse(404, `Unknown roles route: ${scope || '(none)'}`, METHODS);
+        } catch (error) {
+            context.error('Error in roles function:', error);
+            return errorResponse(500, 'Internal server error', METHODS, { message: error.message });
+        }
+    }
+});
+
+module.exports = { app };
@@ -0,0 +1,82 @@
+const { app } = require('@azure/functions');
+const { getClientPrincipal, isAuthenticated } = require('../shared/auth');
+const { getAccess, can, isAdmin } = require('../shared/roles');
+const { listProjects } = require('../shared/projectStore');
+const { search, reindexAll } = require('../shared/searchIndex');
+const { preflight, jsonResponse, errorResponse } = require('../shared/http');
+
+const METHODS = 'GET, POST, OPTIONS';
+const MAX_LIMIT = 50;
+const MAX_QUERY_LENGTH = 200;
+
+// Full-text search (GET search?q=) and an admin rebuild of the index (POST search/reindex)
+app.http('search', {
+    methods: ['GET', 'POST', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'search/{action?}',
+    handler: async (request, context) => {
+        context.log(`Search function triggered: ${request.method}`);
+
+        if (request.method === 'OPTIONS') {
+            return preflight(METHODS);
+        }
+
+        const principal = getClientPrincipal(request);
+        if (!isAuthenticated(principal)) {
+            return errorResponse(401, 'Sign in to search', METHODS);
+        }
+
+        try {
+            const access = await getAccess(principal);
+            const projects = await listProjects(context);
+
+            if (request.method === 'POST') {
+                if (request.params.action !== 'reindex') {
+                    return errorResponse(404, `Unknown search action: ${request.params.action || '(none)'}`, METHODS);
+                }
+                if (!isAdmin(access)) {
+                    return errorResponse(403, 'Only admins can rebuild the search index', METHODS);
+                }
+
+                const started = Date.now();
+                const summary = await reindexAll(projects, context);
+                return jsonResponse(200, { ...summary, tookMs: Date.now() - started, timestamp: new Date().toISOString() }, METHODS);
+            }
+
+            const query = (request.query.get('q') || '').trim().substring(0, MAX_QUERY_LENGTH);
+            if (!query) {
+                return errorResponse(400, 'q is required', METHODS);
+            }
+
+            // Only hits in projects the caller can read
+            const readable = new Map(projects
+                .filter(project => can(access, project, 'read'))
+                .map(project => [String(project.id), project]));
+            const limit = Math.min(parseInt(request.query.get('limit'), 10) || 20, MAX_LIMIT);
+
+            const started = Date.now();
+            const { results, terms } = await search(query, {
+                limit,
+                canRead: projectId => readable.has(projectId)
+            });
+
+            return jsonResponse(200, {
+                query,
+                terms,
+                results: results.map(result => ({
+                    ...result,
+                    projectName: readable.get(result.projectId).name,
+                    client: readable.get(result.projectId).client
+                })),
+                count: results.length,
+                tookMs: Date.now() - started,
+                timestamp: new Date().toISOString()
+            }, METHODS);
+        } catch (error) {
+            context.error('Error in search function:', error);
+            return errorResponse(500, 'Internal server error', METHODS, { message: error.message });
+        }
+    }
+});
+
+module.exports = { app };
@@ -0,0 +1,91 @@
+const { app } = require('@azure/functions');
+const { getClientPrincipal, isAuthenticated } = require('../shared/auth');
+const { getAccess, isAdmin } = require('../shared/roles');
+const { getTable } = require('../shared/tables');
+const { recordAudit } = require('../shared/audit');
+const { preflight, jsonResponse, errorResponse, readJson } = require('../shared/http');
+
+const METHODS = 'GET, PUT, OPTIONS';
+// Admin dashboard settings - kept server-side so every change is shared and audited
+const settingsTableName = 'settings';
+const SETTINGS_PARTITION = 'admin';
+const SETTINGS_ROW = 'dashboard';
+const SETTINGS_FIELDS = ['subscriptionId', 'tenantId', 'refreshRate', 'costThreshold'];
+
+async function loadSettings() {
+    const table = await getTable(settingsTableName);
+    try {
+        const entity = await table.getEntity(SETTINGS_PARTITION, SETTINGS_ROW);
+        return JSON.parse(entity.data);
+    } catch (error) {
+        if (error.statusCode === 404) return {};
+        throw error;
+    }
+}
+
+// Admin settings endpoint
+app.http('settings', {
+    methods: ['GET', 'PUT', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'settings',
+    handler: async (request, context) => {
+        context.log(`Settings function triggered: ${request.method}`);
+
+        if (request.method === 'OPTIONS') {
+            return preflight(METHODS);
+        }
+
+        const principal = getClientPrincipal(request);
+        if (!isAuthenticated(principal)) {
+            return errorResponse(401, 'Sign in to view settings', METHODS);
+        }
+
+        try {
+            const current = await loadSettings();
+
+            if (request.method === 'GET') {
+                return jsonResponse(200, current, METHODS);
+            }
+
+            if (!isAdmin(await getAccess(principal))) {
+                return errorResponse(403, 'Only admins can change settings', METHODS);
+            }
+
+            const body = await readJson(request);
+            if (!body || typeof body !== 'object' || Array.isArray(body)) {
+                return errorResponse(400, 'Request body must be a JSON object of settings', METHODS);
+            }
+
+            const settings = { ...current };
+            SETTINGS_FIELDS.forEach(field => {
+                if (body[field] !== undefined) settings[field] = body[field];
+            });
+            settings.updatedAt = new Date().toISOString();
+            settings.updatedBy = principal.userDetails;
+
+            const table = await getTable(settingsTableName);
+            await table.upsertEntity({
+                partitionKey: SETTINGS_PARTITION,
+                rowKey: SETTINGS_ROW,
+                data: JSON.stringify(settings)
+            }, 'Replace');
+
+            await recordAudit(context, {
+                principal,
+                action: 'settings.update',
+                targetType: 'settings',
+                targetId: SETTINGS_ROW,
+                summary: 'Changed admin settings',
+                before: current,
+                after: settings
+            });
+
+            return jsonResponse(200, settings, METHODS);
+        } catch (error) {
+            context.error('Error in settings function:', error);
+            return errorResponse(500, 'Internal server error', METHODS, { message: error.message });
+        }
+    }
+});
+
+module.exports = { app };
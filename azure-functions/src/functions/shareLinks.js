@@ -0,0 +1,115 @@
+const { app } = require('@azure/functions');
+const { getClientPrincipal, isAuthenticated } = require('../shared/auth');
+const { getAccess, can, isAdmin } = require('../shared/roles');
+const { listProjects } = require('../shared/projectStore');
+const { createShareLink, listShareLinks, getShareLink, revokeShareLink } = require('../shared/shareLinks');
+const { recordAudit } = require('../shared/audit');
+const { preflight, jsonResponse, errorResponse, readJson } = require('../shared/http');
+
+const METHODS = 'GET, POST, DELETE, OPTIONS';
+
+// The client's name as its projects spell it, or null when the caller may not share it.
+// Admins can share any client; project owners can share the clients they own projects for.
+async function shareableClient(access, client, context) {
+    const wanted = String(client || '').trim().toLowerCase();
+    if (!wanted) return null;
+
+    const projects = (await listProjects(context))
+        .filter(project => String(project.client || '').toLowerCase() === wanted);
+    if (projects.length === 0) return null;
+
+    if (isAdmin(access) || projects.some(project => can(access, project, 'manageAccess'))) {
+        return projects[0].client;
+    }
+    return null;
+}
+
+// Client portal share links
+app.http('shareLinks', {
+    methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'shares/{id?}',
+    handler: async (request, context) => {
+        context.log(`Share links function triggered: ${request.method}`);
+
+        if (request.method === 'OPTIONS') {
+            return preflight(METHODS);
+        }
+
+        const principal = getClientPrincipal(request);
+        if (!isAuthenticated(principal)) {
+            return errorResponse(401, 'Sign in to manage share links', METHODS);
+        }
+
+        try {
+            const access = await getAccess(principal);
+            const id = request.params.id;
+
+            if (request.method === 'GET') {
+                const requested = request.query.get('client');
+                if (!requested && isAdmin(access)) {
+                    return jsonResponse(200, { links: await listShareLinks(), timestamp: new Date().toISOString() }, METHODS);
+                }
+
+                const client = await shareableClient(access, requested, context);
+                if (!client) {
+                    return errorResponse(403, 'Only admins and project owners can view share links for a client', METHODS);
+                }
+                return jsonResponse(200, { client, links: await listShareLinks(client), timestamp: new Date().toISOString() }, METHODS);
+            }
+
+            if (request.method === 'POST') {
+                const body = await readJson(request);
+                const client = await shareableClient(access, body && body.client, context);
+                if (!client) {
+                    return errorResponse(403, 'Only admins and project owners can share a client\'s projects', METHODS);
+                }
+
+                const link = await createShareLink(client, {
+                    label: typeof body.label === 'string' ? body.label.trim().substring(0, 200) : null,
+                    expiresInDays: body.expiresInDays,
+                    createdBy: principal.userDetails
+                });
+                await recordAudit(context, {
+                    principal,
+                    action: 'share.create',
+                    targetType: 'share',
+                    targetId: link.id,
+                    summary: `Shared ${client}'s portal${link.label ? ` (${link.label})` : ''} until ${link.expiresAt.substring(0, 10)}`,
+                    before: null,
+                    after: { client, label: link.label, expiresAt: link.expiresAt }
+                });
+                return jsonResponse(201, link, METHODS);
+            }
+
+            if (request.method === 'DELETE') {
+                const link = id ? await getShareLink(id) : null;
+                if (!link) {
+                    return errorResponse(404, `Share link ${id || '(none)'} not found`, METHODS);
+                }
+                if (!await shareableClient(access, link.client, context)) {
+                    return errorResponse(403, 'Only admins and project owners can revoke share links', METHODS);
+                }
+
+                const revoked = await revokeShareLink(id, principal.userDetails);
+                await recordAudit(context, {
+                    principal,
+                    action: 'share.revoke',
+                    targetType: 'share',
+                    targetId: id,
+                    summary: `Revoked a share link to ${link.client}'s portal${link.label ? ` (${link.label})` : ''}`,
+                    before: { revokedAt: link.revokedAt },
+                    after: { revokedAt: revoked.revokedAt }
+                });
+                return jsonResponse(200, revoked, METHODS);
+            }
+
+            return errorResponse(405, `Method ${request.method} not allowed`, METHODS);
+        } catch (error) {
+            context.error('Error in share links function:', error);
+            return errorResponse(500, 'Internal server error', METHODS, { message: error.message });
+        }
+    }
+});
+
+module.exports = { app };
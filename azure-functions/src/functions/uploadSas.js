@@ -0,0 +1,114 @@
+const { app } = require('@azure/functions');
+const { getClientPrincipal, isAuthenticated } = require('../shared/auth');
+const { getAccess, can } = require('../shared/roles');
+const { getProject } = require('../shared/projectStore');
+const { isSha256, findReusableContent, isBlobReferenced } = require('../shared/contentIndex');
+const { preflight, jsonResponse, errorResponse, readJson } = require('../shared/http');
+const { issueArtifactSas } = require('../shared/storage');
+
+const METHODS = 'POST, OPTIONS';
+// Upload SAS lifetime - long enough to finish one upload, short enough to be useless if leaked
+const SAS_TTL_MINUTES = parseInt(process.env.UPLOAD_SAS_TTL_MINUTES, 10) || 10;
+
+// Path segments come from the browser; refuse anything that could escape project-{id}/{type}/
+function isSafeSegment(value) {
+    return typeof value === 'string' &&
+        value.trim().length > 0 &&
+        value.length <= 255 &&
+        !/[\/\\]/.test(value) &&
+        value !== '.' &&
+        value !== '..' &&
+        !/[\u0000-\u001f]/.test(value);
+}
+
+// Issue a create/write-only SAS for exactly one blob
+async function issueUploadSas(blobName) {
+    const { blobUrl, url, expiresOn } = await issueArtifactSas(blobName, 'cw', SAS_TTL_MINUTES);
+    return {
+        blobName,
+        blobUrl,
+        uploadUrl: url,
+        expiresOn
+    };
+}
+
+// Upload SAS endpoint - replaces the static SAS token that used to ship to the browser
+app.http('uploadSas', {
+    methods: ['POST', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'uploads/sas',
+    handler: async (request, context) => {
+        context.log('Upload SAS function triggered');
+
+        if (request.method === 'OPTIONS') {
+            return preflight(METHODS);
+        }
+
+        const principal = getClientPrincipal(request);
+        if (!isAuthenticated(principal)) {
+            return errorResponse(401, 'Sign in to upload artifacts', METHODS);
+        }
+
+        const body = await readJson(request);
+        const projectId = body && body.projectId ? String(body.projectId) : '';
+        const artifactType = body && body.artifactType;
+        const fileName = body && body.fileName;
+
+        if (!isSafeSegment(projectId) || !isSafeSegment(artifactType) || !isSafeSegment(fileName)) {
+            return errorResponse(400, 'projectId, artifactType and fileName are required and may not contain path separators', METHODS);
+        }
+
+        try {
+            const access = await getAccess(principal);
+            const project = await getProject(projectId);
+            if (!project || !can(access, project, 'read')) {
+                return errorResponse(404, `Project ${projectId} not found`, METHODS);
+            }
+            if (!can(access, project, 'upload')) {
+                return errorResponse(403, 'Your role on this project does not allow uploads', METHODS);
+            }
+
+            // Identical content already in Storage is reused instead of uploaded again
+            const contentHash = body.contentHash && String(body.contentHash).toLowerCase();
+            if (isSha256(contentHash) && !body.blobName) {
+                const sizeBytes = Number.isFinite(body.sizeBytes) ? body.sizeBytes : null;
+                const existing = await findReusableContent(contentHash, sizeBytes, { access, project });
+                if (existing) {
+                    context.log(`Upload of ${fileName} to ${projectId} deduplicated to ${existing.blobName}`);
+                    return jsonResponse(200, {
+                        duplicate: true,
+                        blobName: existing.blobName,
+                        blobUrl: existing.blobUrl
+                    }, METHODS);
+                }
+            }
+
+            // Timestamp prefix keeps every upload at a fresh path, as the browser always did.
+            // A resumed block upload asks again for the path it already started on, which
+            // must not be a blob that has since been recorded - a write SAS would replace it.
+            const prefix = `project-${projectId}/${artifactType}/`;
+            let blobName = `${prefix}${Date.now()}-${fileName}`;
+            if (body.blobName) {
+                const resumeName = String(body.blobName);
+                const match = resumeName.startsWith(prefix) && /^\d+-([\s\S]*)$/.exec(resumeName.slice(prefix.length));
+                if (!match || match[1] !== fileName) {
+                    return errorResponse(400, 'blobName does not match the project, type and file name', METHODS);
+                }
+                if (await isBlobReferenced(resumeName)) {
+                    return errorResponse(409, `${resumeName} is already recorded; start a new upload`, METHODS);
+                }
+                blobName = resumeName;
+            }
+
+            const sas = await issueUploadSas(blobName);
+
+            context.log(`Issued upload SAS for ${blobName} to ${principal.userDetails}, expires ${sas.expiresOn}`);
+            return jsonResponse(200, sas, METHODS);
+        } catch (error) {
+            context.error('Error issuing upload SAS:', error);
+            return errorResponse(500, 'Failed to issue upload SAS', METHODS, { message: error.message });
+        }
+    }
+});
+
+module.exports = { app };
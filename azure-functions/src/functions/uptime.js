@@ -0,0 +1,201 @@
+const { app } = require('@azure/functions');
+const { getClientPrincipal, isAuthenticated } = require('../shared/auth');
+const { getAccess, can, requireRole } = require('../shared/roles');
+const { listProjects } = require('../shared/projectStore');
+const {
+    normalizeMonitor, listMonitors, getMonitor, saveMonitor, deleteMonitor, probe, recordResult,
+    runProbes, listResults, uptimeReport, summarizeProject
+} = require('../shared/uptime');
+const { recordAudit } = require('../shared/audit');
+const { preflight, jsonResponse, errorResponse, readJson } = require('../shared/http');
+
+const UPTIME_METHODS = 'GET, OPTIONS';
+const MONITOR_METHODS = 'GET, POST, PUT, DELETE, OPTIONS';
+const MAX_DAYS = 90;
+const MAX_RESULTS = 500;
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+const MONITOR_ACCESS = { signIn: 'Sign in to manage uptime monitors', forbidden: 'Only admins can manage uptime monitors' };
+
+// Probe every enabled monitor every 5 minutes by default
+app.timer('uptimeProber', {
+    schedule: process.env.UPTIME_PROBE_SCHEDULE || '0 */5 * * * *',
+    handler: async (myTimer, context) => {
+        const summary = await runProbes(context);
+        context.log(`Uptime probes: ${summary.probed} probed (${summary.up} up, ${summary.degraded} degraded, ${summary.down} down), ${summary.failed} failed`);
+    }
+});
+
+// Status and uptime per project for the project cards, with each monitor's daily, window
+// and monthly numbers: GET uptime?projectId=&days=30&month=YYYY-MM. Callers see the
+// projects they can read.
+app.http('uptime', {
+    methods: ['GET', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'uptime',
+    handler: async (request, context) => {
+        context.log(`Uptime function triggered: ${request.method}`);
+
+        if (request.method === 'OPTIONS') {
+            return preflight(UPTIME_METHODS);
+        }
+
+        const principal = getClientPrincipal(request);
+        if (!isAuthenticated(principal)) {
+            return errorResponse(401, 'Sign in to view uptime', UPTIME_METHODS);
+        }
+
+        try {
+            const days = parseInt(request.query.get('days'), 10) || 30;
+            if (days < 1 || days > MAX_DAYS) {
+                return errorResponse(400, `days must be between 1 and ${MAX_DAYS}`, UPTIME_METHODS);
+            }
+            const month = request.query.get('month') || undefined;
+            if (month && !MONTH_PATTERN.test(month)) {
+                return errorResponse(400, 'month must be a YYYY-MM month', UPTIME_METHODS);
+            }
+            const projectId = request.query.get('projectId');
+
+            const [access, projects, monitors] = await Promise.all([getAccess(principal), listProjects(context), listMonitors()]);
+            const readable = new Set(projects
+                .filter(project => can(access, project, 'read'))
+                .map(project => String(project.id)));
+            const visible = monitors.filter(monitor => readable.has(monitor.projectId) && (!projectId || monitor.projectId === projectId));
+
+            const entries = await Promise.all(visible.map(async monitor => ({
+                id: monitor.id,
+                projectId: monitor.projectId,
+                name: monitor.name,
+                url: monitor.url,
+                enabled: monitor.enabled,
+                lastResult: monitor.lastResult,
+                ...await uptimeReport(monitor, { days, month })
+            })));
+
+            const byProject = {};
+            entries.forEach(entry => {
+                (byProject[entry.projectId] = byProject[entry.projectId] || []).push(entry);
+            });
+            const projectSummaries = Object.fromEntries(Object.entries(byProject)
+                .map(([id, projectEntries]) => [id, summarizeProject(projectEntries.filter(entry => entry.enabled))]));
+
+            return jsonResponse(200, {
+                days,
+                projects: projectSummaries,
+                monitors: entries,
+                timestamp: new Date().toISOString()
+            }, UPTIME_METHODS);
+        } catch (error) {
+            context.error('Error in uptime function:', error);
+            return errorResponse(500, 'Internal server error', UPTIME_METHODS, { message: error.message });
+        }
+    }
+});
+
+// Monitor definitions, admin only: GET uptime-monitors, POST uptime-monitors,
+// PUT uptime-monitors/{id}, DELETE uptime-monitors/{id}, POST uptime-monitors/{id}/probe
+// probes once now, GET uptime-monitors/{id}/results?limit= lists the recent probes
+app.http('uptimeMonitors', {
+    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'uptime-monitors/{id?}/{action?}',
+    handler: async (request, context) => {
+        context.log(`Uptime monitors function triggered: ${request.method}`);
+
+        if (request.method === 'OPTIONS') {
+            return preflight(MONITOR_METHODS);
+        }
+
+        try {
+            const { principal, denied } = await requireRole(request, MONITOR_METHODS, MONITOR_ACCESS);
+            if (denied) return denied;
+
+            const { id, action } = request.params;
+
+            if (request.method === 'GET' && !id) {
+                return jsonResponse(200, { monitors: await listMonitors(), timestamp: new Date().toISOString() }, MONITOR_METHODS);
+            }
+
+            if (request.method === 'POST' && !id) {
+                const projectIds = new Set((await listProjects(context)).map(project => String(project.id)));
+                const { monitor, error } = normalizeMonitor(await readJson(request), null, projectIds);
+                if (error) {
+                    return errorResponse(400, error, MONITOR_METHODS);
+                }
+                const saved = await saveMonitor({ ...monitor, createdBy: principal.userDetails, created: new Date().toISOString() });
+                await recordAudit(context, {
+                    principal,
+                    action: 'uptimeMonitor.create',
+                    targetType: 'uptimeMonitor',
+                    targetId: monitor.id,
+                    projectId: monitor.projectId,
+                    summary: `Created uptime monitor ${monitor.name} for ${monitor.url}`,
+                    before: null,
+                    after: monitor
+                });
+                return jsonResponse(201, saved, MONITOR_METHODS);
+            }
+
+            const existing = id ? await getMonitor(id) : null;
+            if (!existing) {
+                return errorResponse(404, `Monitor ${id || '(none)'} not found`, MONITOR_METHODS);
+            }
+
+            if (request.method === 'GET') {
+                if (action !== 'results') {
+                    return jsonResponse(200, existing, MONITOR_METHODS);
+                }
+                const limit = Math.min(parseInt(request.query.get('limit'), 10) || 50, MAX_RESULTS);
+                return jsonResponse(200, { results: await listResults(existing.id, limit), timestamp: new Date().toISOString() }, MONITOR_METHODS);
+            }
+
+            if (request.method === 'POST') {
+                if (action !== 'probe') {
+                    return errorResponse(404, `Unknown monitor action: ${action || '(none)'}`, MONITOR_METHODS);
+                }
+                const result = await probe(existing);
+                await recordResult(result);
+                return jsonResponse(200, result, MONITOR_METHODS);
+            }
+
+            if (request.method === 'PUT') {
+                const projectIds = new Set((await listProjects(context)).map(project => String(project.id)));
+                const { monitor, error } = normalizeMonitor(await readJson(request), existing, projectIds);
+                if (error) {
+                    return errorResponse(400, error, MONITOR_METHODS);
+                }
+                const { lastResult, createdBy, created, ...before } = existing;
+                const saved = await saveMonitor({ ...monitor, createdBy, created });
+                await recordAudit(context, {
+                    principal,
+                    action: 'uptimeMonitor.update',
+                    targetType: 'uptimeMonitor',
+                    targetId: monitor.id,
+                    projectId: monitor.projectId,
+                    summary: `Updated uptime monitor ${monitor.name}`,
+                    before,
+                    after: monitor
+                });
+                return jsonResponse(200, saved, MONITOR_METHODS);
+            }
+
+            await deleteMonitor(existing.id);
+            const { lastResult, ...before } = existing;
+            await recordAudit(context, {
+                principal,
+                action: 'uptimeMonitor.delete',
+                targetType: 'uptimeMonitor',
+                targetId: existing.id,
+                projectId: existing.projectId,
+                summary: `Deleted uptime monitor ${existing.name} and its history`,
+                before,
+                after: null
+            });
+            return jsonResponse(200, { deleted: existing.id }, MONITOR_METHODS);
+        } catch (error) {
+            context.error('Error in uptime monitors function:', error);
+            return errorResponse(500, 'Internal server error', MONITOR_METHODS, { message: error.message });
+        }
+    }
+});
+
+module.exports = { app };
@@ -0,0 +1,228 @@
+const { app } = require('@azure/functions');
+const { getClientPrincipal, isAuthenticated } = require('../shared/auth');
+const { getAccess, isAdmin } = require('../shared/roles');
+const { listProjects } = require('../shared/projectStore');
+const { getTable } = require('../shared/tables');
+const { getArtifactContainerClient } = require('../shared/storage');
+const { normalizeArtifact } = require('../shared/artifacts');
+const { HASH_METADATA_KEY, hashStoredBlob, blobNameFromUrl, registerContent } = require('../shared/contentIndex');
+const { preflight, jsonResponse, errorResponse } = require('../shared/http');
+
+const METHODS = 'GET, POST, OPTIONS';
+// One summary row per run in RUNS_PARTITION, one row per finding in a partition named after the run
+const verificationTableName = 'artifactverification';
+const RUNS_PARTITION = 'run';
+// Inverted timestamps sort newest first in Table Storage
+const MAX_TIMESTAMP = 9999999999999;
+
+function newRunId() {
+    return String(MAX_TIMESTAMP - Date.now()).padStart(13, '0');
+}
+
+// Check one stored blob; dedupe means many versions can share it, so results are cached per run
+async function inspectBlob(blobName, expectedHash) {
+    const blobClient = getArtifactContainerClient().getBlobClient(blobName);
+    let properties;
+    try {
+        properties = await blobClient.getProperties();
+    } catch (error) {
+        if (error.statusCode === 404) return { missing: true };
+        throw error;
+    }
+
+    const result = {
+        sizeBytes: properties.contentLength,
+        metadataHash: (properties.metadata || {})[HASH_METADATA_KEY] || null,
+        hash: null
+    };
+
+    if (expectedHash) {
+        const { hash, bytes } = await hashStoredBlob(blobClient);
+        result.hash = hash;
+        result.bytesHashed = bytes;
+        if (hash === expectedHash && bytes === properties.contentLength) {
+            await registerContent(hash, {
+                blobName,
+                blobUrl: blobClient.url,
+                sizeBytes: properties.contentLength,
+                verified: true
+            });
+        }
+    }
+    return result;
+}
+
+// Walk every version of every artifact and report anything that no longer matches its record
+async function runVerification(context) {
+    const startedAt = new Date().toISOString();
+    const projects = await listProjects(context);
+    const inspected = new Map();
+    const issues = [];
+    let checkedVersions = 0;
+    let bytesHashed = 0;
+
+    for (const project of projects) {
+        for (const artifact of (project.artifacts || []).map(normalizeArtifact)) {
+            const where = {
+                projectId: project.id,
+                projectName: project.name,
+                artifactId: artifact.artifactId,
+                artifactName: artifact.name
+            };
+
+            // Left behind by the upload fallback when Storage was unreachable
+            if (artifact.localOnly) {
+                issues.push({ ...where, kind: 'localOnly', detail: 'Recorded in a browser but never reached Storage' });
+            }
+
+            for (const version of artifact.versions) {
+                const blobName = version.blobName || blobNameFromUrl(version.blobUrl);
+                if (!blobName) {
+                    issues.push({ ...where, kind: 'external', version: version.version, detail: `Not in the artifact container: ${version.blobUrl}` });
+                    continue;
+                }
+
+                checkedVersions++;
+                const key = `${blobName}|${version.contentHash || ''}`;
+                if (!inspected.has(key)) {
+                    try {
+                        const result = await inspectBlob(blobName, version.contentHash);
+                        bytesHashed += result.bytesHashed || 0;
+                        inspected.set(key, result);
+                    } catch (error) {
+                        context.error(`Could not inspect ${blobName}:`, error.message);
+                        inspected.set(key, { error: error.message });
+                    }
+                }
+
+                const result = inspected.get(key);
+                const finding = { ...where, version: version.version, blobName };
+                if (result.error) {
+                    issues.push({ ...finding, kind: 'error', detail: result.error });
+                } else if (result.missing) {
+                    issues.push({ ...finding, kind: 'missing', detail: 'Blob does not exist' });
+                } else if (version.sizeBytes && result.sizeBytes < version.sizeBytes) {
+                    issues.push({ ...finding, kind: 'truncated', detail: `${result.sizeBytes} of ${version.sizeBytes} bytes` });
+                } else if (version.sizeBytes && result.sizeBytes !== version.sizeBytes) {
+                    issues.push({ ...finding, kind: 'mismatched', detail: `Size is ${result.sizeBytes}, recorded ${version.sizeBytes}` });
+                } else if (result.hash && result.hash !== version.contentHash) {
+                    issues.push({ ...finding, kind: 'mismatched', detail: `SHA-256 is ${result.hash}, recorded ${version.contentHash}` });
+                } else if (result.metadataHash && version.contentHash && result.metadataHash !== version.contentHash) {
+                    issues.push({ ...finding, kind: 'mismatched', detail: 'Blob metadata hash differs from the record' });
+                }
+            }
+        }
+    }
+
+    return {
+        runId: newRunId(),
+        startedAt,
+        finishedAt: new Date().toISOString(),
+        projectCount: projects.length,
+        checkedVersions,
+        checkedBlobs: inspected.size,
+        bytesHashed,
+        issueCount: issues.length,
+        issues
+    };
+}
+
+async function saveReport(report) {
+    const table = await getTable(verificationTableName);
+    const { issues, ...summary } = report;
+
+    for (let i = 0; i < issues.length; i++) {
+        await table.createEntity({
+            partitionKey: report.runId,
+            rowKey: String(i).padStart(6, '0'),
+            data: JSON.stringify(issues[i])
+        });
+    }
+    await table.createEntity({
+        partitionKey: RUNS_PARTITION,
+        rowKey: report.runId,
+        ...summary
+    });
+}
+
+async function getLatestReport() {
+    const table = await getTable(verificationTableName);
+    const runs = table.listEntities({
+        queryOptions: { filter: `PartitionKey eq '${RUNS_PARTITION}'` }
+    });
+
+    for await (const run of runs) {
+        const issues = [];
+        const rows = table.listEntities({
+            queryOptions: { filter: `PartitionKey eq '${run.rowKey}'` }
+        });
+        for await (const row of rows) {
+            issues.push(JSON.parse(row.data));
+        }
+
+        return {
+            runId: run.rowKey,
+            startedAt: run.startedAt,
+            finishedAt: run.finishedAt,
+            projectCount: run.projectCount,
+            checkedVersions: run.checkedVersions,
+            checkedBlobs: run.checkedBlobs,
+            bytesHashed: run.bytesHashed,
+            issueCount: run.issueCount,
+            issues
+        };
+    }
+    return null;
+}
+
+// Nightly integrity sweep
+app.timer('verifyArtifactsTimer', {
+    schedule: process.env.VERIFY_ARTIFACTS_SCHEDULE || '0 30 2 * * *',
+    handler: async (myTimer, context) => {
+        const report = await runVerification(context);
+        await saveReport(report);
+        context.log(`Artifact verification: ${report.checkedVersions} versions, ${report.issueCount} issues`);
+    }
+});
+
+// Latest verification report (GET) or run one now (POST)
+app.http('verifyArtifacts', {
+    methods: ['GET', 'POST', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'artifacts/verify',
+    handler: async (request, context) => {
+        context.log(`Verify artifacts function triggered: ${request.method}`);
+
+        if (request.method === 'OPTIONS') {
+            return preflight(METHODS);
+        }
+
+        const principal = getClientPrincipal(request);
+        if (!isAuthenticated(principal)) {
+            return errorResponse(401, 'Sign in to view artifact verification', METHODS);
+        }
+
+        try {
+            if (!isAdmin(await getAccess(principal))) {
+                return errorResponse(403, 'Only admins can view artifact verification', METHODS);
+            }
+
+            if (request.method === 'GET') {
+                const report = await getLatestReport();
+                if (!report) {
+                    return errorResponse(404, 'No verification has run yet', METHODS);
+                }
+                return jsonResponse(200, report, METHODS);
+            }
+
+            const report = await runVerification(context);
+            await saveReport(report);
+            return jsonResponse(200, report, METHODS);
+        } catch (error) {
+            context.error('Error verifying artifacts:', error);
+            return errorResponse(500, 'Artifact verification failed', METHODS, { message: error.message });
+        }
+    }
+});
+
+module.exports = { app };
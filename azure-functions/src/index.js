@@ -0,0 +1,22 @@
+// Entry point: each module registers its functions with the shared app
+require('./functions/metrics');
+require('./functions/projects');
+require('./functions/uploadSas');
+require('./functions/downloadSas');
+require('./functions/artifacts');
+require('./functions/verifyArtifacts');
+require('./functions/roles');
+require('./functions/settings');
+require('./functions/audit');
+require('./functions/shareLinks');
+require('./functions/portal');
+require('./functions/search');
+require('./functions/budgets');
+require('./functions/forecast');
+require('./functions/anomalies');
+require('./functions/projectCosts');
+require('./functions/billing');
+require('./functions/aiUsage');
+require('./functions/certificates');
+require('./functions/uptime');
+require('./functions/recommendations');
@@ -0,0 +1,270 @@
+const crypto = require('crypto');
+const { getTable } = require('./tables');
+const { sameIdentity, normalizeArtifact, appendVersion } = require('./artifacts');
+
+// Artifact registry - one partition per project holding a row per artifact (everything
+// but its version list, in `data`) and a row per version. Versions used to live inside
+// the project row, whose 32K character cap a modest upload history would exceed.
+const artifactsTableName = 'artifacts';
+// Zero-padded so a partition lists an artifact's versions in order
+const VERSION_DIGITS = 6;
+
+function partitionOf(projectId) {
+    return `project:${encodeURIComponent(String(projectId))}`;
+}
+
+function artifactRowKey(artifactId) {
+    return `artifact:${artifactId}`;
+}
+
+function versionRowKey(artifactId, version) {
+    return `version:${artifactId}:${String(version).padStart(VERSION_DIGITS, '0')}`;
+}
+
+// Two uploads racing to create the same artifact land on the same row, so the second
+// one fails its transaction and retries as a new version instead of a duplicate
+function identityArtifactId(name, type) {
+    return `art_${crypto.createHash('sha256').update(`${type}\n${name}`).digest('hex').substring(0, 16)}`;
+}
+
+function artifactEntity(projectId, artifact) {
+    const { versions, etag, ...head } = artifact;
+    return {
+        partitionKey: partitionOf(projectId),
+        rowKey: artifactRowKey(artifact.artifactId),
+        name: artifact.name || '',
+        type: artifact.type || '',
+        data: JSON.stringify(head)
+    };
+}
+
+// blobName is a column so versions stored in a blob can be found across every project
+function versionEntity(projectId, artifactId, version) {
+    return {
+        partitionKey: partitionOf(projectId),
+        rowKey: versionRowKey(artifactId, version.version),
+        blobName: version.blobName || '',
+        data: JSON.stringify(version)
+    };
+}
+
+function firstUpload(artifact) {
+    return (artifact.versions[0] && artifact.versions[0].uploadDate) || artifact.uploadDate || '';
+}
+
+// Rows of one partition (or of the whole table) back into artifacts with their versions,
+// grouped by partition and oldest artifact first, as the embedded arrays were ordered
+function assemble(entities) {
+    const byPartition = new Map();
+    const versions = new Map();
+
+    entities.forEach(entity => {
+        if (entity.rowKey.startsWith('artifact:')) {
+            const artifacts = byPartition.get(entity.partitionKey) || [];
+            artifacts.push({ ...JSON.parse(entity.data), versions: [], etag: entity.etag });
+            byPartition.set(entity.partitionKey, artifacts);
+        } else if (entity.rowKey.startsWith('version:')) {
+            const key = `${entity.partitionKey}|${entity.rowKey.split(':')[1]}`;
+            versions.set(key, [...(versions.get(key) || []), JSON.parse(entity.data)]);
+        }
+    });
+
+    byPartition.forEach((artifacts, partitionKey) => {
+        artifacts.forEach(artifact => {
+            artifact.versions = (versions.get(`${partitionKey}|${artifact.artifactId}`) || [])
+                .sort((a, b) => a.version - b.version);
+        });
+        artifacts.sort((a, b) => firstUpload(a).localeCompare(firstUpload(b)));
+    });
+    return byPartition;
+}
+
+async function listEntities(table, filter) {
+    const entities = [];
+    for await (const entity of table.listEntities(filter ? { queryOptions: { filter } } : {})) {
+        entities.push(entity);
+    }
+    return entities;
+}
+
+// The etag is the artifact row's, kept for the store's own conditional writes
+function publicArtifact(artifact) {
+    const { etag, ...rest } = artifact;
+    return rest;
+}
+
+async function loadArtifacts(table, projectId) {
+    const partition = partitionOf(projectId);
+    const entities = await listEntities(table, `PartitionKey eq '${partition.replace(/'/g, "''")}'`);
+    return assemble(entities).get(partition) || [];
+}
+
+async function listArtifacts(projectId) {
+    const table = await getTable(artifactsTableName);
+    return (await loadArtifacts(table, projectId)).map(publicArtifact);
+}
+
+// All projects' artifacts in one scan: Map of project id -> artifacts
+async function listAllArtifacts() {
+    const table = await getTable(artifactsTableName);
+    const byProject = new Map();
+    assemble(await listEntities(table)).forEach((artifacts, partitionKey) => {
+        byProject.set(decodeURIComponent(partitionKey.slice('project:'.length)), artifacts.map(publicArtifact));
+    });
+    return byProject;
+}
+
+async function getArtifact(projectId, artifactId) {
+    return (await listArtifacts(projectId)).find(artifact => artifact.artifactId === artifactId) || null;
+}
+
+// Whether a version row in any project names this blob. Rows written before the blobName
+// column existed are not found here; see contentIndex.isBlobReferenced.
+async function hasVersionInBlob(blobName) {
+    const table = await getTable(artifactsTableName);
+    const filter = `blobName eq '${String(blobName).replace(/'/g, "''")}'`;
+    for await (const entity of table.listEntities({ queryOptions: { filter, select: ['RowKey'] } })) {
+        return !!entity;
+    }
+    return false;
+}
+
+// Table transactions fail as a whole; a 409 or 412 means another writer got in first
+function isWriteConflict(error) {
+    return error.statusCode === 409 || error.statusCode === 412;
+}
+
+function conflictError(projectId, attempts) {
+    const error = new Error(`Artifacts of project ${projectId} kept changing; gave up after ${attempts} attempts`);
+    error.statusCode = 409;
+    return error;
+}
+
+// Append a version to an artifact and make it current, creating the artifact on its
+// first upload. `findArtifact` picks the artifact from the project's current list and
+// `fields` are merged into it; `buildVersion` gets that artifact (or null) and returns
+// the version data, or { error } to stop without writing. Returns { artifact, previous }
+// (the artifact as it was, or null if it is new) or { error }.
+async function commitVersion(projectId, { findArtifact, createArtifact, fields = {}, buildVersion }, attempts = 3) {
+    const table = await getTable(artifactsTableName);
+
+    for (let attempt = 0; attempt < attempts; attempt++) {
+        const existing = findArtifact(await loadArtifacts(table, projectId));
+        const versionData = buildVersion(existing);
+        if (versionData.error) return versionData;
+
+        const base = existing ?
+            { ...existing, ...fields } :
+            { ...createArtifact, ...fields, artifactId: identityArtifactId(createArtifact.name, createArtifact.type) };
+        const artifact = appendVersion(base, versionData);
+        const version = artifact.versions[artifact.versions.length - 1];
+        const actions = [
+            ['create', versionEntity(projectId, artifact.artifactId, version)],
+            existing ?
+                ['update', artifactEntity(projectId, artifact), 'Replace', { etag: existing.etag }] :
+                ['create', artifactEntity(projectId, artifact)]
+        ];
+
+        try {
+            await table.submitTransaction(actions);
+            return { artifact: publicArtifact(artifact), previous: existing && publicArtifact(existing) };
+        } catch (error) {
+            if (!isWriteConflict(error)) throw error;
+        }
+    }
+
+    throw conflictError(projectId, attempts);
+}
+
+// A new upload: the next version of the artifact with this name and type. Workflow
+// exports keep a pointer back to the n8n workflow they came from.
+function recordUpload(projectId, { name, type, icon, workflowId }, versionData) {
+    return commitVersion(projectId, {
+        findArtifact: artifacts => artifacts.find(artifact => sameIdentity(artifact, name, type)) || null,
+        createArtifact: { name, type, icon: icon || '📁' },
+        fields: workflowId ? { workflowId } : {},
+        buildVersion: () => versionData
+    });
+}
+
+// Any other new version of an existing artifact; `buildVersion(artifact)` as for commitVersion
+function recordVersion(projectId, artifactId, buildVersion) {
+    return commitVersion(projectId, {
+        findArtifact: artifacts => artifacts.find(artifact => artifact.artifactId === artifactId) || null,
+        createArtifact: null,
+        buildVersion: artifact => artifact ? buildVersion(artifact) : { error: `Artifact ${artifactId} not found` }
+    });
+}
+
+// Read-modify-write of an artifact's own fields (not its versions). `buildChanges` returns
+// null to skip the write. Returns the updated artifact, or null if there is none.
+async function updateArtifact(projectId, artifactId, buildChanges, attempts = 3) {
+    const table = await getTable(artifactsTableName);
+
+    for (let attempt = 0; attempt < attempts; attempt++) {
+        const current = (await loadArtifacts(table, projectId)).find(artifact => artifact.artifactId === artifactId);
+        if (!current) return null;
+
+        const changes = buildChanges(publicArtifact(current));
+        if (!changes) return publicArtifact(current);
+
+        const updated = { ...current, ...changes };
+        try {
+            await table.updateEntity(artifactEntity(projectId, updated), 'Replace', { etag: current.etag });
+            return publicArtifact(updated);
+        } catch (error) {
+            if (error.statusCode !== 412) throw error;
+        }
+    }
+
+    throw conflictError(projectId, attempts);
+}
+
+// Copy artifacts that were embedded in a project row (or a legacy projects.json) into
+// the registry. Safe to repeat: rows that already exist are left alone, and flat legacy
+// records get the id their identity implies rather than a random one.
+async function importArtifacts(projectId, artifacts) {
+    const table = await getTable(artifactsTableName);
+
+    for (const embedded of artifacts) {
+        const artifact = normalizeArtifact({
+            ...embedded,
+            artifactId: embedded.artifactId || identityArtifactId(embedded.name, embedded.type)
+        });
+        const entities = [
+            artifactEntity(projectId, artifact),
+            ...artifact.versions.map(version => versionEntity(projectId, artifact.artifactId, version))
+        ];
+        for (const entity of entities) {
+            try {
+                await table.createEntity(entity);
+            } catch (error) {
+                if (error.statusCode !== 409) throw error;
+            }
+        }
+    }
+}
+
+async function deleteProjectArtifacts(projectId) {
+    const table = await getTable(artifactsTableName);
+    const partition = partitionOf(projectId);
+    for (const entity of await listEntities(table, `PartitionKey eq '${partition.replace(/'/g, "''")}'`)) {
+        try {
+            await table.deleteEntity(entity.partitionKey, entity.rowKey);
+        } catch (error) {
+            if (error.statusCode !== 404) throw error;
+        }
+    }
+}
+
+module.exports = {
+    listArtifacts,
+    listAllArtifacts,
+    getArtifact,
+    hasVersionInBlob,
+    recordUpload,
+    recordVersion,
+    updateArtifact,
+    importArtifacts,
+    deleteProjectArtifacts
+};
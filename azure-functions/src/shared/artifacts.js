@@ -0,0 +1,79 @@
+// Artifact versioning - an artifact is a logical document identified by its
+// type and name, holding an ordered list of versions. The top-level blobUrl,
+// size and uploadDate always mirror the current version so older clients that
+// only know the flat shape keep rendering it.
+
+function generateArtifactId() {
+    return `art_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+function formatSize(sizeBytes) {
+    return `${(sizeBytes / 1024 / 1024).toFixed(2)} MB`;
+}
+
+function sameIdentity(artifact, name, type) {
+    return artifact.name === name && artifact.type === type;
+}
+
+// Older records are a single flat upload; treat that upload as version 1
+function normalizeArtifact(artifact) {
+    if (artifact.artifactId && Array.isArray(artifact.versions)) {
+        return artifact;
+    }
+
+    const versions = artifact.blobUrl ? [{
+        version: 1,
+        blobUrl: artifact.blobUrl,
+        size: artifact.size,
+        sizeBytes: artifact.sizeBytes || null,
+        contentHash: artifact.contentHash || null,
+        uploadedBy: artifact.uploadedBy || null,
+        uploadDate: artifact.uploadDate
+    }] : [];
+
+    return {
+        ...artifact,
+        artifactId: artifact.artifactId || generateArtifactId(),
+        versions,
+        currentVersion: versions.length
+    };
+}
+
+function getVersion(artifact, version) {
+    return (artifact.versions || []).find(v => v.version === version) || null;
+}
+
+// Append a version and make it current
+function appendVersion(artifact, versionData) {
+    const normalized = normalizeArtifact(artifact);
+    const nextVersion = normalized.versions.reduce((max, v) => Math.max(max, v.version), 0) + 1;
+    const version = {
+        ...versionData,
+        version: nextVersion,
+        size: versionData.size || formatSize(versionData.sizeBytes || 0)
+    };
+
+    const rest = { ...normalized };
+    delete rest.localOnly;
+
+    return {
+        ...rest,
+        versions: [...normalized.versions, version],
+        currentVersion: nextVersion,
+        blobUrl: version.blobUrl,
+        size: version.size,
+        sizeBytes: version.sizeBytes,
+        contentHash: version.contentHash,
+        uploadDate: version.uploadDate,
+        uploadedBy: version.uploadedBy
+    };
+}
+
+module.exports = {
+    generateArtifactId,
+    formatSize,
+    sameIdentity,
+    normalizeArtifact,
+    getVersion,
+    appendVersion
+};
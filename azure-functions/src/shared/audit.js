@@ -0,0 +1,139 @@
+const { getTable } = require('./tables');
+
+// Append-only audit trail. Every entry is written twice: once to the global log and
+// once to its project's partition so a project's feed is a single-partition query.
+// Entries are only ever created - nothing in the API updates or deletes them.
+const auditTableName = 'auditlog';
+const GLOBAL_PARTITION = 'log';
+// Inverted timestamps sort newest first in Table Storage
+const MAX_TIMESTAMP = 9999999999999;
+// Keep each entry well inside Table Storage's 64KB string property limit
+const MAX_CHANGES_LENGTH = 30 * 1024;
+// Bookkeeping fields that change on every write and would only add noise to a diff
+const IGNORED_FIELDS = ['etag', 'lastModified', 'lastModifiedBy', 'myRole'];
+
+function projectPartition(projectId) {
+    return `project:${encodeURIComponent(projectId)}`;
+}
+
+function newRowKey(time) {
+    const inverted = String(MAX_TIMESTAMP - time.getTime()).padStart(13, '0');
+    return `${inverted}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+// Top-level field diff: { field: { from, to } } for every field that changed
+function diffObjects(before, after) {
+    const changes = {};
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    fields.forEach(field => {
+        if (IGNORED_FIELDS.includes(field)) return;
+        const from = before ? before[field] : undefined;
+        const to = after ? after[field] : undefined;
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+            changes[field] = { from: from === undefined ? null : from, to: to === undefined ? null : to };
+        }
+    });
+    return changes;
+}
+
+function serializeChanges(changes) {
+    const json = JSON.stringify(changes);
+    if (json.length <= MAX_CHANGES_LENGTH) {
+        return { changes: json, truncated: false };
+    }
+    // Too big to keep whole (usually artifact version lists); keep which fields changed
+    return {
+        changes: JSON.stringify(Object.fromEntries(Object.keys(changes).map(field => [field, { truncated: true }]))),
+        truncated: true
+    };
+}
+
+// Record one mutation. `before`/`after` are the target's state either side of the change
+// (null for creates and deletes); `summary` is the one-line description shown in feeds.
+async function recordAudit(context, { principal, action, targetType, targetId, projectId, summary, before, after }) {
+    try {
+        const time = new Date();
+        const rowKey = newRowKey(time);
+        const { changes, truncated } = serializeChanges(diffObjects(before, after));
+        const entry = {
+            rowKey,
+            // (not `timestamp` - the Tables SDK reports the system Timestamp under that name)
+            occurredAt: time.toISOString(),
+            actor: principal ? principal.userDetails : 'system',
+            actorId: principal ? principal.userId : null,
+            identityProvider: principal ? principal.identityProvider : null,
+            action,
+            targetType,
+            targetId: targetId != null ? String(targetId) : null,
+            projectId: projectId != null ? String(projectId) : null,
+            summary: summary || action,
+            changes,
+            truncated
+        };
+
+        const table = await getTable(auditTableName);
+        await table.createEntity({ partitionKey: GLOBAL_PARTITION, ...entry });
+        if (entry.projectId) {
+            await table.createEntity({ partitionKey: projectPartition(entry.projectId), ...entry });
+        }
+    } catch (error) {
+        // The change itself has already been made; losing its audit entry must be loud
+        context.error(`Failed to write audit entry for ${action} on ${targetType} ${targetId}:`, error);
+    }
+}
+
+function fromEntity(entity) {
+    return {
+        id: entity.rowKey,
+        timestamp: entity.occurredAt,
+        actor: entity.actor,
+        action: entity.action,
+        targetType: entity.targetType,
+        targetId: entity.targetId,
+        projectId: entity.projectId,
+        summary: entity.summary,
+        changes: entity.changes ? JSON.parse(entity.changes) : {},
+        truncated: !!entity.truncated
+    };
+}
+
+function escapeOData(value) {
+    return String(value).replace(/'/g, "''");
+}
+
+// Newest first. Exact filters run in Table Storage; `q` is a case-insensitive
+// substring match applied to the entries scanned (at most `scanLimit`).
+async function queryAudit({ projectId, actor, action, from, to, q, limit = 100, scanLimit = 5000 }) {
+    const table = await getTable(auditTableName);
+    const filters = [`PartitionKey eq '${escapeOData(projectId ? projectPartition(projectId) : GLOBAL_PARTITION)}'`];
+
+    if (actor) filters.push(`actor eq '${escapeOData(actor.toLowerCase())}'`);
+    if (action) filters.push(`action eq '${escapeOData(action)}'`);
+    // Row keys are inverted timestamps, so a time range is a row key range
+    const toTime = to ? new Date(to).getTime() : NaN;
+    const fromTime = from ? new Date(from).getTime() : NaN;
+    if (!isNaN(toTime)) filters.push(`RowKey ge '${String(MAX_TIMESTAMP - toTime).padStart(13, '0')}'`);
+    if (!isNaN(fromTime)) filters.push(`RowKey le '${String(MAX_TIMESTAMP - fromTime).padStart(13, '0')}_~'`);
+
+    const needle = q ? q.toLowerCase() : null;
+    const entries = [];
+    let scanned = 0;
+
+    for await (const entity of table.listEntities({ queryOptions: { filter: filters.join(' and ') } })) {
+        scanned++;
+        const entry = fromEntity(entity);
+        if (!needle || JSON.stringify(entry).toLowerCase().includes(needle)) {
+            entries.push(entry);
+        }
+        if (entries.length >= limit || scanned >= scanLimit) break;
+    }
+
+    return { entries, scanned, complete: entries.length < limit && scanned < scanLimit };
+}
+
+module.exports = {
+    diffObjects,
+    recordAudit,
+    queryAudit
+};
@@ -0,0 +1,37 @@
+// Only staff accounts may write artifacts (mirrors isAuthorizedUser in blob-integration.js)
+const staffEmailDomain = (process.env.STAFF_EMAIL_DOMAIN || 'saxtechnology.com').toLowerCase();
+
+// Static Web Apps forwards the signed-in user to the linked backend
+// as a base64-encoded JSON document in the x-ms-client-principal header
+function getClientPrincipal(request) {
+    const header = request.headers.get('x-ms-client-principal');
+    if (!header) return null;
+
+    try {
+        const principal = JSON.parse(Buffer.from(header, 'base64').toString('utf8'));
+        if (!principal || !principal.userId) return null;
+
+        return {
+            userId: principal.userId,
+            userDetails: (principal.userDetails || '').toLowerCase(),
+            identityProvider: principal.identityProvider,
+            userRoles: principal.userRoles || []
+        };
+    } catch (error) {
+        return null;
+    }
+}
+
+function isAuthenticated(principal) {
+    return !!principal && principal.userRoles.includes('authenticated');
+}
+
+function isStaffUser(principal) {
+    return isAuthenticated(principal) && principal.userDetails.endsWith(`@${staffEmailDomain}`);
+}
+
+module.exports = {
+    getClientPrincipal,
+    isAuthenticated,
+    isStaffUser
+};
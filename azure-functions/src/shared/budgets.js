@@ -0,0 +1,382 @@
+const crypto = require('crypto');
+const { getTable } = require('./tables');
+const { resolveTargets } = require('./subscriptions');
+const { getProject } = require('./projectStore');
+const { queryMonthCost, projectMonthEnd } = require('./costQuery');
+const { normalizeChannels, notify } = require('./notifications');
+
+// Monthly cost budgets and the alerts they raise. A budget watches one scope (a
+// subscription, a resource group, a project's resource group or a tag) against a monthly
+// amount; each threshold fires at most once per budget per calendar month.
+const budgetsTableName = 'budgets';
+const BUDGET_PARTITION = 'budget';
+const alertsTableName = 'budgetalerts';
+const ALERT_PARTITION = 'alert';
+// One row per threshold that has fired in a month, so re-evaluating never re-notifies
+const FIRED_PARTITION = 'fired';
+// Inverted timestamps sort newest first in Table Storage
+const MAX_TIMESTAMP = 9999999999999;
+const SCOPE_TYPES = ['subscription', 'resourceGroup', 'project', 'tag'];
+const BASES = ['actual', 'forecast'];
+const DEFAULT_THRESHOLDS = [
+    { percent: 50, basis: 'actual' },
+    { percent: 80, basis: 'actual' },
+    { percent: 100, basis: 'actual' },
+    { percent: 100, basis: 'forecast' }
+];
+const RESOURCE_GROUP_PATTERN = /^[-\w.()]{1,90}$/;
+
+function trimmed(value, maxLength) {
+    return typeof value === 'string' ? value.trim().substring(0, maxLength) : '';
+}
+
+function normalizeScope(scope) {
+    if (!scope || !SCOPE_TYPES.includes(scope.type)) {
+        return { error: `scope.type must be one of ${SCOPE_TYPES.join(', ')}` };
+    }
+
+    const subscriptionId = trimmed(scope.subscriptionId, 36).toLowerCase() || null;
+    if (subscriptionId && !resolveTargets(subscriptionId)) {
+        return { error: `Subscription ${subscriptionId} is not registered` };
+    }
+
+    const normalized = { type: scope.type, subscriptionId };
+    if (scope.type === 'resourceGroup') {
+        normalized.resourceGroup = trimmed(scope.resourceGroup, 90);
+        if (!RESOURCE_GROUP_PATTERN.test(normalized.resourceGroup)) {
+            return { error: 'scope.resourceGroup must be a resource group name' };
+        }
+    } else if (scope.type === 'project') {
+        normalized.projectId = trimmed(String(scope.projectId || ''), 100);
+        if (!normalized.projectId) {
+            return { error: 'scope.projectId is required' };
+        }
+    } else if (scope.type === 'tag') {
+        normalized.tagName = trimmed(scope.tagName, 512);
+        normalized.tagValue = trimmed(scope.tagValue, 256);
+        if (!normalized.tagName) {
+            return { error: 'scope.tagName is required' };
+        }
+    }
+    return { scope: normalized };
+}
+
+function normalizeThresholds(thresholds) {
+    if (thresholds === undefined) {
+        return { thresholds: DEFAULT_THRESHOLDS };
+    }
+    if (!Array.isArray(thresholds) || thresholds.length === 0) {
+        return { error: 'thresholds must be a non-empty array' };
+    }
+
+    const seen = new Map();
+    for (const threshold of thresholds) {
+        const percent = parseFloat(threshold && threshold.percent);
+        const basis = threshold && threshold.basis ? threshold.basis : 'actual';
+        if (!(percent > 0 && percent <= 1000) || !BASES.includes(basis)) {
+            return { error: 'Each threshold needs a percent between 0 and 1000 and a basis of actual or forecast' };
+        }
+        seen.set(`${basis}_${percent}`, { percent, basis });
+    }
+    return {
+        thresholds: [...seen.values()].sort((a, b) => a.basis.localeCompare(b.basis) || a.percent - b.percent)
+    };
+}
+
+// Validated budget from a request body, merged over `existing` for updates; { error } otherwise
+function normalizeBudget(body, existing = null) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { error: 'Request body must be a budget object' };
+    }
+    const source = { ...(existing || {}), ...body };
+
+    const name = trimmed(source.name, 100);
+    if (!name) {
+        return { error: 'name is required' };
+    }
+    const amount = parseFloat(source.amount);
+    if (!(amount > 0)) {
+        return { error: 'amount must be a positive monthly amount' };
+    }
+
+    const scope = normalizeScope(source.scope);
+    if (scope.error) return scope;
+    const thresholds = normalizeThresholds(source.thresholds);
+    if (thresholds.error) return thresholds;
+    const channels = normalizeChannels(source.channels || []);
+    if (channels.error) return channels;
+
+    return {
+        budget: {
+            id: existing ? existing.id : `budget-${crypto.randomUUID()}`,
+            name,
+            amount: Math.round(amount * 100) / 100,
+            scope: scope.scope,
+            thresholds: thresholds.thresholds,
+            channels: channels.channels,
+            enabled: source.enabled !== false
+        }
+    };
+}
+
+function fromEntity(entity) {
+    return {
+        ...JSON.parse(entity.data),
+        lastEvaluation: entity.lastEvaluation ? JSON.parse(entity.lastEvaluation) : null
+    };
+}
+
+async function listBudgets() {
+    const table = await getTable(budgetsTableName);
+    const budgets = [];
+    const entities = table.listEntities({
+        queryOptions: { filter: `PartitionKey eq '${BUDGET_PARTITION}'` }
+    });
+    for await (const entity of entities) {
+        budgets.push(fromEntity(entity));
+    }
+    return budgets.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+async function getBudget(id) {
+    const table = await getTable(budgetsTableName);
+    try {
+        return fromEntity(await table.getEntity(BUDGET_PARTITION, id));
+    } catch (error) {
+        if (error.statusCode === 404) return null;
+        throw error;
+    }
+}
+
+// Writes the definition only; the evaluator owns lastEvaluation
+async function saveBudget(budget) {
+    const { lastEvaluation, ...definition } = budget;
+    const table = await getTable(budgetsTableName);
+    await table.upsertEntity({
+        partitionKey: BUDGET_PARTITION,
+        rowKey: budget.id,
+        data: JSON.stringify(definition)
+    }, 'Merge');
+    return budget;
+}
+
+async function deleteBudget(id) {
+    const table = await getTable(budgetsTableName);
+    await table.deleteEntity(BUDGET_PARTITION, id);
+}
+
+// Where a budget's spend comes from: a subscription target, the cost filter, and a label
+async function resolveScope(scope) {
+    const targets = resolveTargets(scope.subscriptionId);
+    if (!targets) {
+        throw new Error(`Subscription ${scope.subscriptionId} is no longer registered`);
+    }
+    const target = targets[0];
+
+    if (scope.type === 'resourceGroup') {
+        return { target, filter: { resourceGroup: scope.resourceGroup }, label: `resource group ${scope.resourceGroup}` };
+    }
+    if (scope.type === 'project') {
+        const project = await getProject(scope.projectId);
+        if (!project) {
+            throw new Error(`Project ${scope.projectId} no longer exists`);
+        }
+        if (!project.resourceGroup) {
+            throw new Error(`Project ${project.name} has no resource group to measure`);
+        }
+        return { target, filter: { resourceGroup: project.resourceGroup }, label: `project ${project.name}` };
+    }
+    if (scope.type === 'tag') {
+        return { target, filter: { tagName: scope.tagName, tagValue: scope.tagValue }, label: `tag ${scope.tagName}=${scope.tagValue}` };
+    }
+    return { target, filter: {}, label: `subscription ${target.subscriptionName}` };
+}
+
+function periodOf(now) {
+    return now.toISOString().substring(0, 7);
+}
+
+// Claim a threshold for this month; false when an earlier run already fired it
+async function claimThreshold(budget, threshold, period, now) {
+    const table = await getTable(alertsTableName);
+    try {
+        await table.createEntity({
+            partitionKey: FIRED_PARTITION,
+            rowKey: `${budget.id}_${period}_${threshold.basis}_${threshold.percent}`,
+            firedAt: now.toISOString()
+        });
+        return true;
+    } catch (error) {
+        if (error.statusCode === 409) return false;
+        throw error;
+    }
+}
+
+function alertMessage(budget, alert) {
+    const basisLabel = alert.basis === 'forecast' ? 'is forecast to reach' : 'has reached';
+    const money = value => `$${value.toFixed(2)}`;
+    return {
+        event: 'budget.threshold',
+        subject: `Budget "${budget.name}" ${basisLabel} ${alert.percent}% (${money(alert.value)} of ${money(budget.amount)})`,
+        text: [
+            `Budget: ${budget.name} (${alert.scopeLabel})`,
+            `Month: ${alert.period}`,
+            `Threshold: ${alert.percent}% of ${money(budget.amount)} (${alert.basis})`,
+            `Actual month to date: ${money(alert.actual)}`,
+            `Forecast month end: ${money(alert.forecast)}`
+        ].join('\n'),
+        ...alert
+    };
+}
+
+async function recordAlert(alert) {
+    const table = await getTable(alertsTableName);
+    const inverted = String(MAX_TIMESTAMP - Date.parse(alert.triggeredAt)).padStart(13, '0');
+    await table.createEntity({
+        partitionKey: ALERT_PARTITION,
+        rowKey: `${inverted}_${alert.budgetId}_${alert.basis}_${alert.percent}`,
+        budgetId: alert.budgetId,
+        data: JSON.stringify(alert)
+    });
+}
+
+// Check one budget against its scope's spend; fires and records any newly crossed thresholds
+async function evaluateBudget(budget, monthCost, scopeLabel, now, context) {
+    const actual = monthCost.monthToDate;
+    const forecast = projectMonthEnd(monthCost, now);
+    const period = periodOf(now);
+    const alerts = [];
+
+    // Only the highest newly crossed threshold per basis is sent; lower ones are claimed silently
+    for (const basis of BASES) {
+        const value = basis === 'forecast' ? forecast : actual;
+        const crossed = budget.thresholds
+            .filter(threshold => threshold.basis === basis && value >= budget.amount * threshold.percent / 100);
+        const claimed = [];
+        for (const threshold of crossed) {
+            if (await claimThreshold(budget, threshold, period, now)) {
+                claimed.push(threshold);
+            }
+        }
+        if (claimed.length === 0) continue;
+
+        const top = claimed[claimed.length - 1];
+        const alert = {
+            budgetId: budget.id,
+            budgetName: budget.name,
+            scopeLabel,
+            period,
+            percent: top.percent,
+            basis,
+            alsoCrossed: claimed.slice(0, -1).map(threshold => threshold.percent),
+            amount: budget.amount,
+            currency: monthCost.currency,
+            actual,
+            forecast,
+            value,
+            triggeredAt: now.toISOString()
+        };
+        alert.deliveries = await notify(budget.channels, alertMessage(budget, alert), context);
+        await recordAlert(alert);
+        alerts.push(alert);
+    }
+
+    return {
+        evaluation: {
+            evaluatedAt: now.toISOString(),
+            period,
+            actual,
+            forecast,
+            currency: monthCost.currency,
+            percentActual: actual / budget.amount * 100,
+            percentForecast: forecast / budget.amount * 100
+        },
+        alerts
+    };
+}
+
+async function saveEvaluation(budgetId, evaluation) {
+    const table = await getTable(budgetsTableName);
+    await table.updateEntity({
+        partitionKey: BUDGET_PARTITION,
+        rowKey: budgetId,
+        lastEvaluation: JSON.stringify(evaluation)
+    }, 'Merge');
+}
+
+// Evaluate every enabled budget. Budgets sharing a scope share one Cost Management query,
+// and queries run one at a time because that API throttles hard.
+async function evaluateBudgets(context, now = new Date()) {
+    const budgets = (await listBudgets()).filter(budget => budget.enabled);
+    const costs = new Map();
+    const summary = { evaluated: 0, failed: 0, alerts: [] };
+
+    for (const budget of budgets) {
+        let evaluation;
+        try {
+            const { target, filter, label } = await resolveScope(budget.scope);
+            const key = JSON.stringify([target.subscriptionId, filter]);
+            if (!costs.has(key)) {
+                costs.set(key, await queryMonthCost(target, filter, now));
+            }
+
+            const result = await evaluateBudget(budget, costs.get(key), label, now, context);
+            evaluation = result.evaluation;
+            summary.alerts.push(...result.alerts);
+            summary.evaluated++;
+        } catch (error) {
+            context.warn(`Budget ${budget.name} could not be evaluated: ${error.message}`);
+            evaluation = { evaluatedAt: now.toISOString(), period: periodOf(now), error: error.message };
+            summary.failed++;
+        }
+        await saveEvaluation(budget.id, evaluation);
+    }
+    return summary;
+}
+
+// Newest first, optionally for one budget
+async function listAlerts({ budgetId = null, limit = 100 } = {}) {
+    const table = await getTable(alertsTableName);
+    const filters = [`PartitionKey eq '${ALERT_PARTITION}'`];
+    if (budgetId) filters.push(`budgetId eq '${String(budgetId).replace(/'/g, "''")}'`);
+
+    const alerts = [];
+    for await (const entity of table.listEntities({ queryOptions: { filter: filters.join(' and ') } })) {
+        alerts.push({ id: entity.rowKey, ...JSON.parse(entity.data) });
+        if (alerts.length >= limit) break;
+    }
+    return alerts;
+}
+
+// Send a sample alert through a budget's channels without claiming anything
+async function sendTestAlert(budget, context) {
+    const now = new Date();
+    const alert = {
+        budgetId: budget.id,
+        budgetName: budget.name,
+        scopeLabel: 'test notification',
+        period: periodOf(now),
+        percent: 100,
+        basis: 'actual',
+        alsoCrossed: [],
+        amount: budget.amount,
+        currency: 'USD',
+        actual: budget.amount,
+        forecast: budget.amount,
+        value: budget.amount,
+        triggeredAt: now.toISOString(),
+        test: true
+    };
+    return notify(budget.channels, { ...alertMessage(budget, alert), event: 'budget.test' }, context);
+}
+
+module.exports = {
+    normalizeBudget,
+    listBudgets,
+    getBudget,
+    saveBudget,
+    deleteBudget,
+    evaluateBudgets,
+    listAlerts,
+    sendTestAlert
+};
@@ -0,0 +1,330 @@
+const tls = require('tls');
+const { WebSiteManagementClient } = require('@azure/arm-appservice');
+const { getTable } = require('./tables');
+const { ALL_SUBSCRIPTIONS, resolveTargets } = require('./subscriptions');
+const { normalizeChannels, notify } = require('./notifications');
+
+// TLS certificate inventory. Custom hostnames are discovered from App Service and Static Web
+// Apps in every registered subscription, plus the configured extra domains (hosts Azure
+// doesn't know about, like the AKS ingress). Each is checked with a real TLS handshake and
+// the latest result kept per domain; an alert goes out once per certificate for each
+// days-before-expiry threshold it crosses.
+const certificatesTableName = 'certificates';
+const DOMAIN_PARTITION = 'domain';
+const CONFIG_PARTITION = 'config';
+const SETTINGS_ROW = 'settings';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HANDSHAKE_TIMEOUT_MS = 10000;
+const MAX_THRESHOLDS = 10;
+// Azure's own hostnames are covered by Microsoft's wildcard certificates
+const PLATFORM_DOMAINS = /\.(azurewebsites\.net|azurestaticapps\.net|azure-api\.net|azurefd\.net|trafficmanager\.net|azureedge\.net)$/i;
+const HOSTNAME_PATTERN = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+
+const DEFAULT_SETTINGS = {
+    alertDays: [30, 14, 7, 1],
+    channels: [],
+    extraDomains: ['workflows.saxtechnology.com'],
+    ignoredDomains: []
+};
+
+function normalizeDomain(value) {
+    return String(value || '').trim().toLowerCase().replace(/\.$/, '');
+}
+
+async function getSettings() {
+    const table = await getTable(certificatesTableName);
+    try {
+        const entity = await table.getEntity(CONFIG_PARTITION, SETTINGS_ROW);
+        return { ...DEFAULT_SETTINGS, ...JSON.parse(entity.data) };
+    } catch (error) {
+        if (error.statusCode === 404) return { ...DEFAULT_SETTINGS };
+        throw error;
+    }
+}
+
+async function saveSettings(settings) {
+    const table = await getTable(certificatesTableName);
+    await table.upsertEntity({
+        partitionKey: CONFIG_PARTITION,
+        rowKey: SETTINGS_ROW,
+        data: JSON.stringify(settings)
+    }, 'Replace');
+    return settings;
+}
+
+function normalizeDomainList(values, field) {
+    if (!Array.isArray(values)) {
+        return { error: `${field} must be an array of hostnames` };
+    }
+    const domains = [...new Set(values.map(normalizeDomain).filter(Boolean))];
+    const invalid = domains.find(domain => !HOSTNAME_PATTERN.test(domain));
+    return invalid ? { error: `${field}: ${invalid} is not a hostname` } : { domains };
+}
+
+// Cleaned settings from a PUT body on top of the current ones, or { error }
+function normalizeSettings(body, current) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { error: 'Request body must be a JSON object' };
+    }
+    const settings = {
+        alertDays: current.alertDays,
+        channels: current.channels,
+        extraDomains: current.extraDomains,
+        ignoredDomains: current.ignoredDomains
+    };
+
+    if (body.alertDays !== undefined) {
+        const days = Array.isArray(body.alertDays) ? body.alertDays.map(Number) : null;
+        if (!days || days.length === 0 || days.length > MAX_THRESHOLDS || days.some(day => !Number.isInteger(day) || day < 1 || day > 365)) {
+            return { error: `alertDays must be 1 to ${MAX_THRESHOLDS} whole numbers of days between 1 and 365` };
+        }
+        settings.alertDays = [...new Set(days)].sort((a, b) => b - a);
+    }
+    if (body.channels !== undefined) {
+        const { channels, error } = normalizeChannels(body.channels);
+        if (error) return { error };
+        settings.channels = channels;
+    }
+    for (const field of ['extraDomains', 'ignoredDomains']) {
+        if (body[field] === undefined) continue;
+        const { domains, error } = normalizeDomainList(body[field], field);
+        if (error) return { error };
+        settings[field] = domains;
+    }
+    return { settings };
+}
+
+function fromEntity(entity) {
+    return JSON.parse(entity.data);
+}
+
+async function listCertificates() {
+    const table = await getTable(certificatesTableName);
+    const certificates = [];
+    for await (const entity of table.listEntities({ queryOptions: { filter: `PartitionKey eq '${DOMAIN_PARTITION}'` } })) {
+        certificates.push(fromEntity(entity));
+    }
+    return certificates.sort((a, b) => (a.check?.daysRemaining ?? Infinity) - (b.check?.daysRemaining ?? Infinity) || a.domain.localeCompare(b.domain));
+}
+
+// Custom hostnames of the App Service apps and Static Web Apps in one subscription
+async function discoverHostnames(target) {
+    const client = new WebSiteManagementClient(target.credential, target.subscriptionId);
+    const found = [];
+    const add = (domain, type, resource) => {
+        const hostname = normalizeDomain(domain);
+        if (!hostname || PLATFORM_DOMAINS.test(hostname) || hostname.startsWith('*.')) return;
+        found.push({
+            domain: hostname,
+            source: {
+                type,
+                resource: resource.name,
+                resourceGroup: resource.id.split('/')[4],
+                subscriptionId: target.subscriptionId,
+                subscriptionName: target.subscriptionName
+            }
+        });
+    };
+
+    for await (const site of client.webApps.list()) {
+        (site.hostNames || []).forEach(hostname => add(hostname, 'appService', site));
+    }
+    for await (const site of client.staticSites.list()) {
+        (site.customDomains || []).forEach(hostname => add(hostname, 'staticWebApp', site));
+    }
+    return found;
+}
+
+function certificateName(name) {
+    return name ? name.CN || name.O || null : null;
+}
+
+function chainOf(certificate) {
+    const chain = [];
+    let current = certificate;
+    while (current && Object.keys(current).length > 0 && chain.length < 10) {
+        chain.push({
+            subject: certificateName(current.subject),
+            issuer: certificateName(current.issuer),
+            validTo: new Date(current.valid_to).toISOString()
+        });
+        if (!current.issuerCertificate || current.issuerCertificate === current) break;
+        current = current.issuerCertificate;
+    }
+    return chain;
+}
+
+// Handshake with `domain` and read the certificate it serves. The handshake accepts any
+// certificate so an invalid one is still recorded; validity is reported, not enforced.
+function checkCertificate(domain, now = Date.now()) {
+    return new Promise(resolve => {
+        const startedAt = Date.now();
+        const socket = tls.connect({ host: domain, port: 443, servername: domain, rejectUnauthorized: false });
+        const finish = result => {
+            socket.destroy();
+            resolve({ checkedAt: new Date(now).toISOString(), ...result });
+        };
+
+        socket.setTimeout(HANDSHAKE_TIMEOUT_MS, () => finish({ reachable: false, error: `No TLS handshake within ${HANDSHAKE_TIMEOUT_MS / 1000}s` }));
+        socket.on('error', error => finish({ reachable: false, error: error.message }));
+        socket.on('secureConnect', () => {
+            const certificate = socket.getPeerCertificate(true);
+            if (!certificate || Object.keys(certificate).length === 0) {
+                finish({ reachable: true, error: 'No certificate presented' });
+                return;
+            }
+            const hostnameError = tls.checkServerIdentity(domain, certificate);
+            const validTo = new Date(certificate.valid_to);
+            finish({
+                reachable: true,
+                error: null,
+                handshakeMs: Date.now() - startedAt,
+                protocol: socket.getProtocol(),
+                subject: certificateName(certificate.subject),
+                issuer: certificateName(certificate.issuer),
+                issuerOrganization: certificate.issuer?.O || null,
+                subjectAltNames: (certificate.subjectaltname || '').split(/,\s*/)
+                    .filter(name => name.startsWith('DNS:'))
+                    .map(name => name.substring(4)),
+                serialNumber: certificate.serialNumber || null,
+                fingerprint256: certificate.fingerprint256 || null,
+                validFrom: new Date(certificate.valid_from).toISOString(),
+                validTo: validTo.toISOString(),
+                daysRemaining: Math.floor((validTo.getTime() - now) / DAY_MS),
+                chainValid: socket.authorized,
+                chainError: socket.authorized ? null : String(socket.authorizationError || 'Untrusted chain'),
+                hostnameValid: !hostnameError,
+                hostnameError: hostnameError ? hostnameError.message : null,
+                chain: chainOf(certificate)
+            });
+        });
+    });
+}
+
+// valid, expiring (inside the largest alert window), expired, invalid (untrusted chain or
+// wrong hostname) or unreachable
+function statusOf(check, alertDays) {
+    if (!check.reachable || !check.validTo) return 'unreachable';
+    if (check.daysRemaining < 0) return 'expired';
+    if (!check.chainValid || !check.hostnameValid) return 'invalid';
+    if (check.daysRemaining <= Math.max(...alertDays)) return 'expiring';
+    return 'valid';
+}
+
+// The smallest threshold the certificate is inside of, or null
+function crossedThreshold(check, alertDays) {
+    if (!check.validTo) return null;
+    const crossed = alertDays.filter(days => check.daysRemaining <= days);
+    return crossed.length > 0 ? Math.min(...crossed) : null;
+}
+
+function alertMessage(certificate, threshold) {
+    const { check } = certificate;
+    const expiry = check.daysRemaining < 0
+        ? `expired ${-check.daysRemaining} day(s) ago`
+        : `expires in ${check.daysRemaining} day(s)`;
+    return {
+        event: 'certificate.expiry',
+        subject: `TLS certificate for ${certificate.domain} ${expiry}`,
+        text: [
+            `Domain: ${certificate.domain}`,
+            `Expires: ${check.validTo}`,
+            `Issuer: ${check.issuer || 'unknown'}`,
+            `Alert threshold: ${threshold} days`,
+            `Served by: ${certificate.sources.map(source => source.resource || source.type).join(', ')}`
+        ].join('\n'),
+        domain: certificate.domain,
+        validTo: check.validTo,
+        daysRemaining: check.daysRemaining,
+        threshold
+    };
+}
+
+// Discover, check and alert. Domains no longer found anywhere are dropped, but only after a
+// run whose discovery succeeded everywhere, so a failing subscription doesn't empty the list.
+async function checkCertificates(context, now = new Date()) {
+    const settings = await getSettings();
+    const table = await getTable(certificatesTableName);
+    const ignored = new Set(settings.ignoredDomains);
+
+    const domains = new Map();
+    const addDomain = ({ domain, source }) => {
+        if (ignored.has(domain)) return;
+        if (!domains.has(domain)) domains.set(domain, []);
+        domains.get(domain).push(source);
+    };
+    settings.extraDomains.forEach(domain => addDomain({ domain, source: { type: 'configured' } }));
+
+    const targets = resolveTargets(ALL_SUBSCRIPTIONS);
+    const discovery = await Promise.allSettled(targets.map(discoverHostnames));
+    let discoveryFailed = 0;
+    discovery.forEach((result, index) => {
+        if (result.status === 'fulfilled') {
+            result.value.forEach(addDomain);
+        } else {
+            discoveryFailed++;
+            context.warn(`Custom hostname discovery failed for ${targets[index].subscriptionName}: ${result.reason?.message}`);
+        }
+    });
+
+    const previous = new Map((await listCertificates()).map(certificate => [certificate.domain, certificate]));
+    const results = [];
+    const alerts = [];
+    for (const [domain, sources] of domains) {
+        const check = await checkCertificate(domain, now.getTime());
+        const before = previous.get(domain);
+        const certificate = {
+            domain,
+            sources,
+            check,
+            status: statusOf(check, settings.alertDays),
+            firstSeen: before?.firstSeen || now.toISOString(),
+            // Alerts are per certificate: a renewal (new expiry) starts over. A check that could
+            // not read the certificate says nothing about renewal, so it keeps what was sent.
+            alert: before?.alert && (!check.validTo || before.alert.validTo === check.validTo) ? before.alert : null
+        };
+
+        const threshold = crossedThreshold(check, settings.alertDays);
+        if (threshold !== null && (!certificate.alert || threshold < certificate.alert.threshold)) {
+            const deliveries = await notify(settings.channels, alertMessage(certificate, threshold), context);
+            certificate.alert = { threshold, validTo: check.validTo, sentAt: now.toISOString(), deliveries };
+            alerts.push({ domain, threshold, daysRemaining: check.daysRemaining });
+        }
+
+        await table.upsertEntity({
+            partitionKey: DOMAIN_PARTITION,
+            rowKey: domain,
+            data: JSON.stringify(certificate)
+        }, 'Replace');
+        results.push(certificate);
+    }
+
+    let removed = 0;
+    if (discoveryFailed === 0) {
+        for (const domain of previous.keys()) {
+            if (!domains.has(domain)) {
+                await table.deleteEntity(DOMAIN_PARTITION, domain);
+                removed++;
+            }
+        }
+    }
+
+    return {
+        checkedAt: now.toISOString(),
+        checked: results.length,
+        removed,
+        discoveryFailed,
+        byStatus: results.reduce((counts, certificate) => ({ ...counts, [certificate.status]: (counts[certificate.status] || 0) + 1 }), {}),
+        alerts
+    };
+}
+
+module.exports = {
+    DEFAULT_SETTINGS,
+    getSettings,
+    saveSettings,
+    normalizeSettings,
+    listCertificates,
+    checkCertificate,
+    checkCertificates
+};
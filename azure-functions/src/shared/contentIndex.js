@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const { getTable } = require('./tables');
+const { artifactContainerName, getArtifactContainerClient } = require('./storage');
+const { getProject } = require('./projectStore');
+const { listArtifacts, hasVersionInBlob } = require('./artifactStore');
+const { normalizeArtifact } = require('./artifacts');
+const { can } = require('./roles');
+
+// Content index - one row per distinct SHA-256, pointing at the blob that holds it.
+// Only entries whose hash the server has computed itself are offered for dedupe,
+// so a client claiming the wrong hash cannot point other uploads at its blob. Knowing
+// a hash is not holding the bytes, so dedupe also stays within what the caller can
+// already read (see mayReuseContent).
+const contentTableName = 'artifactcontent';
+const CONTENT_PARTITION = 'sha256';
+// Blob metadata key the browser sets on upload (sent as x-ms-meta-sha256)
+const HASH_METADATA_KEY = 'sha256';
+// Blobs up to this size are re-hashed while recording a version; larger ones wait for the verify job
+const INLINE_VERIFY_LIMIT = parseInt(process.env.INLINE_VERIFY_LIMIT_BYTES, 10) || 64 * 1024 * 1024;
+
+function isSha256(value) {
+    return typeof value === 'string' && /^[0-9a-f]{64}$/.test(value);
+}
+
+// Stream the blob through SHA-256 without holding it in memory
+async function hashStoredBlob(blobClient) {
+    const download = await blobClient.download();
+    const hash = crypto.createHash('sha256');
+    let bytes = 0;
+
+    for await (const chunk of download.readableStreamBody) {
+        hash.update(chunk);
+        bytes += chunk.length;
+    }
+
+    return { hash: hash.digest('hex'), bytes };
+}
+
+// Records written before blobName was stored only carry the public URL
+function blobNameFromUrl(blobUrl) {
+    if (!blobUrl) return null;
+
+    try {
+        const url = new URL(blobUrl);
+        const containerUrl = new URL(getArtifactContainerClient().url);
+        const prefix = `/${artifactContainerName}/`;
+        if (url.host !== containerUrl.host || !url.pathname.startsWith(prefix)) {
+            return null;
+        }
+        return decodeURIComponent(url.pathname.slice(prefix.length));
+    } catch (error) {
+        return null;
+    }
+}
+
+async function getContentEntry(contentHash) {
+    if (!isSha256(contentHash)) return null;
+
+    const table = await getTable(contentTableName);
+    try {
+        return await table.getEntity(CONTENT_PARTITION, contentHash);
+    } catch (error) {
+        if (error.statusCode === 404) return null;
+        throw error;
+    }
+}
+
+// The project a blob was first uploaded to, from its project-{id}/ prefix
+function sourceProjectId(blobName) {
+    const match = /^project-([^/]+)\//.exec(blobName || '');
+    return match ? match[1] : null;
+}
+
+// Linking a blob into `project` exposes it to that project's members and client portal,
+// so the blob must come from the same project, or from a project of the same client
+// that the caller can read
+async function mayReuseContent(access, project, entry) {
+    const sourceId = sourceProjectId(entry.blobName);
+    if (!sourceId) return false;
+    if (sourceId === String(project.id)) return true;
+
+    const source = await getProject(sourceId);
+    return !!source && can(access, source, 'read') &&
+        String(source.client || '').toLowerCase() === String(project.client || '').toLowerCase();
+}
+
+// Whether anything points at this blob: a recorded version in any project, or a content
+// entry other uploads may be deduplicated to. Such a blob must never be written again or
+// deleted by an upload.
+async function isBlobReferenced(blobName) {
+    if (await hasVersionInBlob(blobName)) return true;
+
+    // Version rows from before the blobName column; only the owning project records those
+    const sourceId = sourceProjectId(blobName);
+    if (sourceId) {
+        const artifacts = (await listArtifacts(sourceId)).map(normalizeArtifact);
+        if (artifacts.some(artifact => artifact.versions.some(version =>
+            (version.blobName || blobNameFromUrl(version.blobUrl)) === blobName))) {
+            return true;
+        }
+    }
+
+    const table = await getTable(contentTableName);
+    const filter = `PartitionKey eq '${CONTENT_PARTITION}' and blobName eq '${String(blobName).replace(/'/g, "''")}'`;
+    for await (const entity of table.listEntities({ queryOptions: { filter, select: ['RowKey'] } })) {
+        return !!entity;
+    }
+    return false;
+}
+
+// A verified entry the caller may link into `project` whose blob is still there with the
+// expected size, or null
+async function findReusableContent(contentHash, sizeBytes, { access, project }) {
+    const entry = await getContentEntry(contentHash);
+    if (!entry || !entry.verified || (sizeBytes != null && entry.sizeBytes !== sizeBytes)) {
+        return null;
+    }
+    if (!await mayReuseContent(access, project, entry)) {
+        return null;
+    }
+
+    try {
+        const properties = await getArtifactContainerClient().getBlobClient(entry.blobName).getProperties();
+        return properties.contentLength === entry.sizeBytes ? entry : null;
+    } catch (error) {
+        if (error.statusCode === 404) return null;
+        throw error;
+    }
+}
+
+// First writer wins; a verified copy replaces an unverified one
+async function registerContent(contentHash, { blobName, blobUrl, sizeBytes, verified, uploadedBy }) {
+    if (!isSha256(contentHash)) return;
+
+    const existing = await getContentEntry(contentHash);
+    if (existing && (existing.verified || !verified)) {
+        return;
+    }
+
+    const table = await getTable(contentTableName);
+    await table.upsertEntity({
+        partitionKey: CONTENT_PARTITION,
+        rowKey: contentHash,
+        blobName,
+        blobUrl,
+        sizeBytes,
+        verified: !!verified,
+        verifiedAt: verified ? new Date().toISOString() : null,
+        uploadedBy: uploadedBy || null
+    }, 'Replace');
+}
+
+module.exports = {
+    HASH_METADATA_KEY,
+    INLINE_VERIFY_LIMIT,
+    isSha256,
+    hashStoredBlob,
+    blobNameFromUrl,
+    getContentEntry,
+    mayReuseContent,
+    isBlobReferenced,
+    findReusableContent,
+    registerContent
+};
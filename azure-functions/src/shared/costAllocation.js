@@ -0,0 +1,518 @@
+const crypto = require('crypto');
+const { ResourceManagementClient } = require('@azure/arm-resources');
+const { getTable } = require('./tables');
+const { resolveTargets } = require('./subscriptions');
+const { listProjects } = require('./projectStore');
+const { UNASSIGNED, dateKey, queryCostByResource } = require('./costQuery');
+const { roundCents } = require('./costModel');
+
+// Actual Azure cost per project per month, and the margin it leaves of the project's MRR.
+// Each resource's cost goes to exactly one place, checked in this order:
+//   1. a shared cost pool matching the resource or its resource group, split between the
+//      pool's projects (e.g. the n8n AKS cluster across every project running workflows)
+//   2. projects listing the resource in azureResources (by resource id or name)
+//   3. projects named by the resource's PROJECT_TAG tag (project id or name)
+//   4. projects whose resourceGroup is the resource's group
+// A resource claimed by several projects at the same level is split evenly between them;
+// anything left over is reported as unallocated. Months are stored once computed so the
+// history doesn't cost a Cost Management query per month on every read.
+const poolsTableName = 'costpools';
+const POOL_PARTITION = 'pool';
+const allocationsTableName = 'projectcosts';
+// Per-project rows are partitioned by month; each month's totals sit in this partition
+const SUMMARY_PARTITION = 'summary';
+const PROJECT_TAG = process.env.COST_PROJECT_TAG || 'project';
+const CACHE_DURATION_MS = (parseFloat(process.env.PROJECT_COSTS_CACHE_HOURS) || 6) * 60 * 60 * 1000;
+// Cost Management keeps revising a month for a few days after it ends
+const SETTLE_DAYS = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Largest resources kept per project; table entities are capped at 64KB
+const MAX_BREAKDOWN = 20;
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+const RESOURCE_GROUP_PATTERN = /^[-\w.()]{1,90}$/;
+const SPLIT_METHODS = ['even', 'weighted', 'mrr', 'direct'];
+// Projects in these statuses earn nothing, so they don't take a share of pooled costs
+const INACTIVE_STATUSES = ['lost deal'];
+// Azure OpenAI accounts; their cost is also reported on its own (statements mark it up separately)
+const OPENAI_PROVIDER = '/providers/microsoft.cognitiveservices/';
+
+function trimmed(value, maxLength) {
+    return typeof value === 'string' ? value.trim().substring(0, maxLength) : '';
+}
+
+function monthOf(date) {
+    return dateKey(date).substring(0, 7);
+}
+
+function monthRange(month) {
+    const [year, monthIndex] = month.split('-').map(Number);
+    return {
+        from: dateKey(new Date(Date.UTC(year, monthIndex - 1, 1))),
+        to: dateKey(new Date(Date.UTC(year, monthIndex, 0))),
+        days: new Date(Date.UTC(year, monthIndex, 0)).getUTCDate()
+    };
+}
+
+// The `count` months up to and including `month`, oldest first
+function monthsUpTo(month, count) {
+    const [year, monthIndex] = month.split('-').map(Number);
+    const months = [];
+    for (let offset = count - 1; offset >= 0; offset--) {
+        months.push(monthOf(new Date(Date.UTC(year, monthIndex - 1 - offset, 1))));
+    }
+    return months;
+}
+
+function isMonth(value) {
+    return MONTH_PATTERN.test(value || '');
+}
+
+// "/subscriptions/x/resourcegroups/rg/providers/microsoft.web/sites/app1" (already lowercased)
+function describeResource(resourceId) {
+    const match = /\/resourcegroups\/([^/]+)(\/|$)/.exec(resourceId);
+    return {
+        resourceId,
+        resourceName: resourceId.split('/').filter(Boolean).pop() || resourceId,
+        resourceGroup: match ? match[1] : null
+    };
+}
+
+function stringList(value, maxItems) {
+    const items = Array.isArray(value) ? value : typeof value === 'string' ? value.split(/[\n,]/) : [];
+    return [...new Set(items.map(item => trimmed(item, 300).toLowerCase()).filter(Boolean))].slice(0, maxItems);
+}
+
+// Validated shared cost pool from a request body, merged over `existing` for updates;
+// { error } otherwise. `projectIds` are the ids of the projects that exist.
+function normalizePool(body, existing, projectIds) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { error: 'Request body must be a cost pool object' };
+    }
+    const source = { ...(existing || {}), ...body };
+
+    const name = trimmed(source.name, 100);
+    if (!name) {
+        return { error: 'name is required' };
+    }
+    const resourceGroups = stringList(source.resourceGroups, 50);
+    const invalidGroup = resourceGroups.find(group => !RESOURCE_GROUP_PATTERN.test(group));
+    if (invalidGroup) {
+        return { error: `${invalidGroup} is not a resource group name` };
+    }
+    const resources = stringList(source.resources, 200);
+    if (resourceGroups.length === 0 && resources.length === 0) {
+        return { error: 'A pool needs at least one resource group or resource' };
+    }
+
+    const method = source.method || 'even';
+    if (!SPLIT_METHODS.includes(method)) {
+        return { error: `method must be one of ${SPLIT_METHODS.join(', ')}` };
+    }
+    const projects = [];
+    for (const entry of Array.isArray(source.projects) ? source.projects : []) {
+        const projectId = String(entry && entry.projectId || '').trim();
+        if (!projectIds.has(projectId)) {
+            return { error: `Project ${projectId || '(none)'} not found` };
+        }
+        const weight = entry.weight === undefined || entry.weight === '' ? 1 : parseFloat(entry.weight);
+        if (!isFinite(weight) || weight < 0) {
+            return { error: `Weight for project ${projectId} must be zero or more` };
+        }
+        if (!projects.some(project => project.projectId === projectId)) {
+            projects.push({ projectId, weight });
+        }
+    }
+    const includeN8nProjects = source.includeN8nProjects === true;
+    if (projects.length === 0 && !includeN8nProjects) {
+        return { error: 'A pool needs projects to split its cost between' };
+    }
+
+    return {
+        pool: {
+            id: existing ? existing.id : `pool-${crypto.randomUUID()}`,
+            name,
+            description: trimmed(source.description, 300),
+            resourceGroups,
+            resources,
+            method,
+            projects,
+            includeN8nProjects
+        }
+    };
+}
+
+async function listPools() {
+    const table = await getTable(poolsTableName);
+    const pools = [];
+    const entities = table.listEntities({
+        queryOptions: { filter: `PartitionKey eq '${POOL_PARTITION}'` }
+    });
+    for await (const entity of entities) {
+        pools.push(JSON.parse(entity.data));
+    }
+    return pools.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+async function getPool(id) {
+    const table = await getTable(poolsTableName);
+    try {
+        return JSON.parse((await table.getEntity(POOL_PARTITION, id)).data);
+    } catch (error) {
+        if (error.statusCode === 404) return null;
+        throw error;
+    }
+}
+
+// Changing the pools makes the current month's allocation stale
+async function savePool(pool) {
+    const table = await getTable(poolsTableName);
+    await table.upsertEntity({
+        partitionKey: POOL_PARTITION,
+        rowKey: pool.id,
+        data: JSON.stringify(pool)
+    }, 'Replace');
+    await invalidateMonth(monthOf(new Date()));
+    return pool;
+}
+
+async function deletePool(pool) {
+    const table = await getTable(poolsTableName);
+    await table.deleteEntity(POOL_PARTITION, pool.id);
+    await invalidateMonth(monthOf(new Date()));
+}
+
+async function invalidateMonth(month) {
+    const table = await getTable(allocationsTableName);
+    try {
+        await table.deleteEntity(SUMMARY_PARTITION, month);
+    } catch (error) {
+        if (error.statusCode !== 404) throw error;
+    }
+}
+
+function usesN8n(project) {
+    const workflows = project.n8nWorkflows || {};
+    return !!(workflows.main || (Array.isArray(workflows.additional) && workflows.additional.length > 0) || project.n8nWorkflowId);
+}
+
+function addTo(index, key, projectId) {
+    if (!key) return;
+    const owners = index.get(key) || [];
+    if (!owners.includes(projectId)) owners.push(projectId);
+    index.set(key, owners);
+}
+
+// Who claims what: resource ids/names, tag values and resource groups to project ids
+function ownershipIndex(projects) {
+    const index = { resources: new Map(), tags: new Map(), resourceGroups: new Map() };
+    projects.forEach(project => {
+        const id = String(project.id);
+        (Array.isArray(project.azureResources) ? project.azureResources : []).forEach(resource => {
+            addTo(index.resources, String(resource || '').trim().toLowerCase(), id);
+        });
+        addTo(index.tags, id.toLowerCase(), id);
+        addTo(index.tags, String(project.name || '').trim().toLowerCase(), id);
+        addTo(index.resourceGroups, String(project.resourceGroup || '').trim().toLowerCase(), id);
+    });
+    return index;
+}
+
+function poolFor(pools, resource) {
+    return pools.find(pool => pool.resources.includes(resource.resourceId) || pool.resources.includes(resource.resourceName))
+        || pools.find(pool => resource.resourceGroup && pool.resourceGroups.includes(resource.resourceGroup));
+}
+
+// Direct owners of a resource and how they were found, or null
+function ownersOf(index, resource, tagValue) {
+    const byResource = index.resources.get(resource.resourceId) || index.resources.get(resource.resourceName);
+    if (byResource) return { owners: byResource, via: 'resource' };
+    const byTag = tagValue && index.tags.get(tagValue);
+    if (byTag) return { owners: byTag, via: 'tag' };
+    const byGroup = resource.resourceGroup && index.resourceGroups.get(resource.resourceGroup);
+    if (byGroup) return { owners: byGroup, via: 'resourceGroup' };
+    return null;
+}
+
+// Lowercased resource id -> lowercased PROJECT_TAG value, for resources that still exist
+async function projectTags(target) {
+    const resourceClient = new ResourceManagementClient(target.credential, target.subscriptionId);
+    const tags = new Map();
+    for await (const resource of resourceClient.resources.list({ filter: `tagName eq '${PROJECT_TAG}'` })) {
+        const key = Object.keys(resource.tags || {}).find(name => name.toLowerCase() === PROJECT_TAG.toLowerCase());
+        if (key && resource.tags[key]) {
+            tags.set(resource.id.toLowerCase(), String(resource.tags[key]).trim().toLowerCase());
+        }
+    }
+    return tags;
+}
+
+// Share of a pool's cost per participating project
+function poolShares(pool, projects, direct) {
+    const active = projects.filter(project => !INACTIVE_STATUSES.includes(String(project.status || '').toLowerCase()));
+    const weights = new Map(pool.projects
+        .filter(entry => active.some(project => String(project.id) === entry.projectId))
+        .map(entry => [entry.projectId, entry.weight]));
+    if (pool.includeN8nProjects) {
+        active.filter(usesN8n).forEach(project => {
+            if (!weights.has(String(project.id))) weights.set(String(project.id), 1);
+        });
+    }
+
+    const participants = [...weights.keys()];
+    const weightOf = projectId => {
+        if (pool.method === 'weighted') return weights.get(projectId);
+        if (pool.method === 'mrr') return parseFloat(active.find(project => String(project.id) === projectId).mrr) || 0;
+        if (pool.method === 'direct') return direct.get(projectId) || 0;
+        return 1;
+    };
+    let total = participants.reduce((sum, projectId) => sum + weightOf(projectId), 0);
+    // Nobody has MRR or direct cost yet: share evenly rather than not at all
+    const even = total <= 0;
+    if (even) total = participants.length;
+
+    return new Map(participants.map(projectId => [projectId, (even ? 1 : weightOf(projectId)) / total]));
+}
+
+function emptyAllocation(project, month) {
+    return {
+        projectId: String(project.id),
+        name: project.name || '',
+        client: project.client || '',
+        month,
+        mrr: parseFloat(project.mrr) || 0,
+        direct: 0,
+        shared: 0,
+        openAI: 0,
+        resources: [],
+        pools: []
+    };
+}
+
+// Allocate one month across every registered subscription. Returns the month summary and
+// one allocation per project.
+async function computeMonth(month, context, now) {
+    const range = monthRange(month);
+    const to = range.to < dateKey(now) ? range.to : dateKey(now);
+    const [projects, pools] = await Promise.all([listProjects(context), listPools()]);
+    const index = ownershipIndex(projects);
+    const allocations = new Map(projects.map(project => [String(project.id), emptyAllocation(project, month)]));
+    const pooled = new Map(pools.map(pool => [pool.id, { cost: 0, openAI: 0, resources: 0 }]));
+
+    const summary = {
+        month,
+        from: range.from,
+        to,
+        currency: 'USD',
+        totalCost: 0,
+        unallocatedCost: 0,
+        unallocated: [],
+        truncated: false,
+        errors: []
+    };
+
+    // One subscription at a time: Cost Management throttles parallel queries
+    for (const target of resolveTargets('all')) {
+        let costs;
+        let tags;
+        try {
+            costs = await queryCostByResource(target, { from: range.from, to });
+            tags = await projectTags(target);
+        } catch (error) {
+            context.warn(`Project cost allocation for ${target.subscriptionId} ${month} failed: ${error.message}`);
+            summary.errors.push({ subscriptionId: target.subscriptionId, error: error.message });
+            continue;
+        }
+        summary.currency = costs.currency;
+        summary.truncated = summary.truncated || costs.truncated;
+
+        Object.entries(costs.costs).forEach(([resourceId, cost]) => {
+            summary.totalCost += cost;
+            const resource = resourceId === UNASSIGNED
+                ? { resourceId, resourceName: UNASSIGNED, resourceGroup: null }
+                : describeResource(resourceId);
+
+            const openAI = resourceId.includes(OPENAI_PROVIDER) ? cost : 0;
+            const pool = poolFor(pools, resource);
+            if (pool) {
+                pooled.get(pool.id).cost += cost;
+                pooled.get(pool.id).openAI += openAI;
+                pooled.get(pool.id).resources++;
+                return;
+            }
+
+            const claim = ownersOf(index, resource, tags.get(resourceId));
+            if (!claim) {
+                summary.unallocatedCost += cost;
+                summary.unallocated.push({ ...resource, cost });
+                return;
+            }
+            claim.owners.forEach(projectId => {
+                const allocation = allocations.get(projectId);
+                allocation.direct += cost / claim.owners.length;
+                allocation.openAI += openAI / claim.owners.length;
+                allocation.resources.push({ ...resource, cost: cost / claim.owners.length, via: claim.via });
+            });
+        });
+    }
+
+    // Direct costs first: the 'direct' split method divides pools in proportion to them
+    const direct = new Map([...allocations.values()].map(allocation => [allocation.projectId, allocation.direct]));
+    summary.pools = pools.map(pool => {
+        const { cost, openAI, resources } = pooled.get(pool.id);
+        const shares = poolShares(pool, projects, direct);
+        if (shares.size === 0) {
+            summary.unallocatedCost += cost;
+        }
+        shares.forEach((share, projectId) => {
+            const allocation = allocations.get(projectId);
+            allocation.shared += cost * share;
+            allocation.openAI += openAI * share;
+            allocation.pools.push({ poolId: pool.id, name: pool.name, share: Math.round(share * 10000) / 10000, cost: roundCents(cost * share) });
+        });
+        return { poolId: pool.id, name: pool.name, method: pool.method, resources, cost: roundCents(cost), projects: shares.size };
+    });
+
+    summary.totalCost = roundCents(summary.totalCost);
+    summary.unallocatedCost = roundCents(summary.unallocatedCost);
+    summary.unallocated = summary.unallocated
+        .sort((a, b) => b.cost - a.cost)
+        .slice(0, MAX_BREAKDOWN)
+        .map(resource => ({ ...resource, cost: roundCents(resource.cost) }));
+    summary.allocatedCost = roundCents(summary.totalCost - summary.unallocatedCost);
+    summary.generatedAt = now.toISOString();
+    // Settled months are never recomputed on read
+    summary.final = now.getTime() >= Date.parse(`${range.to}T00:00:00Z`) + (SETTLE_DAYS + 1) * DAY_MS;
+
+    return {
+        summary,
+        allocations: [...allocations.values()].map(allocation => withMargin(allocation, summary, now))
+    };
+}
+
+// Rounded totals and the margin; for the month in progress also a run-rate projection
+// of the full month's cost and margin
+function withMargin(allocation, summary, now) {
+    const cost = allocation.direct + allocation.shared;
+    const range = monthRange(allocation.month);
+    const inProgress = monthOf(now) === allocation.month;
+    const projectedCost = inProgress ? cost * range.days / now.getUTCDate() : cost;
+    const margin = allocation.mrr - cost;
+
+    return {
+        ...allocation,
+        currency: summary.currency,
+        direct: roundCents(allocation.direct),
+        shared: roundCents(allocation.shared),
+        openAI: roundCents(allocation.openAI),
+        cost: roundCents(cost),
+        margin: roundCents(margin),
+        marginPercent: allocation.mrr > 0 ? Math.round(margin / allocation.mrr * 1000) / 10 : null,
+        projectedCost: roundCents(projectedCost),
+        projectedMargin: roundCents(allocation.mrr - projectedCost),
+        inProgress,
+        resources: allocation.resources
+            .sort((a, b) => b.cost - a.cost)
+            .slice(0, MAX_BREAKDOWN)
+            .map(resource => ({ ...resource, cost: roundCents(resource.cost) })),
+        generatedAt: summary.generatedAt
+    };
+}
+
+async function storeMonth({ summary, allocations }, context) {
+    const table = await getTable(allocationsTableName);
+    for (const allocation of allocations) {
+        try {
+            await table.upsertEntity({
+                partitionKey: summary.month,
+                rowKey: allocation.projectId,
+                data: JSON.stringify(allocation)
+            }, 'Replace');
+        } catch (error) {
+            context.warn(`Could not store the ${summary.month} cost of project ${allocation.projectId}: ${error.message}`);
+        }
+    }
+    // The summary goes last: its presence marks the month's rows as complete
+    await table.upsertEntity({
+        partitionKey: SUMMARY_PARTITION,
+        rowKey: summary.month,
+        data: JSON.stringify(summary)
+    }, 'Replace');
+}
+
+async function storedSummary(table, month) {
+    try {
+        return JSON.parse((await table.getEntity(SUMMARY_PARTITION, month)).data);
+    } catch (error) {
+        if (error.statusCode === 404) return null;
+        throw error;
+    }
+}
+
+// Recompute a month from Cost Management and store it
+async function allocateMonth(month, { context, now = new Date() }) {
+    const result = await computeMonth(month, context, now);
+    if (result.summary.errors.length === 0) {
+        await storeMonth(result, context);
+    }
+    return result;
+}
+
+// A month's summary and per-project allocations: the stored ones while they are fresh
+// (settled months always are), recomputed otherwise or when `refresh` is set
+async function getMonth(month, { refresh = false, context, now = new Date() }) {
+    const table = await getTable(allocationsTableName);
+    if (!refresh) {
+        const summary = await storedSummary(table, month);
+        const fresh = summary && (summary.final || now.getTime() - Date.parse(summary.generatedAt) < CACHE_DURATION_MS);
+        if (fresh) {
+            const allocations = [];
+            const entities = table.listEntities({
+                queryOptions: { filter: `PartitionKey eq '${month}'` }
+            });
+            for await (const entity of entities) {
+                allocations.push(JSON.parse(entity.data));
+            }
+            return { summary: { ...summary, cached: true }, allocations };
+        }
+    }
+
+    const result = await allocateMonth(month, { context, now });
+    return { summary: { ...result.summary, cached: false }, allocations: result.allocations };
+}
+
+// One project's allocations for the `months` months up to the current one, oldest first.
+// Past months come from storage only (a missing one is { month, missing: true }; admins
+// backfill with allocateMonth); the current month is computed if it isn't fresh.
+async function getProjectHistory(projectId, months, { context, now = new Date() }) {
+    const table = await getTable(allocationsTableName);
+    const current = monthOf(now);
+    const history = [];
+    for (const month of monthsUpTo(current, months)) {
+        if (month === current) {
+            const { allocations } = await getMonth(month, { context, now });
+            history.push(allocations.find(allocation => allocation.projectId === String(projectId)) || { month, missing: true });
+            continue;
+        }
+        try {
+            history.push(JSON.parse((await table.getEntity(month, String(projectId))).data));
+        } catch (error) {
+            if (error.statusCode !== 404) throw error;
+            history.push({ month, missing: true });
+        }
+    }
+    return history;
+}
+
+module.exports = {
+    SPLIT_METHODS,
+    isMonth,
+    monthOf,
+    normalizePool,
+    listPools,
+    getPool,
+    savePool,
+    deletePool,
+    allocateMonth,
+    getMonth,
+    getProjectHistory
+};
@@ -0,0 +1,323 @@
+const crypto = require('crypto');
+const { getTable } = require('./tables');
+const { resolveTargets } = require('./subscriptions');
+const { dateKey, queryDailyCostByDimension } = require('./costQuery');
+const { roundCents } = require('./costModel');
+
+// Daily cost anomaly detection. Each service's daily cost is compared with its own rolling
+// baseline (median of the previous BASELINE_DAYS days, spread from the median absolute
+// deviation, so one earlier spike doesn't inflate the baseline). A spike is attributed to
+// the resources in that service that grew most, and the top resource to its meters.
+// Anomalies are stored once per subscription, service and day; staff acknowledge them or
+// snooze a service, which suppresses new anomalies for it until the snooze ends.
+const anomaliesTableName = 'costanomalies';
+const ANOMALY_PARTITION = 'anomaly';
+const SNOOZE_PARTITION = 'snooze';
+// Inverted timestamps sort newest first in Table Storage
+const MAX_TIMESTAMP = 9999999999999;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BASELINE_DAYS = parseInt(process.env.ANOMALY_BASELINE_DAYS, 10) || 28;
+// Cost Management keeps revising the last couple of days, so each run re-checks them
+const LOOKBACK_DAYS = parseInt(process.env.ANOMALY_LOOKBACK_DAYS, 10) || 3;
+// How many robust standard deviations above the baseline counts as a spike
+const SCORE_THRESHOLD = parseFloat(process.env.ANOMALY_SCORE_THRESHOLD) || 4;
+// Ignore spikes smaller than this many dollars above the baseline
+const MIN_INCREASE = parseFloat(process.env.ANOMALY_MIN_INCREASE) || 5;
+// Attribution costs two Cost Management queries per anomaly; cap them per run
+const MAX_ATTRIBUTIONS = 10;
+const MAX_DRIVERS = 3;
+const STATUSES = ['open', 'acknowledged', 'snoozed'];
+
+function addDays(date, days) {
+    return dateKey(new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS));
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Costs for the BASELINE_DAYS days before `date`, missing days as 0
+function baselineValues(daily, date) {
+    const values = [];
+    for (let offset = BASELINE_DAYS; offset >= 1; offset--) {
+        values.push(daily[addDays(date, -offset)] || 0);
+    }
+    return values;
+}
+
+// How far `cost` sits above the baseline. The spread is floored at 10% of the baseline
+// and 50 cents so perfectly flat costs don't make every cent look abnormal.
+function scoreDay(daily, date) {
+    const history = baselineValues(daily, date);
+    const cost = daily[date] || 0;
+    const baseline = median(history);
+    const spread = Math.max(1.4826 * median(history.map(value => Math.abs(value - baseline))), 0.1 * baseline, 0.5);
+    return {
+        cost,
+        baseline,
+        increase: cost - baseline,
+        score: (cost - baseline) / spread
+    };
+}
+
+function isSpike(result) {
+    return result.score >= SCORE_THRESHOLD && result.increase >= MIN_INCREASE;
+}
+
+// "/subscriptions/x/resourcegroups/rg/providers/microsoft.compute/virtualmachines/vm1"
+function describeResource(resourceId) {
+    const match = /\/resourcegroups\/([^/]+)\//i.exec(resourceId);
+    return {
+        resourceId,
+        resourceName: resourceId.split('/').filter(Boolean).pop() || resourceId,
+        resourceGroup: match ? match[1] : null
+    };
+}
+
+function keyOf(subscriptionId, service) {
+    return crypto.createHash('sha256').update(`${subscriptionId}|${service}`).digest('hex').substring(0, 16);
+}
+
+function rowKeyFor(subscriptionId, service, date) {
+    const inverted = String(MAX_TIMESTAMP - Date.parse(`${date}T00:00:00Z`)).padStart(13, '0');
+    return `${inverted}_${keyOf(subscriptionId, service)}`;
+}
+
+function fromEntity(entity) {
+    return {
+        id: entity.rowKey,
+        ...JSON.parse(entity.data),
+        status: entity.status,
+        acknowledgedBy: entity.acknowledgedBy || null,
+        acknowledgedAt: entity.acknowledgedAt || null,
+        snoozedUntil: entity.snoozedUntil || null,
+        note: entity.note || null
+    };
+}
+
+// Resources of `service` ranked by how much they grew over their own baselines on `date`,
+// then the top resource's meters ranked the same way
+async function attribute(target, service, date, window) {
+    const resources = await queryDailyCostByDimension(target, {
+        ...window,
+        groupBy: 'ResourceId',
+        filter: { name: 'ServiceName', values: [service] }
+    });
+    const drivers = Object.entries(resources.groups)
+        .map(([resourceId, daily]) => ({ ...describeResource(resourceId), ...scoreDay(daily, date) }))
+        .filter(driver => driver.increase > 0)
+        .sort((a, b) => b.increase - a.increase)
+        .slice(0, MAX_DRIVERS)
+        .map(({ score, ...driver }) => ({
+            ...driver,
+            cost: roundCents(driver.cost),
+            baseline: roundCents(driver.baseline),
+            increase: roundCents(driver.increase)
+        }));
+    if (drivers.length === 0) {
+        return { drivers, meters: [] };
+    }
+
+    const meters = await queryDailyCostByDimension(target, {
+        ...window,
+        groupBy: 'Meter',
+        filter: { name: 'ResourceId', values: [drivers[0].resourceId] }
+    });
+    return {
+        drivers,
+        meters: Object.entries(meters.groups)
+            .map(([meter, daily]) => ({ meter, ...scoreDay(daily, date) }))
+            .filter(meter => meter.increase > 0)
+            .sort((a, b) => b.increase - a.increase)
+            .slice(0, MAX_DRIVERS)
+            .map(meter => ({
+                meter: meter.meter,
+                cost: roundCents(meter.cost),
+                baseline: roundCents(meter.baseline),
+                increase: roundCents(meter.increase)
+            }))
+    };
+}
+
+async function activeSnoozes(table, now) {
+    const snoozed = new Set();
+    const entities = table.listEntities({
+        queryOptions: { filter: `PartitionKey eq '${SNOOZE_PARTITION}'` }
+    });
+    for await (const entity of entities) {
+        if (Date.parse(entity.until) > now.getTime()) {
+            snoozed.add(entity.rowKey);
+        }
+    }
+    return snoozed;
+}
+
+// Check the last LOOKBACK_DAYS complete days of one subscription; returns the new anomalies
+async function detectForTarget(target, now, context, quota) {
+    const table = await getTable(anomaliesTableName);
+    const snoozed = await activeSnoozes(table, now);
+    const lastDay = addDays(dateKey(now), -1);
+    const firstDay = addDays(lastDay, -(LOOKBACK_DAYS - 1));
+    const window = { from: addDays(firstDay, -BASELINE_DAYS), to: lastDay };
+
+    const services = await queryDailyCostByDimension(target, { ...window, groupBy: 'ServiceName' });
+    if (services.truncated) {
+        context.warn(`Service costs for ${target.subscriptionId} were truncated; some services weren't checked`);
+    }
+
+    const created = [];
+    for (const [service, daily] of Object.entries(services.groups)) {
+        if (snoozed.has(keyOf(target.subscriptionId, service))) continue;
+
+        for (let date = firstDay; date <= lastDay; date = addDays(date, 1)) {
+            const result = scoreDay(daily, date);
+            if (!isSpike(result)) continue;
+
+            const rowKey = rowKeyFor(target.subscriptionId, service, date);
+            try {
+                await table.getEntity(ANOMALY_PARTITION, rowKey);
+                continue;
+            } catch (error) {
+                if (error.statusCode !== 404) throw error;
+            }
+
+            let attribution = { drivers: [], meters: [] };
+            if (quota.attributions < MAX_ATTRIBUTIONS) {
+                quota.attributions++;
+                try {
+                    attribution = await attribute(target, service, date, window);
+                } catch (error) {
+                    context.warn(`Could not attribute the ${service} spike on ${date}: ${error.message}`);
+                }
+            }
+
+            const anomaly = {
+                subscriptionId: target.subscriptionId,
+                subscriptionName: target.subscriptionName,
+                date,
+                service,
+                cost: roundCents(result.cost),
+                baseline: roundCents(result.baseline),
+                increase: roundCents(result.increase),
+                score: Math.round(result.score * 10) / 10,
+                severity: result.score >= 2 * SCORE_THRESHOLD ? 'high' : 'medium',
+                currency: services.currency,
+                ...attribution,
+                detectedAt: now.toISOString()
+            };
+            try {
+                await table.createEntity({
+                    partitionKey: ANOMALY_PARTITION,
+                    rowKey,
+                    data: JSON.stringify(anomaly),
+                    status: 'open'
+                });
+                created.push({ id: rowKey, ...anomaly, status: 'open' });
+            } catch (error) {
+                // Another run recorded it first
+                if (error.statusCode !== 409) throw error;
+            }
+        }
+    }
+    return created;
+}
+
+// Run detection over every registered subscription, one at a time (Cost Management throttles)
+async function detectAnomalies(context, now = new Date()) {
+    const summary = { checked: 0, failed: 0, anomalies: [] };
+    const quota = { attributions: 0 };
+
+    for (const target of resolveTargets('all')) {
+        try {
+            summary.anomalies.push(...await detectForTarget(target, now, context, quota));
+            summary.checked++;
+        } catch (error) {
+            summary.failed++;
+            context.error(`Anomaly detection for ${target.subscriptionId} failed:`, error);
+        }
+    }
+    return summary;
+}
+
+// Newest first. `from` is a YYYY-MM-DD date; `status` one of STATUSES.
+async function listAnomalies({ subscriptionId = null, status = null, from = null, limit = 100 } = {}) {
+    const table = await getTable(anomaliesTableName);
+    let filter = `PartitionKey eq '${ANOMALY_PARTITION}'`;
+    if (from) {
+        const inverted = String(MAX_TIMESTAMP - Date.parse(`${from}T00:00:00Z`)).padStart(13, '0');
+        filter += ` and RowKey le '${inverted}~'`;
+    }
+
+    const anomalies = [];
+    for await (const entity of table.listEntities({ queryOptions: { filter } })) {
+        const anomaly = fromEntity(entity);
+        if (subscriptionId && anomaly.subscriptionId !== subscriptionId) continue;
+        if (status && anomaly.status !== status) continue;
+        anomalies.push(anomaly);
+        if (anomalies.length >= limit) break;
+    }
+    return anomalies;
+}
+
+async function getAnomaly(id) {
+    const table = await getTable(anomaliesTableName);
+    try {
+        return fromEntity(await table.getEntity(ANOMALY_PARTITION, id));
+    } catch (error) {
+        if (error.statusCode === 404) return null;
+        throw error;
+    }
+}
+
+// Acknowledge, snooze (the whole service, until `until`) or reopen an anomaly.
+// Returns the updated anomaly.
+async function setAnomalyStatus(anomaly, { status, until = null, note = null, principal }) {
+    const table = await getTable(anomaliesTableName);
+    const key = keyOf(anomaly.subscriptionId, anomaly.service);
+    const now = new Date().toISOString();
+
+    if (status === 'snoozed') {
+        await table.upsertEntity({
+            partitionKey: SNOOZE_PARTITION,
+            rowKey: key,
+            until,
+            subscriptionId: anomaly.subscriptionId,
+            service: anomaly.service,
+            snoozedBy: principal.userDetails,
+            snoozedAt: now
+        }, 'Replace');
+    } else if (anomaly.status === 'snoozed') {
+        try {
+            await table.deleteEntity(SNOOZE_PARTITION, key);
+        } catch (error) {
+            if (error.statusCode !== 404) throw error;
+        }
+    }
+
+    const changes = {
+        status,
+        acknowledgedBy: status === 'open' ? '' : principal.userDetails,
+        acknowledgedAt: status === 'open' ? '' : now,
+        snoozedUntil: status === 'snoozed' ? until : '',
+        note: note === null ? anomaly.note || '' : note
+    };
+    await table.updateEntity({ partitionKey: ANOMALY_PARTITION, rowKey: anomaly.id, ...changes }, 'Merge');
+    return {
+        ...anomaly,
+        status,
+        acknowledgedBy: changes.acknowledgedBy || null,
+        acknowledgedAt: changes.acknowledgedAt || null,
+        snoozedUntil: changes.snoozedUntil || null,
+        note: changes.note || null
+    };
+}
+
+module.exports = {
+    STATUSES,
+    detectAnomalies,
+    listAnomalies,
+    getAnomaly,
+    setAnomalyStatus
+};
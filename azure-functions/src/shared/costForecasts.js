@@ -0,0 +1,304 @@
+const crypto = require('crypto');
+const { getTable } = require('./tables');
+const { ALL_SUBSCRIPTIONS, resolveTargets } = require('./subscriptions');
+const { dateKey, queryDailyCostByResourceGroup } = require('./costQuery');
+const { fitModel, forecastRange, withBands, describeModel, roundCents } = require('./costModel');
+
+// Month-end and next-month cost forecasts per subscription and resource group (see
+// shared/costModel.js for the model), and the known one-off charges they account for.
+// A one-off charge already in the history is taken out before fitting so it doesn't read
+// as a trend; one still to come is added to its period on top of the model. Forecasts are
+// cached per subscription: each one is a Cost Management query, and those are rate limited.
+const oneOffsTableName = 'costoneoffs';
+const ONE_OFF_PARTITION = 'oneoff';
+const forecastsTableName = 'costforecasts';
+const FORECAST_PARTITION = 'forecast';
+const HISTORY_DAYS = parseInt(process.env.FORECAST_HISTORY_DAYS, 10) || 90;
+const CACHE_DURATION_MS = (parseFloat(process.env.FORECAST_CACHE_HOURS) || 6) * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const RESOURCE_GROUP_PATTERN = /^[-\w.()]{1,90}$/;
+
+function trimmed(value, maxLength) {
+    return typeof value === 'string' ? value.trim().substring(0, maxLength) : '';
+}
+
+function addDays(date, days) {
+    return dateKey(new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS));
+}
+
+// Validated one-off charge from a request body, merged over `existing` for updates; { error } otherwise.
+// Negative amounts are credits.
+function normalizeOneOff(body, existing = null) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { error: 'Request body must be a one-off charge object' };
+    }
+    const source = { ...(existing || {}), ...body };
+
+    const date = trimmed(source.date, 10);
+    if (!DATE_PATTERN.test(date) || isNaN(Date.parse(`${date}T00:00:00Z`))) {
+        return { error: 'date must be a YYYY-MM-DD date' };
+    }
+    const amount = parseFloat(source.amount);
+    if (!isFinite(amount) || amount === 0) {
+        return { error: 'amount must be a non-zero number' };
+    }
+    const description = trimmed(source.description, 200);
+    if (!description) {
+        return { error: 'description is required' };
+    }
+
+    const selector = trimmed(source.subscriptionId, 36).toLowerCase();
+    const targets = selector === ALL_SUBSCRIPTIONS ? null : resolveTargets(selector);
+    if (!targets) {
+        return { error: `Subscription ${selector} is not registered` };
+    }
+    const resourceGroup = trimmed(source.resourceGroup, 90).toLowerCase() || null;
+    if (resourceGroup && !RESOURCE_GROUP_PATTERN.test(resourceGroup)) {
+        return { error: 'resourceGroup must be a resource group name' };
+    }
+
+    return {
+        oneOff: {
+            id: existing ? existing.id : `oneoff-${crypto.randomUUID()}`,
+            date,
+            amount: roundCents(amount),
+            description,
+            subscriptionId: targets[0].subscriptionId,
+            resourceGroup
+        }
+    };
+}
+
+async function listOneOffs({ subscriptionId = null } = {}) {
+    const table = await getTable(oneOffsTableName);
+    const oneOffs = [];
+    const entities = table.listEntities({
+        queryOptions: { filter: `PartitionKey eq '${ONE_OFF_PARTITION}'` }
+    });
+    for await (const entity of entities) {
+        const oneOff = JSON.parse(entity.data);
+        if (!subscriptionId || oneOff.subscriptionId === subscriptionId) {
+            oneOffs.push(oneOff);
+        }
+    }
+    return oneOffs.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+async function getOneOff(id) {
+    const table = await getTable(oneOffsTableName);
+    try {
+        return JSON.parse((await table.getEntity(ONE_OFF_PARTITION, id)).data);
+    } catch (error) {
+        if (error.statusCode === 404) return null;
+        throw error;
+    }
+}
+
+// Changing a one-off drops the cached forecasts of the subscription(s) it touches
+async function saveOneOff(oneOff, previous = null) {
+    const table = await getTable(oneOffsTableName);
+    await table.upsertEntity({
+        partitionKey: ONE_OFF_PARTITION,
+        rowKey: oneOff.id,
+        data: JSON.stringify(oneOff)
+    }, 'Replace');
+    await invalidateForecasts([oneOff.subscriptionId, previous && previous.subscriptionId]);
+    return oneOff;
+}
+
+async function deleteOneOff(oneOff) {
+    const table = await getTable(oneOffsTableName);
+    await table.deleteEntity(ONE_OFF_PARTITION, oneOff.id);
+    await invalidateForecasts([oneOff.subscriptionId]);
+}
+
+async function invalidateForecasts(subscriptionIds) {
+    const table = await getTable(forecastsTableName);
+    for (const subscriptionId of new Set(subscriptionIds.filter(Boolean))) {
+        try {
+            await table.deleteEntity(FORECAST_PARTITION, subscriptionId);
+        } catch (error) {
+            if (error.statusCode !== 404) throw error;
+        }
+    }
+}
+
+function sumAmounts(oneOffs, from, to) {
+    return oneOffs
+        .filter(oneOff => oneOff.date >= from && oneOff.date <= to)
+        .reduce((total, oneOff) => total + oneOff.amount, 0);
+}
+
+// Consecutive days from the first day with any cost up to yesterday, with past one-off
+// charges taken out. Today is left out: its cost is still coming in.
+function historySeries(daily, oneOffs, from, yesterday) {
+    const series = [];
+    for (let date = from; date <= yesterday; date = addDays(date, 1)) {
+        const cost = Math.max((daily[date] || 0) - sumAmounts(oneOffs, date, date), 0);
+        if (series.length > 0 || cost > 0) {
+            series.push({ date, cost });
+        }
+    }
+    return series;
+}
+
+// Forecast one slice (the subscription or one resource group) from its daily costs and one-offs
+function forecastSlice(daily, oneOffs, history, periods) {
+    const model = fitModel(historySeries(daily, oneOffs, history.from, history.to));
+    const actualToDate = Object.entries(daily)
+        .filter(([date]) => date >= periods.monthStart && date < periods.today)
+        .reduce((total, [, cost]) => total + cost, 0);
+
+    const period = (from, to, actual) => {
+        const upcoming = sumAmounts(oneOffs, from, to);
+        const forecast = forecastRange(model, from, to);
+        return {
+            actualToDate: roundCents(actual),
+            oneOffs: roundCents(upcoming),
+            ...withBands(actual + upcoming, forecast.expected, forecast.stdDev)
+        };
+    };
+
+    return {
+        monthEnd: period(periods.today, periods.monthEnd, actualToDate),
+        nextMonth: period(periods.nextMonthStart, periods.nextMonthEnd, 0),
+        model: describeModel(model)
+    };
+}
+
+function periodsFor(now) {
+    const year = now.getUTCFullYear();
+    const month = now.getUTCMonth();
+    return {
+        today: dateKey(now),
+        monthStart: dateKey(new Date(Date.UTC(year, month, 1))),
+        monthEnd: dateKey(new Date(Date.UTC(year, month + 1, 0))),
+        nextMonthStart: dateKey(new Date(Date.UTC(year, month + 1, 1))),
+        nextMonthEnd: dateKey(new Date(Date.UTC(year, month + 2, 0)))
+    };
+}
+
+// Fresh forecast for one subscription target
+async function buildForecast(target, now = new Date()) {
+    const [costs, oneOffs] = await Promise.all([
+        queryDailyCostByResourceGroup(target, HISTORY_DAYS, now),
+        listOneOffs({ subscriptionId: target.subscriptionId })
+    ]);
+    const periods = periodsFor(now);
+    const history = { from: costs.from, to: addDays(periods.today, -1) };
+
+    const total = {};
+    Object.values(costs.groups).forEach(daily => {
+        Object.entries(daily).forEach(([date, cost]) => {
+            total[date] = (total[date] || 0) + cost;
+        });
+    });
+
+    const groupNames = new Set([
+        ...Object.keys(costs.groups),
+        ...oneOffs.filter(oneOff => oneOff.resourceGroup).map(oneOff => oneOff.resourceGroup)
+    ]);
+    const resourceGroups = [...groupNames].map(resourceGroup => ({
+        resourceGroup,
+        subscriptionId: target.subscriptionId,
+        subscriptionName: target.subscriptionName,
+        ...forecastSlice(
+            costs.groups[resourceGroup] || {},
+            oneOffs.filter(oneOff => oneOff.resourceGroup === resourceGroup),
+            history,
+            periods)
+    }));
+
+    return {
+        subscriptionId: target.subscriptionId,
+        subscriptionName: target.subscriptionName,
+        currency: costs.currency,
+        generatedAt: now.toISOString(),
+        history: { ...history, days: HISTORY_DAYS },
+        periods: {
+            monthEnd: { from: periods.monthStart, to: periods.monthEnd },
+            nextMonth: { from: periods.nextMonthStart, to: periods.nextMonthEnd }
+        },
+        total: forecastSlice(total, oneOffs, history, periods),
+        resourceGroups: resourceGroups.sort((a, b) => b.monthEnd.expected - a.monthEnd.expected),
+        oneOffs: oneOffs.filter(oneOff => oneOff.date >= periods.monthStart && oneOff.date <= periods.nextMonthEnd)
+    };
+}
+
+// Cached forecast for one subscription target; a cached one is only reused on the UTC day
+// it was made, since the split between actuals and forecast moves every day
+async function getForecast(target, { refresh = false, context = null, now = new Date() } = {}) {
+    const table = await getTable(forecastsTableName);
+
+    if (!refresh) {
+        try {
+            const entity = await table.getEntity(FORECAST_PARTITION, target.subscriptionId);
+            const cached = JSON.parse(entity.data);
+            const age = now.getTime() - Date.parse(cached.generatedAt);
+            if (age < CACHE_DURATION_MS && cached.generatedAt.startsWith(dateKey(now))) {
+                return { ...cached, cached: true };
+            }
+        } catch (error) {
+            if (error.statusCode !== 404) throw error;
+        }
+    }
+
+    const forecast = await buildForecast(target, now);
+    try {
+        await table.upsertEntity({
+            partitionKey: FORECAST_PARTITION,
+            rowKey: target.subscriptionId,
+            data: JSON.stringify(forecast)
+        }, 'Replace');
+    } catch (error) {
+        // Too many resource groups can exceed the entity size limit; serve it uncached
+        if (context) context.warn(`Could not cache forecast for ${target.subscriptionId}: ${error.message}`);
+    }
+    return { ...forecast, cached: false };
+}
+
+// Sum of independent forecasts: expectations and known costs add, variances add
+function combinePeriods(periods) {
+    const actualToDate = periods.reduce((total, period) => total + period.actualToDate, 0);
+    const oneOffs = periods.reduce((total, period) => total + period.oneOffs, 0);
+    const forecast = periods.reduce((total, period) => total + period.expected - period.actualToDate - period.oneOffs, 0);
+    const stdDev = Math.sqrt(periods.reduce((total, period) => total + period.stdDev ** 2, 0));
+    return {
+        actualToDate: roundCents(actualToDate),
+        oneOffs: roundCents(oneOffs),
+        ...withBands(actualToDate + oneOffs, forecast, stdDev)
+    };
+}
+
+// One forecast for subscription=all from each subscription's forecast
+function combineForecasts(forecasts) {
+    return {
+        subscriptionId: ALL_SUBSCRIPTIONS,
+        subscriptionName: 'All subscriptions',
+        currency: forecasts[0].currency,
+        generatedAt: forecasts.map(forecast => forecast.generatedAt).sort()[0],
+        history: forecasts[0].history,
+        periods: forecasts[0].periods,
+        total: {
+            monthEnd: combinePeriods(forecasts.map(forecast => forecast.total.monthEnd)),
+            nextMonth: combinePeriods(forecasts.map(forecast => forecast.total.nextMonth)),
+            model: null
+        },
+        resourceGroups: forecasts
+            .flatMap(forecast => forecast.resourceGroups)
+            .sort((a, b) => b.monthEnd.expected - a.monthEnd.expected),
+        oneOffs: forecasts.flatMap(forecast => forecast.oneOffs).sort((a, b) => a.date.localeCompare(b.date)),
+        cached: forecasts.every(forecast => forecast.cached)
+    };
+}
+
+module.exports = {
+    normalizeOneOff,
+    listOneOffs,
+    getOneOff,
+    saveOneOff,
+    deleteOneOff,
+    getForecast,
+    combineForecasts
+};
@@ -0,0 +1,175 @@
+// Daily cost model for forecasts: a linear trend plus additive day-of-week effects,
+// fitted by least squares to a contiguous run of daily costs. Sums of forecast days come
+// with prediction intervals built from the residual spread plus the uncertainty in the
+// fitted level, weekday effects and trend.
+//
+// Short histories get simpler models: under TREND_MIN_DAYS a flat average, under
+// SEASONAL_MIN_DAYS a trend without weekday effects (a weekday seen once is just noise).
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TREND_MIN_DAYS = 7;
+const SEASONAL_MIN_DAYS = 14;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const Z_SCORES = { 80: 1.2816, 95: 1.96 };
+
+function dayNumber(date) {
+    return Math.round(Date.parse(`${date}T00:00:00Z`) / DAY_MS);
+}
+
+// Thursday 1 January 1970 is day 0
+function weekdayOf(day) {
+    return (day + 4) % 7;
+}
+
+function mean(values) {
+    return values.reduce((total, value) => total + value, 0) / values.length;
+}
+
+// Ordinary least squares of y on t
+function fitLine(times, values) {
+    const meanTime = mean(times);
+    const meanValue = mean(values);
+    let sxx = 0;
+    let sxy = 0;
+    times.forEach((time, index) => {
+        sxx += (time - meanTime) ** 2;
+        sxy += (time - meanTime) * (values[index] - meanValue);
+    });
+    const slope = sxx > 0 ? sxy / sxx : 0;
+    return { intercept: meanValue - slope * meanTime, slope, meanTime, sxx };
+}
+
+// `series` is [{ date: 'YYYY-MM-DD', cost }] for consecutive days, oldest first.
+// Returns null for an empty series.
+function fitModel(series) {
+    const n = series.length;
+    if (n === 0) return null;
+
+    const start = dayNumber(series[0].date);
+    const times = series.map((point, index) => index);
+    const values = series.map(point => point.cost);
+    const weekdays = times.map(time => weekdayOf(start + time));
+    const method = n < TREND_MIN_DAYS ? 'average' : n < SEASONAL_MIN_DAYS ? 'trend' : 'trend+weekday';
+
+    let line = method === 'average'
+        ? { intercept: mean(values), slope: 0, meanTime: mean(times), sxx: 0 }
+        : fitLine(times, values);
+    let effects = new Array(7).fill(0);
+
+    // Alternate once between the weekday effects (mean residual per weekday, centred on zero)
+    // and the trend of the deseasonalised series; the second trend fit barely moves after that
+    if (method === 'trend+weekday') {
+        for (let pass = 0; pass < 2; pass++) {
+            const totals = new Array(7).fill(0);
+            const counts = new Array(7).fill(0);
+            times.forEach((time, index) => {
+                totals[weekdays[index]] += values[index] - (line.intercept + line.slope * time);
+                counts[weekdays[index]]++;
+            });
+            const raw = totals.map((total, weekday) => total / counts[weekday]);
+            const centre = mean(raw);
+            effects = raw.map(effect => effect - centre);
+            line = fitLine(times, values.map((value, index) => value - effects[weekdays[index]]));
+        }
+    }
+
+    const residuals = times.map((time, index) =>
+        values[index] - (line.intercept + line.slope * time + effects[weekdays[index]]));
+    const parameters = method === 'average' ? 1 : method === 'trend' ? 2 : 8;
+    const degreesOfFreedom = Math.max(n - parameters, 1);
+    const residualStdDev = Math.sqrt(residuals.reduce((total, residual) => total + residual ** 2, 0) / degreesOfFreedom);
+
+    return {
+        method,
+        start,
+        days: n,
+        intercept: line.intercept,
+        slope: line.slope,
+        meanTime: line.meanTime,
+        sxx: line.sxx,
+        effects,
+        weekdayCounts: WEEKDAYS.map((name, weekday) => weekdays.filter(value => value === weekday).length),
+        residualStdDev
+    };
+}
+
+// Expected cost over `from`..`to` (inclusive dates) and the standard deviation of that sum.
+// Days never go below zero. The variance of a K-day sum is
+//   σ² (K + Σ_w K_w² / n_w + (Σ (t_k − t̄))² / Sxx)
+// - each day's own noise, the estimated level of each weekday w (K_w forecast days, n_w
+// observed days; one pooled level without weekday effects), and the estimated slope.
+function forecastRange(model, from, to) {
+    const first = dayNumber(from);
+    const last = dayNumber(to);
+    if (!model || last < first) {
+        return { days: Math.max(last - first + 1, 0), expected: 0, stdDev: 0 };
+    }
+
+    let expected = 0;
+    let offsetFromMean = 0;
+    const perWeekday = new Array(7).fill(0);
+    for (let day = first; day <= last; day++) {
+        const time = day - model.start;
+        const weekday = weekdayOf(day);
+        expected += Math.max(model.intercept + model.slope * time + model.effects[weekday], 0);
+        offsetFromMean += time - model.meanTime;
+        perWeekday[weekday]++;
+    }
+
+    const days = last - first + 1;
+    const levelTerm = model.method === 'trend+weekday'
+        ? perWeekday.reduce((total, count, weekday) => total + (count > 0 ? count ** 2 / model.weekdayCounts[weekday] : 0), 0)
+        : days ** 2 / model.days;
+    const trendTerm = model.sxx > 0 ? offsetFromMean ** 2 / model.sxx : 0;
+    const stdDev = model.residualStdDev * Math.sqrt(days + levelTerm + trendTerm);
+
+    return { days, expected, stdDev };
+}
+
+function roundCents(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// Central estimate with 80% and 95% bands. `known` is cost already certain (actuals to date,
+// scheduled one-off charges), which the lower bands never drop below.
+function withBands(known, forecast, stdDev) {
+    const expected = known + forecast;
+    const band = level => ({
+        lower: roundCents(Math.max(expected - Z_SCORES[level] * stdDev, known, 0)),
+        upper: roundCents(expected + Z_SCORES[level] * stdDev)
+    });
+    const band80 = band(80);
+    const band95 = band(95);
+
+    return {
+        expected: roundCents(expected),
+        stdDev: roundCents(stdDev),
+        lower80: band80.lower,
+        upper80: band80.upper,
+        lower95: band95.lower,
+        upper95: band95.upper
+    };
+}
+
+// What the API reports about a fitted model
+function describeModel(model) {
+    if (!model) return null;
+    return {
+        method: model.method,
+        historyDays: model.days,
+        // Fitted daily cost on the last history day, before its weekday effect
+        dailyLevel: roundCents(model.intercept + model.slope * (model.days - 1)),
+        trendPerDay: Math.round(model.slope * 10000) / 10000,
+        weekdayEffects: model.method === 'trend+weekday'
+            ? Object.fromEntries(WEEKDAYS.map((name, weekday) => [name, roundCents(model.effects[weekday])]))
+            : null,
+        residualStdDev: roundCents(model.residualStdDev)
+    };
+}
+
+module.exports = {
+    fitModel,
+    forecastRange,
+    withBands,
+    describeModel,
+    roundCents
+};
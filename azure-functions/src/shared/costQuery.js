@@ -0,0 +1,217 @@
+const { CostManagementClient } = require('@azure/arm-costmanagement');
+
+// Daily actual cost for slices of a subscription: the whole subscription, a resource
+// group, resources carrying a tag, or every resource group side by side. Used where
+// the cost collector's subscription-wide fetchCostData() is too coarse (budgets, forecasts,
+// project cost allocation).
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Charges without a value for the grouped dimension (e.g. support plans have no resource
+// group) are grouped under this
+const UNASSIGNED = '(unassigned)';
+
+function dateKey(date) {
+    return date.toISOString().split('T')[0];
+}
+
+// Cost Management reports days as integers like 20250829
+function parseDay(value) {
+    const text = String(value);
+    return `${text.substring(0, 4)}-${text.substring(4, 6)}-${text.substring(6, 8)}`;
+}
+
+// Where cost, day and currency sit in a query result; the column order depends on the grouping
+function columnIndexes(result) {
+    const columns = (result.columns || []).map(column => column.name.toLowerCase());
+    return {
+        columns,
+        costIndex: Math.max(columns.findIndex(name => name === 'pretaxcost' || name === 'cost'), 0),
+        dayIndex: columns.indexOf('usagedate') >= 0 ? columns.indexOf('usagedate') : 1,
+        currencyIndex: columns.indexOf('currency')
+    };
+}
+
+// `target` is a subscription target from shared/subscriptions.js
+async function queryMonthCost(target, { resourceGroup = null, tagName = null, tagValue = null } = {}, now = new Date()) {
+    const costClient = new CostManagementClient(target.credential);
+    const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    const scope = resourceGroup
+        ? `/subscriptions/${target.subscriptionId}/resourceGroups/${resourceGroup}`
+        : `/subscriptions/${target.subscriptionId}`;
+
+    const query = {
+        type: 'ActualCost',
+        timeframe: 'Custom',
+        timePeriod: {
+            from: dateKey(monthStart),
+            to: dateKey(now)
+        },
+        dataset: {
+            granularity: 'Daily',
+            aggregation: {
+                totalCost: {
+                    name: 'PreTaxCost',
+                    function: 'Sum'
+                }
+            }
+        }
+    };
+    if (tagName) {
+        query.dataset.filter = {
+            tags: { name: tagName, operator: 'In', values: [tagValue || ''] }
+        };
+    }
+
+    const result = await costClient.query.usage(scope, query);
+    const { costIndex, dayIndex, currencyIndex } = columnIndexes(result);
+
+    const daily = {};
+    let currency = 'USD';
+    (result.rows || []).forEach(row => {
+        const day = parseDay(row[dayIndex]);
+        daily[day] = (daily[day] || 0) + (parseFloat(row[costIndex]) || 0);
+        if (currencyIndex >= 0 && row[currencyIndex]) currency = row[currencyIndex];
+    });
+
+    return {
+        monthToDate: Object.values(daily).reduce((total, cost) => total + cost, 0),
+        daily: Object.entries(daily)
+            .map(([date, cost]) => ({ date, cost }))
+            .sort((a, b) => a.date.localeCompare(b.date)),
+        currency
+    };
+}
+
+// Daily cost from `from` to `to` (YYYY-MM-DD, inclusive) grouped by one Cost Management
+// dimension (ResourceGroupName, ServiceName, ResourceId, Meter...), optionally filtered to
+// some values of another: filter = { name: 'ServiceName', values: [...] }. Cost Management
+// returns at most one page here, so `truncated` warns when a result was cut short.
+async function queryDailyCostByDimension(target, { from, to, groupBy, filter = null }) {
+    const costClient = new CostManagementClient(target.credential);
+    const query = {
+        type: 'ActualCost',
+        timeframe: 'Custom',
+        timePeriod: { from, to },
+        dataset: {
+            granularity: 'Daily',
+            aggregation: {
+                totalCost: {
+                    name: 'PreTaxCost',
+                    function: 'Sum'
+                }
+            },
+            grouping: [
+                {
+                    type: 'Dimension',
+                    name: groupBy
+                }
+            ]
+        }
+    };
+    if (filter) {
+        query.dataset.filter = {
+            dimensions: { name: filter.name, operator: 'In', values: filter.values }
+        };
+    }
+
+    const result = await costClient.query.usage(`/subscriptions/${target.subscriptionId}`, query);
+    const { columns, costIndex, dayIndex, currencyIndex } = columnIndexes(result);
+    const groupIndex = columns.indexOf(groupBy.toLowerCase());
+
+    const groups = {};
+    let currency = 'USD';
+    (result.rows || []).forEach(row => {
+        const group = (groupIndex >= 0 && row[groupIndex] ? String(row[groupIndex]) : '') || UNASSIGNED;
+        const day = parseDay(row[dayIndex]);
+        groups[group] = groups[group] || {};
+        groups[group][day] = (groups[group][day] || 0) + (parseFloat(row[costIndex]) || 0);
+        if (currencyIndex >= 0 && row[currencyIndex]) currency = row[currencyIndex];
+    });
+
+    return { from, to, currency, groups, truncated: !!result.nextLink };
+}
+
+// Total cost per resource from `from` to `to` (YYYY-MM-DD, inclusive), keyed by lowercased
+// resource id; charges without a resource (support plans, reservations) land under UNASSIGNED.
+// One page only, like queryDailyCostByDimension, hence `truncated`.
+async function queryCostByResource(target, { from, to }) {
+    const costClient = new CostManagementClient(target.credential);
+    const result = await costClient.query.usage(`/subscriptions/${target.subscriptionId}`, {
+        type: 'ActualCost',
+        timeframe: 'Custom',
+        timePeriod: { from, to },
+        dataset: {
+            granularity: 'None',
+            aggregation: {
+                totalCost: {
+                    name: 'PreTaxCost',
+                    function: 'Sum'
+                }
+            },
+            grouping: [
+                {
+                    type: 'Dimension',
+                    name: 'ResourceId'
+                }
+            ]
+        }
+    });
+    const { columns, costIndex, currencyIndex } = columnIndexes(result);
+    const resourceIndex = columns.indexOf('resourceid');
+
+    const costs = {};
+    let currency = 'USD';
+    (result.rows || []).forEach(row => {
+        const resourceId = (resourceIndex >= 0 && row[resourceIndex] ? String(row[resourceIndex]).toLowerCase() : '') || UNASSIGNED;
+        costs[resourceId] = (costs[resourceId] || 0) + (parseFloat(row[costIndex]) || 0);
+        if (currencyIndex >= 0 && row[currencyIndex]) currency = row[currencyIndex];
+    });
+
+    return { from, to, currency, costs, truncated: !!result.nextLink };
+}
+
+// Cost per resource group per day over the `days` days before today, plus today so far.
+// Names are lowercased: Cost Management reports the same group in different cases.
+async function queryDailyCostByResourceGroup(target, days, now = new Date()) {
+    const today = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    const result = await queryDailyCostByDimension(target, {
+        from: dateKey(new Date(today.getTime() - days * DAY_MS)),
+        to: dateKey(today),
+        groupBy: 'ResourceGroupName'
+    });
+
+    const groups = {};
+    Object.entries(result.groups).forEach(([name, daily]) => {
+        const group = groups[name.toLowerCase()] = groups[name.toLowerCase()] || {};
+        Object.entries(daily).forEach(([day, cost]) => {
+            group[day] = (group[day] || 0) + cost;
+        });
+    });
+    return { ...result, groups };
+}
+
+// Run-rate month-end projection: month to date plus the average of the last seven
+// complete days for every day left in the month
+function projectMonthEnd(monthCost, now = new Date()) {
+    const today = dateKey(now);
+    const complete = monthCost.daily.filter(day => day.date < today).slice(-7);
+    const dailyRate = complete.length > 0
+        ? complete.reduce((total, day) => total + day.cost, 0) / complete.length
+        : monthCost.monthToDate;
+    const monthEnd = Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1);
+    const todayStart = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+    // Today counts as remaining: its cost so far is usually incomplete
+    const todayCost = monthCost.daily.find(day => day.date === today)?.cost || 0;
+    const daysLeft = Math.round((monthEnd - todayStart) / DAY_MS);
+
+    return monthCost.monthToDate - todayCost + dailyRate * daysLeft;
+}
+
+module.exports = {
+    UNASSIGNED,
+    dateKey,
+    queryMonthCost,
+    queryDailyCostByDimension,
+    queryCostByResource,
+    queryDailyCostByResourceGroup,
+    projectMonthEnd
+};
@@ -0,0 +1,193 @@
+const axios = require('axios');
+const { ApplicationInsightsManagementClient } = require('@azure/arm-appinsights');
+const { WebSiteManagementClient } = require('@azure/arm-appservice');
+
+// Per-function behaviour of the Function Apps: invocations, failures, p50/p95 duration and
+// cold starts over a window, from the `requests` and `traces` tables of the Application
+// Insights resource each app reports to. An app is matched to its resource through the
+// instrumentation key in its app settings. A cold start is the first invocation on an
+// instance after the host logged "Host started" there; it is counted against that function.
+const QUERY_API = 'https://api.applicationinsights.io/v1/apps';
+const QUERY_SCOPE = 'https://api.applicationinsights.io/.default';
+const QUERY_TIMEOUT_MS = 30000;
+const WINDOWS = {
+    '1h': 'PT1H',
+    '24h': 'P1D',
+    '7d': 'P7D',
+    '30d': 'P30D'
+};
+const DEFAULT_WINDOW = '24h';
+// The query's row for the whole app rather than one function
+const ALL_FUNCTIONS = '*';
+
+const FUNCTIONS_QUERY = `
+let hostStarts = traces
+    | where message startswith "Host started"
+    | project cloud_RoleInstance, hostStart = timestamp;
+let coldStarts = requests
+    | join kind=inner hostStarts on cloud_RoleInstance
+    | where timestamp >= hostStart
+    | summarize arg_min(timestamp, operation_Name) by cloud_RoleInstance, hostStart
+    | summarize coldStarts = count() by name = operation_Name;
+requests
+| summarize invocations = count(), failures = countif(success == false), p50 = percentile(duration, 50),
+    p95 = percentile(duration, 95), lastInvocation = max(timestamp) by name = operation_Name
+| union (requests
+    | summarize invocations = count(), failures = countif(success == false), p50 = percentile(duration, 50),
+        p95 = percentile(duration, 95), lastInvocation = max(timestamp)
+    | extend name = '${ALL_FUNCTIONS}')
+| join kind=leftouter coldStarts on name
+| project name, invocations, failures, p50, p95, lastInvocation, coldStarts = coalesce(coldStarts, 0)
+`;
+
+function isFunctionApp(site) {
+    return (site.kind || '').toLowerCase().includes('functionapp');
+}
+
+function resourceGroupOf(id) {
+    return id?.split('/')[4] || null;
+}
+
+function instrumentationKeyOf(settings) {
+    if (settings.APPINSIGHTS_INSTRUMENTATIONKEY) {
+        return settings.APPINSIGHTS_INSTRUMENTATIONKEY.toLowerCase();
+    }
+    const match = /InstrumentationKey=([^;]+)/i.exec(settings.APPLICATIONINSIGHTS_CONNECTION_STRING || '');
+    return match ? match[1].trim().toLowerCase() : null;
+}
+
+// Application Insights resources of the subscription by instrumentation key
+async function listComponents(target) {
+    const client = new ApplicationInsightsManagementClient(target.credential, target.subscriptionId);
+    const components = new Map();
+    for await (const component of client.components.list()) {
+        if (component.instrumentationKey) {
+            components.set(component.instrumentationKey.toLowerCase(), { name: component.name, appId: component.appId, id: component.id });
+        }
+    }
+    return components;
+}
+
+async function listFunctionNames(webClient, resourceGroup, appName) {
+    const names = [];
+    for await (const func of webClient.webApps.listFunctions(resourceGroup, appName)) {
+        names.push(func.name?.split('/').pop() || func.name);
+    }
+    return names;
+}
+
+// Rows of the query's first table as objects keyed by column name
+async function runQuery(target, appId, query, timespan) {
+    const { token } = await target.credential.getToken(QUERY_SCOPE);
+    const response = await axios.post(`${QUERY_API}/${encodeURIComponent(appId)}/query`, { query, timespan }, {
+        headers: { Authorization: `Bearer ${token}` },
+        timeout: QUERY_TIMEOUT_MS
+    });
+    const table = response.data.tables?.[0];
+    if (!table) return [];
+    return table.rows.map(row => Object.fromEntries(table.columns.map((column, index) => [column.name, row[index]])));
+}
+
+function describeRow(row) {
+    const invocations = row.invocations || 0;
+    const failures = row.failures || 0;
+    return {
+        invocations,
+        failures,
+        failureRate: invocations > 0 ? Math.round(failures / invocations * 10000) / 100 : null,
+        p50DurationMs: invocations > 0 ? Math.round(row.p50) : null,
+        p95DurationMs: invocations > 0 ? Math.round(row.p95) : null,
+        coldStarts: row.coldStarts || 0,
+        lastInvocation: row.lastInvocation || null
+    };
+}
+
+function emptyTelemetry() {
+    return describeRow({});
+}
+
+// One Function App's telemetry over `window`. Functions the app defines but that didn't run
+// are listed with zero invocations; an app without Application Insights has error set, and
+// functionsError says why functions that didn't run may be missing from the list.
+async function appTelemetry(target, site, window, { webClient, components }) {
+    const resourceGroup = resourceGroupOf(site.id);
+    const app = {
+        name: site.name,
+        resourceGroup,
+        id: site.id,
+        state: site.state,
+        window,
+        component: null,
+        totals: emptyTelemetry(),
+        functions: [],
+        error: null,
+        functionsError: null
+    };
+
+    let defined = [];
+    try {
+        defined = await listFunctionNames(webClient, resourceGroup, site.name);
+    } catch (error) {
+        app.functionsError = `Could not list functions: ${error.message}`;
+    }
+
+    try {
+        const settings = (await webClient.webApps.listApplicationSettings(resourceGroup, site.name)).properties || {};
+        const key = instrumentationKeyOf(settings);
+        app.component = key ? components.get(key) || null : null;
+        if (!app.component) {
+            app.error = key
+                ? 'The Application Insights resource this app reports to is not in this subscription'
+                : 'No Application Insights resource is connected to this app';
+        } else {
+            const rows = await runQuery(target, app.component.appId, FUNCTIONS_QUERY, WINDOWS[window]);
+            const overall = rows.find(row => row.name === ALL_FUNCTIONS);
+            const byName = new Map(rows.filter(row => row.name !== ALL_FUNCTIONS).map(row => [row.name, row]));
+            defined.forEach(name => {
+                if (!byName.has(name)) byName.set(name, { name });
+            });
+            app.functions = [...byName.values()]
+                .map(row => ({ name: row.name, ...describeRow(row) }))
+                .sort((a, b) => b.invocations - a.invocations || a.name.localeCompare(b.name));
+            app.totals = {
+                ...describeRow(overall || {}),
+                coldStarts: app.functions.reduce((total, func) => total + func.coldStarts, 0)
+            };
+            return app;
+        }
+    } catch (error) {
+        app.error = error.response?.data?.error?.message || error.message;
+    }
+
+    app.functions = defined.map(name => ({ name, ...emptyTelemetry() }));
+    return app;
+}
+
+// Every Function App of the subscription
+async function functionAppsTelemetry(target, window = DEFAULT_WINDOW) {
+    const webClient = new WebSiteManagementClient(target.credential, target.subscriptionId);
+    const sites = [];
+    for await (const site of webClient.webApps.list()) {
+        if (isFunctionApp(site)) sites.push(site);
+    }
+    const components = sites.length > 0 ? await listComponents(target) : new Map();
+    return Promise.all(sites.map(site => appTelemetry(target, site, window, { webClient, components })));
+}
+
+// One Function App by name, or null if the subscription has none by that name
+async function functionAppTelemetry(target, appName, window = DEFAULT_WINDOW) {
+    const webClient = new WebSiteManagementClient(target.credential, target.subscriptionId);
+    for await (const site of webClient.webApps.list()) {
+        if (isFunctionApp(site) && site.name.toLowerCase() === appName.toLowerCase()) {
+            return appTelemetry(target, site, window, { webClient, components: await listComponents(target) });
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    WINDOWS,
+    DEFAULT_WINDOW,
+    functionAppsTelemetry,
+    functionAppTelemetry
+};
@@ -0,0 +1,69 @@
+// Shared HTTP helpers for the v4 function handlers
+
+function corsHeaders(methods) {
+    return {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': methods,
+        'Access-Control-Allow-Headers': 'Content-Type, If-Match, X-Share-Token',
+        'Access-Control-Expose-Headers': 'ETag'
+    };
+}
+
+function preflight(methods) {
+    return {
+        status: 204,
+        headers: corsHeaders(methods)
+    };
+}
+
+function jsonResponse(status, body, methods, extraHeaders = {}) {
+    return {
+        status,
+        headers: {
+            'Content-Type': 'application/json',
+            ...corsHeaders(methods),
+            ...extraHeaders
+        },
+        body: JSON.stringify(body)
+    };
+}
+
+// Non-JSON bodies (CSV, HTML); `fileName` makes browsers download rather than display it
+function textResponse(status, body, contentType, methods, fileName = null) {
+    return {
+        status,
+        headers: {
+            'Content-Type': contentType,
+            ...corsHeaders(methods),
+            ...(fileName ? { 'Content-Disposition': `attachment; filename="${fileName}"` } : {})
+        },
+        body
+    };
+}
+
+function errorResponse(status, error, methods, details = {}) {
+    return jsonResponse(status, {
+        error,
+        ...details,
+        timestamp: new Date().toISOString()
+    }, methods);
+}
+
+// Parse a JSON request body, returning null when it is missing or malformed
+async function readJson(request) {
+    try {
+        const text = await request.text();
+        return text ? JSON.parse(text) : null;
+    } catch {
+        return null;
+    }
+}
+
+module.exports = {
+    corsHeaders,
+    preflight,
+    jsonResponse,
+    textResponse,
+    errorResponse,
+    readJson
+};
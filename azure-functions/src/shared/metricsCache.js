@@ -0,0 +1,81 @@
+const { getTable } = require('./tables');
+
+// Last result of each metrics collector per subscription, so the dashboard doesn't cost a
+// round of Azure API calls on every load. One row per collector and subscription.
+const cacheTableName = 'metricscache';
+const CACHE_PARTITION = 'cache';
+// Table Storage caps a string property at 64KB (32K UTF-16 characters), so larger values
+// are split across data, data1, data2... with the count in parts. The whole entity is
+// capped at 1MB, which leaves room for 15 of them.
+const MAX_PART_LENGTH = 32 * 1024;
+const MAX_PARTS = 15;
+
+function splitJson(json) {
+    const parts = [];
+    let start = 0;
+    while (start < json.length) {
+        let end = Math.min(start + MAX_PART_LENGTH, json.length);
+        // Don't cut a surrogate pair in half
+        const last = json.charCodeAt(end - 1);
+        if (end < json.length && last >= 0xd800 && last <= 0xdbff) end--;
+        parts.push(json.substring(start, end));
+        start = end;
+    }
+    return parts.length ? parts : [''];
+}
+
+function joinJson(entity) {
+    let json = entity.data;
+    for (let i = 1; i < (entity.parts || 1); i++) {
+        json += entity[`data${i}`];
+    }
+    return json;
+}
+
+// { data, generatedAt } for the last cached value however old it is, or null; callers
+// decide whether it is fresh enough
+async function getCachedEntry(key) {
+    try {
+        const table = await getTable(cacheTableName);
+        const entity = await table.getEntity(CACHE_PARTITION, key);
+        // Rows written before generatedAt existed only have the service's own Timestamp
+        return { data: JSON.parse(joinJson(entity)), generatedAt: entity.generatedAt || entity.timestamp };
+    } catch (error) {
+        return null;
+    }
+}
+
+// Best effort: a failed write only means the next request fetches again. Returns the
+// generatedAt stored with the value.
+async function setCachedData(key, data) {
+    const generatedAt = new Date().toISOString();
+    const parts = splitJson(JSON.stringify(data));
+    try {
+        if (parts.length > MAX_PARTS) {
+            throw new Error(`${key} needs ${parts.length} properties; an entity can hold ${MAX_PARTS}`);
+        }
+
+        const entity = {
+            partitionKey: CACHE_PARTITION,
+            rowKey: key,
+            data: parts[0],
+            parts: parts.length,
+            generatedAt
+        };
+        parts.slice(1).forEach((part, i) => {
+            entity[`data${i + 1}`] = part;
+        });
+
+        const table = await getTable(cacheTableName);
+        // Replace, so a value that shrank doesn't keep the previous value's extra parts
+        await table.upsertEntity(entity, 'Replace');
+    } catch (error) {
+        console.error('Failed to cache data:', error);
+    }
+    return generatedAt;
+}
+
+module.exports = {
+    getCachedEntry,
+    setCachedData
+};
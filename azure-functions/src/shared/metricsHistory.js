@@ -0,0 +1,234 @@
+const { getTable } = require('./tables');
+
+// Time series of metrics snapshots. One partition per subscription and metric, one row
+// per sample keyed by its zero-padded epoch milliseconds, so a time range is a row key
+// range. Snapshot rows are only ever created; the one exception is cost.daily, where
+// Azure keeps revising a day's cost for a while and the latest figure replaces the row.
+const historyTableName = 'metricshistory';
+const MAX_RANGE_DAYS = parseInt(process.env.METRICS_HISTORY_MAX_RANGE_DAYS, 10) || 400;
+const MAX_POINTS = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const INTERVAL_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: DAY_MS, w: 7 * DAY_MS };
+
+// `aggregate` is how samples inside one bucket combine; `combine` is how the same
+// bucket from several subscriptions combines for subscription=all
+const METRICS = {
+    'cost.daily': { unit: 'USD', aggregate: 'sum', combine: 'sum', description: 'Actual cost per day' },
+    'cost.monthToDate': { unit: 'USD', aggregate: 'average', combine: 'sum', description: 'Month-to-date cost' },
+    'resources.total': { unit: 'count', aggregate: 'average', combine: 'sum', description: 'Resources in the subscription' },
+    'resources.staticSites': { unit: 'count', aggregate: 'average', combine: 'sum', description: 'Static Web Apps' },
+    'resources.functionApps': { unit: 'count', aggregate: 'average', combine: 'sum', description: 'Function Apps' },
+    'resources.storageAccounts': { unit: 'count', aggregate: 'average', combine: 'sum', description: 'Storage accounts' },
+    'aks.nodes': { unit: 'count', aggregate: 'average', combine: 'sum', description: 'AKS nodes' },
+    'aks.cpuPercent': { unit: 'percent', aggregate: 'average', combine: 'average', description: 'Average AKS node CPU' },
+    'aks.memoryPercent': { unit: 'percent', aggregate: 'average', combine: 'average', description: 'Average AKS node memory' },
+    'storage.usedBytes': { unit: 'bytes', aggregate: 'average', combine: 'sum', description: 'Storage used across accounts' },
+    'storage.blobCount': { unit: 'count', aggregate: 'average', combine: 'sum', description: 'Blobs across accounts' },
+    'openai.tokens7d': { unit: 'tokens', aggregate: 'average', combine: 'sum', description: 'OpenAI tokens over the trailing 7 days' },
+    'openai.estimatedCost7d': { unit: 'USD', aggregate: 'average', combine: 'sum', description: 'Estimated OpenAI cost over the trailing 7 days' },
+    'functions.invocations24h': { unit: 'count', aggregate: 'average', combine: 'sum', description: 'Function invocations over the trailing 24 hours' },
+    'functions.failures24h': { unit: 'count', aggregate: 'average', combine: 'sum', description: 'Failed function invocations over the trailing 24 hours' }
+};
+
+function badRequest(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+}
+
+function partitionKey(subscriptionId, metric) {
+    return `${subscriptionId}_${metric}`;
+}
+
+function rowKey(time) {
+    return String(time).padStart(13, '0');
+}
+
+function number(value) {
+    const parsed = parseFloat(value);
+    return isNaN(parsed) ? null : parsed;
+}
+
+// Point-in-time values from one subscription's metrics (see collectSection in
+// collectors/index.js); parts that failed to load are left out rather than stored as 0
+function extractSamples(section) {
+    const samples = {};
+    const storageAccounts = section.storage?.accounts;
+
+    if (section.costs) {
+        samples['cost.monthToDate'] = number(section.costs.monthToDate);
+    }
+    if (section.resources) {
+        samples['resources.total'] = number(section.resources.totalResources);
+        samples['resources.staticSites'] = number(section.resources.staticSites);
+        samples['resources.functionApps'] = number(section.resources.functionApps);
+        samples['resources.storageAccounts'] = number(section.resources.storageAccounts);
+    }
+    if (section.kubernetes) {
+        samples['aks.nodes'] = number(section.kubernetes.totalNodes);
+        if (section.kubernetes.clusterCount > 0) {
+            samples['aks.cpuPercent'] = number(section.kubernetes.avgCpuUsage);
+            samples['aks.memoryPercent'] = number(section.kubernetes.avgMemoryUsage);
+        }
+    }
+    if (storageAccounts) {
+        samples['storage.usedBytes'] = storageAccounts.reduce((total, account) => total + (account.usedCapacityBytes || 0), 0);
+        samples['storage.blobCount'] = storageAccounts.reduce((total, account) => total + (account.blobCount || 0), 0);
+    }
+    if (section.openAIUsage) {
+        samples['openai.tokens7d'] = number(section.openAIUsage.totalTokens);
+        samples['openai.estimatedCost7d'] = number(section.openAIUsage.estimatedCost);
+    }
+    if (section.functionTelemetry) {
+        samples['functions.invocations24h'] = number(section.functionTelemetry.totals.invocations);
+        samples['functions.failures24h'] = number(section.functionTelemetry.totals.failures);
+    }
+
+    return Object.fromEntries(Object.entries(samples).filter(([, value]) => value !== null));
+}
+
+// Store one subscription's snapshot; returns how many rows were written
+async function recordSnapshot(section, takenAt = new Date()) {
+    const table = await getTable(historyTableName);
+    const time = takenAt.getTime();
+    const writes = [];
+
+    Object.entries(extractSamples(section)).forEach(([metric, value]) => {
+        writes.push(table.createEntity({
+            partitionKey: partitionKey(section.subscriptionId, metric),
+            rowKey: rowKey(time),
+            value,
+            takenAt: takenAt.toISOString()
+        }));
+    });
+
+    // Daily costs come from Cost Management's own per-day breakdown, one row per day
+    (section.costs?.historical || []).forEach(day => {
+        const dayTime = Date.parse(`${day.dateStr}T00:00:00Z`);
+        if (isNaN(dayTime)) return;
+        writes.push(table.upsertEntity({
+            partitionKey: partitionKey(section.subscriptionId, 'cost.daily'),
+            rowKey: rowKey(dayTime),
+            value: number(day.cost) || 0,
+            takenAt: takenAt.toISOString()
+        }, 'Replace'));
+    });
+
+    const results = await Promise.allSettled(writes);
+    const failed = results.filter(result => result.status === 'rejected');
+    if (failed.length > 0) {
+        throw new Error(`${failed.length} of ${writes.length} history rows failed to write: ${failed[0].reason?.message}`);
+    }
+    return writes.length;
+}
+
+// "15m", "1h", "1d", "1w" -> milliseconds; null if unparseable
+function parseInterval(value) {
+    const match = /^(\d+)\s*([mhdw])$/i.exec(String(value || '').trim());
+    if (!match || parseInt(match[1], 10) === 0) return null;
+    return parseInt(match[1], 10) * INTERVAL_UNITS[match[2].toLowerCase()];
+}
+
+// Samples of one subscription's metric, bucketed by `intervalMs` (aligned to the epoch, so
+// daily buckets start at UTC midnight)
+async function readBuckets(subscriptionId, metric, fromTime, toTime, intervalMs) {
+    const table = await getTable(historyTableName);
+    const buckets = new Map();
+    const filter = `PartitionKey eq '${partitionKey(subscriptionId, metric)}' and RowKey ge '${rowKey(fromTime)}' and RowKey le '${rowKey(toTime)}'`;
+
+    for await (const entity of table.listEntities({ queryOptions: { filter } })) {
+        const time = parseInt(entity.rowKey, 10);
+        const start = Math.floor(time / intervalMs) * intervalMs;
+        if (!buckets.has(start)) {
+            buckets.set(start, { total: 0, min: Infinity, max: -Infinity, samples: 0 });
+        }
+        const bucket = buckets.get(start);
+        bucket.total += entity.value;
+        bucket.min = Math.min(bucket.min, entity.value);
+        bucket.max = Math.max(bucket.max, entity.value);
+        bucket.samples++;
+    }
+    return buckets;
+}
+
+// Downsampled series for one metric across `subscriptionIds`. Points carry the combined
+// value and, when there is more than one subscription, each subscription's own value.
+async function querySeries({ metric, subscriptionIds, from, to, interval }) {
+    const definition = METRICS[metric];
+    if (!definition) {
+        throw badRequest(`Unknown metric: ${metric}`);
+    }
+
+    const toTime = to ? Date.parse(to) : Date.now();
+    const fromTime = from ? Date.parse(from) : toTime - 30 * DAY_MS;
+    if (isNaN(fromTime) || isNaN(toTime) || fromTime >= toTime) {
+        throw badRequest('from and to must be dates with from before to');
+    }
+    if (toTime - fromTime > MAX_RANGE_DAYS * DAY_MS) {
+        throw badRequest(`The range can be at most ${MAX_RANGE_DAYS} days`);
+    }
+
+    // Default: hourly up to a week, daily beyond that
+    const intervalMs = interval ? parseInterval(interval) : (toTime - fromTime > 7 * DAY_MS ? DAY_MS : INTERVAL_UNITS.h);
+    if (!intervalMs) {
+        throw badRequest('interval must look like 15m, 1h, 1d or 1w');
+    }
+    if ((toTime - fromTime) / intervalMs > MAX_POINTS) {
+        throw badRequest(`That interval gives more than ${MAX_POINTS} points; use a longer one`);
+    }
+
+    const perSubscription = await Promise.all(subscriptionIds.map(subscriptionId =>
+        readBuckets(subscriptionId, metric, fromTime, toTime, intervalMs)));
+    const starts = [...new Set(perSubscription.flatMap(buckets => [...buckets.keys()]))].sort((a, b) => a - b);
+
+    const points = starts.map(start => {
+        const values = {};
+        let samples = 0;
+        perSubscription.forEach((buckets, index) => {
+            const bucket = buckets.get(start);
+            if (!bucket) return;
+            values[subscriptionIds[index]] = definition.aggregate === 'sum' ? bucket.total : bucket.total / bucket.samples;
+            samples += bucket.samples;
+        });
+
+        const present = Object.values(values);
+        const combined = present.reduce((total, value) => total + value, 0);
+        const point = {
+            time: new Date(start).toISOString(),
+            value: definition.combine === 'sum' ? combined : combined / present.length,
+            samples
+        };
+
+        if (subscriptionIds.length === 1) {
+            const bucket = perSubscription[0].get(start);
+            point.min = bucket.min;
+            point.max = bucket.max;
+        } else {
+            point.subscriptions = values;
+        }
+        return point;
+    });
+
+    return {
+        metric,
+        unit: definition.unit,
+        aggregate: definition.aggregate,
+        interval: interval || (intervalMs === DAY_MS ? '1d' : '1h'),
+        intervalMs,
+        from: new Date(fromTime).toISOString(),
+        to: new Date(toTime).toISOString(),
+        points
+    };
+}
+
+function listMetrics() {
+    return Object.entries(METRICS).map(([name, definition]) => ({ name, ...definition }));
+}
+
+module.exports = {
+    METRICS,
+    extractSamples,
+    recordSnapshot,
+    querySeries,
+    listMetrics
+};
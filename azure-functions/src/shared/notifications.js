@@ -0,0 +1,118 @@
+const axios = require('axios');
+
+// Outbound notifications. A channel is { type, target }; each type knows how to validate
+// its target and deliver a message ({ event, subject, text, ...details }). Add a channel
+// type by adding an entry to CHANNELS.
+const N8N_WEBHOOK_BASE_URL = process.env.N8N_WEBHOOK_BASE_URL || 'http://4.152.195.113:5678/webhook';
+const WEBHOOK_TIMEOUT_MS = 10000;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+let mailTransport = null;
+
+function getMailTransport() {
+    if (!process.env.SMTP_HOST) {
+        throw new Error('SMTP_HOST is not configured');
+    }
+    if (!mailTransport) {
+        // Required lazily so a missing mail setup only affects email channels
+        const nodemailer = require('nodemailer');
+        const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+        mailTransport = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port,
+            secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+            auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : undefined
+        });
+    }
+    return mailTransport;
+}
+
+function emailAddresses(target) {
+    return String(target || '').split(/[,;\s]+/).filter(Boolean);
+}
+
+function isUrl(value) {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch {
+        return false;
+    }
+}
+
+// n8n targets may be a full webhook URL or just the webhook path
+function n8nUrl(target) {
+    return isUrl(target) ? target : `${N8N_WEBHOOK_BASE_URL}/${String(target).replace(/^\/+/, '')}`;
+}
+
+const CHANNELS = {
+    email: {
+        validate: target => {
+            const addresses = emailAddresses(target);
+            return addresses.length > 0 && addresses.every(address => EMAIL_PATTERN.test(address))
+                ? null
+                : 'email channels need one or more addresses';
+        },
+        send: async (target, message) => {
+            await getMailTransport().sendMail({
+                from: process.env.SMTP_FROM || process.env.SMTP_USER,
+                to: emailAddresses(target).join(', '),
+                subject: message.subject,
+                text: message.text
+            });
+        }
+    },
+    webhook: {
+        validate: target => isUrl(target) ? null : 'webhook channels need an http(s) URL',
+        send: async (target, message) => {
+            await axios.post(target, message, { timeout: WEBHOOK_TIMEOUT_MS });
+        }
+    },
+    n8n: {
+        validate: target => target && /^[\w\-/.:?=&%]+$/.test(target) ? null : 'n8n channels need a webhook URL or path',
+        send: async (target, message) => {
+            await axios.post(n8nUrl(target), message, { timeout: WEBHOOK_TIMEOUT_MS });
+        }
+    }
+};
+
+// Cleaned channel list, or { error } for the first invalid one
+function normalizeChannels(channels) {
+    if (!Array.isArray(channels)) {
+        return { error: 'channels must be an array' };
+    }
+
+    const normalized = [];
+    for (const channel of channels) {
+        const type = channel && CHANNELS[channel.type] ? channel.type : null;
+        if (!type) {
+            return { error: `Unknown channel type: ${channel && channel.type}. Use one of ${Object.keys(CHANNELS).join(', ')}` };
+        }
+        const target = String(channel.target || '').trim();
+        const problem = CHANNELS[type].validate(target);
+        if (problem) {
+            return { error: problem };
+        }
+        normalized.push({ type, target });
+    }
+    return { channels: normalized };
+}
+
+// Deliver to every channel; one failing channel doesn't stop the others.
+// Returns [{ type, target, ok, error }] so callers can record what happened.
+async function notify(channels, message, context) {
+    return Promise.all((channels || []).map(async channel => {
+        try {
+            await CHANNELS[channel.type].send(channel.target, message);
+            return { type: channel.type, target: channel.target, ok: true };
+        } catch (error) {
+            context.warn(`Notification via ${channel.type} to ${channel.target} failed: ${error.message}`);
+            return { type: channel.type, target: channel.target, ok: false, error: error.message };
+        }
+    }));
+}
+
+module.exports = {
+    CHANNEL_TYPES: Object.keys(CHANNELS),
+    normalizeChannels,
+    notify
+};
@@ -0,0 +1,600 @@
+const crypto = require('crypto');
+const { CognitiveServicesManagementClient } = require('@azure/arm-cognitiveservices');
+const { MonitorClient } = require('@azure/arm-monitor');
+const { getTable } = require('./tables');
+const { dateKey } = require('./costQuery');
+
+// Azure OpenAI token usage per deployment. Prompt and completion tokens come from Azure
+// Monitor's per-deployment metrics (split by the ModelDeploymentName dimension), bucketed
+// hourly or daily. Callers that report their own usage to the ingest endpoint tag a share
+// of a deployment's tokens with a caller and project; the untagged rest goes to the project
+// the deployment is mapped to, if any. Costs come from a versioned price table, each bucket
+// priced with the version in effect on its day.
+const eventsTableName = 'aiusageevents';
+const mappingsTableName = 'aiusagemappings';
+const MAPPING_PARTITION = 'mapping';
+const pricesTableName = 'aipricing';
+const PRICE_PARTITION = 'version';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const INTERVALS = { PT1H: 60 * 60 * 1000, P1D: DAY_MS };
+// Hourly buckets get big fast; longer ranges must use daily ones
+const MAX_HOURLY_DAYS = 7;
+const MAX_RANGE_DAYS = 93;
+// Reported usage older than this is refused; the metrics it would split have long settled
+const MAX_EVENT_AGE_DAYS = 7;
+const MAX_EVENTS_PER_REQUEST = 500;
+const METRICS = {
+    ProcessedPromptTokens: 'promptTokens',
+    GeneratedTokens: 'completionTokens',
+    AzureOpenAIRequests: 'requests'
+};
+const OPENAI_KINDS = ['OpenAI', 'AIServices'];
+const UNTAGGED_CALLER = '(untagged)';
+const UNMAPPED_PROJECT = '(unmapped)';
+const BUILTIN_VERSION = 'builtin';
+// USD per million tokens, used for days before the first stored price version and for
+// models a stored version doesn't list. Keys match model names by longest prefix.
+const BUILTIN_PRICES = {
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+    'gpt-4.1': { input: 2, output: 8 },
+    'gpt-4-32k': { input: 60, output: 120 },
+    'gpt-4': { input: 30, output: 60 },
+    'gpt-35-turbo': { input: 0.5, output: 1.5 },
+    'o1-mini': { input: 1.1, output: 4.4 },
+    'o3-mini': { input: 1.1, output: 4.4 },
+    'o1': { input: 15, output: 60 },
+    'text-embedding-3-small': { input: 0.02, output: 0 },
+    'text-embedding-3-large': { input: 0.13, output: 0 },
+    'text-embedding-ada-002': { input: 0.1, output: 0 }
+};
+
+function isDay(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(`${value}T00:00:00Z`));
+}
+
+function trimmed(value, maxLength) {
+    return typeof value === 'string' ? value.trim().substring(0, maxLength) : '';
+}
+
+function tokenCount(value) {
+    const count = parseInt(value, 10);
+    return isFinite(count) && count >= 0 ? count : null;
+}
+
+function emptyUsage() {
+    return { promptTokens: 0, completionTokens: 0, requests: 0, cost: 0 };
+}
+
+function addUsage(total, usage) {
+    total.promptTokens += usage.promptTokens || 0;
+    total.completionTokens += usage.completionTokens || 0;
+    total.requests += usage.requests || 0;
+    total.cost += usage.cost || 0;
+    return total;
+}
+
+function roundUsage(usage) {
+    return {
+        ...usage,
+        totalTokens: usage.promptTokens + usage.completionTokens,
+        cost: Math.round(usage.cost * 10000) / 10000
+    };
+}
+
+function normalizePriceVersion(body) {
+    const source = body || {};
+    const effectiveFrom = source.effectiveFrom;
+    if (!isDay(effectiveFrom)) {
+        return { error: 'effectiveFrom must be a YYYY-MM-DD date' };
+    }
+    const models = {};
+    for (const [name, price] of Object.entries(source.models && typeof source.models === 'object' ? source.models : {})) {
+        const model = name.trim().toLowerCase();
+        const input = parseFloat(price && price.input);
+        const output = parseFloat(price && price.output || 0);
+        if (!model || !isFinite(input) || input < 0 || !isFinite(output) || output < 0) {
+            return { error: `Prices for ${name || '(unnamed model)'} must be zero or more per million tokens` };
+        }
+        models[model] = { input, output };
+    }
+    if (Object.keys(models).length === 0) {
+        return { error: 'A price version needs at least one model' };
+    }
+    return {
+        version: {
+            effectiveFrom,
+            label: trimmed(source.label, 100) || `Prices from ${effectiveFrom}`,
+            currency: 'USD',
+            models
+        }
+    };
+}
+
+async function listPriceVersions() {
+    const table = await getTable(pricesTableName);
+    const versions = [];
+    const entities = table.listEntities({
+        queryOptions: { filter: `PartitionKey eq '${PRICE_PARTITION}'` }
+    });
+    for await (const entity of entities) {
+        versions.push(JSON.parse(entity.data));
+    }
+    return versions.sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+}
+
+async function getPriceVersion(effectiveFrom) {
+    const table = await getTable(pricesTableName);
+    try {
+        return JSON.parse((await table.getEntity(PRICE_PARTITION, effectiveFrom)).data);
+    } catch (error) {
+        if (error.statusCode === 404) return null;
+        throw error;
+    }
+}
+
+async function savePriceVersion(version) {
+    const table = await getTable(pricesTableName);
+    await table.upsertEntity({
+        partitionKey: PRICE_PARTITION,
+        rowKey: version.effectiveFrom,
+        data: JSON.stringify(version)
+    }, 'Replace');
+    return version;
+}
+
+async function deletePriceVersion(effectiveFrom) {
+    const table = await getTable(pricesTableName);
+    await table.deleteEntity(PRICE_PARTITION, effectiveFrom);
+}
+
+function matchModel(models, model) {
+    const name = String(model || '').toLowerCase();
+    const key = Object.keys(models)
+        .filter(prefix => name.startsWith(prefix))
+        .sort((a, b) => b.length - a.length)[0];
+    return key ? models[key] : null;
+}
+
+// { version, input, output } for `model` on `day`; unknown models are priced at 0 and flagged
+function priceFor(versions, model, day) {
+    const version = [...versions].reverse().find(entry => entry.effectiveFrom <= day);
+    const stored = version ? matchModel(version.models, model) : null;
+    if (stored) {
+        return { version: version.effectiveFrom, ...stored };
+    }
+    const builtin = matchModel(BUILTIN_PRICES, model);
+    return builtin
+        ? { version: BUILTIN_VERSION, ...builtin }
+        : { version: null, input: 0, output: 0, unpriced: true };
+}
+
+function costOf(price, promptTokens, completionTokens) {
+    return (promptTokens * price.input + completionTokens * price.output) / 1000000;
+}
+
+function mappingKey(account, deployment) {
+    return encodeURIComponent(`${account || '*'}|${deployment}`.toLowerCase());
+}
+
+function normalizeMapping(body, projectIds) {
+    const source = body || {};
+    const deployment = trimmed(source.deployment, 64);
+    if (!deployment) {
+        return { error: 'deployment is required' };
+    }
+    const projectId = String(source.projectId || '').trim();
+    if (!projectIds.has(projectId)) {
+        return { error: `Project ${projectId || '(none)'} not found` };
+    }
+    const account = trimmed(source.account, 64) || null;
+    return { mapping: { id: mappingKey(account, deployment), account, deployment, projectId } };
+}
+
+async function listMappings() {
+    const table = await getTable(mappingsTableName);
+    const mappings = [];
+    const entities = table.listEntities({
+        queryOptions: { filter: `PartitionKey eq '${MAPPING_PARTITION}'` }
+    });
+    for await (const entity of entities) {
+        mappings.push(JSON.parse(entity.data));
+    }
+    return mappings.sort((a, b) => a.deployment.localeCompare(b.deployment));
+}
+
+async function getMapping(id) {
+    const table = await getTable(mappingsTableName);
+    try {
+        return JSON.parse((await table.getEntity(MAPPING_PARTITION, id)).data);
+    } catch (error) {
+        if (error.statusCode === 404) return null;
+        throw error;
+    }
+}
+
+async function saveMapping(mapping) {
+    const table = await getTable(mappingsTableName);
+    await table.upsertEntity({
+        partitionKey: MAPPING_PARTITION,
+        rowKey: mapping.id,
+        data: JSON.stringify(mapping)
+    }, 'Replace');
+    return mapping;
+}
+
+async function deleteMapping(id) {
+    const table = await getTable(mappingsTableName);
+    await table.deleteEntity(MAPPING_PARTITION, id);
+}
+
+// An account-specific mapping wins over one for the deployment name on any account
+function mappedProject(mappings, account, deployment) {
+    const exact = mappings.find(mapping => mapping.id === mappingKey(account, deployment));
+    const anyAccount = mappings.find(mapping => mapping.id === mappingKey(null, deployment));
+    return (exact || anyAccount || {}).projectId || null;
+}
+
+// One usage report: { deployment, account?, promptTokens, completionTokens, caller, projectId?,
+// timestamp?, eventId? }. OpenAI's own `usage` object ({ prompt_tokens, completion_tokens }) is
+// accepted in place of the token counts so a workflow can forward a response's usage unchanged.
+function normalizeEvent(source, now) {
+    const entry = source || {};
+    const usage = entry.usage || {};
+    const deployment = trimmed(entry.deployment, 64);
+    if (!deployment) {
+        return { error: 'deployment is required' };
+    }
+    const promptTokens = tokenCount(entry.promptTokens !== undefined ? entry.promptTokens : usage.prompt_tokens);
+    const completionTokens = tokenCount(entry.completionTokens !== undefined ? entry.completionTokens : usage.completion_tokens || 0);
+    if (promptTokens === null || completionTokens === null) {
+        return { error: `Token counts for ${deployment} must be zero or more` };
+    }
+    const timestamp = entry.timestamp ? new Date(entry.timestamp) : now;
+    if (isNaN(timestamp.getTime()) || timestamp.getTime() > now.getTime() + 5 * 60 * 1000
+        || timestamp.getTime() < now.getTime() - MAX_EVENT_AGE_DAYS * DAY_MS) {
+        return { error: `timestamp must be within the last ${MAX_EVENT_AGE_DAYS} days` };
+    }
+    return {
+        event: {
+            deployment,
+            account: trimmed(entry.account, 64) || null,
+            caller: trimmed(entry.caller, 100) || 'unknown',
+            projectId: entry.projectId === undefined || entry.projectId === null ? null : String(entry.projectId).trim() || null,
+            eventId: trimmed(entry.eventId, 200) || null,
+            promptTokens,
+            completionTokens,
+            timestamp: timestamp.toISOString()
+        }
+    };
+}
+
+// Accepts one report or { events: [...] }; one bad report rejects the whole request
+function normalizeEvents(body, now = new Date()) {
+    const entries = body && Array.isArray(body.events) ? body.events : [body];
+    if (entries.length === 0 || entries.length > MAX_EVENTS_PER_REQUEST) {
+        return { error: `Send between 1 and ${MAX_EVENTS_PER_REQUEST} usage reports` };
+    }
+    const events = [];
+    for (const entry of entries) {
+        const { event, error } = normalizeEvent(entry, now);
+        if (error) return { error };
+        events.push(event);
+    }
+    return { events };
+}
+
+// The row key is derived from the report itself - its eventId, or else its contents and
+// position in the request - so resending a request (say after a write failed halfway) lands
+// on the rows already written. Reports without a timestamp are stamped on arrival, so only
+// those with a timestamp or eventId are safe to resend.
+function eventRowKey(event, index) {
+    const identity = event.eventId ? `id\n${event.eventId}` : `${index}\n${JSON.stringify(event)}`;
+    const hash = crypto.createHash('sha256').update(identity).digest('hex').substring(0, 16);
+    return `${String(Date.parse(event.timestamp)).padStart(13, '0')}_${hash}`;
+}
+
+// Returns { recorded, duplicates }; a report whose row already exists was recorded before
+async function recordEvents(events) {
+    const table = await getTable(eventsTableName);
+    let recorded = 0;
+    let duplicates = 0;
+    for (const [index, event] of events.entries()) {
+        try {
+            await table.createEntity({
+                partitionKey: dateKey(new Date(Date.parse(event.timestamp))),
+                rowKey: eventRowKey(event, index),
+                ...event
+            });
+            recorded++;
+        } catch (error) {
+            if (error.statusCode !== 409) throw error;
+            duplicates++;
+        }
+    }
+    return { recorded, duplicates };
+}
+
+async function listEvents(fromTime, toTime) {
+    const table = await getTable(eventsTableName);
+    const events = [];
+    const filter = `PartitionKey ge '${dateKey(new Date(fromTime))}' and PartitionKey le '${dateKey(new Date(toTime - 1))}'`;
+    for await (const entity of table.listEntities({ queryOptions: { filter } })) {
+        const time = Date.parse(entity.timestamp);
+        if (time >= fromTime && time < toTime) {
+            events.push(entity);
+        }
+    }
+    return events;
+}
+
+function accountResourceGroup(account) {
+    return account.id.split('/')[4];
+}
+
+// Returns { accounts, errors }; an account whose deployments can't be listed is kept without them
+async function listOpenAIAccounts(target) {
+    const cognitiveClient = new CognitiveServicesManagementClient(target.credential, target.subscriptionId);
+    const accounts = [];
+    const errors = [];
+    for await (const account of cognitiveClient.accounts.list()) {
+        if (!OPENAI_KINDS.includes(account.kind)) continue;
+        const details = {
+            id: account.id,
+            name: account.name,
+            kind: account.kind,
+            location: account.location,
+            resourceGroup: accountResourceGroup(account),
+            endpoint: account.properties?.endpoint,
+            deployments: []
+        };
+        try {
+            for await (const deployment of cognitiveClient.deployments.list(details.resourceGroup, account.name)) {
+                details.deployments.push({
+                    name: deployment.name,
+                    model: deployment.properties?.model?.name || deployment.name,
+                    version: deployment.properties?.model?.version || 'latest',
+                    capacity: deployment.sku?.capacity || null
+                });
+            }
+        } catch (error) {
+            errors.push({ subscriptionId: target.subscriptionId, account: account.name, error: `Could not list deployments: ${error.message}` });
+        }
+        accounts.push(details);
+    }
+    return { accounts, errors };
+}
+
+// Map of deployment name → Map of bucket start → { promptTokens, completionTokens, requests }
+async function queryAccountMetrics(monitorClient, account, fromTime, toTime, interval) {
+    const usage = new Map();
+    const result = await monitorClient.metrics.list(account.id, {
+        timespan: `${new Date(fromTime).toISOString()}/${new Date(toTime).toISOString()}`,
+        interval,
+        metricnames: Object.keys(METRICS).join(','),
+        aggregation: 'Total',
+        filter: "ModelDeploymentName eq '*'",
+        top: 100
+    });
+
+    for (const metric of result.value || []) {
+        const field = METRICS[metric.name?.value];
+        if (!field) continue;
+        for (const series of metric.timeseries || []) {
+            const dimension = (series.metadatavalues || [])
+                .find(entry => String(entry.name?.value).toLowerCase() === 'modeldeploymentname');
+            const deployment = dimension?.value;
+            if (!deployment) continue;
+            if (!usage.has(deployment)) usage.set(deployment, new Map());
+            const buckets = usage.get(deployment);
+            for (const point of series.data || []) {
+                if (!point.total) continue;
+                const start = Math.floor(new Date(point.timeStamp).getTime() / INTERVALS[interval]) * INTERVALS[interval];
+                if (!buckets.has(start)) buckets.set(start, { promptTokens: 0, completionTokens: 0, requests: 0 });
+                buckets.get(start)[field] += point.total;
+            }
+        }
+    }
+    return usage;
+}
+
+// Per-deployment token buckets for one subscription, unpriced
+async function queryDeploymentUsage(target, { fromTime, toTime, interval }) {
+    const monitorClient = new MonitorClient(target.credential, target.subscriptionId);
+    const { accounts, errors } = await listOpenAIAccounts(target);
+    const deployments = [];
+
+    for (const account of accounts) {
+        let usage = new Map();
+        try {
+            usage = await queryAccountMetrics(monitorClient, account, fromTime, toTime, interval);
+        } catch (error) {
+            errors.push({ subscriptionId: target.subscriptionId, account: account.name, error: error.message });
+        }
+        // Deployments without traffic still get a row; deleted ones only show through metrics
+        const names = new Set([...account.deployments.map(deployment => deployment.name), ...usage.keys()]);
+        for (const name of names) {
+            const details = account.deployments.find(deployment => deployment.name === name) || { model: name, version: null };
+            deployments.push({
+                subscriptionId: target.subscriptionId,
+                subscriptionName: target.subscriptionName,
+                account: account.name,
+                resourceGroup: account.resourceGroup,
+                deployment: name,
+                model: details.model,
+                version: details.version,
+                buckets: [...(usage.get(name) || new Map()).entries()]
+                    .sort((a, b) => a[0] - b[0])
+                    .map(([start, bucket]) => ({ time: new Date(start).toISOString(), ...bucket }))
+            });
+        }
+    }
+    return { accounts, deployments, errors };
+}
+
+// { fromTime, toTime, interval } from YYYY-MM-DD `from`/`to` (inclusive), or { error }
+function resolveRange({ from, to, interval }, now = new Date()) {
+    const today = dateKey(now);
+    const lastDay = to || today;
+    const firstDay = from || `${lastDay.substring(0, 7)}-01`;
+    if (!isDay(firstDay) || !isDay(lastDay) || firstDay > lastDay) {
+        return { error: 'from and to must be YYYY-MM-DD dates, from no later than to' };
+    }
+    const fromTime = Date.parse(`${firstDay}T00:00:00Z`);
+    const toTime = Math.min(Date.parse(`${lastDay}T00:00:00Z`) + DAY_MS, now.getTime());
+    const days = (toTime - fromTime) / DAY_MS;
+    const bucketSize = interval || (days <= 2 ? 'PT1H' : 'P1D');
+    if (!INTERVALS[bucketSize]) {
+        return { error: `interval must be one of ${Object.keys(INTERVALS).join(', ')}` };
+    }
+    if (days > MAX_RANGE_DAYS || (bucketSize === 'PT1H' && days > MAX_HOURLY_DAYS)) {
+        return { error: `Ranges are limited to ${MAX_RANGE_DAYS} days, or ${MAX_HOURLY_DAYS} days of hourly buckets` };
+    }
+    return { from: firstDay, to: lastDay, fromTime, toTime, interval: bucketSize };
+}
+
+function addToGroup(groups, key, usage, extra, taggedTokens = 0) {
+    if (!groups.has(key)) groups.set(key, { ...extra, ...emptyUsage(), taggedTokens: 0 });
+    const group = addUsage(groups.get(key), usage);
+    group.taggedTokens += taggedTokens;
+}
+
+// Each reported event belongs to one deployment: the one on its account, or without an
+// account the first deployment of that name
+function assignEvents(events, deployments) {
+    const assigned = new Map();
+    let unmatched = 0;
+    for (const event of events) {
+        const deployment = deployments.find(entry => entry.deployment === event.deployment && event.account && entry.account === event.account)
+            || deployments.find(entry => entry.deployment === event.deployment && !event.account);
+        if (!deployment) {
+            unmatched++;
+            continue;
+        }
+        if (!assigned.has(deployment)) assigned.set(deployment, []);
+        assigned.get(deployment).push(event);
+    }
+    return { assigned, unmatched };
+}
+
+// Usage across `targets` for a resolved range: per-deployment buckets and totals, plus the
+// same tokens split by caller and by project. `projectNames` maps project ids to names.
+async function buildUsageReport(targets, range, { projectNames = new Map() } = {}) {
+    const { fromTime, toTime, interval } = range;
+    const [versions, mappings, events, results] = await Promise.all([
+        listPriceVersions(),
+        listMappings(),
+        listEvents(fromTime, toTime),
+        Promise.allSettled(targets.map(target => queryDeploymentUsage(target, range)))
+    ]);
+
+    const errors = [];
+    const deployments = [];
+    results.forEach((result, index) => {
+        if (result.status === 'fulfilled') {
+            deployments.push(...result.value.deployments);
+            errors.push(...result.value.errors);
+        } else {
+            errors.push({ subscriptionId: targets[index].subscriptionId, error: result.reason?.message || String(result.reason) });
+        }
+    });
+
+    const totals = emptyUsage();
+    const buckets = new Map();
+    const byCaller = new Map();
+    const byProject = new Map();
+    const usedVersions = new Set();
+    const unpriced = new Set();
+
+    const { assigned, unmatched } = assignEvents(events, deployments);
+    const priced = (model, time, usage) => {
+        const price = priceFor(versions, model, dateKey(new Date(time)));
+        if (price.unpriced) unpriced.add(model);
+        else usedVersions.add(price.version);
+        return { ...usage, cost: costOf(price, usage.promptTokens, usage.completionTokens) };
+    };
+
+    for (const deployment of deployments) {
+        const total = emptyUsage();
+        deployment.buckets = deployment.buckets.map(bucket => {
+            const usage = priced(deployment.model, Date.parse(bucket.time), bucket);
+            addUsage(total, usage);
+            addToGroup(buckets, bucket.time, usage, { time: bucket.time });
+            return roundUsage(usage);
+        });
+        addUsage(totals, total);
+
+        // Reported usage for this deployment, then what's left of the metric totals
+        const tagged = emptyUsage();
+        (assigned.get(deployment) || []).forEach(event => {
+            const usage = priced(deployment.model, Date.parse(event.timestamp), { ...event, requests: 1 });
+            const tokens = usage.promptTokens + usage.completionTokens;
+            addUsage(tagged, usage);
+            addToGroup(byCaller, event.caller, usage, { caller: event.caller }, tokens);
+            const projectId = event.projectId || mappedProject(mappings, deployment.account, deployment.deployment) || UNMAPPED_PROJECT;
+            addToGroup(byProject, projectId, usage, { projectId }, tokens);
+        });
+        const untagged = {
+            promptTokens: Math.max(total.promptTokens - tagged.promptTokens, 0),
+            completionTokens: Math.max(total.completionTokens - tagged.completionTokens, 0),
+            requests: Math.max(total.requests - tagged.requests, 0),
+            cost: Math.max(total.cost - tagged.cost, 0)
+        };
+        const projectId = mappedProject(mappings, deployment.account, deployment.deployment);
+        if (untagged.promptTokens + untagged.completionTokens > 0) {
+            addToGroup(byCaller, UNTAGGED_CALLER, untagged, { caller: UNTAGGED_CALLER });
+            addToGroup(byProject, projectId || UNMAPPED_PROJECT, untagged, { projectId: projectId || UNMAPPED_PROJECT });
+        }
+
+        deployment.projectId = projectId;
+        Object.assign(deployment, roundUsage(total), { taggedTokens: tagged.promptTokens + tagged.completionTokens });
+    }
+
+    return {
+        from: range.from,
+        to: range.to,
+        interval,
+        currency: 'USD',
+        totals: roundUsage(totals),
+        buckets: [...buckets.values()]
+            .sort((a, b) => a.time.localeCompare(b.time))
+            .map(({ taggedTokens, ...bucket }) => roundUsage(bucket)),
+        deployments: deployments.sort((a, b) => b.cost - a.cost),
+        byCaller: [...byCaller.values()].map(roundUsage).sort((a, b) => b.totalTokens - a.totalTokens),
+        byProject: [...byProject.values()]
+            .map(entry => ({ ...roundUsage(entry), name: projectNames.get(entry.projectId) || null }))
+            .sort((a, b) => b.totalTokens - a.totalTokens),
+        priceVersions: [...usedVersions].sort(),
+        unpricedModels: [...unpriced].sort(),
+        // Reports naming a deployment the metrics don't know (wrong name, or another subscription)
+        unmatchedEvents: unmatched,
+        errors,
+        generatedAt: new Date().toISOString()
+    };
+}
+
+module.exports = {
+    BUILTIN_VERSION,
+    BUILTIN_PRICES,
+    UNMAPPED_PROJECT,
+    normalizePriceVersion,
+    listPriceVersions,
+    getPriceVersion,
+    savePriceVersion,
+    deletePriceVersion,
+    priceFor,
+    costOf,
+    normalizeMapping,
+    listMappings,
+    getMapping,
+    saveMapping,
+    deleteMapping,
+    normalizeEvents,
+    recordEvents,
+    listOpenAIAccounts,
+    queryDeploymentUsage,
+    resolveRange,
+    buildUsageReport
+};
@@ -0,0 +1,223 @@
+const { DefaultAzureCredential } = require('@azure/identity');
+const { BlobClient } = require('@azure/storage-blob');
+const { getTable } = require('./tables');
+const { listArtifacts, listAllArtifacts, importArtifacts, deleteProjectArtifacts } = require('./artifactStore');
+
+// Project registry - one Table Storage row per project, full document in `data`. Its
+// artifacts live in the artifact store and are attached to every project read here.
+const projectsTableName = 'projects';
+const PROJECT_PARTITION = 'project';
+// Table Storage caps a string property at 64KB (32K UTF-16 characters)
+const MAX_PROJECT_JSON_LENGTH = 32 * 1024;
+// The browser used to PUT the whole registry here; it seeds an empty table once. The
+// container is private, so it is read with the Function App's managed identity.
+const legacyProjectsUrl = process.env.LEGACY_PROJECTS_URL ||
+    'https://saxtechartifactstorage.blob.core.windows.net/artifacts/projects.json';
+// A row outside the project partition records that the legacy import ran, so deleting
+// every project later doesn't bring the legacy ones back on the next cold start
+const META_PARTITION = 'meta';
+const LEGACY_SEED_ROW = 'legacySeed';
+
+// Fields the server owns; clients cannot overwrite them through POST or PATCH
+// (myRole is computed per caller by the access-control layer and never stored)
+const SERVER_FIELDS = ['id', 'etag', 'created', 'createdBy', 'lastModified', 'lastModifiedBy', 'myRole'];
+
+// Set once this instance has seen the legacy import marker
+let legacySeedDone = false;
+
+function generateProjectId() {
+    return `proj_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+function stripServerFields(data) {
+    const clean = { ...data };
+    SERVER_FIELDS.forEach(field => delete clean[field]);
+    return clean;
+}
+
+function toEntity(project) {
+    const { artifacts, ...document } = project;
+    const data = JSON.stringify(document);
+    if (data.length > MAX_PROJECT_JSON_LENGTH) {
+        const error = new Error(`Project ${project.id} exceeds the ${MAX_PROJECT_JSON_LENGTH} character storage limit`);
+        error.statusCode = 413;
+        throw error;
+    }
+
+    return {
+        partitionKey: PROJECT_PARTITION,
+        rowKey: String(project.id),
+        name: project.name || '',
+        client: project.client || '',
+        status: project.status || '',
+        lastModified: project.lastModified,
+        data
+    };
+}
+
+function fromEntity(entity) {
+    return {
+        ...JSON.parse(entity.data),
+        id: entity.rowKey,
+        etag: entity.etag
+    };
+}
+
+// Rows written before the artifact store still embed their artifacts; move them out the
+// first time the row is read. Losing the race to another instance's rewrite is fine.
+async function detachArtifacts(table, entity) {
+    const embedded = JSON.parse(entity.data).artifacts;
+    if (!Array.isArray(embedded)) return entity;
+
+    await importArtifacts(entity.rowKey, embedded);
+    const { artifacts, ...document } = JSON.parse(entity.data);
+    const detached = { ...entity, data: JSON.stringify(document) };
+    try {
+        const result = await table.updateEntity(detached, 'Replace', { etag: entity.etag });
+        return { ...detached, etag: result.etag };
+    } catch (error) {
+        if (error.statusCode !== 412 && error.statusCode !== 404) throw error;
+        return detached;
+    }
+}
+
+// Returns false when projects.json could not be read for a reason worth retrying
+async function seedFromLegacyBlob(table, context) {
+    try {
+        const blobClient = new BlobClient(legacyProjectsUrl, new DefaultAzureCredential());
+        const parsed = JSON.parse((await blobClient.downloadToBuffer()).toString('utf8'));
+        const legacyProjects = Array.isArray(parsed) ? parsed : [];
+
+        for (const legacyProject of legacyProjects) {
+            const project = {
+                ...legacyProject,
+                id: String(legacyProject.id || generateProjectId()),
+                artifacts: legacyProject.artifacts || [],
+                created: legacyProject.created || new Date().toISOString(),
+                lastModified: legacyProject.lastModified || new Date().toISOString()
+            };
+
+            try {
+                await importArtifacts(project.id, project.artifacts);
+                await table.createEntity(toEntity(project));
+            } catch (error) {
+                // 409 means another instance seeded the same project first
+                if (error.statusCode !== 409) {
+                    context.log(`Could not seed project ${project.id}:`, error.message);
+                }
+            }
+        }
+
+        context.log(`Seeded ${legacyProjects.length} projects from legacy projects.json`);
+        return true;
+    } catch (error) {
+        context.log('No legacy projects.json to seed from:', error.message);
+        return error.statusCode === 404;
+    }
+}
+
+// Run the legacy import at most once per table. A table that already holds projects
+// predates the marker and only needs it written.
+async function ensureLegacySeed(table, context, hasProjects) {
+    try {
+        await table.getEntity(META_PARTITION, LEGACY_SEED_ROW);
+        legacySeedDone = true;
+        return false;
+    } catch (error) {
+        if (error.statusCode !== 404) throw error;
+    }
+
+    const seeded = !hasProjects && await seedFromLegacyBlob(table, context);
+    if (hasProjects || seeded) {
+        try {
+            await table.createEntity({ partitionKey: META_PARTITION, rowKey: LEGACY_SEED_ROW, seededAt: new Date().toISOString() });
+        } catch (error) {
+            if (error.statusCode !== 409) throw error;
+        }
+        legacySeedDone = true;
+    }
+    return seeded;
+}
+
+async function listProjects(context) {
+    const table = await getTable(projectsTableName);
+    const projects = [];
+    const entities = table.listEntities({
+        queryOptions: { filter: `PartitionKey eq '${PROJECT_PARTITION}'` }
+    });
+
+    for await (const entity of entities) {
+        projects.push(fromEntity(await detachArtifacts(table, entity)));
+    }
+
+    if (!legacySeedDone && await ensureLegacySeed(table, context, projects.length > 0)) {
+        return listProjects(context);
+    }
+
+    const artifacts = await listAllArtifacts();
+    projects.forEach(project => {
+        project.artifacts = artifacts.get(String(project.id)) || [];
+    });
+
+    // Newest first, matching how the dashboard has always ordered them
+    return projects.sort((a, b) => new Date(b.created || 0) - new Date(a.created || 0));
+}
+
+async function getProject(id) {
+    const table = await getTable(projectsTableName);
+    try {
+        const entity = await detachArtifacts(table, await table.getEntity(PROJECT_PARTITION, id));
+        return { ...fromEntity(entity), artifacts: await listArtifacts(id) };
+    } catch (error) {
+        if (error.statusCode === 404) return null;
+        throw error;
+    }
+}
+
+async function createProject(body, principal) {
+    const table = await getTable(projectsTableName);
+    const now = new Date().toISOString();
+    const project = {
+        status: 'active',
+        ...stripServerFields(body),
+        id: generateProjectId(),
+        created: now,
+        createdBy: principal.userDetails,
+        lastModified: now,
+        lastModifiedBy: principal.userDetails
+    };
+
+    const result = await table.createEntity(toEntity(project));
+    return { ...project, artifacts: [], etag: result.etag };
+}
+
+async function updateProject(current, changes, etag, principal) {
+    const table = await getTable(projectsTableName);
+    const project = {
+        ...stripServerFields(current),
+        ...stripServerFields(changes),
+        id: current.id,
+        created: current.created,
+        createdBy: current.createdBy,
+        lastModified: new Date().toISOString(),
+        lastModifiedBy: principal.userDetails
+    };
+
+    // Table Storage rejects the write with 412 if someone else saved in between
+    const result = await table.updateEntity(toEntity(project), 'Replace', { etag });
+    return { ...project, etag: result.etag };
+}
+
+async function deleteProject(id, etag) {
+    const table = await getTable(projectsTableName);
+    await table.deleteEntity(PROJECT_PARTITION, id, { etag });
+    await deleteProjectArtifacts(id);
+}
+
+module.exports = {
+    listProjects,
+    getProject,
+    createProject,
+    updateProject,
+    deleteProject
+};
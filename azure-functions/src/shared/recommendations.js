@@ -0,0 +1,495 @@
+const crypto = require('crypto');
+const { MonitorClient } = require('@azure/arm-monitor');
+const { ResourceGraphClient } = require('@azure/arm-resourcegraph');
+const { getTable } = require('./tables');
+const { resolveTargets } = require('./subscriptions');
+const { dateKey, queryCostByResource } = require('./costQuery');
+const { roundCents } = require('./costModel');
+const { listCollectors, collectSection } = require('../collectors');
+const { functionAppsTelemetry } = require('./functionTelemetry');
+
+// Savings recommendations over what the backend already collects: AKS node pools (aks
+// source) against their clusters' 7-day peak utilisation from Azure Monitor, Function App
+// invocations over 30 days from Application Insights, storage transactions (storage
+// source), and App Service plans, unattached disks and unassociated public IPs from
+// Resource Graph. Savings are the resource's actual cost over the last 30 days where Cost
+// Management has it, otherwise a list-price estimate. Each run rewrites the findings;
+// admins accept or dismiss them, and that status survives later runs. A finding that no
+// longer applies is dropped while open or dismissed, and marked resolved once accepted.
+const recommendationsTableName = 'recommendations';
+const RECOMMENDATION_PARTITION = 'recommendation';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const COST_DAYS = 30;
+const STATUSES = ['open', 'accepted', 'dismissed'];
+// AKS utilisation is the hourly maximum over this many days, so a pool is never sized to
+// a quiet hour; clusters without most of that history yet are left alone
+const AKS_PEAK_DAYS = 7;
+const AKS_MIN_PEAK_HOURS = (AKS_PEAK_DAYS - 1) * 24;
+// Node pools whose cluster peaks below this CPU and memory percentage are scaled in
+const AKS_IDLE_PERCENT = parseFloat(process.env.RECOMMENDATION_AKS_IDLE_PERCENT) || 30;
+// ...to as many nodes as keep the busier of the two at this percentage
+const AKS_TARGET_PERCENT = parseFloat(process.env.RECOMMENDATION_AKS_TARGET_PERCENT) || 60;
+// A single-node pool this idle gets a smaller VM size instead
+const AKS_DOWNSIZE_PERCENT = parseFloat(process.env.RECOMMENDATION_AKS_DOWNSIZE_PERCENT) || 15;
+// Storage accounts with fewer transactions than this over 7 days count as idle
+const STORAGE_IDLE_TRANSACTIONS = parseFloat(process.env.RECOMMENDATION_STORAGE_IDLE_TRANSACTIONS) || 100;
+// Plans on these tiers cost nothing while idle
+const FREE_PLAN_TIERS = ['free', 'shared', 'dynamic', 'flexconsumption'];
+// A dedicated plan is idle when none of its Function Apps ran in this window, so one
+// hosting a monthly job isn't recommended for deletion
+const PLAN_IDLE_WINDOW = '30d';
+// Approximate pay-as-you-go USD per month (Linux, 730 hours), for pools Cost Management
+// has no cost for yet
+const VM_MONTHLY_PRICES = {
+    standard_b2s: 30.37,
+    standard_b2ms: 60.74,
+    standard_b4ms: 121.18,
+    standard_d2s_v3: 70.08,
+    standard_d4s_v3: 140.16,
+    standard_d8s_v3: 280.32,
+    standard_d2s_v5: 70.08,
+    standard_d4s_v5: 140.16,
+    standard_d8s_v5: 280.32,
+    standard_ds2_v2: 106.58,
+    standard_e2s_v3: 91.98,
+    standard_e4s_v3: 183.96
+};
+// The next size down in the same family, half the vCPUs and memory
+const SMALLER_SIZES = {
+    standard_b4ms: 'Standard_B2ms',
+    standard_d4s_v3: 'Standard_D2s_v3',
+    standard_d8s_v3: 'Standard_D4s_v3',
+    standard_d4s_v5: 'Standard_D2s_v5',
+    standard_d8s_v5: 'Standard_D4s_v5',
+    standard_e4s_v3: 'Standard_E2s_v3'
+};
+// USD per GB-month of managed disk by SKU, and per month for a static public IP
+const DISK_GB_MONTHLY_PRICES = { premium_lrs: 0.135, premiumv2_lrs: 0.12, standardssd_lrs: 0.075, standard_lrs: 0.045 };
+const PUBLIC_IP_MONTHLY_PRICE = 3.65;
+
+const GRAPH_QUERY = `
+Resources
+| where type =~ 'microsoft.compute/disks' and tostring(properties.diskState) =~ 'Unattached'
+| project id, name, type, resourceGroup, location, sku = tostring(sku.name), sizeGb = toint(properties.diskSizeGB), created = tostring(properties.timeCreated)
+| union (Resources
+    | where type =~ 'microsoft.network/publicipaddresses' and isempty(properties.ipConfiguration) and isempty(properties.natGateway)
+    | project id, name, type, resourceGroup, location, sku = tostring(sku.name), ipAddress = tostring(properties.ipAddress))
+| union (Resources
+    | where type =~ 'microsoft.web/serverfarms'
+    | project id, name, type, resourceGroup, location, sku = tostring(sku.name), tier = tostring(sku.tier), sites = toint(properties.numberOfSites))
+| union (Resources
+    | where type =~ 'microsoft.web/sites'
+    | project id, name, type, resourceGroup, location, kind, serverFarmId = tostring(properties.serverFarmId))
+`;
+
+function keyOf(subscriptionId, kind, resourceId) {
+    return crypto.createHash('sha256').update(`${subscriptionId}|${kind}|${resourceId.toLowerCase()}`).digest('hex').substring(0, 16);
+}
+
+function fromEntity(entity) {
+    return {
+        id: entity.rowKey,
+        ...JSON.parse(entity.data),
+        status: entity.status,
+        statusBy: entity.statusBy || null,
+        statusAt: entity.statusAt || null,
+        note: entity.note || null,
+        resolvedAt: entity.resolvedAt || null
+    };
+}
+
+// Cost of one resource over the last COST_DAYS days, or `estimate` when Cost Management
+// has none: { monthlyCost, savingsBasis }
+function monthlyCostOf(costs, resourceId, estimate = null) {
+    const cost = costs ? costs[resourceId.toLowerCase()] : undefined;
+    if (cost > 0) return { monthlyCost: roundCents(cost), savingsBasis: 'cost' };
+    return { monthlyCost: estimate === null ? null : roundCents(estimate), savingsBasis: estimate === null ? null : 'estimate' };
+}
+
+// What the pool's VM scale set cost; AKS names it aks-<pool>-<digits>-vmss in the node resource group
+function poolCost(costs, target, cluster, pool) {
+    const prefix = `/subscriptions/${target.subscriptionId}/resourcegroups/${(cluster.nodeResourceGroup || '').toLowerCase()}/providers/microsoft.compute/virtualmachinescalesets/aks-${pool.name.toLowerCase()}-`;
+    const cost = costs && cluster.nodeResourceGroup
+        ? Object.entries(costs).filter(([resourceId]) => resourceId.startsWith(prefix)).reduce((total, [, value]) => total + value, 0)
+        : 0;
+    if (cost > 0) return { monthlyCost: roundCents(cost), savingsBasis: 'cost' };
+    const price = VM_MONTHLY_PRICES[(pool.vmSize || '').toLowerCase()];
+    return price ? { monthlyCost: roundCents(price * pool.count), savingsBasis: 'estimate' } : { monthlyCost: null, savingsBasis: null };
+}
+
+function savingsOf(cost, fraction) {
+    return cost.monthlyCost === null ? null : roundCents(cost.monthlyCost * fraction);
+}
+
+function clusterIdOf(target, cluster) {
+    return `/subscriptions/${target.subscriptionId}/resourceGroups/${cluster.resourceGroup}/providers/Microsoft.ContainerService/managedClusters/${cluster.name}`;
+}
+
+// Highest hourly CPU and memory percentage of a cluster's nodes over AKS_PEAK_DAYS, or null
+// when Azure Monitor doesn't have enough of that history
+async function clusterPeak(monitorClient, clusterId, now) {
+    const result = await monitorClient.metrics.list(clusterId, {
+        timespan: `${new Date(now.getTime() - AKS_PEAK_DAYS * DAY_MS).toISOString()}/${now.toISOString()}`,
+        metricnames: 'node_cpu_usage_percentage,node_memory_working_set_percentage',
+        aggregation: 'Maximum',
+        interval: 'PT1H'
+    });
+
+    const peakOf = name => {
+        const metric = (result.value || []).find(entry => entry.name?.value === name);
+        const samples = (metric?.timeseries || []).flatMap(series => series.data || [])
+            .map(point => point.maximum)
+            .filter(value => typeof value === 'number');
+        return samples.length >= AKS_MIN_PEAK_HOURS ? Math.max(...samples) : null;
+    };
+    const cpu = peakOf('node_cpu_usage_percentage');
+    const memory = peakOf('node_memory_working_set_percentage');
+    return cpu === null || memory === null ? null : { cpu, memory };
+}
+
+// Peaks keyed by cluster id; `failed` counts clusters whose metrics could not be read
+async function clusterPeaks(target, kubernetes, context, now) {
+    const monitorClient = new MonitorClient(target.credential, target.subscriptionId);
+    const peaks = new Map();
+    let failed = 0;
+    for (const cluster of kubernetes.clusters || []) {
+        const clusterId = clusterIdOf(target, cluster);
+        try {
+            peaks.set(clusterId, await clusterPeak(monitorClient, clusterId, now));
+        } catch (error) {
+            failed++;
+            context.warn(`Peak utilisation of cluster ${cluster.name} unavailable: ${error.message}`);
+        }
+    }
+    return { peaks, failed };
+}
+
+function aksFindings(target, kubernetes, peaks, costs) {
+    const findings = [];
+    (kubernetes.clusters || []).forEach(cluster => {
+        const clusterId = clusterIdOf(target, cluster);
+        const measured = peaks.get(clusterId);
+        if (!measured) return;
+        const peak = Math.max(measured.cpu, measured.memory);
+        if (peak >= AKS_IDLE_PERCENT) return;
+        const usage = `Cluster ${cluster.name} peaked at ${measured.cpu.toFixed(1)}% CPU and ${measured.memory.toFixed(1)}% memory over the last ${AKS_PEAK_DAYS} days`;
+
+        cluster.agentPools.forEach(pool => {
+            // The autoscaler already sizes these
+            if (pool.enableAutoScaling || pool.count < 1) return;
+            const cost = poolCost(costs, target, cluster, pool);
+            const resourceId = `${clusterId}/agentPools/${pool.name}`;
+            const evidence = { peakCpuPercent: Math.round(measured.cpu * 10) / 10, peakMemoryPercent: Math.round(measured.memory * 10) / 10, peakDays: AKS_PEAK_DAYS, nodes: pool.count, vmSize: pool.vmSize, mode: pool.mode };
+
+            const nodes = Math.max(1, Math.ceil(pool.count * peak / AKS_TARGET_PERCENT));
+            if (nodes < pool.count) {
+                findings.push({
+                    kind: 'aks-scale-in',
+                    action: 'rightsize',
+                    resourceId,
+                    resourceName: `${cluster.name}/${pool.name}`,
+                    resourceGroup: cluster.resourceGroup,
+                    title: `Scale node pool ${pool.name} from ${pool.count} to ${nodes} nodes`,
+                    reason: `${usage}; ${nodes} node(s) would run at about ${AKS_TARGET_PERCENT}% or less`,
+                    evidence,
+                    ...cost,
+                    estimatedMonthlySavings: savingsOf(cost, (pool.count - nodes) / pool.count)
+                });
+                return;
+            }
+            const smaller = SMALLER_SIZES[(pool.vmSize || '').toLowerCase()];
+            if (pool.count === 1 && peak < AKS_DOWNSIZE_PERCENT && smaller) {
+                findings.push({
+                    kind: 'aks-downsize',
+                    action: 'rightsize',
+                    resourceId,
+                    resourceName: `${cluster.name}/${pool.name}`,
+                    resourceGroup: cluster.resourceGroup,
+                    title: `Move node pool ${pool.name} from ${pool.vmSize} to ${smaller}`,
+                    reason: `${usage} on a single node; half the vCPUs and memory would still leave headroom`,
+                    evidence,
+                    ...cost,
+                    estimatedMonthlySavings: savingsOf(cost, 0.5)
+                });
+            }
+        });
+    });
+    return findings;
+}
+
+// Empty plans, and dedicated plans whose Function Apps all went without an invocation
+// (functionApps is null when their telemetry couldn't be read)
+function planFindings(resources, functionApps, costs) {
+    const findings = [];
+    const sites = resources.filter(resource => resource.type.toLowerCase() === 'microsoft.web/sites');
+    const telemetryByApp = new Map((functionApps || []).map(app => [app.id.toLowerCase(), app]));
+
+    resources.filter(resource => resource.type.toLowerCase() === 'microsoft.web/serverfarms').forEach(plan => {
+        if (FREE_PLAN_TIERS.includes((plan.tier || '').toLowerCase())) return;
+        const hosted = sites.filter(site => (site.serverFarmId || '').toLowerCase() === plan.id.toLowerCase());
+        const cost = monthlyCostOf(costs, plan.id);
+        const base = { resourceId: plan.id, resourceName: plan.name, resourceGroup: plan.resourceGroup, ...cost, estimatedMonthlySavings: cost.monthlyCost };
+
+        if (hosted.length === 0) {
+            findings.push({
+                ...base,
+                kind: 'plan-empty',
+                action: 'delete',
+                title: `Delete App Service plan ${plan.name}`,
+                reason: `The ${plan.sku} plan hosts no apps`,
+                evidence: { sku: plan.sku, tier: plan.tier, sites: 0 }
+            });
+            return;
+        }
+
+        const apps = hosted.map(site => telemetryByApp.get(site.id.toLowerCase()));
+        const allFunctionApps = hosted.every(site => (site.kind || '').toLowerCase().includes('functionapp'));
+        if (!functionApps || !allFunctionApps || apps.some(app => !app || app.error)) return;
+        const invocations = apps.reduce((total, app) => total + app.totals.invocations, 0);
+        if (invocations > 0) return;
+        findings.push({
+            ...base,
+            kind: 'plan-idle',
+            action: 'delete',
+            title: `Move the Function Apps off App Service plan ${plan.name}`,
+            reason: `None of its ${hosted.length} Function App(s) (${hosted.map(site => site.name).join(', ')}) was invoked in the last 30 days; ` +
+                'delete them or move them to a Consumption plan, then delete the plan',
+            evidence: { sku: plan.sku, tier: plan.tier, sites: hosted.length, window: PLAN_IDLE_WINDOW, invocations: 0 }
+        });
+    });
+    return findings;
+}
+
+function orphanFindings(resources, costs) {
+    const findings = [];
+    resources.forEach(resource => {
+        const type = resource.type.toLowerCase();
+        if (type === 'microsoft.compute/disks') {
+            const perGb = DISK_GB_MONTHLY_PRICES[(resource.sku || '').toLowerCase()];
+            const cost = monthlyCostOf(costs, resource.id, perGb && resource.sizeGb ? perGb * resource.sizeGb : null);
+            findings.push({
+                kind: 'disk-unattached',
+                action: 'delete',
+                resourceId: resource.id,
+                resourceName: resource.name,
+                resourceGroup: resource.resourceGroup,
+                title: `Delete unattached disk ${resource.name}`,
+                reason: `${resource.sizeGb || '?'} GB ${resource.sku || ''} disk attached to nothing; snapshot it first if the data matters`,
+                evidence: { sku: resource.sku, sizeGb: resource.sizeGb, created: resource.created || null },
+                ...cost,
+                estimatedMonthlySavings: cost.monthlyCost
+            });
+        } else if (type === 'microsoft.network/publicipaddresses') {
+            const cost = monthlyCostOf(costs, resource.id, (resource.sku || '').toLowerCase() === 'basic' ? null : PUBLIC_IP_MONTHLY_PRICE);
+            findings.push({
+                kind: 'ip-unassociated',
+                action: 'delete',
+                resourceId: resource.id,
+                resourceName: resource.name,
+                resourceGroup: resource.resourceGroup,
+                title: `Release unused public IP ${resource.name}`,
+                reason: `${resource.ipAddress || 'The address'} is not associated with any network interface, load balancer or NAT gateway`,
+                evidence: { sku: resource.sku, ipAddress: resource.ipAddress || null },
+                ...cost,
+                estimatedMonthlySavings: cost.monthlyCost
+            });
+        }
+    });
+    return findings;
+}
+
+function storageFindings(storage, costs) {
+    return (storage.accounts || [])
+        .filter(account => account.id && account.transactions7d !== null && account.transactions7d !== undefined &&
+            account.transactions7d < STORAGE_IDLE_TRANSACTIONS)
+        .map(account => {
+            const cost = monthlyCostOf(costs, account.id);
+            return {
+                kind: 'storage-idle',
+                action: 'delete',
+                resourceId: account.id,
+                resourceName: account.name,
+                resourceGroup: account.resourceGroup,
+                title: `Archive or delete idle storage account ${account.name}`,
+                reason: `${Math.round(account.transactions7d)} transaction(s) in the last 7 days holding ${account.totalSizeGB.toFixed(2)} GB`,
+                evidence: { transactions7d: Math.round(account.transactions7d), usedGb: Math.round(account.totalSizeGB * 100) / 100, sku: account.sku },
+                ...cost,
+                estimatedMonthlySavings: cost.monthlyCost
+            };
+        });
+}
+
+// Everything one subscription could save on, and which kinds were fully checked (so
+// findings of the other kinds aren't dropped just because their source failed this run)
+async function findingsFor(target, context, now) {
+    const collectors = listCollectors().filter(collector => ['aks', 'storage'].includes(collector.name));
+    const section = await collectSection(target, collectors);
+
+    let costs = null;
+    try {
+        const to = dateKey(new Date(now.getTime() - DAY_MS));
+        const result = await queryCostByResource(target, { from: dateKey(new Date(now.getTime() - COST_DAYS * DAY_MS)), to });
+        costs = result.costs;
+    } catch (error) {
+        context.warn(`Resource costs for ${target.subscriptionId} unavailable; savings are estimates: ${error.message}`);
+    }
+
+    let resources = null;
+    try {
+        const graphClient = new ResourceGraphClient(target.credential);
+        const result = await graphClient.resources({ subscriptions: [target.subscriptionId], query: GRAPH_QUERY, options: { top: 1000 } });
+        resources = result.data || [];
+    } catch (error) {
+        context.warn(`Resource Graph query for ${target.subscriptionId} failed: ${error.message}`);
+    }
+
+    // Not the functions collector's section: that covers 24 hours, too short to call a plan idle
+    let functionApps = null;
+    try {
+        functionApps = await functionAppsTelemetry(target, PLAN_IDLE_WINDOW);
+    } catch (error) {
+        context.warn(`Function App telemetry for ${target.subscriptionId} unavailable: ${error.message}`);
+    }
+
+    const findings = [];
+    const checked = new Set();
+    if (section.kubernetes) {
+        const { peaks, failed } = await clusterPeaks(target, section.kubernetes, context, now);
+        findings.push(...aksFindings(target, section.kubernetes, peaks, costs));
+        // A cluster we couldn't measure keeps whatever was recommended for it last time
+        if (failed === 0) checked.add('aks-scale-in').add('aks-downsize');
+    }
+    if (resources) {
+        findings.push(...orphanFindings(resources, costs));
+        findings.push(...planFindings(resources, functionApps, costs));
+        checked.add('disk-unattached').add('ip-unassociated').add('plan-empty');
+        if (functionApps) checked.add('plan-idle');
+    }
+    if (section.storage) {
+        findings.push(...storageFindings(section.storage, costs));
+        checked.add('storage-idle');
+    }
+    section.errors.forEach(error => context.warn(`Recommendations for ${target.subscriptionId}: ${error.type} unavailable: ${error.message}`));
+    return { findings, checked };
+}
+
+// Store one subscription's findings, keeping each one's status
+async function storeFindings(table, target, { findings, checked }, now) {
+    const existing = new Map();
+    const entities = table.listEntities({ queryOptions: { filter: `PartitionKey eq '${RECOMMENDATION_PARTITION}'` } });
+    for await (const entity of entities) {
+        const recommendation = fromEntity(entity);
+        if (recommendation.subscriptionId === target.subscriptionId) existing.set(entity.rowKey, recommendation);
+    }
+
+    const seen = new Set();
+    let created = 0;
+    for (const finding of findings) {
+        const rowKey = keyOf(target.subscriptionId, finding.kind, finding.resourceId);
+        const previous = existing.get(rowKey);
+        seen.add(rowKey);
+        const data = {
+            subscriptionId: target.subscriptionId,
+            subscriptionName: target.subscriptionName,
+            ...finding,
+            detectedAt: previous ? previous.detectedAt : now.toISOString(),
+            lastSeenAt: now.toISOString()
+        };
+        const entity = { partitionKey: RECOMMENDATION_PARTITION, rowKey, data: JSON.stringify(data) };
+        if (!previous) {
+            await table.upsertEntity({ ...entity, status: 'open' }, 'Merge');
+            created++;
+        } else {
+            await table.upsertEntity({ ...entity, resolvedAt: '' }, 'Merge');
+        }
+    }
+
+    let resolved = 0;
+    for (const [rowKey, recommendation] of existing) {
+        if (seen.has(rowKey) || !checked.has(recommendation.kind)) continue;
+        if (recommendation.status === 'accepted') {
+            if (!recommendation.resolvedAt) {
+                await table.updateEntity({ partitionKey: RECOMMENDATION_PARTITION, rowKey, resolvedAt: now.toISOString() }, 'Merge');
+                resolved++;
+            }
+        } else {
+            await table.deleteEntity(RECOMMENDATION_PARTITION, rowKey);
+        }
+    }
+    return { created, resolved };
+}
+
+// Regenerate the recommendations of every registered subscription, one at a time (Cost
+// Management throttles)
+async function generateRecommendations(context, now = new Date()) {
+    const table = await getTable(recommendationsTableName);
+    const summary = { checked: 0, failed: 0, findings: 0, created: 0, resolved: 0 };
+
+    for (const target of resolveTargets('all')) {
+        try {
+            const result = await findingsFor(target, context, now);
+            const stored = await storeFindings(table, target, result, now);
+            summary.checked++;
+            summary.findings += result.findings.length;
+            summary.created += stored.created;
+            summary.resolved += stored.resolved;
+        } catch (error) {
+            summary.failed++;
+            context.error(`Recommendations for ${target.subscriptionId} failed:`, error);
+        }
+    }
+    return summary;
+}
+
+// Largest savings first; findings without an estimate go last
+async function listRecommendations({ subscriptionId = null, status = null, kind = null } = {}) {
+    const table = await getTable(recommendationsTableName);
+    const recommendations = [];
+    const entities = table.listEntities({ queryOptions: { filter: `PartitionKey eq '${RECOMMENDATION_PARTITION}'` } });
+    for await (const entity of entities) {
+        const recommendation = fromEntity(entity);
+        if (subscriptionId && recommendation.subscriptionId !== subscriptionId) continue;
+        if (status && recommendation.status !== status) continue;
+        if (kind && recommendation.kind !== kind) continue;
+        recommendations.push(recommendation);
+    }
+    return recommendations.sort((a, b) => (b.estimatedMonthlySavings ?? -1) - (a.estimatedMonthlySavings ?? -1) ||
+        a.resourceName.localeCompare(b.resourceName));
+}
+
+async function getRecommendation(id) {
+    const table = await getTable(recommendationsTableName);
+    try {
+        return fromEntity(await table.getEntity(RECOMMENDATION_PARTITION, id));
+    } catch (error) {
+        if (error.statusCode === 404) return null;
+        throw error;
+    }
+}
+
+// Accept, dismiss or reopen a recommendation. Returns the updated recommendation.
+async function setRecommendationStatus(recommendation, { status, note = null, principal }) {
+    const table = await getTable(recommendationsTableName);
+    const changes = {
+        status,
+        statusBy: status === 'open' ? '' : principal.userDetails,
+        statusAt: status === 'open' ? '' : new Date().toISOString(),
+        note: note === null ? recommendation.note || '' : note
+    };
+    await table.updateEntity({ partitionKey: RECOMMENDATION_PARTITION, rowKey: recommendation.id, ...changes }, 'Merge');
+    return {
+        ...recommendation,
+        status,
+        statusBy: changes.statusBy || null,
+        statusAt: changes.statusAt || null,
+        note: changes.note || null
+    };
+}
+
+module.exports = {
+    STATUSES,
+    generateRecommendations,
+    listRecommendations,
+    getRecommendation,
+    setRecommendationStatus
+};
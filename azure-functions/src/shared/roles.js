@@ -0,0 +1,218 @@
+const { getTable } = require('./tables');
+const { getClientPrincipal, isAuthenticated, isStaffUser } = require('./auth');
+const { errorResponse } = require('./http');
+
+// Role-based access control. Grants live in one partition per user so a request
+// can load everything the caller may do with a single query:
+//   RowKey 'global'              -> { role }  (e.g. admin, or a non-default staff role)
+//   RowKey 'project:{projectId}' -> { role }
+//   RowKey 'client:{clientName}' -> read-only access to every project for that client
+const rolesTableName = 'roleassignments';
+
+const ROLES = ['viewer', 'contributor', 'project-owner', 'admin'];
+const ROLE_RANK = { viewer: 1, contributor: 2, 'project-owner': 3, admin: 4 };
+
+// What each role may do with a project
+const PERMISSIONS = {
+    read: 'viewer',
+    edit: 'contributor',
+    upload: 'contributor',
+    delete: 'project-owner',
+    manageAccess: 'project-owner'
+};
+
+// Bootstrap admins before anyone has been granted anything through the API
+const adminEmails = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+// Staff without a client-scoped grant get this role everywhere
+const defaultStaffRole = process.env.DEFAULT_STAFF_ROLE || 'contributor';
+
+function isRole(role) {
+    return ROLES.includes(role);
+}
+
+function rankOf(role) {
+    return ROLE_RANK[role] || 0;
+}
+
+function higherRole(a, b) {
+    return rankOf(a) >= rankOf(b) ? a : b;
+}
+
+function userPartition(email) {
+    return `user:${encodeURIComponent(email.toLowerCase())}`;
+}
+
+function projectRowKey(projectId) {
+    return `project:${encodeURIComponent(projectId)}`;
+}
+
+function clientRowKey(client) {
+    return `client:${encodeURIComponent(client.toLowerCase())}`;
+}
+
+// Everything the caller has been granted, plus the defaults that apply to them
+async function getAccess(principal) {
+    const access = {
+        email: principal ? principal.userDetails : null,
+        globalRole: null,
+        projects: {},
+        clients: [],
+        clientScoped: false
+    };
+
+    if (!isAuthenticated(principal)) {
+        return access;
+    }
+
+    const table = await getTable(rolesTableName);
+    const grants = table.listEntities({
+        queryOptions: { filter: `PartitionKey eq '${userPartition(access.email).replace(/'/g, "''")}'` }
+    });
+
+    for await (const grant of grants) {
+        if (grant.rowKey === 'global') {
+            access.globalRole = grant.role;
+        } else if (grant.rowKey.startsWith('project:')) {
+            access.projects[decodeURIComponent(grant.rowKey.slice('project:'.length))] = grant.role;
+        } else if (grant.rowKey.startsWith('client:')) {
+            access.clients.push(decodeURIComponent(grant.rowKey.slice('client:'.length)));
+        }
+    }
+
+    if (adminEmails.includes(access.email)) {
+        access.globalRole = 'admin';
+    }
+
+    // Client-facing staff only see their clients' projects, read-only
+    access.clientScoped = access.clients.length > 0 && !access.globalRole;
+    if (!access.globalRole && !access.clientScoped && isStaffUser(principal)) {
+        access.globalRole = defaultStaffRole;
+    }
+
+    return access;
+}
+
+// Effective role on one project: the strongest of the global role, a project grant
+// and (read-only) a client grant
+function roleForProject(access, project) {
+    let role = access.globalRole;
+
+    const projectRole = access.projects[String(project.id)];
+    if (projectRole) {
+        role = higherRole(role, projectRole);
+    }
+
+    if (project.client && access.clients.includes(String(project.client).toLowerCase())) {
+        role = higherRole(role, 'viewer');
+    }
+
+    return role;
+}
+
+function can(access, project, action) {
+    return rankOf(roleForProject(access, project)) >= rankOf(PERMISSIONS[action]);
+}
+
+// New projects need at least contributor outside any one project
+function canCreateProjects(access) {
+    return rankOf(access.globalRole) >= rankOf('contributor');
+}
+
+function isAdmin(access) {
+    return access.globalRole === 'admin';
+}
+
+// The project document plus the caller's role, so the UI can hide what they can't do
+// Gate for endpoints that need a role outside any one project (`role: 'viewer'` admits all
+// staff). `signIn` and `forbidden` are the 401 and 403 messages. Returns { denied } with the
+// error response, or { principal, access } when the caller may proceed.
+async function requireRole(request, methods, { role = 'admin', signIn, forbidden }) {
+    const principal = getClientPrincipal(request);
+    if (!isAuthenticated(principal)) {
+        return { denied: errorResponse(401, signIn, methods) };
+    }
+    const access = await getAccess(principal);
+    if (rankOf(access.globalRole) < rankOf(role)) {
+        return { denied: errorResponse(403, forbidden, methods) };
+    }
+    return { principal, access };
+}
+
+function withRole(access, project) {
+    return { ...project, myRole: roleForProject(access, project) };
+}
+
+async function setGrant(email, rowKey, role) {
+    const table = await getTable(rolesTableName);
+    const partitionKey = userPartition(email);
+
+    if (!role) {
+        try {
+            await table.deleteEntity(partitionKey, rowKey);
+        } catch (error) {
+            if (error.statusCode !== 404) throw error;
+        }
+        return;
+    }
+
+    await table.upsertEntity({
+        partitionKey,
+        rowKey,
+        email: email.toLowerCase(),
+        role,
+        grantedAt: new Date().toISOString()
+    }, 'Replace');
+}
+
+function setProjectRole(email, projectId, role) {
+    return setGrant(email, projectRowKey(projectId), role);
+}
+
+function setGlobalRole(email, role) {
+    return setGrant(email, 'global', role);
+}
+
+function setClientAccess(email, client, granted) {
+    return setGrant(email, clientRowKey(client), granted ? 'viewer' : null);
+}
+
+// All grants, optionally narrowed to one project's members (a scan - the table is small)
+async function listGrants(projectId = null) {
+    const table = await getTable(rolesTableName);
+    const options = projectId ?
+        { queryOptions: { filter: `RowKey eq '${projectRowKey(projectId).replace(/'/g, "''")}'` } } :
+        {};
+
+    const grants = [];
+    for await (const entity of table.listEntities(options)) {
+        const [scope, ...rest] = entity.rowKey.split(':');
+        grants.push({
+            email: entity.email,
+            scope,
+            target: rest.length ? decodeURIComponent(rest.join(':')) : null,
+            role: entity.role,
+            grantedAt: entity.grantedAt
+        });
+    }
+    return grants;
+}
+
+module.exports = {
+    ROLES,
+    isRole,
+    rankOf,
+    getAccess,
+    roleForProject,
+    can,
+    canCreateProjects,
+    isAdmin,
+    requireRole,
+    withRole,
+    setProjectRole,
+    setGlobalRole,
+    setClientAccess,
+    listGrants
+};
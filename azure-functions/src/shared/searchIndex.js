@@ -0,0 +1,419 @@
+const { getTable } = require('./tables');
+const { getArtifactContainerClient } = require('./storage');
+const { normalizeArtifact } = require('./artifacts');
+const { blobNameFromUrl } = require('./contentIndex');
+const { extractText } = require('./textExtract');
+
+// Full-text search over project metadata and artifact contents, as an inverted index in
+// Table Storage:
+//   searchterms  PartitionKey = term, RowKey = document key -> { projectId, tf }
+//   searchdocs   PartitionKey 'doc', RowKey = document key  -> title, indexed terms, leading text
+// A query reads one partition per term, so cost grows with the query, not the corpus.
+const termsTableName = 'searchterms';
+const documentsTableName = 'searchdocs';
+const DOC_PARTITION = 'doc';
+const STATS_PARTITION = 'stats';
+const STATS_ROW = 'corpus';
+
+const MAX_INDEX_BYTES = parseInt(process.env.SEARCH_INDEX_MAX_BYTES || String(25 * 1024 * 1024), 10);
+// Table Storage string properties top out at 32K characters
+const MAX_STORED_TEXT = 30000;
+const MAX_TERMS_LENGTH = 30000;
+const MAX_TERMS_PER_DOC = 2000;
+const MAX_QUERY_TERMS = 8;
+const MAX_POSTINGS_PER_TERM = 5000;
+const TITLE_WEIGHT = 5;
+const WRITE_CONCURRENCY = 16;
+const SNIPPET_RADIUS = 90;
+
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have', 'in',
+    'into', 'is', 'it', 'its', 'of', 'on', 'or', 'that', 'the', 'their', 'there', 'these', 'this',
+    'to', 'was', 'were', 'will', 'with', 'you', 'your'
+]);
+
+function tokenize(text) {
+    return (String(text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .match(/[a-z0-9]+/g) || [])
+        .filter(term => term.length >= 2 && term.length <= 40 && !STOPWORDS.has(term));
+}
+
+function documentKey(projectId, artifactId = null) {
+    return `${encodeURIComponent(projectId)}~${artifactId ? encodeURIComponent(artifactId) : 'project'}`;
+}
+
+function escapeOData(value) {
+    return String(value).replace(/'/g, "''");
+}
+
+// Run async tasks with at most `limit` in flight
+async function runLimited(tasks, limit = WRITE_CONCURRENCY) {
+    let next = 0;
+    const workers = Array.from({ length: Math.min(limit, tasks.length) }, async () => {
+        while (next < tasks.length) {
+            await tasks[next++]();
+        }
+    });
+    await Promise.all(workers);
+}
+
+async function deleteQuietly(table, partitionKey, rowKey) {
+    try {
+        await table.deleteEntity(partitionKey, rowKey);
+    } catch (error) {
+        if (error.statusCode !== 404) throw error;
+    }
+}
+
+async function getDocument(docKey) {
+    const table = await getTable(documentsTableName);
+    try {
+        return await table.getEntity(DOC_PARTITION, docKey);
+    } catch (error) {
+        if (error.statusCode === 404) return null;
+        throw error;
+    }
+}
+
+async function documentCount() {
+    const table = await getTable(documentsTableName);
+    try {
+        return (await table.getEntity(STATS_PARTITION, STATS_ROW)).documents || 0;
+    } catch (error) {
+        if (error.statusCode === 404) return 0;
+        throw error;
+    }
+}
+
+// The corpus size feeds idf; concurrent indexers race, so update it under its ETag
+async function adjustDocumentCount(delta, attempts = 5) {
+    const table = await getTable(documentsTableName);
+    for (let attempt = 0; attempt < attempts; attempt++) {
+        try {
+            const stats = await table.getEntity(STATS_PARTITION, STATS_ROW);
+            await table.updateEntity({
+                partitionKey: STATS_PARTITION,
+                rowKey: STATS_ROW,
+                documents: Math.max(0, (stats.documents || 0) + delta)
+            }, 'Merge', { etag: stats.etag });
+            return;
+        } catch (error) {
+            if (error.statusCode === 404) {
+                try {
+                    await table.createEntity({ partitionKey: STATS_PARTITION, rowKey: STATS_ROW, documents: Math.max(0, delta) });
+                    return;
+                } catch (createError) {
+                    if (createError.statusCode !== 409) throw createError;
+                }
+            } else if (error.statusCode !== 412) {
+                throw error;
+            }
+        }
+    }
+}
+
+// Term -> weighted frequency, most frequent first, trimmed to what one row can list
+function weightedTerms(title, text) {
+    const frequencies = new Map();
+    tokenize(title).forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + TITLE_WEIGHT));
+    tokenize(text).forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+
+    const terms = [];
+    let length = 0;
+    for (const entry of [...frequencies].sort((a, b) => b[1] - a[1])) {
+        length += entry[0].length + 1;
+        if (terms.length >= MAX_TERMS_PER_DOC || length > MAX_TERMS_LENGTH) break;
+        terms.push(entry);
+    }
+    return terms;
+}
+
+// (Re)index one document; terms it no longer contains are removed from the index
+async function indexDocument({ projectId, artifactId = null, kind, title, text = '', version = null }) {
+    const docKey = documentKey(projectId, artifactId);
+    const terms = weightedTerms(title, text);
+    const kept = new Set(terms.map(([term]) => term));
+    const previous = await getDocument(docKey);
+    const previousTerms = previous && previous.terms ? previous.terms.split(' ') : [];
+
+    const termsTable = await getTable(termsTableName);
+    await runLimited([
+        ...terms.map(([term, tf]) => () => termsTable.upsertEntity({
+            partitionKey: term,
+            rowKey: docKey,
+            projectId: String(projectId),
+            tf
+        }, 'Replace')),
+        ...previousTerms.filter(term => term && !kept.has(term)).map(term => () => deleteQuietly(termsTable, term, docKey))
+    ]);
+
+    const documents = await getTable(documentsTableName);
+    await documents.upsertEntity({
+        partitionKey: DOC_PARTITION,
+        rowKey: docKey,
+        projectId: String(projectId),
+        artifactId,
+        kind,
+        title,
+        version,
+        terms: [...kept].join(' '),
+        // Snippets come from the leading text; hits further in still rank, just without context
+        text: text.substring(0, MAX_STORED_TEXT),
+        indexedAt: new Date().toISOString()
+    }, 'Replace');
+
+    if (!previous) {
+        await adjustDocumentCount(1);
+    }
+    return { docKey, terms: kept.size };
+}
+
+async function removeDocument(docKey) {
+    const previous = await getDocument(docKey);
+    if (!previous) return;
+
+    const termsTable = await getTable(termsTableName);
+    await runLimited((previous.terms ? previous.terms.split(' ') : [])
+        .filter(Boolean)
+        .map(term => () => deleteQuietly(termsTable, term, docKey)));
+
+    const documents = await getTable(documentsTableName);
+    await deleteQuietly(documents, DOC_PARTITION, docKey);
+    await adjustDocumentCount(-1);
+}
+
+async function listDocumentKeys(projectId = null) {
+    const documents = await getTable(documentsTableName);
+    const filter = projectId ?
+        `PartitionKey eq '${DOC_PARTITION}' and projectId eq '${escapeOData(projectId)}'` :
+        `PartitionKey eq '${DOC_PARTITION}'`;
+
+    const keys = [];
+    for await (const entity of documents.listEntities({ queryOptions: { filter } })) {
+        keys.push(entity.rowKey);
+    }
+    return keys;
+}
+
+// A project's own card: name, client, description and the names of its artifacts
+function indexProject(project) {
+    return indexDocument({
+        projectId: project.id,
+        kind: 'project',
+        title: project.name,
+        text: [
+            project.client,
+            project.type,
+            project.status,
+            project.description,
+            (project.technologies || []).join(' '),
+            (project.artifacts || []).map(artifact => artifact.name).join('\n')
+        ].filter(Boolean).join('\n')
+    });
+}
+
+// The current version of an artifact; too-large or unreadable files are indexed by name only
+async function indexArtifact(project, artifact) {
+    const normalized = normalizeArtifact(artifact);
+    const blobName = normalized.blobName || blobNameFromUrl(normalized.blobUrl);
+    let text = '';
+
+    if (blobName && (!normalized.sizeBytes || normalized.sizeBytes <= MAX_INDEX_BYTES)) {
+        const blobClient = getArtifactContainerClient().getBlobClient(blobName);
+        const properties = await blobClient.getProperties();
+        if (properties.contentLength <= MAX_INDEX_BYTES) {
+            text = extractText(await blobClient.downloadToBuffer(), {
+                name: normalized.name,
+                type: normalized.type,
+                contentType: properties.contentType
+            });
+        }
+    }
+
+    return indexDocument({
+        projectId: project.id,
+        artifactId: normalized.artifactId,
+        kind: 'artifact',
+        title: normalized.name,
+        text: [normalized.type, text].filter(Boolean).join('\n'),
+        version: normalized.currentVersion || null
+    });
+}
+
+async function removeProject(projectId) {
+    for (const docKey of await listDocumentKeys(projectId)) {
+        await removeDocument(docKey);
+    }
+}
+
+// Rebuild everything from the registry, dropping documents for projects or artifacts that are gone
+async function reindexAll(projects, context) {
+    const live = new Set();
+    let indexed = 0;
+    let failed = 0;
+
+    for (const project of projects) {
+        const work = [
+            ['project', () => indexProject(project)],
+            ...(project.artifacts || []).map(normalizeArtifact).map(artifact => [artifact.name, () => indexArtifact(project, artifact)])
+        ];
+        for (const [label, index] of work) {
+            try {
+                live.add((await index()).docKey);
+                indexed++;
+            } catch (error) {
+                failed++;
+                context.warn(`Could not index ${label} in project ${project.id}:`, error.message);
+            }
+        }
+    }
+
+    let removed = 0;
+    for (const docKey of await listDocumentKeys()) {
+        if (!live.has(docKey)) {
+            await removeDocument(docKey);
+            removed++;
+        }
+    }
+    return { indexed, failed, removed };
+}
+
+// Indexing never fails the request that triggered it; a reindex catches anything missed
+async function tryIndex(context, description, work) {
+    try {
+        await work();
+    } catch (error) {
+        context.warn(`Search indexing failed for ${description}:`, error.message);
+    }
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// [start, end) ranges of whole-word matches, merged and in order
+function findHighlights(text, words) {
+    const ranges = [];
+    words.forEach(word => {
+        const pattern = new RegExp(`\\b${escapeRegExp(word)}\\b`, 'gi');
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            ranges.push([match.index, match.index + match[0].length]);
+        }
+    });
+    return ranges.sort((a, b) => a[0] - b[0]).reduce((merged, range) => {
+        const last = merged[merged.length - 1];
+        if (last && range[0] <= last[1]) {
+            last[1] = Math.max(last[1], range[1]);
+        } else {
+            merged.push(range);
+        }
+        return merged;
+    }, []);
+}
+
+// A short window of text around the first hit; highlights are offsets into the snippet
+function buildSnippet(text, words) {
+    const flat = String(text || '').replace(/\s+/g, ' ').trim();
+    const first = findHighlights(flat, words)[0];
+    const center = first ? first[0] : 0;
+
+    let start = Math.max(0, center - SNIPPET_RADIUS);
+    let end = Math.min(flat.length, center + SNIPPET_RADIUS * 2);
+    if (start > 0) start = flat.indexOf(' ', start) + 1 || start;
+    if (end < flat.length) end = flat.lastIndexOf(' ', end) > center ? flat.lastIndexOf(' ', end) : end;
+
+    const snippet = `${start > 0 ? '… ' : ''}${flat.substring(start, end)}${end < flat.length ? ' …' : ''}`;
+    return { snippet, highlights: findHighlights(snippet, words) };
+}
+
+// Smallest string greater than every string starting with `prefix`
+function prefixUpperBound(prefix) {
+    return prefix.slice(0, -1) + String.fromCharCode(prefix.charCodeAt(prefix.length - 1) + 1);
+}
+
+// Ranked hits for a free-text query. Documents matching every query term rank first;
+// the last term also matches as a prefix while the user is still typing it.
+// `canRead(projectId)` drops hits the caller may not see before anything is loaded.
+async function search(query, { limit = 20, canRead = () => true } = {}) {
+    const terms = [...new Set(tokenize(query))].slice(0, MAX_QUERY_TERMS);
+    if (terms.length === 0) {
+        return { results: [], terms };
+    }
+
+    const lastIsPrefix = /[a-z0-9]$/i.test(String(query).trim()) && terms[terms.length - 1].length >= 3;
+    const corpusSize = Math.max(await documentCount(), 1);
+    const termsTable = await getTable(termsTableName);
+    const candidates = new Map();
+
+    for (let i = 0; i < terms.length; i++) {
+        const term = terms[i];
+        const prefix = lastIsPrefix && i === terms.length - 1;
+        const filter = prefix ?
+            `PartitionKey ge '${term}' and PartitionKey lt '${prefixUpperBound(term)}'` :
+            `PartitionKey eq '${term}'`;
+
+        const postings = [];
+        for await (const posting of termsTable.listEntities({ queryOptions: { filter } })) {
+            postings.push(posting);
+            if (postings.length >= MAX_POSTINGS_PER_TERM) break;
+        }
+
+        const documentFrequency = new Map();
+        postings.forEach(posting => documentFrequency.set(posting.partitionKey, (documentFrequency.get(posting.partitionKey) || 0) + 1));
+
+        postings.forEach(posting => {
+            if (!canRead(posting.projectId)) return;
+            const idf = Math.log(1 + corpusSize / documentFrequency.get(posting.partitionKey));
+            // Completions of a half-typed word count a little less than exact matches
+            const weight = prefix && posting.partitionKey !== term ? 0.8 : 1;
+
+            const candidate = candidates.get(posting.rowKey) || { score: 0, matched: new Set(), words: new Set() };
+            candidate.score += (1 + Math.log(posting.tf)) * idf * weight;
+            candidate.matched.add(i);
+            candidate.words.add(posting.partitionKey);
+            candidates.set(posting.rowKey, candidate);
+        });
+    }
+
+    const ranked = [...candidates]
+        .map(([docKey, candidate]) => ({ docKey, ...candidate, score: candidate.score * candidate.matched.size / terms.length }))
+        .sort((a, b) => b.matched.size - a.matched.size || b.score - a.score)
+        .slice(0, limit);
+
+    const results = [];
+    await runLimited(ranked.map((hit, rank) => async () => {
+        const document = await getDocument(hit.docKey);
+        if (!document) return;
+
+        const words = [...hit.words];
+        const { snippet, highlights } = buildSnippet(document.text || document.title, words);
+        results[rank] = {
+            projectId: document.projectId,
+            artifactId: document.artifactId || null,
+            kind: document.kind,
+            title: document.title,
+            titleHighlights: findHighlights(document.title, words),
+            version: document.version || null,
+            score: Math.round(hit.score * 1000) / 1000,
+            matchedAllTerms: hit.matched.size === terms.length,
+            snippet,
+            highlights
+        };
+    }));
+
+    return { results: results.filter(Boolean), terms };
+}
+
+module.exports = {
+    tokenize,
+    indexProject,
+    indexArtifact,
+    removeProject,
+    reindexAll,
+    tryIndex,
+    search
+};
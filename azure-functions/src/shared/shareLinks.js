@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const { getTable } = require('./tables');
+
+// Client portal share links. The token itself is only ever returned once, when the
+// link is created; the table keeps its SHA-256 so a leaked table can't be replayed.
+const shareLinksTableName = 'sharelinks';
+const LINK_PARTITION = 'link';
+const DEFAULT_EXPIRY_DAYS = parseInt(process.env.SHARE_LINK_DEFAULT_DAYS || '30', 10);
+const MAX_EXPIRY_DAYS = parseInt(process.env.SHARE_LINK_MAX_DAYS || '365', 10);
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function isActive(link, now = Date.now()) {
+    return !link.revokedAt && new Date(link.expiresAt).getTime() > now;
+}
+
+function fromEntity(entity) {
+    return {
+        id: entity.rowKey,
+        client: entity.client,
+        label: entity.label || null,
+        createdBy: entity.createdBy,
+        createdAt: entity.createdAt,
+        expiresAt: entity.expiresAt,
+        revokedAt: entity.revokedAt || null,
+        revokedBy: entity.revokedBy || null,
+        lastUsedAt: entity.lastUsedAt || null,
+        active: isActive(entity)
+    };
+}
+
+// Returns the stored link plus the one-time `token` to hand to the client
+async function createShareLink(client, { label, expiresInDays, createdBy }) {
+    const days = Math.min(Math.max(parseInt(expiresInDays, 10) || DEFAULT_EXPIRY_DAYS, 1), MAX_EXPIRY_DAYS);
+    const token = crypto.randomBytes(32).toString('base64url');
+    const now = new Date();
+    const entity = {
+        partitionKey: LINK_PARTITION,
+        rowKey: hashToken(token),
+        client,
+        label: label || null,
+        createdBy,
+        createdAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + days * 24 * 60 * 60 * 1000).toISOString()
+    };
+
+    const table = await getTable(shareLinksTableName);
+    await table.createEntity(entity);
+    return { ...fromEntity(entity), token };
+}
+
+async function listShareLinks(client = null) {
+    const table = await getTable(shareLinksTableName);
+    const links = [];
+    const entities = table.listEntities({
+        queryOptions: { filter: `PartitionKey eq '${LINK_PARTITION}'` }
+    });
+
+    for await (const entity of entities) {
+        if (client && String(entity.client).toLowerCase() !== client.toLowerCase()) continue;
+        links.push(fromEntity(entity));
+    }
+    return links.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+async function getShareLink(id) {
+    const table = await getTable(shareLinksTableName);
+    try {
+        return fromEntity(await table.getEntity(LINK_PARTITION, id));
+    } catch (error) {
+        if (error.statusCode === 404) return null;
+        throw error;
+    }
+}
+
+async function revokeShareLink(id, revokedBy) {
+    const table = await getTable(shareLinksTableName);
+    await table.updateEntity({
+        partitionKey: LINK_PARTITION,
+        rowKey: id,
+        revokedAt: new Date().toISOString(),
+        revokedBy
+    }, 'Merge');
+    return getShareLink(id);
+}
+
+// The active link for a token, or null when it is unknown, expired or revoked
+async function resolveShareLink(token) {
+    if (!token || typeof token !== 'string' || token.length > 128) return null;
+
+    const link = await getShareLink(hashToken(token));
+    if (!link || !link.active) return null;
+
+    // Best effort - only used to show owners whether a link is being used
+    try {
+        const table = await getTable(shareLinksTableName);
+        await table.updateEntity({
+            partitionKey: LINK_PARTITION,
+            rowKey: link.id,
+            lastUsedAt: new Date().toISOString()
+        }, 'Merge');
+    } catch {
+        // ignore
+    }
+    return link;
+}
+
+module.exports = {
+    createShareLink,
+    listShareLinks,
+    getShareLink,
+    revokeShareLink,
+    resolveShareLink
+};
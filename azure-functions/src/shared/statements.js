@@ -0,0 +1,429 @@
+const crypto = require('crypto');
+const { getTable } = require('./tables');
+const { getStatementsContainerClient } = require('./storage');
+const { listProjects } = require('./projectStore');
+const { getMonth } = require('./costAllocation');
+const { roundCents } = require('./costModel');
+
+// Monthly chargeback statements per client: each project's MRR, implementation fees billed
+// that month, the Azure and Azure OpenAI cost allocated to the project (shared/costAllocation.js)
+// passed through with a markup, and a share of the team's tool subscriptions. Billing rules
+// (markups, tool costs and how tools are shared) are one admin-edited row. Generated months
+// are archived to the statements container as JSON, CSV and printable HTML, one set per client.
+// The archive also keeps the project billing fields and rules a month was built from, so
+// regenerating it later never picks up today's MRR, status or client names.
+const billingTableName = 'billing';
+const RULES_PARTITION = 'rules';
+const RULES_ROW = 'current';
+const CATEGORIES = ['azure', 'openai', 'tools'];
+const TOOL_SPLITS = ['mrr', 'even', 'none'];
+// The dashboard's toolCosts shape: a few named tools plus { others: { name: cost } }
+const TOOL_NAMES = { warp: 'WARP Terminal', claude: 'Claude (Anthropic)', chatgpt: 'ChatGPT (OpenAI)' };
+const INACTIVE_STATUSES = ['lost deal'];
+const DEFAULT_RULES = {
+    markups: { azure: 0, openai: 0, tools: 0 },
+    clientMarkups: {},
+    toolCosts: {},
+    toolSplit: 'mrr',
+    excludedClients: ['internal']
+};
+const MAX_PERCENT = 1000;
+
+function percent(value) {
+    const number = parseFloat(value);
+    return isFinite(number) && number >= 0 && number <= MAX_PERCENT ? number : null;
+}
+
+function cost(value) {
+    const number = parseFloat(value);
+    return isFinite(number) && number >= 0 ? roundCents(number) : null;
+}
+
+// Markup percentages by category; { error } names the first bad one
+function normalizeMarkups(value, label) {
+    const markups = {};
+    for (const category of CATEGORIES) {
+        if (value[category] === undefined || value[category] === '') continue;
+        const parsed = percent(value[category]);
+        if (parsed === null) {
+            return { error: `${label} ${category} markup must be a percentage between 0 and ${MAX_PERCENT}` };
+        }
+        markups[category] = parsed;
+    }
+    return { markups };
+}
+
+// Validated billing rules from a request body merged over the current ones; { error } otherwise
+function normalizeRules(body, current) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { error: 'Request body must be a billing rules object' };
+    }
+    const source = { ...current, ...body };
+
+    const defaults = normalizeMarkups(source.markups || {}, 'Default');
+    if (defaults.error) return defaults;
+
+    const clientMarkups = {};
+    for (const [client, value] of Object.entries(source.clientMarkups || {})) {
+        const name = client.trim().toLowerCase();
+        if (!name || !value || typeof value !== 'object') continue;
+        const parsed = normalizeMarkups(value, client);
+        if (parsed.error) return parsed;
+        clientMarkups[name] = parsed.markups;
+    }
+
+    const toolCosts = {};
+    const others = {};
+    for (const [tool, value] of Object.entries(source.toolCosts || {})) {
+        if (tool === 'others') {
+            for (const [name, otherCost] of Object.entries(value || {})) {
+                const parsed = cost(otherCost);
+                if (parsed === null) return { error: `Tool cost for ${name} must be zero or more` };
+                if (name.trim()) others[name.trim().substring(0, 100)] = parsed;
+            }
+            continue;
+        }
+        if (!TOOL_NAMES[tool]) continue;
+        const parsed = cost(value);
+        if (parsed === null) return { error: `Tool cost for ${tool} must be zero or more` };
+        toolCosts[tool] = parsed;
+    }
+    if (Object.keys(others).length > 0) toolCosts.others = others;
+
+    if (!TOOL_SPLITS.includes(source.toolSplit)) {
+        return { error: `toolSplit must be one of ${TOOL_SPLITS.join(', ')}` };
+    }
+    const excludedClients = (Array.isArray(source.excludedClients) ? source.excludedClients : [])
+        .map(client => String(client).trim().toLowerCase())
+        .filter(Boolean);
+
+    return {
+        rules: {
+            markups: { ...DEFAULT_RULES.markups, ...defaults.markups },
+            clientMarkups,
+            toolCosts,
+            toolSplit: source.toolSplit,
+            excludedClients: [...new Set(excludedClients)]
+        }
+    };
+}
+
+async function getRules() {
+    const table = await getTable(billingTableName);
+    try {
+        return { ...DEFAULT_RULES, ...JSON.parse((await table.getEntity(RULES_PARTITION, RULES_ROW)).data) };
+    } catch (error) {
+        if (error.statusCode === 404) return { ...DEFAULT_RULES };
+        throw error;
+    }
+}
+
+async function saveRules(rules) {
+    const table = await getTable(billingTableName);
+    await table.upsertEntity({
+        partitionKey: RULES_PARTITION,
+        rowKey: RULES_ROW,
+        data: JSON.stringify(rules)
+    }, 'Replace');
+    return rules;
+}
+
+// [{ name, cost }] from the dashboard's toolCosts shape
+function toolList(toolCosts) {
+    const tools = Object.entries(TOOL_NAMES)
+        .filter(([key]) => toolCosts[key] > 0)
+        .map(([key, name]) => ({ name, cost: toolCosts[key] }));
+    Object.entries(toolCosts.others || {}).forEach(([name, toolCost]) => {
+        if (toolCost > 0) tools.push({ name, cost: toolCost });
+    });
+    return tools;
+}
+
+function markupFor(rules, client, category) {
+    const override = rules.clientMarkups[client.toLowerCase()] || {};
+    return override[category] !== undefined ? override[category] : rules.markups[category];
+}
+
+function line(category, description, base, markupPercent = 0, projectId = null) {
+    return {
+        category,
+        description,
+        projectId,
+        base: roundCents(base),
+        markupPercent,
+        amount: roundCents(base * (1 + markupPercent / 100))
+    };
+}
+
+// URL- and file-safe name for a client. "Acme Inc" and "Acme, Inc." are different clients
+// that read the same once punctuation goes, so a short hash of the exact name keeps them apart.
+function clientSlug(client) {
+    const key = client.trim().toLowerCase();
+    const base = key.replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'client';
+    return `${base}-${crypto.createHash('sha256').update(key).digest('hex').substring(0, 6)}`;
+}
+
+// The fields of a project a statement bills from, as they stood when the month was built
+function billingFields(project) {
+    return {
+        id: String(project.id),
+        name: project.name,
+        client: project.client,
+        status: project.status || null,
+        mrr: project.mrr || null,
+        implementationFee: project.implementationFee || null,
+        created: project.created || null
+    };
+}
+
+// Every client's statement for `month` (YYYY-MM). Projects bill from the month they were
+// created; their implementation fee is billed in that month. Pass `snapshot` ({ projects,
+// rules } from an archived run) to rebuild a month from what it was billed on.
+async function buildStatements(month, { context, now = new Date(), snapshot = null }) {
+    const [projects, rules, allocation] = await Promise.all([
+        snapshot ? snapshot.projects : listProjects(context),
+        snapshot ? { ...DEFAULT_RULES, ...snapshot.rules } : getRules(),
+        getMonth(month, { context, now })
+    ]);
+    const costs = new Map(allocation.allocations.map(entry => [entry.projectId, entry]));
+
+    const billed = projects
+        .filter(project => project.client && project.client.trim())
+        .filter(project => !rules.excludedClients.includes(project.client.trim().toLowerCase()))
+        .filter(project => !INACTIVE_STATUSES.includes(String(project.status || '').toLowerCase()))
+        .filter(project => !project.created || project.created.substring(0, 7) <= month);
+
+    const clients = new Map();
+    billed.forEach(project => {
+        const client = project.client.trim();
+        const key = client.toLowerCase();
+        if (!clients.has(key)) clients.set(key, { client, projects: [] });
+        clients.get(key).projects.push(project);
+    });
+
+    const statements = [...clients.values()].map(({ client, projects: clientProjects }) => {
+        const lines = [];
+        clientProjects.forEach(project => {
+            const id = String(project.id);
+            const mrr = parseFloat(project.mrr) || 0;
+            if (mrr > 0) {
+                lines.push(line('recurring', `${project.name} - monthly service`, mrr, 0, id));
+            }
+            const fee = parseFloat(project.implementationFee) || 0;
+            if (fee > 0 && project.created && project.created.substring(0, 7) === month) {
+                lines.push(line('implementation', `${project.name} - implementation`, fee, 0, id));
+            }
+            const allocated = costs.get(id);
+            if (allocated) {
+                const openAI = allocated.openAI || 0;
+                if (allocated.cost - openAI > 0) {
+                    lines.push(line('azure', `${project.name} - Azure hosting`, allocated.cost - openAI, markupFor(rules, client, 'azure'), id));
+                }
+                if (openAI > 0) {
+                    lines.push(line('openai', `${project.name} - Azure OpenAI usage`, openAI, markupFor(rules, client, 'openai'), id));
+                }
+            }
+        });
+        return { client, slug: clientSlug(client), month, currency: allocation.summary.currency || 'USD', lines };
+    });
+
+    // Tool subscriptions are shared across clients by MRR or evenly
+    const tools = rules.toolSplit === 'none' ? [] : toolList(rules.toolCosts);
+    const weightOf = statement => rules.toolSplit === 'mrr'
+        ? statement.lines.filter(entry => entry.category === 'recurring').reduce((total, entry) => total + entry.base, 0)
+        : 1;
+    let totalWeight = statements.reduce((total, statement) => total + weightOf(statement), 0);
+    const even = totalWeight <= 0;
+    if (even) totalWeight = statements.length;
+    statements.forEach(statement => {
+        const share = (even ? 1 : weightOf(statement)) / totalWeight;
+        tools.forEach(tool => {
+            if (tool.cost * share >= 0.005) {
+                statement.lines.push(line('tools', `${tool.name} (${Math.round(share * 1000) / 10}% share)`, tool.cost * share, markupFor(rules, statement.client, 'tools')));
+            }
+        });
+    });
+
+    statements.forEach(statement => {
+        const totals = { recurring: 0, implementation: 0, azure: 0, openai: 0, tools: 0 };
+        statement.lines.forEach(entry => { totals[entry.category] += entry.amount; });
+        Object.keys(totals).forEach(category => { totals[category] = roundCents(totals[category]); });
+        statement.totals = { ...totals, total: roundCents(Object.values(totals).reduce((sum, value) => sum + value, 0)) };
+        statement.generatedAt = now.toISOString();
+    });
+
+    return {
+        month,
+        generatedAt: now.toISOString(),
+        costsFinal: !!allocation.summary.final,
+        rules,
+        projects: billed.map(billingFields),
+        statements: statements
+            .filter(statement => statement.lines.length > 0)
+            .sort((a, b) => a.client.localeCompare(b.client))
+    };
+}
+
+function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(statement) {
+    const rows = [['Client', 'Month', 'Category', 'Description', 'Project', 'Base', 'Markup %', 'Amount', 'Currency']];
+    statement.lines.forEach(entry => {
+        rows.push([statement.client, statement.month, entry.category, entry.description, entry.projectId, entry.base.toFixed(2), entry.markupPercent, entry.amount.toFixed(2), statement.currency]);
+    });
+    rows.push([statement.client, statement.month, 'total', 'Total', '', '', '', statement.totals.total.toFixed(2), statement.currency]);
+    return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+const CATEGORY_LABELS = {
+    recurring: 'Recurring services',
+    implementation: 'Implementation',
+    azure: 'Azure hosting (pass-through)',
+    openai: 'Azure OpenAI (pass-through)',
+    tools: 'Tools & services'
+};
+
+// Standalone printable page; "Save as PDF" from the browser's print dialog gives the PDF
+function toHtml(statement) {
+    const money = value => `${escapeHtml(statement.currency)} ${value.toFixed(2)}`;
+    const sections = Object.keys(CATEGORY_LABELS)
+        .filter(category => statement.lines.some(entry => entry.category === category))
+        .map(category => `
+      <tr class="section"><td colspan="4">${CATEGORY_LABELS[category]}</td></tr>
+      ${statement.lines.filter(entry => entry.category === category).map(entry => `
+      <tr>
+        <td>${escapeHtml(entry.description)}</td>
+        <td class="number">${money(entry.base)}</td>
+        <td class="number">${entry.markupPercent ? `${entry.markupPercent}%` : ''}</td>
+        <td class="number">${money(entry.amount)}</td>
+      </tr>`).join('')}`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(statement.client)} - Statement ${escapeHtml(statement.month)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #1e293b; margin: 40px; }
+    h1 { margin: 0 0 4px; font-size: 24px; }
+    .meta { color: #64748b; margin-bottom: 30px; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { padding: 8px 10px; border-bottom: 1px solid #e2e8f0; text-align: left; }
+    th { background: #f1f5f9; }
+    .number { text-align: right; white-space: nowrap; }
+    .section td { font-weight: 600; background: #f8fafc; }
+    .total td { font-weight: 700; font-size: 16px; border-top: 2px solid #1e293b; }
+    .actions { margin-bottom: 20px; }
+    @media print { .actions { display: none; } body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <div class="actions"><button onclick="window.print()">Print / Save as PDF</button></div>
+  <h1>SAXTech - Statement for ${escapeHtml(statement.client)}</h1>
+  <div class="meta">Billing month ${escapeHtml(statement.month)} · generated ${escapeHtml(statement.generatedAt.split('T')[0])}</div>
+  <table>
+    <thead>
+      <tr><th>Description</th><th class="number">Cost</th><th class="number">Markup</th><th class="number">Amount</th></tr>
+    </thead>
+    <tbody>${sections}
+      <tr class="total"><td colspan="3">Total</td><td class="number">${money(statement.totals.total)}</td></tr>
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+}
+
+function formatStatement(statement, format) {
+    if (format === 'csv') return toCsv(statement);
+    if (format === 'html') return toHtml(statement);
+    return JSON.stringify(statement, null, 2);
+}
+
+const CONTENT_TYPES = { json: 'application/json', csv: 'text/csv; charset=utf-8', html: 'text/html; charset=utf-8' };
+
+async function uploadText(containerClient, blobName, text, contentType) {
+    await containerClient.getBlockBlobClient(blobName).upload(text, Buffer.byteLength(text), {
+        blobHTTPHeaders: { blobContentType: contentType }
+    });
+}
+
+// Write a generated month to `{month}/{client}.json|csv|html` plus `{month}/index.json`,
+// replacing any earlier run of the same month (see regenerateStatements)
+async function archiveStatements(result) {
+    const containerClient = getStatementsContainerClient();
+    await containerClient.createIfNotExists();
+    for (const statement of result.statements) {
+        for (const format of Object.keys(CONTENT_TYPES)) {
+            await uploadText(containerClient, `${result.month}/${statement.slug}.${format}`, formatStatement(statement, format), CONTENT_TYPES[format]);
+        }
+    }
+    const index = { ...result, statements: result.statements.map(summarize), archivedAt: new Date().toISOString() };
+    await uploadText(containerClient, `${result.month}/index.json`, JSON.stringify(index, null, 2), CONTENT_TYPES.json);
+    return index;
+}
+
+function summarize(statement) {
+    return { client: statement.client, slug: statement.slug, currency: statement.currency, totals: statement.totals };
+}
+
+async function readArchived(blobName) {
+    try {
+        const buffer = await getStatementsContainerClient().getBlobClient(blobName).downloadToBuffer();
+        return JSON.parse(buffer.toString('utf8'));
+    } catch (error) {
+        if (error.statusCode === 404) return null;
+        throw error;
+    }
+}
+
+// The archived index of a month, or null if it was never generated
+function getArchivedIndex(month) {
+    return readArchived(`${month}/index.json`);
+}
+
+function getArchivedStatement(month, slug) {
+    return readArchived(`${month}/${slug}.json`);
+}
+
+// Generate and archive `month`. A month archived with settled costs is final: its files are
+// re-rendered from the archived statements as they are. An earlier, unsettled run is rebuilt
+// with fresh costs but the project billing fields and rules it recorded.
+async function regenerateStatements(month, { context, now = new Date() }) {
+    const archived = await getArchivedIndex(month);
+
+    if (archived && archived.costsFinal) {
+        const statements = await Promise.all(archived.statements.map(entry => getArchivedStatement(month, entry.slug)));
+        if (statements.every(Boolean)) {
+            return { index: await archiveStatements({ ...archived, statements }), final: true };
+        }
+        context.warn(`Archived statements for ${month} are incomplete; rebuilding from its recorded billing fields`);
+    }
+
+    // Archives from before billing fields were recorded can only be rebuilt from the live registry
+    const snapshot = archived && Array.isArray(archived.projects) ? { projects: archived.projects, rules: archived.rules } : null;
+    const result = await buildStatements(month, { context, now, snapshot });
+    return { index: await archiveStatements(result), final: false };
+}
+
+module.exports = {
+    CONTENT_TYPES,
+    normalizeRules,
+    getRules,
+    saveRules,
+    buildStatements,
+    summarize,
+    formatStatement,
+    archiveStatements,
+    regenerateStatements,
+    getArchivedIndex,
+    getArchivedStatement
+};
@@ -0,0 +1,83 @@
+const { DefaultAzureCredential } = require('@azure/identity');
+const { BlobServiceClient, BlobSASPermissions, SASProtocol, generateBlobSASQueryParameters } = require('@azure/storage-blob');
+
+// Artifact storage - the account the dashboard uploads deliverables to. The container is
+// private: browsers only ever reach a blob through a short-lived SAS issued by the API.
+const artifactStorageAccount = process.env.ARTIFACT_STORAGE_ACCOUNT || 'saxtechartifactstorage';
+const artifactContainerName = process.env.ARTIFACT_CONTAINER || 'artifacts';
+const artifactBlobBaseUrl = `https://${artifactStorageAccount}.blob.core.windows.net`;
+// Archived client statements - a private container in the same account, never handed out by SAS
+const statementsContainerName = process.env.STATEMENTS_CONTAINER || 'statements';
+
+// Allow for clock skew between the browser, the Function App and Storage
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+// A user delegation key can sign many SAS tokens; reuse it until shortly before it expires
+const DELEGATION_KEY_TTL_MS = 60 * 60 * 1000;
+
+let artifactServiceClient;
+let cachedDelegationKey = null;
+
+// Uses the Function App's managed identity; it needs Storage Blob Data Contributor
+// on the account (contributor also grants the right to issue user delegation keys)
+function getArtifactServiceClient() {
+    if (!artifactServiceClient) {
+        artifactServiceClient = new BlobServiceClient(artifactBlobBaseUrl, new DefaultAzureCredential());
+    }
+    return artifactServiceClient;
+}
+
+function getArtifactContainerClient() {
+    return getArtifactServiceClient().getContainerClient(artifactContainerName);
+}
+
+function getStatementsContainerClient() {
+    return getArtifactServiceClient().getContainerClient(statementsContainerName);
+}
+
+function getArtifactBlobUrl(blobName) {
+    return getArtifactContainerClient().getBlobClient(blobName).url;
+}
+
+async function getDelegationKey(now, ttlMs) {
+    const needsRefresh = !cachedDelegationKey ||
+        cachedDelegationKey.expiresOn.getTime() - now.getTime() < ttlMs + CLOCK_SKEW_MS;
+
+    if (needsRefresh) {
+        const startsOn = new Date(now.getTime() - CLOCK_SKEW_MS);
+        const expiresOn = new Date(now.getTime() + DELEGATION_KEY_TTL_MS);
+        const key = await getArtifactServiceClient().getUserDelegationKey(startsOn, expiresOn);
+        cachedDelegationKey = { key, expiresOn };
+    }
+
+    return cachedDelegationKey.key;
+}
+
+// A user delegation SAS for exactly one artifact blob: 'cw' to upload it, 'r' to read it
+async function issueArtifactSas(blobName, permissions, ttlMinutes) {
+    const now = new Date();
+    const ttlMs = ttlMinutes * 60 * 1000;
+    const expiresOn = new Date(now.getTime() + ttlMs);
+    const delegationKey = await getDelegationKey(now, ttlMs);
+
+    const sas = generateBlobSASQueryParameters({
+        containerName: artifactContainerName,
+        blobName,
+        permissions: BlobSASPermissions.parse(permissions),
+        protocol: SASProtocol.Https,
+        startsOn: new Date(now.getTime() - CLOCK_SKEW_MS),
+        expiresOn
+    }, delegationKey, artifactStorageAccount).toString();
+
+    const blobUrl = getArtifactContainerClient().getBlockBlobClient(blobName).url;
+    return { blobUrl, url: `${blobUrl}?${sas}`, expiresOn: expiresOn.toISOString() };
+}
+
+module.exports = {
+    artifactStorageAccount,
+    artifactContainerName,
+    getArtifactServiceClient,
+    getArtifactContainerClient,
+    getStatementsContainerClient,
+    getArtifactBlobUrl,
+    issueArtifactSas
+};
@@ -0,0 +1,128 @@
+const { DefaultAzureCredential } = require('@azure/identity');
+
+// Registry of the subscriptions the metrics endpoints may read. Callers pick one by id
+// (or "all"); anything not listed here is refused, so the browser can't point the
+// Function's identity at arbitrary subscriptions.
+//
+// METRICS_SUBSCRIPTIONS is a JSON array of
+//   { "id": "<subscription guid>", "name": "...", "tenantId": "<tenant guid>", "resourceGroup": "..." }
+// The Function's identity needs Reader (and Cost Management Reader) in each one; for
+// another tenant that means a multi-tenant app registration consented there.
+const DEFAULT_SUBSCRIPTIONS = [
+    {
+        id: '3cfb259a-f02a-484e-9ce3-d83c21fd0ddb',
+        name: 'SAXTech',
+        tenantId: '3d659328-eef0-44f7-8481-5833e1051aec',
+        resourceGroup: 'saxtech-ai'
+    }
+];
+const ALL_SUBSCRIPTIONS = 'all';
+const GUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const credentials = new Map();
+let registry = null;
+
+function loadRegistry() {
+    let entries = DEFAULT_SUBSCRIPTIONS;
+    if (process.env.METRICS_SUBSCRIPTIONS) {
+        try {
+            entries = JSON.parse(process.env.METRICS_SUBSCRIPTIONS);
+        } catch (error) {
+            console.error('METRICS_SUBSCRIPTIONS is not valid JSON; using the default subscription:', error.message);
+        }
+    }
+
+    const subscriptions = (Array.isArray(entries) ? entries : [])
+        .filter(entry => entry && GUID_PATTERN.test(entry.id || ''))
+        .map(entry => ({
+            id: entry.id.toLowerCase(),
+            name: entry.name || entry.id,
+            tenantId: GUID_PATTERN.test(entry.tenantId || '') ? entry.tenantId.toLowerCase() : null,
+            resourceGroup: entry.resourceGroup || null
+        }));
+
+    return subscriptions.length > 0 ? subscriptions : DEFAULT_SUBSCRIPTIONS;
+}
+
+function listSubscriptions() {
+    if (!registry) {
+        registry = loadRegistry();
+    }
+    return registry;
+}
+
+// One credential per tenant, shared by every subscription in it
+function getCredential(tenantId) {
+    const key = tenantId || 'default';
+    if (!credentials.has(key)) {
+        credentials.set(key, tenantId ? new DefaultAzureCredential({ tenantId }) : new DefaultAzureCredential());
+    }
+    return credentials.get(key);
+}
+
+// What the fetch helpers work against: the registry entry plus a credential for its tenant
+function toTarget(subscription) {
+    return {
+        subscriptionId: subscription.id,
+        subscriptionName: subscription.name,
+        tenantId: subscription.tenantId,
+        resourceGroup: subscription.resourceGroup,
+        credential: getCredential(subscription.tenantId)
+    };
+}
+
+// Targets for a ?subscription= value: none means the first (default) entry, "all" means
+// every entry, an id must be registered. Returns null for an unregistered id.
+function resolveTargets(selector) {
+    const subscriptions = listSubscriptions();
+    const value = (selector || '').trim().toLowerCase();
+
+    if (!value) {
+        return [toTarget(subscriptions[0])];
+    }
+    if (value === ALL_SUBSCRIPTIONS) {
+        return subscriptions.map(toTarget);
+    }
+
+    const match = subscriptions.find(subscription => subscription.id === value);
+    return match ? [toTarget(match)] : null;
+}
+
+// Tag list items with the subscription they came from
+function labelItems(items, target) {
+    return (items || []).map(item => ({
+        ...item,
+        subscriptionId: target.subscriptionId,
+        subscriptionName: target.subscriptionName
+    }));
+}
+
+function sum(values) {
+    return values.reduce((total, value) => total + (parseFloat(value) || 0), 0);
+}
+
+// Sum numeric fields of rows sharing a key (days, models) when combining subscriptions
+function mergeRows(rows, keyOf, numericFields) {
+    const merged = new Map();
+    rows.forEach(row => {
+        const key = keyOf(row);
+        if (!merged.has(key)) {
+            merged.set(key, { ...row });
+            return;
+        }
+        const existing = merged.get(key);
+        numericFields.forEach(field => {
+            existing[field] = (existing[field] || 0) + (row[field] || 0);
+        });
+    });
+    return [...merged.values()];
+}
+
+module.exports = {
+    ALL_SUBSCRIPTIONS,
+    listSubscriptions,
+    resolveTargets,
+    labelItems,
+    sum,
+    mergeRows
+};
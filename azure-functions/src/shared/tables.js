@@ -0,0 +1,29 @@
+const { TableClient } = require('@azure/data-tables');
+
+const tableStorageConnectionString = process.env.AzureWebJobsStorage || '';
+const tableClients = new Map();
+
+// One client per table, created lazily; the table itself is created on first use
+function getTableClient(tableName) {
+    if (!tableStorageConnectionString) {
+        throw new Error('AzureWebJobsStorage is not configured');
+    }
+
+    if (!tableClients.has(tableName)) {
+        const client = TableClient.fromConnectionString(tableStorageConnectionString, tableName);
+        const ready = client.createTable().catch(() => {});
+        tableClients.set(tableName, { client, ready });
+    }
+
+    return tableClients.get(tableName);
+}
+
+async function getTable(tableName) {
+    const { client, ready } = getTableClient(tableName);
+    await ready;
+    return client;
+}
+
+module.exports = {
+    getTable
+};
@@ -0,0 +1,275 @@
+const zlib = require('zlib');
+
+// Plain-text extraction for the search index. Deliberately dependency-free: enough of
+// ZIP (for DOCX/PPTX/XLSX) and PDF content streams to pull out the words, nothing more.
+// Anything it can't read yields '' and the artifact is indexed by name only.
+const MAX_TEXT_LENGTH = 2 * 1024 * 1024;
+// Compressed parts can expand a thousandfold; cap each one, and the whole document, so a
+// crafted upload can't exhaust the Function App's memory
+const MAX_INFLATED_PART_BYTES = 16 * 1024 * 1024;
+const MAX_INFLATED_TOTAL_BYTES = 64 * 1024 * 1024;
+
+const TEXT_EXTENSIONS = [
+    'txt', 'md', 'markdown', 'csv', 'tsv', 'log', 'ini', 'yaml', 'yml', 'xml', 'sql',
+    'js', 'ts', 'jsx', 'tsx', 'py', 'cs', 'java', 'go', 'rb', 'php', 'sh', 'ps1', 'css'
+];
+const OFFICE_PARTS = {
+    docx: /^word\/(document|header\d*|footer\d*|footnotes|endnotes)\.xml$/,
+    pptx: /^ppt\/(slides\/slide\d+|notesSlides\/notesSlide\d+)\.xml$/,
+    xlsx: /^xl\/sharedStrings\.xml$/
+};
+
+function extensionOf(name) {
+    const match = /\.([a-z0-9]+)$/i.exec(name || '');
+    return match ? match[1].toLowerCase() : '';
+}
+
+function decodeEntities(text) {
+    return text
+        .replace(/&#x([0-9a-f]+);/gi, (m, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (m, dec) => String.fromCodePoint(parseInt(dec, 10)))
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&');
+}
+
+function markupText(markup) {
+    return decodeEntities(markup
+        .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+        // Paragraph, row and slide-text boundaries become line breaks so snippets read naturally
+        .replace(/<\/(w:p|a:p|p|div|li|tr|h\d|si)>/gi, '\n')
+        .replace(/<[^>]+>/g, ' '))
+        .replace(/[ \t]+/g, ' ');
+}
+
+// Every string value in a JSON document - for n8n workflows that is node names,
+// notes, prompts and parameters, which is what people search for
+function jsonText(source) {
+    let document;
+    try {
+        document = JSON.parse(source);
+    } catch {
+        return source;
+    }
+
+    const strings = [];
+    const visit = value => {
+        if (typeof value === 'string') {
+            strings.push(value);
+        } else if (Array.isArray(value)) {
+            value.forEach(visit);
+        } else if (value && typeof value === 'object') {
+            Object.values(value).forEach(visit);
+        }
+    };
+    visit(document);
+    return strings.join('\n');
+}
+
+// Inflates one part within what is left of the document's budget; null when it would not fit
+function inflateWithin(inflate, data, budget) {
+    const maxOutputLength = Math.min(MAX_INFLATED_PART_BYTES, budget.remaining);
+    if (maxOutputLength <= 0) return null;
+
+    try {
+        const inflated = inflate(data, { maxOutputLength });
+        budget.remaining -= inflated.length;
+        return inflated;
+    } catch {
+        // Damaged, or larger than the cap - either way the rest of the document still counts
+        return null;
+    }
+}
+
+// Entries of a ZIP archive whose names match `pattern`, read via the central directory.
+// Every offset and size comes from the file itself, so each is checked against its length.
+function readZipEntries(buffer, pattern) {
+    const entries = [];
+    const budget = { remaining: MAX_INFLATED_TOTAL_BYTES };
+    const searchFrom = Math.max(0, buffer.length - 65557);
+    let eocd = -1;
+    for (let i = buffer.length - 22; i >= searchFrom; i--) {
+        if (buffer.readUInt32LE(i) === 0x06054b50) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd < 0) return entries;
+
+    const count = buffer.readUInt16LE(eocd + 10);
+    let offset = buffer.readUInt32LE(eocd + 16);
+
+    for (let n = 0; n < count && offset + 46 <= buffer.length; n++) {
+        if (buffer.readUInt32LE(offset) !== 0x02014b50) break;
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const uncompressedSize = buffer.readUInt32LE(offset + 24);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        if (offset + 46 + nameLength > buffer.length) break;
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        // A damaged or oversized part shouldn't stop the rest of the document being indexed
+        if (!pattern.test(name) || uncompressedSize > MAX_INFLATED_PART_BYTES) continue;
+        if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== 0x04034b50) continue;
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        if (dataStart + compressedSize > buffer.length) continue;
+        const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+        if (method === 0) {
+            entries.push({ name, data });
+        } else if (method === 8) {
+            const inflated = inflateWithin(zlib.inflateRawSync, data, budget);
+            if (inflated) entries.push({ name, data: inflated });
+        }
+    }
+    return entries;
+}
+
+function officeText(buffer, extension) {
+    return readZipEntries(buffer, OFFICE_PARTS[extension])
+        .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }))
+        .map(entry => markupText(entry.data.toString('utf8')))
+        .join('\n');
+}
+
+// A PDF literal string starting at `start` (the opening parenthesis)
+function readPdfString(content, start) {
+    let value = '';
+    let depth = 0;
+    let i = start;
+    for (; i < content.length; i++) {
+        const c = content[i];
+        if (c === '\\') {
+            const next = content[++i];
+            const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+            if (escapes[next]) {
+                value += escapes[next];
+            } else if (/[0-7]/.test(next)) {
+                const octal = /^[0-7]{1,3}/.exec(content.substr(i, 3))[0];
+                value += String.fromCharCode(parseInt(octal, 8));
+                i += octal.length - 1;
+            } else if (next !== '\n' && next !== '\r') {
+                value += next;
+            }
+        } else if (c === '(') {
+            if (depth++ > 0) value += c;
+        } else if (c === ')') {
+            if (--depth === 0) break;
+            value += c;
+        } else {
+            value += c;
+        }
+    }
+    return { value, end: i + 1 };
+}
+
+// Text-showing operators (Tj, TJ, ', ") of one content stream
+function contentStreamText(content) {
+    let text = '';
+    let operands = [];
+    let inArray = false;
+    let i = 0;
+
+    while (i < content.length) {
+        const c = content[i];
+        if (c === '(') {
+            const { value, end } = readPdfString(content, i);
+            operands.push(value);
+            i = end;
+        } else if (c === '[') {
+            inArray = true;
+            i++;
+        } else if (c === ']') {
+            inArray = false;
+            i++;
+        } else if (c === '%') {
+            while (i < content.length && content[i] !== '\n' && content[i] !== '\r') i++;
+        } else if (/[-+.\d]/.test(c)) {
+            const number = /^[-+]?\d*\.?\d+/.exec(content.substr(i, 32));
+            // Wide negative kerning inside TJ is how PDFs encode a space between words
+            if (number && inArray && parseFloat(number[0]) < -200) operands.push(' ');
+            i += number ? number[0].length : 1;
+        } else if (/[A-Za-z'"*]/.test(c)) {
+            const operator = /^[A-Za-z'"*]+/.exec(content.substr(i, 8))[0];
+            if (operator === 'Tj' || operator === 'TJ') {
+                text += operands.join('');
+            } else if (operator === "'" || operator === '"') {
+                text += `\n${operands.join('')}`;
+            } else if (operator === 'T*' || operator === 'Td' || operator === 'TD' || operator === 'ET') {
+                text += '\n';
+            }
+            operands = [];
+            i += operator.length;
+        } else {
+            i++;
+        }
+    }
+    return text;
+}
+
+function pdfText(buffer) {
+    const source = buffer.toString('latin1');
+    const parts = [];
+    const budget = { remaining: MAX_INFLATED_TOTAL_BYTES };
+    const streamPattern = /stream\r?\n/g;
+    let match;
+
+    while ((match = streamPattern.exec(source)) !== null) {
+        const start = match.index + match[0].length;
+        const end = source.indexOf('endstream', start);
+        if (end < 0) break;
+        streamPattern.lastIndex = end + 'endstream'.length;
+
+        // The stream's dictionary is what follows the most recent "obj" keyword
+        const header = source.slice(Math.max(0, match.index - 1024), match.index);
+        const dictionary = header.slice(header.lastIndexOf('obj'));
+        if (/\/(Subtype\s*\/Image|DCTDecode|JPXDecode|CCITTFaxDecode|Type\s*\/XRef)/.test(dictionary)) continue;
+
+        let data = buffer.subarray(start, end);
+        if (/\/FlateDecode/.test(dictionary)) {
+            data = inflateWithin(zlib.inflateSync, data, budget);
+            if (!data) continue;
+        } else if (/\/Filter/.test(dictionary)) {
+            continue;
+        }
+
+        const content = data.toString('latin1');
+        if (/\bBT\b/.test(content)) {
+            parts.push(contentStreamText(content));
+        }
+    }
+
+    // Fonts with custom encodings come out as control characters; drop them
+    return parts.join('\n').replace(/[^\x09\x0a\x0d\x20-\x7e\u00a0-\u00ff]+/g, ' ');
+}
+
+// Best-effort plain text of an artifact's bytes
+function extractText(buffer, { name, type, contentType } = {}) {
+    const extension = extensionOf(name);
+    let text = '';
+
+    if (extension === 'pdf' || contentType === 'application/pdf') {
+        text = pdfText(buffer);
+    } else if (OFFICE_PARTS[extension]) {
+        text = officeText(buffer, extension);
+    } else if (extension === 'json' || type === 'N8N' || type === 'SAXTech Automation') {
+        text = jsonText(buffer.toString('utf8'));
+    } else if (extension === 'html' || extension === 'htm') {
+        text = markupText(buffer.toString('utf8'));
+    } else if (TEXT_EXTENSIONS.includes(extension) || /^text\//.test(contentType || '')) {
+        text = buffer.toString('utf8');
+    }
+
+    return text.length > MAX_TEXT_LENGTH ? text.substring(0, MAX_TEXT_LENGTH) : text;
+}
+
+module.exports = {
+    extractText
+};
@@ -0,0 +1,459 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { getTable } = require('./tables');
+
+// Synthetic uptime monitoring. A monitor probes one URL of a project on every run of the
+// prober: HTTP status, latency, an optional expected body substring and, for https, the
+// certificate. Each probe is kept for RESULT_RETENTION_DAYS; per-day counts are kept for
+// good and give the daily, 30-day and monthly uptime. Degraded (slow) probes still count
+// as up.
+const monitorsTableName = 'uptimemonitors';
+const MONITOR_PARTITION = 'monitor';
+const resultsTableName = 'uptimeresults';
+const dailyTableName = 'uptimedaily';
+// Inverted timestamps sort newest first in Table Storage
+const MAX_TIMESTAMP = 9999999999999;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RESULT_RETENTION_DAYS = 7;
+const DEFAULT_TIMEOUT_MS = 10000;
+const MAX_TIMEOUT_MS = 30000;
+const DEFAULT_LATENCY_THRESHOLD_MS = 2000;
+const DEFAULT_SLA_TARGET = 99.9;
+// Only this much of a response body is searched for the expected text
+const MAX_BODY_BYTES = 256 * 1024;
+const METHODS = ['GET', 'HEAD'];
+
+function trimmed(value, maxLength) {
+    return typeof value === 'string' ? value.trim().substring(0, maxLength) : '';
+}
+
+function dayOf(date) {
+    return new Date(date).toISOString().split('T')[0];
+}
+
+function normalizeMonitor(body, existing = null, projectIds = null) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { error: 'Request body must be a monitor object' };
+    }
+    const source = { ...(existing || {}), ...body };
+
+    const projectId = trimmed(String(source.projectId ?? ''), 100);
+    if (!projectId || (projectIds && !projectIds.has(projectId))) {
+        return { error: `projectId ${projectId || '(none)'} is not a project` };
+    }
+    const url = trimmed(source.url, 2000);
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        parsed = null;
+    }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+        return { error: 'url must be an http(s) URL' };
+    }
+    const method = String(source.method || 'GET').toUpperCase();
+    if (!METHODS.includes(method)) {
+        return { error: `method must be one of ${METHODS.join(', ')}` };
+    }
+
+    const expectedStatus = source.expectedStatus === null || source.expectedStatus === undefined || source.expectedStatus === ''
+        ? null
+        : parseInt(source.expectedStatus, 10);
+    if (expectedStatus !== null && !(expectedStatus >= 100 && expectedStatus <= 599)) {
+        return { error: 'expectedStatus must be an HTTP status code, or empty for any 2xx/3xx' };
+    }
+    const expectedText = trimmed(source.expectedText, 200) || null;
+    if (expectedText && method === 'HEAD') {
+        return { error: 'expectedText needs a GET monitor; HEAD responses have no body' };
+    }
+    const timeoutMs = source.timeoutMs ? parseInt(source.timeoutMs, 10) : DEFAULT_TIMEOUT_MS;
+    if (!(timeoutMs >= 1000 && timeoutMs <= MAX_TIMEOUT_MS)) {
+        return { error: `timeoutMs must be between 1000 and ${MAX_TIMEOUT_MS}` };
+    }
+    const latencyThresholdMs = source.latencyThresholdMs
+        ? parseInt(source.latencyThresholdMs, 10)
+        : Math.min(DEFAULT_LATENCY_THRESHOLD_MS, timeoutMs);
+    if (!(latencyThresholdMs > 0 && latencyThresholdMs <= timeoutMs)) {
+        return { error: 'latencyThresholdMs must be positive and within the timeout' };
+    }
+    const slaTarget = source.slaTarget ? parseFloat(source.slaTarget) : DEFAULT_SLA_TARGET;
+    if (!(slaTarget > 0 && slaTarget <= 100)) {
+        return { error: 'slaTarget must be a percentage' };
+    }
+
+    return {
+        monitor: {
+            id: existing ? existing.id : `monitor-${crypto.randomUUID()}`,
+            projectId,
+            name: trimmed(source.name, 100) || parsed.host,
+            url: parsed.toString(),
+            method,
+            expectedStatus,
+            expectedText,
+            timeoutMs,
+            latencyThresholdMs,
+            slaTarget,
+            enabled: source.enabled !== false
+        }
+    };
+}
+
+function fromEntity(entity) {
+    return {
+        ...JSON.parse(entity.data),
+        lastResult: entity.lastResult ? JSON.parse(entity.lastResult) : null
+    };
+}
+
+async function listMonitors() {
+    const table = await getTable(monitorsTableName);
+    const monitors = [];
+    const entities = table.listEntities({
+        queryOptions: { filter: `PartitionKey eq '${MONITOR_PARTITION}'` }
+    });
+    for await (const entity of entities) {
+        monitors.push(fromEntity(entity));
+    }
+    return monitors.sort((a, b) => a.projectId.localeCompare(b.projectId) || a.name.localeCompare(b.name));
+}
+
+async function getMonitor(id) {
+    const table = await getTable(monitorsTableName);
+    try {
+        return fromEntity(await table.getEntity(MONITOR_PARTITION, id));
+    } catch (error) {
+        if (error.statusCode === 404) return null;
+        throw error;
+    }
+}
+
+// Writes the definition only; the prober owns lastResult
+async function saveMonitor(monitor) {
+    const { lastResult, ...definition } = monitor;
+    const table = await getTable(monitorsTableName);
+    await table.upsertEntity({
+        partitionKey: MONITOR_PARTITION,
+        rowKey: monitor.id,
+        data: JSON.stringify(definition)
+    }, 'Merge');
+    return monitor;
+}
+
+// Probes and daily counts go with the monitor
+async function deleteMonitor(id) {
+    const table = await getTable(monitorsTableName);
+    await table.deleteEntity(MONITOR_PARTITION, id);
+    for (const tableName of [resultsTableName, dailyTableName]) {
+        const rows = await getTable(tableName);
+        for await (const entity of rows.listEntities({ queryOptions: { filter: `PartitionKey eq '${id}'` } })) {
+            await rows.deleteEntity(entity.partitionKey, entity.rowKey);
+        }
+    }
+}
+
+function describeCertificate(socket) {
+    const certificate = socket.getPeerCertificate();
+    if (!certificate || !certificate.valid_to) return null;
+    return {
+        valid: socket.authorized,
+        error: socket.authorized ? null : String(socket.authorizationError || 'Untrusted certificate'),
+        validTo: new Date(certificate.valid_to).toISOString(),
+        daysRemaining: Math.floor((new Date(certificate.valid_to).getTime() - Date.now()) / DAY_MS)
+    };
+}
+
+// One request against the monitor's URL: { httpStatus, latencyMs, tls, body, error }.
+// Certificates are read rather than enforced so a bad one is reported as such instead of
+// as a connection error.
+function request(monitor) {
+    return new Promise(resolve => {
+        const url = new URL(monitor.url);
+        const client = url.protocol === 'https:' ? https : http;
+        const startedAt = Date.now();
+        let settled = false;
+        const finish = result => {
+            if (settled) return;
+            settled = true;
+            resolve({ latencyMs: Date.now() - startedAt, ...result });
+        };
+
+        const req = client.request(url, {
+            method: monitor.method,
+            timeout: monitor.timeoutMs,
+            rejectUnauthorized: false,
+            headers: { 'User-Agent': 'SAXTech-Uptime-Prober/1.0', 'Cache-Control': 'no-cache' }
+        }, res => {
+            const tls = url.protocol === 'https:' ? describeCertificate(res.socket) : null;
+            const chunks = [];
+            let length = 0;
+            res.on('data', chunk => {
+                if (length < MAX_BODY_BYTES) {
+                    chunks.push(chunk);
+                    length += chunk.length;
+                }
+            });
+            res.on('end', () => finish({
+                httpStatus: res.statusCode,
+                tls,
+                body: Buffer.concat(chunks).toString('utf8').substring(0, MAX_BODY_BYTES),
+                error: null
+            }));
+            res.on('error', error => finish({ httpStatus: res.statusCode, tls, body: '', error: error.message }));
+        });
+        req.on('timeout', () => {
+            req.destroy(new Error(`No response within ${monitor.timeoutMs / 1000}s`));
+        });
+        req.on('error', error => finish({ httpStatus: null, tls: null, body: '', error: error.message }));
+        req.end();
+    });
+}
+
+// Probe a monitor once: up, degraded (slower than its latency threshold) or down, with why
+async function probe(monitor, now = new Date()) {
+    const response = await request(monitor);
+    const result = {
+        monitorId: monitor.id,
+        projectId: monitor.projectId,
+        checkedAt: now.toISOString(),
+        httpStatus: response.httpStatus,
+        latencyMs: response.latencyMs,
+        tls: response.tls,
+        status: 'up',
+        reason: null
+    };
+
+    const statusOk = monitor.expectedStatus !== null
+        ? response.httpStatus === monitor.expectedStatus
+        : response.httpStatus >= 200 && response.httpStatus < 400;
+    if (response.error && response.httpStatus === null) {
+        result.status = 'down';
+        result.reason = response.error;
+    } else if (!statusOk) {
+        result.status = 'down';
+        result.reason = `HTTP ${response.httpStatus}${monitor.expectedStatus !== null ? `, expected ${monitor.expectedStatus}` : ''}`;
+    } else if (response.tls && !response.tls.valid) {
+        result.status = 'down';
+        result.reason = `TLS: ${response.tls.error}`;
+    } else if (monitor.expectedText && !response.body.includes(monitor.expectedText)) {
+        result.status = 'down';
+        result.reason = `Response does not contain "${monitor.expectedText}"`;
+    } else if (response.latencyMs > monitor.latencyThresholdMs) {
+        result.status = 'degraded';
+        result.reason = `Responded in ${response.latencyMs}ms (threshold ${monitor.latencyThresholdMs}ms)`;
+    }
+    return result;
+}
+
+// The timer and a manual probe can count into the same day at once, so the row is
+// updated under its ETag and re-read when another write got there first
+async function addToDailyCounts(daily, result, day, attempts = 5) {
+    for (let attempt = 0; attempt < attempts; attempt++) {
+        let entity = null;
+        try {
+            entity = await daily.getEntity(result.monitorId, day);
+        } catch (error) {
+            if (error.statusCode !== 404) throw error;
+        }
+
+        const counts = entity
+            ? JSON.parse(entity.data)
+            : { checks: 0, up: 0, degraded: 0, down: 0, latencyTotalMs: 0, latencyMaxMs: 0 };
+        counts.checks++;
+        counts[result.status]++;
+        counts.latencyTotalMs += result.latencyMs;
+        counts.latencyMaxMs = Math.max(counts.latencyMaxMs, result.latencyMs);
+        const updated = { partitionKey: result.monitorId, rowKey: day, data: JSON.stringify(counts) };
+
+        try {
+            if (entity) {
+                await daily.updateEntity(updated, 'Replace', { etag: entity.etag });
+            } else {
+                await daily.createEntity(updated);
+            }
+            return;
+        } catch (error) {
+            if (error.statusCode !== 412 && error.statusCode !== 409) throw error;
+        }
+    }
+
+    throw new Error(`Daily counts of monitor ${result.monitorId} kept changing; gave up after ${attempts} attempts`);
+}
+
+// Keep the probe, add it to its day's counts and make it the monitor's latest result
+async function recordResult(result) {
+    const time = Date.parse(result.checkedAt);
+    const day = dayOf(time);
+    const [results, daily, monitors] = await Promise.all([
+        getTable(resultsTableName),
+        getTable(dailyTableName),
+        getTable(monitorsTableName)
+    ]);
+
+    await results.createEntity({
+        partitionKey: result.monitorId,
+        rowKey: String(MAX_TIMESTAMP - time).padStart(13, '0'),
+        data: JSON.stringify(result)
+    });
+
+    await addToDailyCounts(daily, result, day);
+
+    await monitors.updateEntity({
+        partitionKey: MONITOR_PARTITION,
+        rowKey: result.monitorId,
+        lastResult: JSON.stringify(result)
+    }, 'Merge');
+}
+
+// Drop probes older than the retention; the daily counts keep their history
+async function pruneResults(monitorId, now) {
+    const table = await getTable(resultsTableName);
+    const cutoff = String(MAX_TIMESTAMP - (now.getTime() - RESULT_RETENTION_DAYS * DAY_MS)).padStart(13, '0');
+    const entities = table.listEntities({
+        queryOptions: { filter: `PartitionKey eq '${monitorId}' and RowKey gt '${cutoff}'` }
+    });
+    for await (const entity of entities) {
+        await table.deleteEntity(entity.partitionKey, entity.rowKey);
+    }
+}
+
+// Probe every enabled monitor
+async function runProbes(context, now = new Date()) {
+    const monitors = (await listMonitors()).filter(monitor => monitor.enabled);
+    const summary = { probed: 0, up: 0, degraded: 0, down: 0, failed: 0 };
+
+    await Promise.all(monitors.map(async monitor => {
+        try {
+            const result = await probe(monitor, now);
+            await recordResult(result);
+            await pruneResults(monitor.id, now);
+            summary.probed++;
+            summary[result.status]++;
+        } catch (error) {
+            summary.failed++;
+            context.warn(`Uptime probe of ${monitor.name} (${monitor.id}) failed: ${error.message}`);
+        }
+    }));
+    return summary;
+}
+
+// Newest probes first
+async function listResults(monitorId, limit = 50) {
+    const table = await getTable(resultsTableName);
+    const results = [];
+    for await (const entity of table.listEntities({ queryOptions: { filter: `PartitionKey eq '${monitorId}'` } })) {
+        results.push(JSON.parse(entity.data));
+        if (results.length >= limit) break;
+    }
+    return results;
+}
+
+function uptimePercent(counts) {
+    return counts.checks > 0 ? Math.round((counts.up + counts.degraded) / counts.checks * 100000) / 1000 : null;
+}
+
+function addCounts(total, counts) {
+    ['checks', 'up', 'degraded', 'down', 'latencyTotalMs'].forEach(field => {
+        total[field] += counts[field];
+    });
+    total.latencyMaxMs = Math.max(total.latencyMaxMs, counts.latencyMaxMs);
+    return total;
+}
+
+function emptyCounts() {
+    return { checks: 0, up: 0, degraded: 0, down: 0, latencyTotalMs: 0, latencyMaxMs: 0 };
+}
+
+function describeCounts(counts) {
+    return {
+        checks: counts.checks,
+        up: counts.up,
+        degraded: counts.degraded,
+        down: counts.down,
+        uptime: uptimePercent(counts),
+        avgLatencyMs: counts.checks > 0 ? Math.round(counts.latencyTotalMs / counts.checks) : null,
+        maxLatencyMs: counts.checks > 0 ? counts.latencyMaxMs : null
+    };
+}
+
+// A monitor's uptime: each of the last `days` days (oldest first, days without probes have
+// null uptime), those days together, and the calendar month `month` against its SLA target
+async function uptimeReport(monitor, { days = 30, month = dayOf(new Date()).substring(0, 7), now = new Date() } = {}) {
+    const table = await getTable(dailyTableName);
+    const firstDay = dayOf(now.getTime() - (days - 1) * DAY_MS);
+    const from = firstDay < `${month}-01` ? firstDay : `${month}-01`;
+    const byDay = new Map();
+    const entities = table.listEntities({
+        queryOptions: { filter: `PartitionKey eq '${monitor.id}' and RowKey ge '${from}'` }
+    });
+    for await (const entity of entities) {
+        byDay.set(entity.rowKey, JSON.parse(entity.data));
+    }
+
+    const daily = [];
+    const windowTotal = emptyCounts();
+    for (let offset = days - 1; offset >= 0; offset--) {
+        const day = dayOf(now.getTime() - offset * DAY_MS);
+        const counts = byDay.get(day) || emptyCounts();
+        addCounts(windowTotal, counts);
+        daily.push({ day, ...describeCounts(counts) });
+    }
+
+    const monthTotal = [...byDay.entries()]
+        .filter(([day]) => day.startsWith(month))
+        .reduce((total, [, counts]) => addCounts(total, counts), emptyCounts());
+    const monthUptime = uptimePercent(monthTotal);
+
+    return {
+        daily,
+        window: { days, ...describeCounts(windowTotal) },
+        month: {
+            month,
+            ...describeCounts(monthTotal),
+            slaTarget: monitor.slaTarget,
+            slaMet: monthUptime === null ? null : monthUptime >= monitor.slaTarget
+        }
+    };
+}
+
+// One project's status and uptime across its monitors: down if any monitor's latest probe
+// is down, degraded if any is degraded; a day's uptime pools every monitor's probes
+function summarizeProject(entries) {
+    const latest = entries.map(entry => entry.lastResult).filter(Boolean);
+    const status = latest.length === 0 ? 'unknown'
+        : ['down', 'degraded', 'up'].find(value => latest.some(result => result.status === value));
+    const pool = list => {
+        const counts = list.reduce((total, counts) => ({
+            checks: total.checks + counts.checks,
+            up: total.up + counts.up,
+            degraded: total.degraded + counts.degraded
+        }), { checks: 0, up: 0, degraded: 0 });
+        return uptimePercent(counts);
+    };
+    const days = entries[0]?.daily.length || 0;
+    return {
+        status,
+        checkedAt: latest.map(result => result.checkedAt).sort().pop() || null,
+        monitors: entries.length,
+        daily: Array.from({ length: days }, (_, index) => ({
+            day: entries[0].daily[index].day,
+            uptime: pool(entries.map(entry => entry.daily[index]))
+        })),
+        uptime: pool(entries.map(entry => entry.window)),
+        monthUptime: pool(entries.map(entry => entry.month))
+    };
+}
+
+module.exports = {
+    normalizeMonitor,
+    listMonitors,
+    getMonitor,
+    saveMonitor,
+    deleteMonitor,
+    probe,
+    recordResult,
+    runProbes,
+    listResults,
+    uptimeReport,
+    summarizeProject
+};
@@ -408,11 +408,23 @@ class AzureIntegration {
 
     async fetchGPTUsage() {
         try {
-            // Call your backend API to get OpenAI usage
-            const response = await fetch('/api/GetGPTUsage');
+            // Azure OpenAI usage measured per deployment, reshaped to what callers expect
+            const response = await fetch('/api/ai-usage');
             if (response.ok) {
                 const data = await response.json();
-                return data;
+                return {
+                    daily: (data.buckets || []).map(bucket => ({
+                        date: bucket.time.split('T')[0],
+                        tokens: bucket.totalTokens,
+                        cost: bucket.cost
+                    })),
+                    byProject: Object.fromEntries((data.byProject || []).map(project => [
+                        project.name || project.projectId,
+                        { tokens: project.totalTokens, cost: project.cost }
+                    ])),
+                    totalTokens: data.totals ? data.totals.totalTokens : 0,
+                    totalCost: data.totals ? data.totals.cost : 0
+                };
             }
         } catch (error) {
             console.error('Failed to fetch GPT usage:', error);
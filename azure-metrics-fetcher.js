@@ -53,53 +53,28 @@ class AzureMetricsFetcher {
         }
     }
 
-    // Get real SSL certificates from custom domains
+    // TLS certificates of the custom domains, from the Function's daily handshake checks
     async getSSLCertificates() {
         try {
-            // These are the actual custom domains we found
-            const customDomains = [
-                { app: 'SAXTech-FCSSite', domain: 'askforeman.saxtechnology.com' },
-                { app: 'SAXTech-ROICalc', domain: 'roi.saxtechnology.com' },
-                { app: 'dater-club-registration', domain: 'daterclubs2025.saxtechnology.com' },
-                { app: 'SAXTech-Artifacts', domain: 'repository.saxtechnology.com' }
-            ];
-
-            // In production, this would check the actual SSL certificates
-            // For now, return realistic data based on Let's Encrypt 90-day certs
-            const currentDate = new Date();
-            const certificates = customDomains.map(({ domain }) => {
-                // Assuming certificates were issued when domains were added (tenant created 7/25/2025)
-                const issuedDate = new Date('2025-07-25');
-                const expiryDate = new Date(issuedDate);
-                expiryDate.setDate(expiryDate.getDate() + 90); // Let's Encrypt is 90 days
-                
-                const daysRemaining = Math.floor((expiryDate - currentDate) / (1000 * 60 * 60 * 24));
-                
-                return {
-                    domain: domain,
-                    issuer: "Let's Encrypt Authority X3",
-                    validFrom: issuedDate.toISOString(),
-                    validUntil: expiryDate.toISOString(),
-                    daysRemaining: daysRemaining,
-                    status: daysRemaining > 30 ? 'valid' : daysRemaining > 0 ? 'expiring' : 'expired',
-                    type: 'DV SSL',
-                    autoRenew: true
-                };
-            });
-
-            // Add Kubernetes ingress certificate
-            certificates.push({
-                domain: 'workflows.saxtechnology.com',
-                issuer: "Let's Encrypt Authority X3",
-                validFrom: new Date('2025-07-28').toISOString(),
-                validUntil: new Date('2025-10-26').toISOString(),
-                daysRemaining: Math.floor((new Date('2025-10-26') - currentDate) / (1000 * 60 * 60 * 24)),
-                status: 'valid',
-                type: 'Kubernetes Ingress',
-                autoRenew: true
-            });
+            const response = await fetch('/api/certificates');
+            if (!response.ok) {
+                throw new Error(`Certificates request failed with status ${response.status}`);
+            }
+            const { certificates } = await response.json();
 
-            return certificates;
+            return certificates.map(({ domain, status, sources, check }) => ({
+                domain: domain,
+                issuer: check.issuer,
+                validFrom: check.validFrom,
+                validUntil: check.validTo,
+                daysRemaining: check.daysRemaining,
+                status: status,
+                subjectAltNames: check.subjectAltNames || [],
+                chainValid: check.chainValid,
+                checkedAt: check.checkedAt,
+                type: sources.some(source => source.type === 'configured') ? 'Custom' : 'Azure Managed',
+                sources: sources
+            }));
         } catch (error) {
             console.error('Error fetching SSL certificates:', error);
             return [];
@@ -1,9 +1,36 @@
 // Azure Blob Storage Integration with Azure AD Authentication
-const STORAGE_ACCOUNT = 'saxtechartifactstorage';
-const CONTAINER_NAME = 'artifacts';
-const BLOB_BASE_URL = `https://${STORAGE_ACCOUNT}.blob.core.windows.net/${CONTAINER_NAME}`;
-// SAS token for read/write access (expires in 1 year - regenerate as needed)
-const SAS_TOKEN = 'se=2026-08-29T00%3A40%3A06Z&sp=racwdl&sv=2022-11-02&sr=c&sig=yQaTgRxCPw6PfIJznS5uiavItFNG5PCv5Mzu9k8YB4c%3D';
+// Issues a short-lived, write-only SAS for a single upload
+const UPLOAD_SAS_API = '/api/uploads/sas';
+// The artifact container is private; downloads go through a short-lived, read-only SAS
+const DOWNLOAD_SAS_API = '/api/downloads/sas';
+// Project registry API (saxtech-metrics-api, reached through the Static Web App linked backend)
+const PROJECTS_API = '/api/projects';
+// Large files go up as staged blocks (Put Block / Put Block List) so they can retry and resume
+const CHUNKED_UPLOAD_THRESHOLD = 16 * 1024 * 1024;
+const UPLOAD_BLOCK_SIZE = 8 * 1024 * 1024;
+const UPLOAD_CONCURRENCY = 4;
+const UPLOAD_BLOCK_ATTEMPTS = 5;
+// Azure discards uncommitted blocks after 7 days; stop offering to resume a day before that
+const UPLOAD_STATE_MAX_AGE_MS = 6 * 24 * 60 * 60 * 1000;
+const UPLOAD_STATE_PREFIX = 'saxtech_upload_';
+// What the signed-in user may do (roles are enforced by the API; this only drives the UI)
+const ROLES_API = '/api/roles/me';
+const ROLE_RANK = { viewer: 1, contributor: 2, 'project-owner': 3, admin: 4 };
+const ROLE_PERMISSIONS = {
+    read: 'viewer',
+    edit: 'contributor',
+    upload: 'contributor',
+    delete: 'project-owner',
+    manageAccess: 'project-owner'
+};
+// Backend audit trail (who changed what, per project)
+const AUDIT_API = '/api/audit';
+// Full-text search over project metadata and artifact contents
+const SEARCH_API = '/api/search';
+// Azure cost allocated to each project per month, and the margin left of its MRR
+const PROJECT_COSTS_API = '/api/project-costs';
+// Projects created while offline carry a temporary id until the registry assigns one
+const LOCAL_PROJECT_PREFIX = 'local_';
 
 // Get user info from Azure Static Web Apps authentication
 async function getUserInfo() {
@@ -46,6 +73,9 @@ class AzureBlobManager {
         this.projects = [];
         this.userInfo = null;
         this.isAuthenticated = false;
+        this.access = null;
+        // Failed writes wait here (IndexedDB) and replay when the connection returns
+        this.outbox = window.SyncOutbox ? new window.SyncOutbox(this) : null;
         this.initializeAuth();
     }
 
@@ -60,20 +90,76 @@ class AzureBlobManager {
             this.initializeDefaultProjects();
         } else {
             console.log('User authenticated:', this.userInfo?.userDetails);
-            this.loadProjectsFromBlob();
+            await this.loadAccess();
+            this.loadProjectsFromApi();
         }
     }
 
-    // Load projects from blob storage
-    async loadProjectsFromBlob() {
+    // Load the signed-in user's roles so the page can hide what they can't do
+    async loadAccess() {
         try {
-            const response = await fetch(`${BLOB_BASE_URL}/projects.json`);
-            if (response.ok) {
-                this.projects = await response.json();
-                this.renderProjects();
-                this.updateStats();
+            const response = await fetch(ROLES_API);
+            this.access = response.ok ? await response.json() : null;
+        } catch (error) {
+            console.error('Error loading roles:', error);
+            this.access = null;
+        }
+        if (window.applyAccessControls) {
+            window.applyAccessControls(this.access);
+        }
+    }
+
+    // Whether the user may perform an action on a project. The API sends each project's
+    // role as myRole; projects created offline belong to whoever created them.
+    can(project, action) {
+        if (!project) return false;
+        const role = project.myRole ||
+            (String(project.id).startsWith(LOCAL_PROJECT_PREFIX) ? 'project-owner' : null);
+        return (ROLE_RANK[role] || 0) >= ROLE_RANK[ROLE_PERMISSIONS[action]];
+    }
+
+    canCreateProjects() {
+        return !!this.access && !!this.access.canCreateProjects;
+    }
+
+    // Call the project registry API; resolves to { ok, status, data }
+    async projectsRequest(method, projectId = null, body = null, etag = null) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (etag) {
+            headers['If-Match'] = etag;
+        }
+
+        const response = await fetch(projectId ? `${PROJECTS_API}/${encodeURIComponent(projectId)}` : PROJECTS_API, {
+            method,
+            headers,
+            body: body ? JSON.stringify(body) : undefined
+        });
+
+        let data = null;
+        if (response.status !== 204) {
+            try {
+                data = await response.json();
+            } catch (e) {
+                data = null;
+            }
+        }
+
+        return { ok: response.ok, status: response.status, data };
+    }
+
+    // Load projects from the registry API
+    async loadProjectsFromApi() {
+        try {
+            const result = await this.projectsRequest('GET');
+            if (result.ok && result.data) {
+                this.projects = result.data.projects || [];
+                this.saveProjectsToLocalStorage();
+                // Work left over from an earlier session can go out now the registry is reachable
+                if (this.outbox) {
+                    this.outbox.flush(true);
+                }
             } else {
-                // If no projects file exists, use default data
+                // API unavailable - fall back to the last copy we saw
                 this.initializeDefaultProjects();
             }
         } catch (error) {
@@ -82,6 +168,54 @@ class AzureBlobManager {
         }
     }
 
+    // Swap in the server's copy of a project after a write or a conflict
+    replaceLocalProject(project) {
+        const index = this.projects.findIndex(p => String(p.id) === String(project.id));
+        if (index >= 0) {
+            this.projects[index] = project;
+        } else {
+            this.projects.unshift(project);
+        }
+        this.saveProjectsToLocalStorage();
+    }
+
+    // Report a failed registry write to the user
+    reportSaveError(action, result) {
+        console.error(`Error trying to ${action} project:`, result.status, result.data);
+        if (window.showToast) {
+            window.showToast(`Failed to ${action} project. Please try again.`, 'error');
+        }
+    }
+
+    // The registry has created a project we were holding under a temporary id
+    replaceTempProject(tempId, project) {
+        this.projects = this.projects.filter(p => String(p.id) !== String(tempId));
+        this.replaceLocalProject(project);
+    }
+
+    // Whether a failed write should wait in the outbox rather than be reported as an error
+    shouldQueue(status) {
+        return !!this.outbox && this.outbox.available && window.isRetryableStatus(status);
+    }
+
+    // Whether a project has queued work ahead of any new write (which must then queue too)
+    hasQueuedWork(projectId) {
+        return String(projectId).startsWith(LOCAL_PROJECT_PREFIX) ||
+            (!!this.outbox && this.outbox.hasPending(projectId));
+    }
+
+    // Handle a 409 from the registry: someone else saved this project first
+    handleConflict(result) {
+        if (result.data && result.data.current) {
+            this.replaceLocalProject(result.data.current);
+        } else {
+            this.loadProjectsFromApi();
+        }
+        if (window.showToast) {
+            window.showToast('This project was changed by someone else. The latest version has been loaded - please re-apply your changes.', 'error');
+        }
+    }
+
     // Initialize with empty projects or load from localStorage
     initializeDefaultProjects() {
         // Try to load from localStorage first
@@ -99,118 +233,381 @@ class AzureBlobManager {
         this.updateStats();
     }
 
-    // List blobs in container
-    async listBlobs() {
+    // Ask the backend for a SAS scoped to project-{id}/{type}/{name}; pass blobName to resume.
+    // With a content hash the backend may answer { duplicate: true } and point at an existing blob.
+    async requestUploadSas(projectId, artifactType, fileName, blobName = null, content = {}) {
+        const response = await fetch(UPLOAD_SAS_API, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                projectId,
+                artifactType,
+                fileName,
+                blobName,
+                contentHash: content.contentHash,
+                sizeBytes: content.sizeBytes
+            })
+        });
+
+        if (!response.ok) {
+            const error = new Error(`Upload SAS request failed with status ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        return response.json();
+    }
+
+    // Trade an artifact version's blobUrl for a signed URL that can actually be fetched.
+    // The URL expires within minutes, so request one per download rather than caching it.
+    async requestDownloadUrl(blobUrl) {
+        const response = await fetch(DOWNLOAD_SAS_API, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ blobUrl })
+        });
+
+        if (!response.ok) {
+            const error = new Error(`Download SAS request failed with status ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        const { downloadUrl } = await response.json();
+        return downloadUrl;
+    }
+
+    // SHA-256 of the file contents as lowercase hex (large files are hashed slice by slice)
+    async computeContentHash(file) {
+        return window.hashBlob(file);
+    }
+
+    // Record an uploaded blob as the next version of its artifact (matched by type + name)
+    async recordArtifactVersion(projectId, details) {
+        const response = await fetch(`${PROJECTS_API}/${encodeURIComponent(projectId)}/artifacts`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(details)
+        });
+
+        if (!response.ok) {
+            const error = new Error(`Recording artifact version failed with status ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        const result = await response.json();
+        this.replaceLocalProject(result.project);
+        return result.artifact;
+    }
+
+    // Re-publish an older version as the newest one
+    async restoreArtifactVersion(projectId, artifactId, version) {
         try {
-            const response = await fetch(`${BLOB_BASE_URL}?restype=container&comp=list`);
-            if (response.ok) {
-                const text = await response.text();
-                const parser = new DOMParser();
-                const xml = parser.parseFromString(text, 'text/xml');
-                const blobs = xml.getElementsByTagName('Blob');
-                
-                const blobList = [];
-                for (let blob of blobs) {
-                    const name = blob.getElementsByTagName('Name')[0].textContent;
-                    const url = blob.getElementsByTagName('Url')[0].textContent;
-                    const size = blob.getElementsByTagName('Properties')[0]
-                        .getElementsByTagName('Content-Length')[0].textContent;
-                    
-                    blobList.push({ name, url, size });
-                }
-                return blobList;
+            const response = await fetch(`${PROJECTS_API}/${encodeURIComponent(projectId)}/artifacts/${encodeURIComponent(artifactId)}/restore`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ version })
+            });
+
+            if (!response.ok) {
+                throw new Error(`Restore failed with status ${response.status}`);
             }
+
+            const result = await response.json();
+            this.replaceLocalProject(result.project);
+            return result.artifact;
         } catch (error) {
-            console.error('Error listing blobs:', error);
+            console.error('Error restoring artifact version:', error);
+            return null;
         }
-        return [];
     }
 
-    // Upload file to blob storage
-    async uploadFile(file, projectId, artifactType) {
-        const fileName = `project-${projectId}/${artifactType}/${Date.now()}-${file.name}`;
-        const blobUrl = `${BLOB_BASE_URL}/${fileName}`;
-        const uploadUrl = `${blobUrl}?${SAS_TOKEN}`;
-        
+    // Publish the current version to the client portal, or withdraw it
+    async setArtifactReleased(projectId, artifactId, released) {
         try {
-            // Upload using SAS token
-            const response = await fetch(uploadUrl, {
+            const response = await fetch(`${PROJECTS_API}/${encodeURIComponent(projectId)}/artifacts/${encodeURIComponent(artifactId)}/release`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ released })
+            });
+
+            if (!response.ok) {
+                throw new Error(`Release failed with status ${response.status}`);
+            }
+
+            const result = await response.json();
+            this.replaceLocalProject(result.project);
+            return result.artifact;
+        } catch (error) {
+            console.error('Error releasing artifact:', error);
+            return null;
+        }
+    }
+
+    // Version list for an artifact; records from before versioning count as a single version
+    getArtifactVersions(artifact) {
+        if (Array.isArray(artifact.versions)) {
+            return artifact.versions;
+        }
+        return artifact.blobUrl ? [{
+            version: 1,
+            blobUrl: artifact.blobUrl,
+            size: artifact.size,
+            uploadDate: artifact.uploadDate
+        }] : [];
+    }
+
+    // Persisted block-upload state, keyed by the file's identity so a reload can pick it up
+    getUploadStateKey(file, projectId, artifactType) {
+        return `${UPLOAD_STATE_PREFIX}${projectId}|${artifactType}|${file.name}|${file.size}|${file.lastModified}`;
+    }
+
+    loadUploadState(file, projectId, artifactType) {
+        const key = this.getUploadStateKey(file, projectId, artifactType);
+        try {
+            const state = JSON.parse(localStorage.getItem(key));
+            if (state && Date.now() - state.startedAt < UPLOAD_STATE_MAX_AGE_MS) {
+                return state;
+            }
+        } catch (e) {
+            // Corrupt state - start over
+        }
+        localStorage.removeItem(key);
+        return null;
+    }
+
+    saveUploadState(file, projectId, artifactType, state) {
+        localStorage.setItem(this.getUploadStateKey(file, projectId, artifactType), JSON.stringify(state));
+    }
+
+    clearUploadState(file, projectId, artifactType) {
+        localStorage.removeItem(this.getUploadStateKey(file, projectId, artifactType));
+    }
+
+    // Fraction of a file already staged by an earlier session (0 when there is nothing to resume)
+    getResumeProgress(file, projectId, artifactType) {
+        const state = this.loadUploadState(file, projectId, artifactType);
+        if (!state) return 0;
+        const blockCount = Math.ceil(file.size / state.blockSize);
+        return state.completed.length / blockCount;
+    }
+
+    // Same-length ids are required within a blob; zero-padding the index guarantees that
+    getBlockId(index) {
+        return btoa(`block-${String(index).padStart(6, '0')}`);
+    }
+
+    // PUT with retry and exponential backoff; a 403 usually means the SAS expired, so refresh it
+    async putWithRetry(buildUrl, init, sasHolder) {
+        let lastError;
+        for (let attempt = 0; attempt < UPLOAD_BLOCK_ATTEMPTS; attempt++) {
+            if (attempt > 0) {
+                await new Promise(resolve => setTimeout(resolve, 1000 * Math.pow(2, attempt - 1)));
+            }
+            try {
+                const response = await fetch(buildUrl(sasHolder.uploadUrl), init);
+                if (response.ok) {
+                    return response;
+                }
+                if (response.status === 403) {
+                    await sasHolder.refresh();
+                }
+                lastError = new Error(`Storage returned ${response.status}`);
+            } catch (error) {
+                lastError = error;
+            }
+        }
+        throw lastError;
+    }
+
+    // Stage the file as blocks in parallel, then commit the block list
+    async uploadInBlocks(file, sas, { projectId, artifactType, state, onProgress }) {
+        const blockCount = Math.ceil(file.size / state.blockSize);
+        const completed = new Set(state.completed);
+        const pending = [];
+        for (let i = 0; i < blockCount; i++) {
+            if (!completed.has(i)) pending.push(i);
+        }
+
+        const blockBytes = index => Math.min(state.blockSize, file.size - index * state.blockSize);
+        let loaded = Array.from(completed).reduce((sum, index) => sum + blockBytes(index), 0);
+        onProgress(loaded, file.size);
+
+        const sasHolder = {
+            uploadUrl: sas.uploadUrl,
+            refresh: async () => {
+                const fresh = await this.requestUploadSas(projectId, artifactType, file.name, state.blobName);
+                sasHolder.uploadUrl = fresh.uploadUrl;
+            }
+        };
+
+        const worker = async () => {
+            while (pending.length > 0) {
+                const index = pending.shift();
+                const start = index * state.blockSize;
+                await this.putWithRetry(
+                    url => `${url}&comp=block&blockid=${encodeURIComponent(this.getBlockId(index))}`,
+                    { method: 'PUT', body: file.slice(start, start + state.blockSize) },
+                    sasHolder
+                );
+
+                completed.add(index);
+                state.completed = Array.from(completed);
+                this.saveUploadState(file, projectId, artifactType, state);
+                loaded += blockBytes(index);
+                onProgress(loaded, file.size);
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(UPLOAD_CONCURRENCY, pending.length) }, worker));
+
+        const blockList = Array.from({ length: blockCount }, (_, i) => `<Latest>${this.getBlockId(i)}</Latest>`).join('');
+        await this.putWithRetry(
+            url => `${url}&comp=blocklist`,
+            {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/xml',
+                    'x-ms-blob-content-type': file.type || 'application/octet-stream',
+                    'x-ms-meta-sha256': state.contentHash
+                },
+                body: `<?xml version="1.0" encoding="utf-8"?><BlockList>${blockList}</BlockList>`
+            },
+            sasHolder
+        );
+    }
+
+    // Upload a file and record it as an artifact version; throws on failure
+    // (error.status carries the HTTP status, error.resumable marks staged block uploads)
+    async performUpload(file, projectId, artifactType, options = {}) {
+        const onProgress = options.onProgress || (() => {});
+        const chunked = file.size > CHUNKED_UPLOAD_THRESHOLD;
+
+        let resumeState = chunked ? this.loadUploadState(file, projectId, artifactType) : null;
+        const contentHash = options.contentHash ||
+            (resumeState && resumeState.contentHash) ||
+            await this.computeContentHash(file);
+        let sas;
+        try {
+            sas = await this.requestUploadSas(projectId, artifactType, file.name,
+                resumeState && resumeState.blobName, { contentHash, sizeBytes: file.size });
+        } catch (error) {
+            // 409: the blob we were resuming has been recorded since, so start a fresh upload
+            if (error.status !== 409 || !resumeState) throw error;
+            this.clearUploadState(file, projectId, artifactType);
+            resumeState = null;
+            sas = await this.requestUploadSas(projectId, artifactType, file.name, null, { contentHash, sizeBytes: file.size });
+        }
+
+        if (sas.duplicate) {
+            // Same bytes are already stored; record a version that points at them
+            onProgress(file.size, file.size);
+        } else if (chunked) {
+            const state = resumeState || {
+                blobName: sas.blobName,
+                blockSize: UPLOAD_BLOCK_SIZE,
+                completed: [],
+                contentHash,
+                startedAt: Date.now()
+            };
+            this.saveUploadState(file, projectId, artifactType, state);
+
+            try {
+                await this.uploadInBlocks(file, sas, { projectId, artifactType, state, onProgress });
+            } catch (error) {
+                // Staged blocks are kept; picking the same file again resumes from here
+                error.resumable = true;
+                throw error;
+            }
+        } else {
+            // Upload using the per-upload SAS
+            const response = await fetch(sas.uploadUrl, {
                 method: 'PUT',
                 headers: {
                     'x-ms-blob-type': 'BlockBlob',
                     'Content-Type': file.type || 'application/octet-stream',
-                    'x-ms-blob-content-type': file.type || 'application/octet-stream'
+                    'x-ms-blob-content-type': file.type || 'application/octet-stream',
+                    'x-ms-meta-sha256': contentHash
                 },
                 body: file
             });
+            if (!response.ok) {
+                const error = new Error(`Storage returned ${response.status}`);
+                error.status = response.status;
+                throw error;
+            }
+            onProgress(file.size, file.size);
+        }
 
-            if (response.ok || response.status === 201) {
-                // Convert to string for comparison since project IDs are now strings
-                const project = this.projects.find(p => String(p.id) === String(projectId));
-                if (project) {
-                    const artifact = {
-                        name: file.name,
-                        type: artifactType,
-                        size: `${(file.size / 1024 / 1024).toFixed(2)} MB`,
-                        icon: this.getIconForType(artifactType),
-                        blobUrl: blobUrl,
-                        uploadDate: new Date().toISOString()
-                    };
-                    
-                    project.artifacts.push(artifact);
-                    await this.saveProjectsToBlob();
-                    this.saveProjectsToLocalStorage();
-                    return true;
-                }
-            } else {
-                // Fallback to localStorage only
-                // Convert to string for comparison since project IDs are now strings
-                const project = this.projects.find(p => String(p.id) === String(projectId));
-                if (project) {
-                    const artifact = {
-                        name: file.name,
-                        type: artifactType,
-                        size: `${(file.size / 1024 / 1024).toFixed(2)} MB`,
-                        icon: this.getIconForType(artifactType),
-                        blobUrl: blobUrl,
-                        uploadDate: new Date().toISOString(),
-                        localOnly: true
-                    };
-                    
-                    project.artifacts.push(artifact);
-                    this.saveProjectsToLocalStorage();
-                    return true;
-                }
+        const artifact = await this.recordArtifactVersion(projectId, {
+            name: file.name,
+            type: artifactType,
+            icon: this.getIconForType(artifactType),
+            blobName: sas.blobName,
+            contentType: file.type || 'application/octet-stream',
+            contentHash,
+            workflowId: options.workflowId
+        });
+        if (chunked && !sas.duplicate) {
+            this.clearUploadState(file, projectId, artifactType);
+        }
+        return artifact;
+    }
+
+    // Upload file to blob storage. Uploads that fail for connectivity reasons are queued
+    // in the outbox and shown as pending until they sync; pass localFallback: false to
+    // get a plain failure instead.
+    async uploadFile(file, projectId, artifactType, options = {}) {
+        const canQueue = options.localFallback !== false;
+
+        try {
+            if (canQueue && this.hasQueuedWork(projectId) && this.outbox && this.outbox.available) {
+                // The project itself is still waiting to sync; the upload has to wait behind it
+                await this.queueUpload(file, projectId, artifactType, options);
+                return true;
             }
+            return !!(await this.performUpload(file, projectId, artifactType, options));
         } catch (error) {
             console.error('Upload error:', error);
-            // Fallback to localStorage
-            // Convert to string for comparison since project IDs are now strings
-            const project = this.projects.find(p => String(p.id) === String(projectId));
-            if (project) {
-                const artifact = {
-                    name: file.name,
-                    type: artifactType,
-                    size: `${(file.size / 1024 / 1024).toFixed(2)} MB`,
-                    icon: this.getIconForType(artifactType),
-                    blobUrl: blobUrl,
-                    uploadDate: new Date().toISOString(),
-                    localOnly: true
-                };
-                
-                project.artifacts.push(artifact);
-                this.saveProjectsToLocalStorage();
+            if (!canQueue || !this.shouldQueue(error.status)) {
+                return false;
+            }
+
+            try {
+                await this.queueUpload(file, projectId, artifactType, options);
                 return true;
+            } catch (queueError) {
+                console.error('Could not queue upload for later:', queueError);
+                return false;
             }
-            return false;
         }
     }
 
-    // Download artifact
-    async downloadArtifact(blobUrl, filename) {
+    async queueUpload(file, projectId, artifactType, options) {
+        await this.outbox.enqueueUpload(file, projectId, artifactType, options);
+        this.saveProjectsToLocalStorage();
+        if (window.showToast) {
+            window.showToast(`${file.name} will upload when the connection returns`, 'info');
+        }
+    }
+
+    // Download artifact; with an expected SHA-256 the bytes are checked before they are saved
+    async downloadArtifact(blobUrl, filename, expectedHash = null) {
         try {
-            const response = await fetch(blobUrl);
+            const response = await fetch(await this.requestDownloadUrl(blobUrl));
+            if (!response.ok) {
+                throw new Error(`Download failed with status ${response.status}`);
+            }
             const blob = await response.blob();
+
+            if (expectedHash) {
+                const actualHash = await this.computeContentHash(blob);
+                if (actualHash !== expectedHash) {
+                    console.error(`Integrity check failed for ${blobUrl}: expected ${expectedHash}, got ${actualHash}`);
+                    window.showToast(`${filename} failed its integrity check and was not saved`, 'error');
+                    return false;
+                }
+            }
+
             const url = window.URL.createObjectURL(blob);
             const a = document.createElement('a');
             a.href = url;
@@ -219,9 +616,11 @@ class AzureBlobManager {
             a.click();
             window.URL.revokeObjectURL(url);
             document.body.removeChild(a);
+            return true;
         } catch (error) {
             console.error('Download error:', error);
             window.showToast('Error downloading file', 'error');
+            return false;
         }
     }
 
@@ -241,35 +640,17 @@ class AzureBlobManager {
 
     // Save projects to localStorage
     saveProjectsToLocalStorage() {
+        // Queued offline changes stay visible on top of whatever the server last sent
+        if (this.outbox) {
+            this.outbox.overlayPending(this.projects);
+        }
         localStorage.setItem('saxtech_projects', JSON.stringify(this.projects));
+        // Keep the page's global list pointing at the same array
+        window.projects = this.projects;
         this.renderProjects();
         this.updateStats();
     }
 
-    // Save projects metadata to blob storage
-    async saveProjectsToBlob() {
-        try {
-            const projectsJson = JSON.stringify(this.projects, null, 2);
-            const blob = new Blob([projectsJson], { type: 'application/json' });
-            const uploadUrl = `${BLOB_BASE_URL}/projects.json?${SAS_TOKEN}`;
-            
-            const response = await fetch(uploadUrl, {
-                method: 'PUT',
-                headers: {
-                    'x-ms-blob-type': 'BlockBlob',
-                    'Content-Type': 'application/json',
-                    'x-ms-blob-content-type': 'application/json'
-                },
-                body: blob
-            });
-            
-            return response.ok || response.status === 201;
-        } catch (error) {
-            console.error('Error saving projects to blob:', error);
-            return false;
-        }
-    }
-
     // Load projects from localStorage
     loadProjectsFromLocalStorage() {
         const stored = localStorage.getItem('saxtech_projects');
@@ -294,21 +675,206 @@ class AzureBlobManager {
         }
     }
 
-    // Create new project
-    createProject(projectData) {
-        // Generate a unique ID using timestamp and random string
-        const uniqueId = `proj_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-        const newProject = {
-            id: uniqueId,
+    // Create new project - the registry assigns the id and ETag
+    async createProject(projectData) {
+        const data = {
+            status: 'active',
             ...projectData,
-            artifacts: [],
-            created: new Date(),
-            status: "active"
+            artifacts: projectData.artifacts || []
         };
-        
-        this.projects.unshift(newProject);
+
+        let result;
+        try {
+            result = await this.projectsRequest('POST', null, data);
+        } catch (error) {
+            result = { ok: false, status: 0, data: error.message };
+        }
+
+        if (result.ok) {
+            this.replaceLocalProject(result.data);
+            return result.data;
+        }
+        if (this.shouldQueue(result.status)) {
+            return this.queueCreate(data);
+        }
+
+        this.reportSaveError('create', result);
+        return null;
+    }
+
+    async queueCreate(data) {
+        const tempId = `${LOCAL_PROJECT_PREFIX}${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        try {
+            await this.outbox.enqueueCreate(tempId, data);
+        } catch (error) {
+            this.reportSaveError('create', { status: 0, data: error.message });
+            return null;
+        }
+
+        this.saveProjectsToLocalStorage();
+        return this.getProject(tempId);
+    }
+
+    // Update a project with optimistic concurrency; returns null on failure or conflict.
+    // Offline, the edit is applied locally and queued.
+    async updateProject(projectId, changes) {
+        const project = this.getProject(projectId);
+        if (!project) {
+            return null;
+        }
+
+        let result = { ok: false, status: 0, data: null };
+        if (!this.hasQueuedWork(project.id)) {
+            try {
+                result = await this.projectsRequest('PATCH', project.id, changes, project.etag);
+            } catch (error) {
+                result = { ok: false, status: 0, data: error.message };
+            }
+        }
+
+        if (result.ok) {
+            this.replaceLocalProject(result.data);
+            return result.data;
+        }
+        if (result.status === 409) {
+            this.handleConflict(result);
+            return null;
+        }
+        if (this.shouldQueue(result.status)) {
+            try {
+                await this.outbox.enqueueUpdate(project.id, changes, project.etag);
+                this.saveProjectsToLocalStorage();
+                return this.getProject(project.id);
+            } catch (error) {
+                result = { ok: false, status: 0, data: error.message };
+            }
+        }
+
+        this.reportSaveError('update', result);
+        return null;
+    }
+
+    // Apply a change computed from the latest copy of a project. On a conflict the
+    // server's copy is swapped in and the change recomputed, so additive edits such
+    // as appending an artifact never clobber someone else's save.
+    async mutateProject(projectId, buildChanges, attempts = 3) {
+        for (let attempt = 0; attempt < attempts; attempt++) {
+            const project = this.getProject(projectId);
+            if (!project) {
+                return null;
+            }
+
+            try {
+                const result = await this.projectsRequest('PATCH', project.id, buildChanges(project), project.etag);
+
+                if (result.ok) {
+                    this.replaceLocalProject(result.data);
+                    return result.data;
+                }
+                if (result.status !== 409 || !result.data || !result.data.current) {
+                    console.error('Error updating project:', result.status, result.data);
+                    return null;
+                }
+
+                this.replaceLocalProject(result.data.current);
+            } catch (error) {
+                console.error('Error updating project:', error);
+                return null;
+            }
+        }
+
+        console.error(`Gave up updating project ${projectId} after ${attempts} conflicting edits`);
+        return null;
+    }
+
+    // Delete a project; returns true once the registry has removed it (or, offline,
+    // once the delete is queued)
+    async deleteProject(projectId) {
+        const project = this.getProject(projectId);
+        if (!project) {
+            return false;
+        }
+
+        let result = { ok: false, status: 0, data: null };
+        if (!this.hasQueuedWork(project.id)) {
+            try {
+                result = await this.projectsRequest('DELETE', project.id, null, project.etag);
+            } catch (error) {
+                result = { ok: false, status: 0, data: error.message };
+            }
+        }
+
+        if (result.status === 409) {
+            this.handleConflict(result);
+            return false;
+        }
+        if (!result.ok && result.status !== 404) {
+            if (!this.shouldQueue(result.status)) {
+                this.reportSaveError('delete', result);
+                return false;
+            }
+            try {
+                await this.outbox.enqueueDelete(project.id, project.etag);
+            } catch (error) {
+                this.reportSaveError('delete', { status: 0, data: error.message });
+                return false;
+            }
+        }
+
+        this.projects = this.projects.filter(p => String(p.id) !== String(project.id));
         this.saveProjectsToLocalStorage();
-        return newProject;
+        return true;
+    }
+
+    // A project's audit trail, newest first; null when it can't be loaded
+    async getProjectActivity(projectId, limit = 25) {
+        if (String(projectId).startsWith(LOCAL_PROJECT_PREFIX)) {
+            return [];
+        }
+        try {
+            const response = await fetch(`${AUDIT_API}?projectId=${encodeURIComponent(projectId)}&limit=${limit}`);
+            if (!response.ok) {
+                return null;
+            }
+            const data = await response.json();
+            return data.entries || [];
+        } catch (error) {
+            console.error('Error loading project activity:', error);
+            return null;
+        }
+    }
+
+    // A project's monthly cost and margin, oldest month first; null when unavailable
+    async getProjectCosts(projectId, months = 6) {
+        if (String(projectId).startsWith(LOCAL_PROJECT_PREFIX)) {
+            return [];
+        }
+        try {
+            const response = await fetch(`${PROJECT_COSTS_API}/${encodeURIComponent(projectId)}?months=${months}`);
+            if (!response.ok) {
+                return null;
+            }
+            const data = await response.json();
+            return data.history || [];
+        } catch (error) {
+            console.error('Error loading project costs:', error);
+            return null;
+        }
+    }
+
+    // Ranked full-text hits the user can see; null when search is unavailable
+    async searchContent(query, limit = 20) {
+        try {
+            const response = await fetch(`${SEARCH_API}?q=${encodeURIComponent(query)}&limit=${limit}`);
+            if (!response.ok) {
+                return null;
+            }
+            const data = await response.json();
+            return data.results || [];
+        } catch (error) {
+            console.error('Error searching content:', error);
+            return null;
+        }
     }
 
     // Get all projects
@@ -0,0 +1,174 @@
+// Client portal share links - owners create and revoke expiring read-only links per client
+(function() {
+    'use strict';
+
+    const SHARES_API = '/api/shares';
+    const EXPIRY_OPTIONS = [7, 30, 90, 365];
+
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    async function sharesRequest(path = '', method = 'GET', body = null) {
+        const response = await fetch(`${SHARES_API}${path}`, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error || `Request failed with status ${response.status}`);
+        }
+        return data;
+    }
+
+    // The token travels in the fragment so it never reaches server logs or Referer headers
+    function portalUrl(token) {
+        return `${window.location.origin}/portal.html#share=${encodeURIComponent(token)}`;
+    }
+
+    function linkStatus(link) {
+        if (link.revokedAt) return `<span style="color: #ef4444;">revoked ${new Date(link.revokedAt).toLocaleDateString()}</span>`;
+        if (!link.active) return `<span style="color: #f59e0b;">expired ${new Date(link.expiresAt).toLocaleDateString()}</span>`;
+        return `<span style="color: var(--sax-success);">expires ${new Date(link.expiresAt).toLocaleDateString()}</span>`;
+    }
+
+    function renderLinks(modal, client, links) {
+        const list = modal.querySelector('.share-links');
+        if (links.length === 0) {
+            list.innerHTML = '<div style="color: var(--sax-text-dim); padding: 12px 0;">No share links yet.</div>';
+            return;
+        }
+
+        list.innerHTML = links.map(link => `
+            <div class="artifact-item" style="cursor: default;">
+                <div class="artifact-info">
+                    <div class="artifact-icon">🔗</div>
+                    <div>
+                        <div class="artifact-name">${escapeHtml(link.label || 'Untitled link')}</div>
+                        <div style="font-size: 11px; color: var(--sax-text-dim);">
+                            ${escapeHtml(link.createdBy)} · ${new Date(link.createdAt).toLocaleDateString()} · ${linkStatus(link)}
+                            ${link.lastUsedAt ? ` · last opened ${new Date(link.lastUsedAt).toLocaleString()}` : ''}
+                        </div>
+                    </div>
+                </div>
+                <div class="artifact-meta">
+                    ${link.active ? `
+                    <button class="btn-icon-small" data-revoke="${escapeHtml(link.id)}" title="Revoke link">
+                        <span style="font-size: 12px;">✖</span>
+                    </button>` : ''}
+                </div>
+            </div>
+        `).join('');
+
+        list.querySelectorAll('[data-revoke]').forEach(button => {
+            button.addEventListener('click', async () => {
+                if (!confirm('Revoke this link? Anyone using it loses access immediately.')) return;
+                try {
+                    await sharesRequest(`/${encodeURIComponent(button.dataset.revoke)}`, 'DELETE');
+                    await loadLinks(modal, client);
+                    window.showToast('Link revoked');
+                } catch (error) {
+                    console.error('Error revoking share link:', error);
+                    window.showToast(error.message, 'error');
+                }
+            });
+        });
+    }
+
+    async function loadLinks(modal, client) {
+        try {
+            const data = await sharesRequest(`?client=${encodeURIComponent(client)}`);
+            renderLinks(modal, client, data.links);
+        } catch (error) {
+            console.error('Error loading share links:', error);
+            modal.querySelector('.share-links').innerHTML =
+                `<div style="padding: 12px 0; color: #ef4444;">Could not load share links: ${escapeHtml(error.message)}</div>`;
+        }
+    }
+
+    // The full URL is only available now; afterwards the server only knows its hash
+    function showNewLink(modal, token) {
+        const url = portalUrl(token);
+        const box = modal.querySelector('.share-new');
+        box.style.display = 'block';
+        box.innerHTML = `
+            <div style="font-size: 12px; color: var(--sax-text-dim); margin-bottom: 6px;">Copy this link now - it won't be shown again.</div>
+            <div style="display: flex; gap: 8px;">
+                <input class="form-input" type="text" readonly value="${escapeHtml(url)}" style="flex: 1; font-family: monospace; font-size: 12px;">
+                <button class="btn btn-secondary" type="button">Copy</button>
+            </div>
+        `;
+        const input = box.querySelector('input');
+        input.select();
+        box.querySelector('button').addEventListener('click', async () => {
+            try {
+                await navigator.clipboard.writeText(url);
+                window.showToast('Link copied');
+            } catch (error) {
+                input.select();
+                document.execCommand('copy');
+                window.showToast('Link copied');
+            }
+        });
+    }
+
+    async function showClientShares(client) {
+        const modal = document.createElement('div');
+        modal.className = 'modal active';
+        modal.innerHTML = `
+            <div class="modal-content" style="max-width: 680px; width: 90%;">
+                <div class="modal-header">
+                    <h2 class="modal-title">${escapeHtml(client)} - Client Portal</h2>
+                    <button class="close-modal" onclick="this.closest('.modal').remove()">×</button>
+                </div>
+                <div class="modal-body">
+                    <div style="font-size: 13px; color: var(--sax-text-dim); margin-bottom: 12px;">
+                        Links open a read-only view of ${escapeHtml(client)}'s projects and released artifacts.
+                        Client users with a guest account can instead be granted access to ${escapeHtml(client)} by an admin and sign in to the portal.
+                    </div>
+                    <form class="share-add" style="display: flex; gap: 8px; margin-bottom: 12px;">
+                        <input class="form-input" type="text" name="label" placeholder="Who is this link for?" maxlength="200" style="flex: 1;">
+                        <select class="form-select" name="expiresInDays" style="width: auto;">
+                            ${EXPIRY_OPTIONS.map(days => `<option value="${days}" ${days === 30 ? 'selected' : ''}>${days} days</option>`).join('')}
+                        </select>
+                        <button class="btn btn-primary" type="submit">Create Link</button>
+                    </form>
+                    <div class="share-new" style="display: none; margin-bottom: 16px;"></div>
+                    <div class="artifact-list share-links"><div class="loading-spinner"></div></div>
+                </div>
+                <div class="modal-footer">
+                    <button class="btn btn-secondary" onclick="this.closest('.modal').remove()">Close</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        modal.querySelector('.share-add').addEventListener('submit', async event => {
+            event.preventDefault();
+            const form = event.target;
+            try {
+                const link = await sharesRequest('', 'POST', {
+                    client,
+                    label: form.label.value.trim(),
+                    expiresInDays: parseInt(form.expiresInDays.value, 10)
+                });
+                showNewLink(modal, link.token);
+                form.label.value = '';
+                await loadLinks(modal, client);
+            } catch (error) {
+                console.error('Error creating share link:', error);
+                window.showToast(error.message, 'error');
+            }
+        });
+
+        await loadLinks(modal, client);
+    }
+
+    window.showClientShares = showClientShares;
+})();
@@ -0,0 +1,115 @@
+// Content search - full-text hits from the search API, shown under the dashboard's search box
+(function() {
+    'use strict';
+
+    const DEBOUNCE_MS = 300;
+    const MIN_QUERY_LENGTH = 2;
+
+    let timer = null;
+    let lastQuery = '';
+    let hits = [];
+    let sequence = 0;
+
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // Wrap the API's [start, end) ranges in <mark>, escaping everything else
+    function highlight(text, ranges) {
+        let html = '';
+        let position = 0;
+        (ranges || []).forEach(([start, end]) => {
+            html += escapeHtml(text.substring(position, start));
+            html += `<mark>${escapeHtml(text.substring(start, end))}</mark>`;
+            position = end;
+        });
+        return html + escapeHtml(text.substring(position));
+    }
+
+    function render() {
+        const container = document.getElementById('contentSearchResults');
+        if (!container) return;
+
+        if (!lastQuery || hits.length === 0) {
+            container.style.display = 'none';
+            container.innerHTML = '';
+            return;
+        }
+
+        container.style.display = 'block';
+        container.innerHTML = `
+            <div class="artifacts-header">Matches in project details and artifact contents (${hits.length})</div>
+            ${hits.map((hit, index) => `
+                <div class="search-hit" data-hit="${index}">
+                    <div class="search-hit-title">
+                        <span>${hit.kind === 'artifact' ? '📄' : '📁'}</span>
+                        <span>${highlight(hit.title, hit.titleHighlights)}</span>
+                        ${hit.version ? `<span class="artifact-type">v${hit.version}</span>` : ''}
+                        <span class="search-hit-project">${escapeHtml(hit.projectName)} · ${escapeHtml(hit.client || '')}</span>
+                    </div>
+                    <div class="search-hit-snippet">${highlight(hit.snippet, hit.highlights)}</div>
+                </div>
+            `).join('')}
+        `;
+
+        container.querySelectorAll('[data-hit]').forEach(element => {
+            element.addEventListener('click', () => openHit(hits[parseInt(element.dataset.hit, 10)]));
+        });
+    }
+
+    function openHit(hit) {
+        if (hit.kind !== 'artifact') {
+            window.showProjectSummary(hit.projectId);
+            return;
+        }
+
+        const project = (window.projects || []).find(p => String(p.id) === String(hit.projectId));
+        const artifact = project && project.artifacts.find(a => a.artifactId === hit.artifactId);
+        if (!artifact) {
+            window.showToast('Artifact not found', 'error');
+            return;
+        }
+        window.viewArtifact(project.id, artifact.name, artifact.type, artifact.blobUrl || '');
+    }
+
+    // Debounced; results re-run the dashboard filter so projects with content hits stay visible
+    function search(query) {
+        const trimmed = String(query || '').trim();
+        if (trimmed === lastQuery) return;
+
+        clearTimeout(timer);
+        lastQuery = trimmed;
+        hits = [];
+        render();
+        if (trimmed.length < MIN_QUERY_LENGTH || !window.blobManager) return;
+
+        timer = setTimeout(async () => {
+            const current = ++sequence;
+            const results = await window.blobManager.searchContent(trimmed);
+            // A newer query has been typed since this one went out
+            if (current !== sequence || trimmed !== lastQuery) return;
+
+            hits = results || [];
+            render();
+            if (hits.length > 0 && window.filterProjects) {
+                window.filterProjects();
+            }
+        }, DEBOUNCE_MS);
+    }
+
+    // Projects with a content hit for this query (empty until its results arrive)
+    function matchingProjectIds(query) {
+        if (String(query || '').trim() !== lastQuery) return new Set();
+        return new Set(hits.map(hit => String(hit.projectId)));
+    }
+
+    window.contentSearch = {
+        search,
+        matchingProjectIds
+    };
+})();
@@ -49,6 +49,14 @@ fi
 
 cd ..
 
+# Artifacts are only ever handed out through short-lived SAS URLs issued by the API
+echo "Making the artifacts container private..."
+az storage container set-permission \
+    --account-name $STORAGE_ACCOUNT \
+    --name artifacts \
+    --public-access off \
+    --auth-mode login
+
 # Deploy Dashboard
 echo ""
 echo "========================================="
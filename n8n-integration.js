@@ -124,40 +124,20 @@ class N8NIntegration {
             // Generate consistent filename (no timestamp to avoid duplicates)
             const filename = `workflow_${workflowData.name || parsed.workflowId}.json`;
             
-            // Store in blob storage - check for existing artifact first
-            if (window.blobManager) {
-                const project = window.blobManager.projects.find(p => String(p.id) === String(projectId));
-                if (project) {
-                    // Check if artifact with this name already exists
-                    const existingArtifactIndex = project.artifacts.findIndex(a => 
-                        a.name === filename || 
-                        (a.name && a.name.startsWith(`workflow_${workflowData.name || parsed.workflowId}`))
-                    );
-                    
-                    if (existingArtifactIndex >= 0) {
-                        // Update existing artifact
-                        project.artifacts[existingArtifactIndex] = {
-                            name: filename,
-                            type: 'N8N',
-                            icon: '⚙️',
-                            size: `${(blob.size / 1024).toFixed(2)} KB`,
-                            uploadDate: new Date().toISOString(),
-                            workflowId: parsed.workflowId
-                        };
-                    } else {
-                        // Add new artifact
-                        project.artifacts.push({
-                            name: filename,
-                            type: 'N8N',
-                            icon: '⚙️',
-                            size: `${(blob.size / 1024).toFixed(2)} KB`,
-                            uploadDate: new Date().toISOString(),
-                            workflowId: parsed.workflowId
-                        });
-                    }
-                    
-                    // Save updated project
-                    await window.blobManager.saveProjectsToBlob();
+            // Store the export as a new version of the workflow's artifact, unless it is unchanged
+            const project = window.blobManager && window.blobManager.getProject(projectId);
+            if (project) {
+                const file = new File([blob], filename, { type: 'application/json' });
+                const contentHash = await window.blobManager.computeContentHash(file);
+                const existing = project.artifacts.find(a => a.type === 'N8N' && a.name === filename);
+                
+                if (!existing || existing.contentHash !== contentHash) {
+                    await window.blobManager.uploadFile(file, projectId, 'N8N', {
+                        contentHash,
+                        workflowId: parsed.workflowId,
+                        // Background sync retries on its own; never leave local-only copies
+                        localFallback: false
+                    });
                 }
             }
             
@@ -0,0 +1,132 @@
+// Project access - owners grant and revoke roles on their own projects
+(function() {
+    'use strict';
+
+    const ROLES_API = '/api/roles';
+    // Admin is a global role and is granted from admin.html
+    const PROJECT_ROLES = ['viewer', 'contributor', 'project-owner'];
+
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    async function rolesRequest(projectId, method = 'GET', body = null) {
+        const response = await fetch(`${ROLES_API}/projects/${encodeURIComponent(projectId)}`, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error || `Request failed with status ${response.status}`);
+        }
+        return data;
+    }
+
+    function roleOptions(selected) {
+        return PROJECT_ROLES.map(role =>
+            `<option value="${role}" ${role === selected ? 'selected' : ''}>${role}</option>`
+        ).join('');
+    }
+
+    function renderMembers(modal, projectId, members) {
+        const list = modal.querySelector('.access-members');
+        if (members.length === 0) {
+            list.innerHTML = '<div style="color: var(--sax-text-dim); padding: 12px 0;">No one has been granted a role on this project yet. Staff defaults still apply.</div>';
+            return;
+        }
+
+        list.innerHTML = members.map(member => `
+            <div class="artifact-item" style="cursor: default;">
+                <div class="artifact-info">
+                    <div class="artifact-icon">👤</div>
+                    <div class="artifact-name">${escapeHtml(member.email)}</div>
+                </div>
+                <div class="artifact-meta">
+                    <select class="form-select" style="width: auto; padding: 4px 8px;" data-email="${escapeHtml(member.email)}">
+                        ${roleOptions(member.role)}
+                    </select>
+                    <button class="btn-icon-small" data-remove="${escapeHtml(member.email)}" title="Remove access">
+                        <span style="font-size: 12px;">✖</span>
+                    </button>
+                </div>
+            </div>
+        `).join('');
+
+        list.querySelectorAll('select[data-email]').forEach(select => {
+            select.addEventListener('change', () => updateRole(modal, projectId, select.dataset.email, select.value));
+        });
+        list.querySelectorAll('[data-remove]').forEach(button => {
+            button.addEventListener('click', () => {
+                if (confirm(`Remove ${button.dataset.remove}'s access to this project?`)) {
+                    updateRole(modal, projectId, button.dataset.remove, null);
+                }
+            });
+        });
+    }
+
+    async function updateRole(modal, projectId, email, role) {
+        try {
+            const data = await rolesRequest(projectId, 'PUT', { email, role });
+            renderMembers(modal, projectId, data.members);
+            window.showToast(role ? `${email} is now ${role}` : `Removed ${email}`);
+        } catch (error) {
+            console.error('Error updating project role:', error);
+            window.showToast(error.message, 'error');
+        }
+    }
+
+    async function showProjectAccess(projectId) {
+        const project = window.blobManager && window.blobManager.getProject(projectId);
+        if (!project) {
+            window.showToast('Project not found', 'error');
+            return;
+        }
+
+        const modal = document.createElement('div');
+        modal.className = 'modal active';
+        modal.innerHTML = `
+            <div class="modal-content" style="max-width: 640px; width: 90%;">
+                <div class="modal-header">
+                    <h2 class="modal-title">${escapeHtml(project.name)} - Access</h2>
+                    <button class="close-modal" onclick="this.closest('.modal').remove()">×</button>
+                </div>
+                <div class="modal-body">
+                    <div class="artifact-list access-members"><div class="loading-spinner"></div></div>
+                    <form class="access-add" style="display: flex; gap: 8px; margin-top: 16px;">
+                        <input class="form-input" type="email" name="email" placeholder="name@saxtechnology.com" required style="flex: 1;">
+                        <select class="form-select" name="role" style="width: auto;">${roleOptions('viewer')}</select>
+                        <button class="btn btn-primary" type="submit">Grant</button>
+                    </form>
+                </div>
+                <div class="modal-footer">
+                    <button class="btn btn-secondary" onclick="this.closest('.modal').remove()">Close</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        modal.querySelector('.access-add').addEventListener('submit', async event => {
+            event.preventDefault();
+            const form = event.target;
+            await updateRole(modal, projectId, form.email.value.trim(), form.role.value);
+            form.reset();
+        });
+
+        try {
+            const data = await rolesRequest(projectId);
+            renderMembers(modal, projectId, data.members);
+        } catch (error) {
+            console.error('Error loading project access:', error);
+            modal.querySelector('.access-members').innerHTML =
+                `<div style="padding: 12px 0; color: #ef4444;">Could not load access: ${escapeHtml(error.message)}</div>`;
+        }
+    }
+
+    window.showProjectAccess = showProjectAccess;
+})();
@@ -0,0 +1,209 @@
+// Project cards - shared by the dashboard (index.html) and the client portal (portal.html)
+(function() {
+    'use strict';
+
+    // Staff-only links and buttons; the portal renders read-only cards without them
+    function projectLinks(project, readOnly, can) {
+        if (readOnly) {
+            return `
+                ${project.projectUrl ? `<a href="${project.projectUrl}" target="_blank" class="link-btn" style="background: linear-gradient(135deg, rgba(0, 212, 255, 0.15), rgba(124, 58, 237, 0.15)); border-color: var(--sax-primary);"><span>🚀</span> Open Project</a>` : ''}
+                ${project.frontend ? `<a href="${project.frontend}" target="_blank" class="link-btn"><span>🌐</span> Live Site</a>` : ''}
+            `;
+        }
+
+        return `
+            ${project.projectUrl ? `<a href="${project.projectUrl}" target="_blank" class="link-btn" style="background: linear-gradient(135deg, rgba(0, 212, 255, 0.15), rgba(124, 58, 237, 0.15)); border-color: var(--sax-primary);"><span>🚀</span> Open Project</a>` : ''}
+            <a href="#" class="link-btn" onclick="showProjectSummary('${project.id}'); return false;"><span>📄</span> Project Summary</a>
+            ${project.github ? `<a href="${project.github}" target="_blank" class="link-btn"><span>⚡</span> GitHub${project.githubData && project.githubData.openIssues > 0 ? ` (${project.githubData.openIssues} issues)` : ''}</a>` : ''}
+            ${project.frontend ? `<a href="${project.frontend}" target="_blank" class="link-btn"><span>🌐</span> Live Site</a>` : ''}
+            ${(project.n8nWorkflows && project.n8nWorkflows.main) || project.n8nMainUrl ? `<a href="#" class="link-btn" onclick="showWorkflowPreview('${project.n8nWorkflows?.main || project.n8nMainUrl || ''}'); return false;"><span>⚙️</span> Workflow Preview</a>` : ''}
+            ${can(project, 'edit') ? `<a href="#" class="link-btn" onclick="editProject('${project.id}'); return false;"><span>✏️</span> Edit</a>` : ''}
+            ${can(project, 'manageAccess') && !project.pendingSync ? `<a href="#" class="link-btn" onclick="showProjectAccess('${project.id}'); return false;"><span>👥</span> Access</a>` : ''}
+            ${can(project, 'manageAccess') && !project.pendingSync && project.client ? `<a href="#" class="link-btn" onclick="showClientShares('${project.client}'); return false;"><span>🔗</span> Client Portal</a>` : ''}
+            ${can(project, 'delete') ? `<a href="#" class="link-btn" onclick="deleteProject('${project.id}'); return false;" style="background: rgba(239, 68, 68, 0.1); color: #ef4444;"><span>🗑️</span> Delete</a>` : ''}
+        `;
+    }
+
+    function artifactItem(project, artifact, readOnly, can) {
+        if (readOnly) {
+            return `
+                <div class="artifact-item" style="cursor: pointer;" onclick="downloadArtifact('${artifact.blobUrl || ''}', '${artifact.name}', '${artifact.contentHash || ''}')">
+                    <div class="artifact-info">
+                        <div class="artifact-icon">${artifact.icon}</div>
+                        <div class="artifact-name">${artifact.name}</div>
+                    </div>
+                    <div class="artifact-meta">
+                        <span class="artifact-type">${artifact.type}</span>
+                        <span class="artifact-size">${artifact.size}</span>
+                        ${artifact.version ? `<span class="artifact-type">v${artifact.version}</span>` : ''}
+                        <button class="btn-icon-small" onclick="downloadArtifact('${artifact.blobUrl || ''}', '${artifact.name}', '${artifact.contentHash || ''}'); event.stopPropagation();" title="Download">
+                            <span style="font-size: 12px;">⬇️</span>
+                        </button>
+                    </div>
+                </div>
+            `;
+        }
+
+        const versioned = artifact.artifactId && artifact.versions && artifact.versions.length > 0;
+        const releasedCurrent = versioned && artifact.releasedVersion === artifact.currentVersion;
+        return `
+            <div class="artifact-item" style="cursor: pointer;" onclick="viewArtifact('${project.id}', '${artifact.name}', '${artifact.type}', '${artifact.blobUrl || ''}')">
+                <div class="artifact-info">
+                    <div class="artifact-icon">${artifact.icon}</div>
+                    <div class="artifact-name">${artifact.name}</div>
+                </div>
+                <div class="artifact-meta">
+                    <span class="artifact-type">${artifact.type}</span>
+                    <span class="artifact-size">${artifact.size}</span>
+                    ${artifact.pendingSync ? '<span class="artifact-type" style="color: #f59e0b;" title="Uploads when the connection returns">pending sync</span>' : ''}
+                    ${artifact.releasedVersion ? `<span class="artifact-type" style="color: var(--sax-success);" title="Clients see v${artifact.releasedVersion} in the portal">released v${artifact.releasedVersion}</span>` : ''}
+                    ${versioned ? `
+                        <span class="artifact-type" title="Version ${artifact.currentVersion} of ${artifact.versions.length}">v${artifact.currentVersion} of ${artifact.versions.length}</span>
+                        <button class="btn-icon-small" onclick="showArtifactHistory('${project.id}', '${artifact.artifactId}'); event.stopPropagation();" title="Version history">
+                            <span style="font-size: 12px;">🕘</span>
+                        </button>` : ''}
+                    ${versioned && !artifact.pendingSync && can(project, 'upload') ? `
+                        <button class="btn-icon-small" onclick="toggleArtifactRelease('${project.id}', '${artifact.artifactId}'); event.stopPropagation();" title="${releasedCurrent ? 'Withdraw from the client portal' : `Release v${artifact.currentVersion} to the client portal`}">
+                            <span style="font-size: 12px;">${releasedCurrent ? '🔒' : '📢'}</span>
+                        </button>` : ''}
+                    ${artifact.blobUrl ?
+                        `<button class="btn-icon-small" onclick="downloadArtifact('${artifact.blobUrl}', '${artifact.name}', '${artifact.contentHash || ''}'); event.stopPropagation();" title="Download">
+                            <span style="font-size: 12px;">⬇️</span>
+                        </button>` :
+                        (artifact.type === 'N8N' || artifact.type === 'SAXTech Automation') ?
+                        `<button class="btn-icon-small" onclick="downloadN8NWorkflow('${project.id}', '${artifact.name}'); event.stopPropagation();" title="Download JSON">
+                            <span style="font-size: 12px;">⬇️</span>
+                        </button>` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    function previewSection(project) {
+        if (!project.projectUrl && !project.frontend) return '';
+
+        return `
+            <div class="url-preview-container" data-project-id="${project.id}">
+                <div class="preview-header">
+                    <span class="preview-title">🔍 Live Preview</span>
+                    <span class="preview-url">${project.projectUrl || project.frontend}</span>
+                </div>
+                <div class="preview-iframe-wrapper">
+                    <div class="preview-loading">Loading preview...</div>
+                    <iframe
+                        class="preview-iframe"
+                        data-src="${project.projectUrl || project.frontend}"
+                        sandbox="allow-scripts allow-same-origin allow-popups"
+                        loading="lazy"
+                        style="display: none;"
+                        onload="this.style.display='block'; this.parentElement.querySelector('.preview-loading')?.remove();"
+                        onerror="this.parentElement.innerHTML='<div class=\'preview-error\'>⚠️<br>Preview unavailable<br><small>Site may block embedding</small></div>';"
+                    ></iframe>
+                    <a href="${project.projectUrl || project.frontend}" target="_blank" class="preview-open-btn">
+                        <span>↗️</span> Open in new tab
+                    </a>
+                </div>
+            </div>
+        `;
+    }
+
+    const UPTIME_LABELS = { up: 'Up', degraded: 'Degraded', down: 'Down', unknown: 'Not checked' };
+
+    function formatUptime(value) {
+        return value === null || value === undefined ? 'no data' : `${value.toFixed(2)}%`;
+    }
+
+    function uptimeDayClass(uptime) {
+        if (uptime === null) return 'none';
+        if (uptime >= 99.9) return 'good';
+        return uptime >= 99 ? 'warn' : 'bad';
+    }
+
+    // Live status badge and one bar segment per day from the uptime monitors' summary
+    function uptimeContent(summary) {
+        const status = UPTIME_LABELS[summary.status] ? summary.status : 'unknown';
+        const checked = summary.checkedAt ? `Checked ${new Date(summary.checkedAt).toLocaleString()}` : 'Not checked yet';
+        return `
+            <div class="uptime-header">
+                <span class="uptime-badge ${status}" title="${checked}">● ${UPTIME_LABELS[status]}</span>
+                <span class="uptime-percent">${formatUptime(summary.uptime)} uptime · ${summary.daily.length} days</span>
+            </div>
+            <div class="uptime-bar">
+                ${summary.daily.map(day => `<span class="uptime-day ${uptimeDayClass(day.uptime)}" title="${day.day}: ${formatUptime(day.uptime)}"></span>`).join('')}
+            </div>
+        `;
+    }
+
+    function uptimeSection(project, uptimeByProject) {
+        const summary = uptimeByProject && uptimeByProject[String(project.id)];
+        return summary ? `<div class="project-uptime">${uptimeContent(summary)}</div>` : '';
+    }
+
+    // Refresh the uptime of the cards on the page without re-rendering them
+    function updateUptimeBadges(uptimeByProject) {
+        document.querySelectorAll('.project-card[data-project-id]').forEach(card => {
+            const summary = uptimeByProject[card.dataset.projectId];
+            let section = card.querySelector('.project-uptime');
+            if (!summary) {
+                if (section) section.remove();
+                return;
+            }
+            if (!section) {
+                section = document.createElement('div');
+                section.className = 'project-uptime';
+                card.querySelector('.project-header').after(section);
+            }
+            section.innerHTML = uptimeContent(summary);
+        });
+    }
+
+    // options.readOnly renders a client-facing card; options.can(project, action) decides
+    // which staff actions to offer (the API enforces the same rules); options.uptime maps
+    // project ids to their uptime summary
+    function createProjectCard(project, index, options = {}) {
+        const readOnly = !!options.readOnly;
+        const can = options.can || (() => false);
+        const card = document.createElement('div');
+        card.className = 'project-card';
+        card.dataset.projectId = project.id;
+        card.style.animationDelay = `${index * 0.1}s`;
+
+        card.innerHTML = `
+            <div class="project-header">
+                <div class="project-info">
+                    <div class="project-title">${project.name}${project.pendingSync ? ' <span title="Waiting to sync" style="font-size: 12px; color: #f59e0b;">⏳</span>' : ''}</div>
+                    <div class="project-client">
+                        <span>🏢</span>
+                        ${project.client}
+                        ${readOnly && project.status ? `<span class="artifact-type" style="margin-left: 8px;">${project.status}</span>` : ''}
+                    </div>
+                    ${project.githubData ? `
+                    <div style="display: flex; align-items: center; gap: 8px; margin-top: 6px; font-size: 11px; color: var(--sax-text-dim);">
+                        <span>📅</span>
+                        <span>Updated ${project.githubData.lastUpdatedFormatted}</span>
+                        ${project.githubData.language ? `<span style="margin-left: 8px;">💻 ${project.githubData.language}</span>` : ''}
+                    </div>
+                    ` : ''}
+                </div>
+                <div class="project-badge">${project.type}</div>
+            </div>
+            ${uptimeSection(project, options.uptime)}
+            ${readOnly && project.description ? `<div class="project-description">${project.description}</div>` : ''}
+            <div class="project-links">
+                ${projectLinks(project, readOnly, can)}
+            </div>
+            <div class="project-artifacts">
+                <div class="artifacts-header">${readOnly ? 'Deliverables' : 'Project Artifacts'} (${project.artifacts.length})</div>
+                <div class="artifact-list">
+                    ${project.artifacts.map(artifact => artifactItem(project, artifact, readOnly, can)).join('')}
+                </div>
+            </div>
+            ${previewSection(project)}
+        `;
+
+        return card;
+    }
+
+    window.createProjectCard = createProjectCard;
+    window.updateUptimeBadges = updateUptimeBadges;
+})();
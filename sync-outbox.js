@@ -0,0 +1,417 @@
+// Offline outbox - project edits and uploads that could not reach the server are kept
+// in IndexedDB and replayed in order once the connection comes back
+(function() {
+    'use strict';
+
+    const DB_NAME = 'saxtech_sync';
+    const DB_VERSION = 1;
+    const STORE_NAME = 'outbox';
+    const RETRY_BASE_MS = 5000;
+    const RETRY_MAX_MS = 10 * 60 * 1000;
+    const POLL_INTERVAL_MS = 30000;
+
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    function promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    function openDatabase() {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+        };
+        return promisify(request);
+    }
+
+    // Dropped connections, timeouts, throttling and server errors are worth retrying; other 4xx are not
+    function isRetryable(status) {
+        return !status || status === 408 || status === 429 || status >= 500;
+    }
+
+    function nextDelay(attempts) {
+        return Math.min(RETRY_BASE_MS * Math.pow(2, attempts - 1), RETRY_MAX_MS);
+    }
+
+    function formatValue(value) {
+        if (value === undefined || value === null || value === '') return '<em>empty</em>';
+        const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        return escapeHtml(text.length > 120 ? `${text.substring(0, 120)}…` : text);
+    }
+
+    // Ask the user how to settle a queued change that collides with a newer server copy.
+    // Resolves to 'mine' or 'theirs'.
+    function showConflictDialog(entry, current) {
+        return new Promise(resolve => {
+            const isDelete = entry.kind === 'delete';
+            const fields = isDelete ? [] : Object.keys(entry.changes)
+                .filter(field => JSON.stringify(entry.changes[field]) !== JSON.stringify(current[field]));
+
+            const rows = fields.map(field => `
+                <tr>
+                    <td style="padding: 6px 8px; font-weight: 600;">${escapeHtml(field)}</td>
+                    <td style="padding: 6px 8px;">${formatValue(entry.changes[field])}</td>
+                    <td style="padding: 6px 8px;">${formatValue(current[field])}</td>
+                </tr>
+            `).join('');
+
+            const modal = document.createElement('div');
+            modal.className = 'modal active';
+            modal.innerHTML = `
+                <div class="modal-content" style="max-width: 760px; width: 90%;">
+                    <div class="modal-header">
+                        <h2 class="modal-title">Sync conflict - ${escapeHtml(current.name || entry.projectId)}</h2>
+                    </div>
+                    <div class="modal-body" style="max-height: 60vh; overflow-y: auto;">
+                        <p style="margin-bottom: 12px;">
+                            ${isDelete ?
+                                'You deleted this project while offline, but someone else has changed it since.' :
+                                `${escapeHtml(current.lastModifiedBy || 'Someone else')} changed this project while your edit was waiting to sync.`}
+                        </p>
+                        ${rows ? `
+                        <table style="width: 100%; border-collapse: collapse; font-size: 13px;">
+                            <thead>
+                                <tr style="text-align: left; color: var(--sax-text-dim);">
+                                    <th style="padding: 6px 8px;">Field</th>
+                                    <th style="padding: 6px 8px;">Your change</th>
+                                    <th style="padding: 6px 8px;">Server now</th>
+                                </tr>
+                            </thead>
+                            <tbody>${rows}</tbody>
+                        </table>` : ''}
+                    </div>
+                    <div class="modal-footer">
+                        <button class="btn btn-secondary" data-choice="theirs">${isDelete ? 'Keep project' : 'Keep server version'}</button>
+                        <button class="btn btn-primary" data-choice="mine">${isDelete ? 'Delete anyway' : 'Apply my changes'}</button>
+                    </div>
+                </div>
+            `;
+
+            modal.querySelectorAll('[data-choice]').forEach(button => {
+                button.addEventListener('click', () => {
+                    modal.remove();
+                    resolve(button.dataset.choice);
+                });
+            });
+            document.body.appendChild(modal);
+        });
+    }
+
+    class SyncOutbox {
+        constructor(manager) {
+            this.manager = manager;
+            this.entries = [];
+            this.db = null;
+            this.flushing = false;
+            this.active = null;
+            this.ready = this.load();
+
+            window.addEventListener('online', () => this.flush(true));
+            setInterval(() => this.flush(), POLL_INTERVAL_MS);
+        }
+
+        async load() {
+            try {
+                this.db = await openDatabase();
+                const store = this.db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME);
+                this.entries = (await promisify(store.getAll())).sort((a, b) => a.id - b.id);
+            } catch (error) {
+                console.warn('IndexedDB unavailable; offline changes cannot be queued:', error);
+                this.db = null;
+            }
+            this.updateIndicator();
+        }
+
+        get available() {
+            return !!this.db;
+        }
+
+        get count() {
+            return this.entries.length;
+        }
+
+        hasPending(projectId) {
+            return this.entries.some(e => String(e.projectId) === String(projectId));
+        }
+
+        async write(entry) {
+            const store = this.db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+            entry.id = await promisify(store.put(entry));
+            return entry;
+        }
+
+        async enqueue(entry) {
+            await this.ready;
+            if (!this.db) {
+                throw new Error('Offline queue is not available');
+            }
+
+            const queued = await this.write({
+                ...entry,
+                attempts: 0,
+                nextAttemptAt: Date.now() + RETRY_BASE_MS,
+                createdAt: new Date().toISOString()
+            });
+            this.entries.push(queued);
+            this.updateIndicator();
+            return queued;
+        }
+
+        async remove(entry) {
+            const store = this.db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+            await promisify(store.delete(entry.id));
+            this.entries = this.entries.filter(e => e.id !== entry.id);
+
+            // Drop the placeholder a queued upload put on its project
+            if (entry.kind === 'upload') {
+                this.manager.projects.forEach(project => {
+                    project.artifacts = (project.artifacts || []).filter(a => a.outboxId !== entry.id);
+                });
+            }
+            this.updateIndicator();
+        }
+
+        async enqueueCreate(tempId, data) {
+            await this.enqueue({ kind: 'create', projectId: tempId, data });
+        }
+
+        // Edits to a project that is still queued fold into the queued entry
+        async enqueueUpdate(projectId, changes, baseEtag) {
+            await this.ready;
+            const queued = this.entries.find(e => String(e.projectId) === String(projectId) &&
+                (e.kind === 'create' || e.kind === 'update'));
+
+            if (queued && this.db) {
+                if (queued.kind === 'create') {
+                    queued.data = { ...queued.data, ...changes };
+                } else {
+                    queued.changes = { ...queued.changes, ...changes };
+                }
+                await this.write(queued);
+                return;
+            }
+            await this.enqueue({ kind: 'update', projectId, changes, baseEtag });
+        }
+
+        async enqueueDelete(projectId, baseEtag) {
+            await this.ready;
+            const queued = this.entries.filter(e => String(e.projectId) === String(projectId));
+
+            // A project that never reached the server just disappears along with its queued work
+            if (queued.some(e => e.kind === 'create')) {
+                for (const entry of queued) {
+                    await this.remove(entry);
+                }
+                return;
+            }
+
+            for (const entry of queued.filter(e => e.kind === 'update')) {
+                await this.remove(entry);
+            }
+            await this.enqueue({ kind: 'delete', projectId, baseEtag });
+        }
+
+        // IndexedDB stores the File itself, so the upload can be replayed after a reload
+        async enqueueUpload(file, projectId, artifactType, options) {
+            return this.enqueue({
+                kind: 'upload',
+                projectId,
+                artifactType,
+                file,
+                fileName: file.name,
+                fileType: file.type,
+                lastModified: file.lastModified,
+                options: { workflowId: options.workflowId, contentHash: options.contentHash }
+            });
+        }
+
+        // Re-apply queued work on top of a fresh server copy so pending changes stay visible
+        overlayPending(projects) {
+            this.entries.forEach(entry => {
+                if (entry === this.active) return;
+                const index = projects.findIndex(p => String(p.id) === String(entry.projectId));
+
+                if (entry.kind === 'create' && index < 0) {
+                    projects.unshift({ ...entry.data, id: entry.projectId, pendingSync: true });
+                } else if (entry.kind === 'update' && index >= 0) {
+                    Object.assign(projects[index], entry.changes, { pendingSync: true });
+                } else if (entry.kind === 'delete' && index >= 0) {
+                    projects.splice(index, 1);
+                } else if (entry.kind === 'upload' && index >= 0) {
+                    const project = projects[index];
+                    project.artifacts = project.artifacts || [];
+                    if (!project.artifacts.some(a => a.outboxId === entry.id)) {
+                        project.artifacts.push({
+                            name: entry.fileName,
+                            type: entry.artifactType,
+                            size: `${(entry.file.size / 1024 / 1024).toFixed(2)} MB`,
+                            icon: this.manager.getIconForType(entry.artifactType),
+                            uploadDate: entry.createdAt,
+                            localOnly: true,
+                            pendingSync: true,
+                            outboxId: entry.id
+                        });
+                    }
+                }
+            });
+            return projects;
+        }
+
+        updateIndicator() {
+            const indicator = document.getElementById('syncIndicator');
+            if (!indicator) return;
+
+            indicator.style.display = this.count > 0 ? '' : 'none';
+            const label = document.getElementById('syncPendingCount');
+            if (label) {
+                label.textContent = `${this.count} change${this.count === 1 ? '' : 's'} pending sync`;
+            }
+        }
+
+        // Replay queued entries oldest first; stop at the first one that has to wait so
+        // later work (an upload to a project created offline, say) never overtakes it
+        async flush(force = false) {
+            await this.ready;
+            if (this.flushing || !this.db || this.entries.length === 0 || !navigator.onLine) {
+                return;
+            }
+
+            this.flushing = true;
+            let synced = 0;
+            try {
+                while (this.entries.length > 0) {
+                    const entry = this.entries[0];
+                    if (!force && entry.nextAttemptAt > Date.now()) break;
+
+                    this.active = entry;
+                    const outcome = await this.replay(entry);
+                    this.active = null;
+
+                    if (outcome === 'retry') {
+                        entry.attempts++;
+                        entry.nextAttemptAt = Date.now() + nextDelay(entry.attempts);
+                        await this.write(entry);
+                        break;
+                    }
+
+                    await this.remove(entry);
+                    if (outcome === 'done') synced++;
+                }
+            } finally {
+                this.active = null;
+                this.flushing = false;
+                this.manager.saveProjectsToLocalStorage();
+                this.updateIndicator();
+            }
+
+            if (synced > 0 && window.showToast) {
+                window.showToast(`${synced} offline change${synced === 1 ? '' : 's'} synced`);
+            }
+        }
+
+        // Returns 'done', 'retry' or 'dropped'
+        async replay(entry) {
+            try {
+                switch (entry.kind) {
+                    case 'create': return await this.replayCreate(entry);
+                    case 'update': return await this.replayUpdate(entry);
+                    case 'delete': return await this.replayDelete(entry);
+                    case 'upload': return await this.replayUpload(entry);
+                    default: return 'dropped';
+                }
+            } catch (error) {
+                entry.lastError = error.message;
+                if (isRetryable(error.status)) return 'retry';
+                return this.drop(entry, error.message);
+            }
+        }
+
+        drop(entry, reason) {
+            console.error(`Discarding queued ${entry.kind} for ${entry.projectId}:`, reason);
+            if (window.showToast) {
+                window.showToast(`A queued ${entry.kind} could not be synced and was discarded: ${reason}`, 'error');
+            }
+            return 'dropped';
+        }
+
+        check(result) {
+            if (result.ok) return result;
+            const error = new Error((result.data && result.data.error) || `Server returned ${result.status}`);
+            error.status = result.status;
+            throw error;
+        }
+
+        async replayCreate(entry) {
+            const result = this.check(await this.manager.projectsRequest('POST', null, entry.data));
+            const tempId = entry.projectId;
+
+            // Later entries were queued against the temporary id
+            for (const other of this.entries) {
+                if (other !== entry && String(other.projectId) === String(tempId)) {
+                    other.projectId = result.data.id;
+                    await this.write(other);
+                }
+            }
+            this.manager.replaceTempProject(tempId, result.data);
+            return 'done';
+        }
+
+        async replayUpdate(entry) {
+            const result = await this.manager.projectsRequest('PATCH', entry.projectId, entry.changes, entry.baseEtag);
+            if (result.status === 409 && result.data && result.data.current) {
+                const current = result.data.current;
+                if (await showConflictDialog(entry, current) === 'theirs') {
+                    this.manager.replaceLocalProject(current);
+                    return 'done';
+                }
+                entry.baseEtag = current.etag;
+                return this.replayUpdate(entry);
+            }
+            if (result.status === 404) {
+                return this.drop(entry, 'the project no longer exists');
+            }
+
+            this.manager.replaceLocalProject(this.check(result).data);
+            return 'done';
+        }
+
+        async replayDelete(entry) {
+            const result = await this.manager.projectsRequest('DELETE', entry.projectId, null, entry.baseEtag);
+            if (result.status === 409 && result.data && result.data.current) {
+                const current = result.data.current;
+                if (await showConflictDialog(entry, current) === 'theirs') {
+                    this.manager.replaceLocalProject(current);
+                    return 'done';
+                }
+                entry.baseEtag = current.etag;
+                return this.replayDelete(entry);
+            }
+            if (result.status !== 404) {
+                this.check(result);
+            }
+            return 'done';
+        }
+
+        async replayUpload(entry) {
+            const file = new File([entry.file], entry.fileName, {
+                type: entry.fileType,
+                lastModified: entry.lastModified
+            });
+            await this.manager.performUpload(file, entry.projectId, entry.artifactType, entry.options);
+            return 'done';
+        }
+    }
+
+    window.SyncOutbox = SyncOutbox;
+    window.isRetryableStatus = isRetryable;
+})();